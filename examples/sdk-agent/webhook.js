@@ -0,0 +1,42 @@
+import { createHmac, timingSafeEqual } from "crypto";
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Parse an X-4U-Signature header: "t=<unix>,id=<delivery id>,v1=<hex>[,v1=<hex>...]".
+ */
+export function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, id: null, signatures: [] };
+  for (const part of String(header || "").split(",")) {
+    const [key, value] = part.trim().split("=", 2);
+    if (key === "t") parsed.timestamp = Number(value);
+    else if (key === "id") parsed.id = value;
+    else if (key === "v1" && value) parsed.signatures.push(value);
+  }
+  return parsed;
+}
+
+/**
+ * Verify a 4U webhook. Pass the raw request body exactly as received (not re-serialized JSON),
+ * the X-4U-Signature header and your webhook secret (FOUR_U_WEBHOOK_SECRET).
+ * Rejects signatures older than `toleranceSeconds` so captured requests cannot be replayed.
+ * Dedupe on the returned `id` — it stays the same when a delivery is retried.
+ * @returns {{ valid: boolean, id: string|null, timestamp: number|null, reason?: string }}
+ */
+export function verifyWebhook(rawBody, signatureHeader, secret, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const { timestamp, id, signatures } = parseSignatureHeader(signatureHeader);
+  if (!timestamp || !id || signatures.length === 0) {
+    return { valid: false, id, timestamp, reason: "Malformed signature header" };
+  }
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return { valid: false, id, timestamp, reason: "Timestamp outside tolerance" };
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody);
+  const expected = createHmac("sha256", secret).update(`${timestamp}.${id}.${body}`).digest();
+  const valid = signatures.some((sig) => {
+    const received = Buffer.from(sig, "hex");
+    return received.length === expected.length && timingSafeEqual(received, expected);
+  });
+  return valid ? { valid, id, timestamp } : { valid, id, timestamp, reason: "Signature mismatch" };
+}
@@ -0,0 +1,92 @@
+/**
+ * Local SMTP stand-in for testing notification email.
+ * Accepts every message (no TLS, any AUTH) and writes it to .mail/<timestamp>-<n>.eml
+ * instead of delivering it. Point the API at it with:
+ *   MAIL_TRANSPORT=smtp SMTP_HOST=127.0.0.1 SMTP_PORT=2525
+ * Usage: npm run mail:sink   (env: SMTP_SINK_PORT, default 2525; SMTP_SINK_DIR, default .mail)
+ */
+import net from 'net';
+import { mkdir, writeFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const port = Number(process.env.SMTP_SINK_PORT) || 2525;
+const outDir = process.env.SMTP_SINK_DIR || join(__dirname, '..', '.mail');
+
+let counter = 0;
+
+async function saveMessage(envelope, data) {
+  counter += 1;
+  const file = join(outDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${counter}.eml`);
+  await writeFile(file, data.replace(/^\.\./gm, '.'));
+  const subject = /^Subject: (.*)$/m.exec(data)?.[1] ?? '(no subject)';
+  console.log(`[smtp-sink] ${envelope.from} → ${envelope.to.join(', ')}: ${subject} (${file})`);
+}
+
+function handleConnection(socket) {
+  let buffer = '';
+  let inData = false;
+  let dataLines = [];
+  let envelope = { from: null, to: [] };
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 4u smtp-sink ready');
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          saveMessage(envelope, dataLines.join('\r\n'))
+            .then(() => reply('250 OK: queued'))
+            .catch((err) => reply(`451 ${err.message}`));
+          dataLines = [];
+          envelope = { from: null, to: [] };
+        } else {
+          dataLines.push(line);
+        }
+        continue;
+      }
+
+      const verb = line.split(' ')[0].toUpperCase();
+      if (verb === 'EHLO') reply('250-4u smtp-sink\r\n250-8BITMIME\r\n250 AUTH PLAIN LOGIN');
+      else if (verb === 'HELO') reply('250 4u smtp-sink');
+      else if (verb === 'AUTH') reply('235 Authentication successful');
+      else if (verb === 'MAIL') {
+        envelope.from = /<([^>]*)>/.exec(line)?.[1] ?? '';
+        reply('250 OK');
+      } else if (verb === 'RCPT') {
+        envelope.to.push(/<([^>]*)>/.exec(line)?.[1] ?? '');
+        reply('250 OK');
+      } else if (verb === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (verb === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (verb === 'NOOP') reply('250 OK');
+      else if (verb === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else reply('502 Command not implemented');
+    }
+  });
+  socket.on('error', () => {});
+}
+
+async function run() {
+  await mkdir(outDir, { recursive: true });
+  net.createServer(handleConnection).listen(port, '127.0.0.1', () => {
+    console.log(`[smtp-sink] Listening on 127.0.0.1:${port}, writing messages to ${outDir}`);
+  });
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
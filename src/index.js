@@ -10,18 +10,32 @@ import { agentSettingsRouter } from './routes/agentSettings.js';
 import { hireRouter } from './routes/hire.js';
 import { usersRouter } from './routes/users.js';
 import { sdkRouter } from './routes/sdk.js';
+import { sdkJobsRouter } from './routes/sdkJobs.js';
 import { apiKeysRouter } from './routes/apiKeys.js';
 import { dashboardRouter } from './routes/dashboard.js';
 import { notificationsRouter } from './routes/notifications.js';
 import { searchRouter } from './routes/search.js';
 import { followsRouter } from './routes/follows.js';
+import { feedRouter } from './routes/feed.js';
 import { notionRouter } from './routes/notion.js';
 import { adminRouter } from './routes/admin.js';
+import { filesRouter } from './routes/files.js';
+import { categoriesRouter } from './routes/categories.js';
+import { devEscrowRouter } from './routes/devEscrow.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { requireAuth } from './middleware/auth.js';
 import { startPitchingEngine, triggerPitchCycle } from './services/pitchingEngine.js';
 import { startBuildWorker } from './services/buildWorker.js';
+import { startEscrowReconciler } from './services/escrowPayouts.js';
+import { startEscrowTimeouts } from './services/escrowTimeouts.js';
+import { startWebhookOutbox } from './services/webhookOutbox.js';
+import { startNotificationStream } from './services/notificationStream.js';
+import { startNotificationDigests } from './services/notificationDigest.js';
+import { startNotificationRetention } from './services/notificationRetention.js';
+import { startActivityFeed } from './services/activityFeed.js';
+import { startRequestExpiry } from './services/requestExpiry.js';
 import { supabase } from './lib/supabase.js';
+import { devEscrowEnabled } from './lib/escrow.js';
 
 const PORT = process.env.PORT || 4000;
 const app = express();
@@ -70,12 +84,21 @@ app.use('/api/hire', apiLimiter, hireRouter);
 app.use('/api/users', apiLimiter, usersRouter);
 app.use('/api/keys', sdkLimiter, apiKeysRouter);
 app.use('/api/sdk', sdkLimiter, sdkRouter);
+app.use('/sdk/jobs', sdkLimiter, sdkJobsRouter);
 app.use('/api/dashboard', apiLimiter, dashboardRouter);
 app.use('/api/notifications', apiLimiter, notificationsRouter);
 app.use('/api/search', apiLimiter, searchRouter);
 app.use('/api/follows', apiLimiter, followsRouter);
+app.use('/api/feed', apiLimiter, feedRouter);
 app.use('/api/notion', apiLimiter, notionRouter);
 app.use('/api/admin', apiLimiter, adminRouter);
+app.use('/api/files', apiLimiter, filesRouter);
+app.use('/api/categories', apiLimiter, categoriesRouter);
+
+// ── Dev: in-memory escrow deposits (ESCROW_PROVIDER=memory, never in production) ──
+if (devEscrowEnabled()) {
+  app.use('/api/dev/escrow', apiLimiter, devEscrowRouter);
+}
 
 app.get('/api/health', (_, res) => res.json({ ok: true, service: '4u-api' }));
 
@@ -122,4 +145,12 @@ app.listen(PORT, () => {
   console.log(`4U API running at http://localhost:${PORT}`);
   startPitchingEngine();
   startBuildWorker();
+  startEscrowReconciler();
+  startEscrowTimeouts();
+  startWebhookOutbox();
+  startNotificationStream();
+  startNotificationDigests();
+  startNotificationRetention();
+  startActivityFeed();
+  startRequestExpiry();
 });
@@ -0,0 +1,35 @@
+import { supabase } from './supabase.js';
+
+/**
+ * Append an entry to admin_audit_log.
+ * actorType: 'admin' (actorId is the admin's user id), 'requester', 'agent' or 'system'.
+ * Never throws — errors are logged and swallowed so the audited action still completes.
+ */
+export async function recordAudit({
+  actorType = 'admin',
+  actorId = null,
+  action,
+  targetType,
+  targetId,
+  reason = null,
+  metadata = {},
+}) {
+  const { error } = await supabase.from('admin_audit_log').insert({
+    admin_id: actorType === 'admin' ? actorId : null,
+    actor_type: actorType,
+    actor_id: actorId,
+    action,
+    target_type: targetType,
+    target_id: targetId,
+    reason,
+    metadata,
+  });
+  if (error) console.error('[audit] recordAudit error:', error.message);
+}
+
+/**
+ * Shorthand for admin actions.
+ */
+export function auditLog(adminId, action, targetType, targetId, reason, metadata = {}) {
+  return recordAudit({ actorType: 'admin', actorId: adminId, action, targetType, targetId, reason, metadata });
+}
@@ -0,0 +1,48 @@
+/**
+ * Opaque keyset cursors for newest-first lists ordered by (created_at DESC, id DESC).
+ * A cursor is the last row's created_at and id; the next page is everything strictly older.
+ */
+
+export function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.created_at, row.id])).toString('base64url');
+}
+
+/**
+ * @returns {{ createdAt: string, id: string } | null} null when the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || !/^[0-9T:.+\- Z]+$/.test(createdAt) || Number.isNaN(Date.parse(createdAt))) return null;
+    if (typeof id !== 'string' || !/^[A-Za-z0-9-]+$/.test(id)) return null;
+    return { createdAt, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Restrict a query to rows after a decoded cursor (values are validated by decodeCursor).
+ */
+export function afterCursor(query, { createdAt, id }) {
+  return query.or(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt.${id})`);
+}
+
+/**
+ * Order a query newest first and fetch one extra row to tell whether another page exists.
+ */
+export function pageQuery(query, limit) {
+  return query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+}
+
+/**
+ * Split the rows of a pageQuery into the page and the cursor for the next one.
+ * @returns {{ page: object[], nextCursor: string|null }}
+ */
+export function paginate(rows, limit) {
+  const page = (rows || []).slice(0, limit);
+  return { page, nextCursor: (rows || []).length > limit ? encodeCursor(page[page.length - 1]) : null };
+}
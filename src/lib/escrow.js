@@ -0,0 +1,100 @@
+/**
+ * Escrow provider facade.
+ *
+ * Routes talk to escrow only through this module. The backing provider is chosen by
+ * ESCROW_PROVIDER:
+ *   solana (default) - SPL-token custody wallet (./solanaEscrow.js); point SOLANA_RPC_URL
+ *                      at a local validator to test against a real chain offline
+ *   memory           - deterministic in-memory ledger (./memoryEscrow.js); refused when
+ *                      NODE_ENV=production. Outside production its test helpers are served
+ *                      by routes/devEscrow.js
+ *
+ * A provider implements:
+ *   getInfo()                                    → { escrowWallet, usdcMint, network }
+ *   verifyDeposit(txSignature, fromWallet, amt)  → { verified, actualAmount?, error? }
+ *   prepareTransfer(toWallet, amount)            → { txSignature, payload } (signed, not sent)
+ *   submitTransfer(txSignature, payload)         → resolves once confirmed; idempotent
+ *   getTransferStatus(txSignature, payload)      → 'confirmed' | 'failed' | 'pending' | 'expired'
+ *   getBalance()                                 → number (USDC held in escrow)
+ *
+ * Outbound payouts go through the payout ledger (services/escrowPayouts.js), never
+ * straight to the provider.
+ */
+
+import { solanaEscrowProvider } from './solanaEscrow.js';
+import { memoryEscrowProvider } from './memoryEscrow.js';
+
+export const PLATFORM_FEE_BPS = 200; // 2% = 200 basis points
+
+const PROVIDERS = {
+  solana: solanaEscrowProvider,
+  memory: memoryEscrowProvider,
+};
+
+let _provider = null;
+
+export function getEscrowProvider() {
+  if (!_provider) {
+    const name = (process.env.ESCROW_PROVIDER || 'solana').trim().toLowerCase();
+    if (!PROVIDERS[name]) throw new Error(`Unknown ESCROW_PROVIDER "${name}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+    if (name === 'memory' && process.env.NODE_ENV === 'production') {
+      throw new Error('ESCROW_PROVIDER=memory holds no real funds and cannot be used in production');
+    }
+    _provider = PROVIDERS[name];
+  }
+  return _provider;
+}
+
+/**
+ * Swap the active provider (e.g. a fresh createMemoryEscrowProvider() per test).
+ * Pass null to fall back to ESCROW_PROVIDER again.
+ */
+export function setEscrowProvider(provider) {
+  _provider = provider;
+}
+
+/**
+ * True when the in-memory provider's test helpers (simulateDeposit, failNext, reset) may be
+ * exposed over HTTP: the active provider is the memory ledger and NODE_ENV is not production.
+ */
+export function devEscrowEnabled() {
+  return process.env.NODE_ENV !== 'production' && getEscrowProvider().name === 'memory';
+}
+
+/**
+ * Split an escrow amount into the agent's payout and the platform fee.
+ * @returns {{ agentPayout: number, platformFee: number }}
+ */
+export function splitEscrow(escrowAmount) {
+  const agentPayout = Math.floor(escrowAmount * (10000 - PLATFORM_FEE_BPS)) / 10000;
+  return { agentPayout, platformFee: Math.round((escrowAmount - agentPayout) * 1e6) / 1e6 };
+}
+
+export function getEscrowInfo() {
+  const provider = getEscrowProvider();
+  return { ...provider.getInfo(), provider: provider.name };
+}
+
+export function getEscrowBalance() {
+  return getEscrowProvider().getBalance();
+}
+
+/**
+ * Verify a buyer → escrow USDC deposit.
+ * @returns {{ verified: boolean, actualAmount?: number, error?: string }}
+ */
+export function verifyDeposit(txSignature, fromWallet, expectedAmount) {
+  return getEscrowProvider().verifyDeposit(txSignature, fromWallet, expectedAmount);
+}
+
+export function prepareTransfer(toWallet, amount) {
+  return getEscrowProvider().prepareTransfer(toWallet, amount);
+}
+
+export function submitTransfer(txSignature, payload) {
+  return getEscrowProvider().submitTransfer(txSignature, payload);
+}
+
+export function getTransferStatus(txSignature, payload) {
+  return getEscrowProvider().getTransferStatus(txSignature, payload);
+}
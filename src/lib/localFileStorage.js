@@ -0,0 +1,92 @@
+/**
+ * Local filesystem storage driver (STORAGE_DRIVER=local)
+ *
+ * Keeps each object as a file under STORAGE_LOCAL_DIR. Signed URLs point at
+ * GET /api/files/<key> (routes/files.js) and carry an expiry plus an HMAC over the key,
+ * expiry and response headers, so links cannot be forged or reused for other files.
+ *
+ *   STORAGE_LOCAL_DIR       - default .uploads (relative to the working directory)
+ *   STORAGE_PUBLIC_URL      - base URL the API is reached at, default http://localhost:PORT
+ *   STORAGE_SIGNING_SECRET  - HMAC key for download links, default JWT_SECRET
+ *
+ * Meant for development, tests and single-instance deployments; use the s3 driver when
+ * the API runs on more than one machine.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+function localConfig() {
+  return {
+    root: path.resolve(process.env.STORAGE_LOCAL_DIR || '.uploads'),
+    baseUrl: (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/+$/, ''),
+    secret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || '',
+  };
+}
+
+/**
+ * Absolute path of `key` under the storage root; throws when the key escapes it.
+ */
+export function localFilePath(key) {
+  const { root } = localConfig();
+  const file = path.resolve(root, String(key));
+  if (!file.startsWith(root + path.sep)) throw new Error('Invalid storage key');
+  return file;
+}
+
+function sign(secret, key, expires, disposition, contentType) {
+  return createHmac('sha256', secret)
+    .update([key, expires, disposition, contentType].join('\n'))
+    .digest('hex');
+}
+
+/**
+ * Check a GET /api/files link: { expires, disposition, type, signature } from its query.
+ * @returns {boolean} true when the signature matches `key` and the link has not expired
+ */
+export function verifyLocalFileLink(key, { expires, disposition = '', type = '', signature } = {}) {
+  const { secret } = localConfig();
+  if (!secret || !signature || !/^\d+$/.test(String(expires))) return false;
+  if (Number(expires) * 1000 < Date.now()) return false;
+  const expected = Buffer.from(sign(secret, key, String(expires), String(disposition), String(type)), 'hex');
+  const given = Buffer.from(String(signature), 'hex');
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+export const localFileStorage = {
+  name: 'local',
+
+  async put(key, data) {
+    const file = localFilePath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+  },
+
+  async get(key) {
+    try {
+      return await fs.readFile(localFilePath(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  },
+
+  async remove(key) {
+    await fs.rm(localFilePath(key), { force: true });
+  },
+
+  async signedUrl(key, { disposition = '', contentType = '', expiresIn }) {
+    const { baseUrl, secret } = localConfig();
+    if (!secret) throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) is required for local file links');
+    const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+    const query = new URLSearchParams({
+      expires,
+      disposition,
+      type: contentType || '',
+      signature: sign(secret, key, expires, disposition, contentType || ''),
+    });
+    const encodedKey = String(key).split('/').map(encodeURIComponent).join('/');
+    return `${baseUrl}/api/files/${encodedKey}?${query}`;
+  },
+};
@@ -0,0 +1,87 @@
+/**
+ * Mail transport facade.
+ *
+ * Notification email goes out only through this module. The transport is chosen by
+ * MAIL_TRANSPORT:
+ *   smtp (default) - any SMTP server (./smtpMailer.js); `npm run mail:sink` starts a local
+ *                    SMTP stand-in that writes each message to .mail/ instead of sending it
+ *   memory         - keeps messages in process (createMemoryMailer) for tests
+ *
+ * A transport implements:
+ *   isConfigured()              → boolean (false disables the email channel)
+ *   send({ to, subject, text }) → resolves once accepted; throws on failure
+ */
+
+import { smtpMailer } from './smtpMailer.js';
+
+/**
+ * Create an isolated in-memory transport. Sent messages are kept in `messages`;
+ * failNext() makes the next send throw.
+ */
+export function createMemoryMailer() {
+  const messages = [];
+  let failures = [];
+  return {
+    name: 'memory',
+    messages,
+    isConfigured() {
+      return true;
+    },
+    async send({ to, subject, text }) {
+      const failure = failures.shift();
+      if (failure) throw new Error(failure);
+      messages.push({ to, subject, text, sentAt: new Date().toISOString() });
+    },
+    failNext(message = 'Simulated mail failure') {
+      failures.push(message);
+    },
+  };
+}
+
+const PROVIDERS = {
+  smtp: () => smtpMailer,
+  memory: createMemoryMailer,
+};
+
+let _mailer = null;
+
+export function getMailer() {
+  if (!_mailer) {
+    const name = (process.env.MAIL_TRANSPORT || 'smtp').trim().toLowerCase();
+    const create = PROVIDERS[name];
+    if (!create) throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+    _mailer = create();
+  }
+  return _mailer;
+}
+
+/**
+ * Swap the active transport (e.g. a fresh createMemoryMailer() per test).
+ * Pass null to fall back to MAIL_TRANSPORT again.
+ */
+export function setMailer(mailer) {
+  _mailer = mailer;
+}
+
+export function isMailConfigured() {
+  try {
+    return getMailer().isConfigured();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Send one plain-text email. Never throws.
+ * @returns {Promise<{ ok: boolean, error: string|null }>}
+ */
+export async function sendMail({ to, subject, text }) {
+  try {
+    const mailer = getMailer();
+    if (!mailer.isConfigured()) return { ok: false, error: 'Email delivery is not configured' };
+    await mailer.send({ to, subject, text });
+    return { ok: true, error: null };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  }
+}
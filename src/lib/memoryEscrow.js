@@ -0,0 +1,167 @@
+/**
+ * In-memory escrow ledger provider (ESCROW_PROVIDER=memory)
+ *
+ * Deterministic stand-in for the SPL-token escrow so the hire → deliver →
+ * accept/cancel/dispute flow can run without a chain:
+ *  - simulateDeposit() records a buyer → escrow transfer and returns its signature
+ *    (over HTTP: POST /api/dev/escrow/deposit, see routes/devEscrow.js)
+ *  - verifyDeposit() checks it with the same rules as the on-chain provider
+ *  - prepareTransfer()/submitTransfer() move funds out of the escrow balance
+ *  - failNext() makes the next call of an operation fail (RPC errors, reverted txs)
+ *
+ * Signatures are derived from a seed and a counter, so the same sequence of calls
+ * always yields the same signatures.
+ */
+
+import { createHash } from 'crypto';
+
+const DEFAULT_ESCROW_WALLET = 'MemEscrow1111111111111111111111111111111111';
+
+function round6(n) {
+  return Math.round(Number(n) * 1e6) / 1e6;
+}
+
+/**
+ * Create an isolated in-memory escrow ledger.
+ * @param {{ seed?: string, escrowWallet?: string }} [opts]
+ */
+export function createMemoryEscrowProvider({ seed = '4u', escrowWallet = DEFAULT_ESCROW_WALLET } = {}) {
+  let counter = 0;
+  let balances = new Map(); // wallet → USDC
+  let ledger = new Map();   // txSignature → { from, to, amount, failed }
+  let prepared = new Map(); // txSignature → { toWallet, amount } signed but not yet submitted
+  let failures = [];        // [{ operation, message }]
+
+  function nextSignature(kind) {
+    counter += 1;
+    return `mem${kind}_${createHash('sha256').update(`${seed}:${counter}`).digest('hex').slice(0, 40)}`;
+  }
+
+  function credit(wallet, amount) {
+    balances.set(wallet, round6((balances.get(wallet) || 0) + amount));
+  }
+
+  function takeFailure(operation) {
+    const idx = failures.findIndex((f) => f.operation === operation);
+    if (idx === -1) return null;
+    return failures.splice(idx, 1)[0];
+  }
+
+  return {
+    name: 'memory',
+
+    getInfo() {
+      return { escrowWallet, usdcMint: null, network: 'memory' };
+    },
+
+    /**
+     * Verify a deposit recorded with simulateDeposit().
+     * @returns {{ verified: boolean, actualAmount?: number, error?: string }}
+     */
+    async verifyDeposit(txSignature, fromWallet, expectedAmount) {
+      const failure = takeFailure('verifyDeposit');
+      if (failure) return { verified: false, error: failure.message };
+
+      const tx = ledger.get(txSignature);
+      if (!tx) return { verified: false, error: 'Transaction not found or not yet finalized' };
+      if (tx.failed) return { verified: false, error: 'Transaction failed on-chain' };
+      if (tx.to !== escrowWallet || tx.from !== fromWallet) {
+        return { verified: false, error: 'No matching USDC transfer to escrow wallet found in transaction' };
+      }
+      if (tx.amount < expectedAmount - 0.01) {
+        return {
+          verified: false,
+          actualAmount: tx.amount,
+          error: `Deposit amount ${tx.amount} USDC is less than required ${expectedAmount} USDC`,
+        };
+      }
+      return { verified: true, actualAmount: tx.amount };
+    },
+
+    /**
+     * Sign (reserve a signature for) an outbound transfer without moving funds.
+     * @returns {{ txSignature: string, payload: { toWallet: string, amount: number } }}
+     */
+    async prepareTransfer(toWallet, amount) {
+      const failure = takeFailure('prepareTransfer');
+      if (failure) throw new Error(failure.message);
+      const txSignature = nextSignature('tx');
+      const payload = { toWallet, amount: round6(amount) };
+      prepared.set(txSignature, payload);
+      return { txSignature, payload };
+    },
+
+    /**
+     * Apply a prepared transfer. Re-submitting the same signature is a no-op.
+     * Throws on insufficient balance or an injected failure.
+     */
+    async submitTransfer(txSignature) {
+      if (ledger.has(txSignature)) return;
+      const payload = prepared.get(txSignature);
+      if (!payload) throw new Error(`Unknown transaction ${txSignature}`);
+      const failure = takeFailure('submitTransfer');
+      if (failure) throw new Error(failure.message);
+      if ((balances.get(escrowWallet) || 0) < payload.amount) {
+        throw new Error(`Insufficient escrow balance for transfer of ${payload.amount} USDC`);
+      }
+      credit(escrowWallet, -payload.amount);
+      credit(payload.toWallet, payload.amount);
+      ledger.set(txSignature, { from: escrowWallet, to: payload.toWallet, amount: payload.amount, failed: false });
+      prepared.delete(txSignature);
+    },
+
+    /**
+     * @returns {'confirmed'|'pending'|'expired'} — transfers prepared by another
+     *   (e.g. restarted) ledger instance are reported expired
+     */
+    async getTransferStatus(txSignature) {
+      if (ledger.has(txSignature)) return 'confirmed';
+      if (prepared.has(txSignature)) return 'pending';
+      return 'expired';
+    },
+
+    async getBalance() {
+      return balances.get(escrowWallet) || 0;
+    },
+
+    // ── Test helpers ──────────────────────────────────────────────────────────
+
+    /**
+     * Record a buyer → escrow deposit. With { failed: true } the tx exists but reverted.
+     * @returns {string} txSignature to pass to POST /api/hire
+     */
+    simulateDeposit(fromWallet, amount, { failed = false } = {}) {
+      const txSignature = nextSignature('dep');
+      const value = round6(amount);
+      ledger.set(txSignature, { from: fromWallet, to: escrowWallet, amount: value, failed });
+      if (!failed) credit(escrowWallet, value);
+      return txSignature;
+    },
+
+    /**
+     * Make the next call to `operation` ('verifyDeposit' | 'prepareTransfer' | 'submitTransfer')
+     * fail with `message`.
+     */
+    failNext(operation, message = `Simulated ${operation} failure`) {
+      failures.push({ operation, message });
+    },
+
+    balanceOf(wallet) {
+      return balances.get(wallet) || 0;
+    },
+
+    transactions() {
+      return [...ledger.entries()].map(([txSignature, tx]) => ({ txSignature, ...tx }));
+    },
+
+    reset() {
+      counter = 0;
+      balances = new Map();
+      ledger = new Map();
+      prepared = new Map();
+      failures = [];
+    },
+  };
+}
+
+export const memoryEscrowProvider = createMemoryEscrowProvider();
@@ -0,0 +1,93 @@
+/**
+ * Delivery channels for notifications outside the app.
+ *
+ * A channel implements:
+ *   isConfigured(settings)       → boolean — the user set it up and the platform can send
+ *   send(settings, message)      → { ok, error } — never throws
+ * where settings is the user's notification_channels row and message is
+ * { type, subject, text }.
+ *
+ *   email - settings.email through the mailer (./mailer.js)
+ *   chat  - settings.chat_webhook_url (Discord, or Slack/Mattermost-style { text } hooks) and/or
+ *           settings.telegram_chat_id through the platform bot (TELEGRAM_BOT_TOKEN)
+ */
+
+import { randomUUID } from 'crypto';
+import { isMailConfigured, sendMail } from './mailer.js';
+import { sendWebhook } from './webhook.js';
+
+const DISCORD_MAX_LENGTH = 2000;
+const TELEGRAM_MAX_LENGTH = 4096;
+
+function isDiscordWebhook(url) {
+  return /^https:\/\/(?:[a-z]+\.)?discord(?:app)?\.com\/api\/webhooks\//i.test(url);
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+export function isTelegramConfigured() {
+  return Boolean(process.env.TELEGRAM_BOT_TOKEN);
+}
+
+const emailChannel = {
+  name: 'email',
+  isConfigured(settings) {
+    return Boolean(settings?.email) && isMailConfigured();
+  },
+  send(settings, { subject, text }) {
+    return sendMail({ to: settings.email, subject, text });
+  },
+};
+
+const chatChannel = {
+  name: 'chat',
+  isConfigured(settings) {
+    return Boolean(settings?.chat_webhook_url) || (Boolean(settings?.telegram_chat_id) && isTelegramConfigured());
+  },
+  async send(settings, { type, subject, text }) {
+    const body = `${subject}\n${text}`;
+    const posts = [];
+    if (settings.chat_webhook_url) {
+      const payload = isDiscordWebhook(settings.chat_webhook_url)
+        ? { content: truncate(body, DISCORD_MAX_LENGTH) }
+        : { text: body };
+      posts.push(sendWebhook(settings.chat_webhook_url, payload, { id: randomUUID(), event: type }));
+    }
+    if (settings.telegram_chat_id && isTelegramConfigured()) {
+      posts.push(sendWebhook(
+        `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+        { chat_id: settings.telegram_chat_id, text: truncate(body, TELEGRAM_MAX_LENGTH), disable_web_page_preview: true },
+        { id: randomUUID(), event: type },
+      ));
+    }
+    const results = await Promise.all(posts);
+    const failed = results.filter((r) => !r.ok);
+    return {
+      ok: results.length > 0 && failed.length < results.length,
+      error: failed.length ? failed.map((r) => r.error).join('; ') : null,
+    };
+  },
+};
+
+export const CHANNELS = {
+  email: emailChannel,
+  chat: chatChannel,
+};
+
+/**
+ * Send a message over one channel, skipping it when the user has not set it up.
+ * Never throws.
+ * @returns {Promise<{ ok: boolean, skipped?: boolean, error: string|null }>}
+ */
+export async function sendToChannel(name, settings, message) {
+  const channel = CHANNELS[name];
+  if (!channel) return { ok: false, error: `Unknown channel "${name}"` };
+  if (!channel.isConfigured(settings)) return { ok: false, skipped: true, error: null };
+  try {
+    return await channel.send(settings, message);
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  }
+}
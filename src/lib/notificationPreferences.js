@@ -0,0 +1,220 @@
+import { supabase } from './supabase.js';
+import { webhookUrlError } from './webhook.js';
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+export const DEFAULT_TYPE = '*'; // notification_preferences row holding the user's defaults
+const MAX_TYPE_OVERRIDES = 100;   // per PATCH
+const TYPE_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const TELEGRAM_CHAT_PATTERN = /^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$/;
+
+/**
+ * Where a notification goes when the user has not said otherwise: in-app only.
+ */
+export const DEFAULT_PREFERENCE = { in_app: true, email: false, chat: false, digest: 'off' };
+
+function pickPreference(row) {
+  return {
+    in_app: row.in_app,
+    email: row.email,
+    chat: row.chat,
+    digest: row.digest,
+  };
+}
+
+/**
+ * Effective preference for one notification type: the type's own row, else the user's
+ * defaults ('*'), else DEFAULT_PREFERENCE. Never throws — falls back to in-app only.
+ */
+export async function getNotificationPreference(wallet, type) {
+  try {
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .select('type, in_app, email, chat, digest')
+      .eq('user_wallet', wallet)
+      .in('type', [type, DEFAULT_TYPE]);
+    if (error) throw error;
+    const row = (data || []).find((r) => r.type === type) || (data || []).find((r) => r.type === DEFAULT_TYPE);
+    return row ? pickPreference(row) : { ...DEFAULT_PREFERENCE };
+  } catch (err) {
+    console.error('[notify] preference lookup error:', err?.message || err);
+    return { ...DEFAULT_PREFERENCE };
+  }
+}
+
+/**
+ * The user's notification_channels row (email, chat webhook, Telegram chat, last digests),
+ * or null when they have not set any up.
+ */
+export async function getChannelSettings(wallet) {
+  const { data, error } = await supabase
+    .from('notification_channels')
+    .select('*')
+    .eq('user_wallet', wallet)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Everything GET /api/notifications/:wallet/preferences returns.
+ */
+export async function loadNotificationSettings(wallet) {
+  const [channels, { data: rows, error }] = await Promise.all([
+    getChannelSettings(wallet),
+    supabase
+      .from('notification_preferences')
+      .select('type, in_app, email, chat, digest')
+      .eq('user_wallet', wallet),
+  ]);
+  if (error) throw error;
+
+  const defaultsRow = (rows || []).find((r) => r.type === DEFAULT_TYPE);
+  const types = {};
+  for (const row of rows || []) {
+    if (row.type !== DEFAULT_TYPE) types[row.type] = pickPreference(row);
+  }
+  return {
+    channels: {
+      email: channels?.email ?? null,
+      chat_webhook_url: channels?.chat_webhook_url ?? null,
+      telegram_chat_id: channels?.telegram_chat_id ?? null,
+    },
+    defaults: defaultsRow ? pickPreference(defaultsRow) : { ...DEFAULT_PREFERENCE },
+    types,
+  };
+}
+
+function parsePreferenceFields(value, label) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: `${label} must be an object` };
+  const patch = {};
+  for (const field of ['in_app', 'email', 'chat']) {
+    if (value[field] === undefined) continue;
+    if (typeof value[field] !== 'boolean') return { error: `${label}.${field} must be a boolean` };
+    patch[field] = value[field];
+  }
+  if (value.digest !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(value.digest)) {
+      return { error: `${label}.digest must be one of: ${DIGEST_FREQUENCIES.join(', ')}` };
+    }
+    patch.digest = value.digest;
+  }
+  return { value: patch };
+}
+
+function parseChannels(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'channels must be an object' };
+  const patch = {};
+  const str = (v) => (typeof v === 'string' ? v.trim() : v);
+
+  if (value.email !== undefined) {
+    const email = str(value.email) || null;
+    if (email !== null && (typeof email !== 'string' || email.length > 254 || !EMAIL_PATTERN.test(email))) {
+      return { error: 'channels.email must be a valid email address or null' };
+    }
+    patch.email = email;
+  }
+  if (value.chat_webhook_url !== undefined) {
+    const url = str(value.chat_webhook_url) || null;
+    if (url !== null) {
+      let parsed = null;
+      try {
+        parsed = typeof url === 'string' && url.length <= 2048 ? new URL(url) : null;
+      } catch {
+        parsed = null;
+      }
+      if (parsed?.protocol !== 'https:' || webhookUrlError(url)) {
+        return { error: 'channels.chat_webhook_url must be a public https URL or null' };
+      }
+    }
+    patch.chat_webhook_url = url;
+  }
+  if (value.telegram_chat_id !== undefined) {
+    const chatId = value.telegram_chat_id == null || value.telegram_chat_id === '' ? null : String(str(value.telegram_chat_id));
+    if (chatId !== null && !TELEGRAM_CHAT_PATTERN.test(chatId)) {
+      return { error: 'channels.telegram_chat_id must be a numeric chat id, an @channel name or null' };
+    }
+    patch.telegram_chat_id = chatId;
+  }
+  return { value: patch };
+}
+
+/**
+ * Validate a PATCH /api/notifications/:wallet/preferences body:
+ *   { channels?: { email, chat_webhook_url, telegram_chat_id },
+ *     defaults?: { in_app, email, chat, digest },
+ *     types?: { [type]: { in_app, email, chat, digest } | null } }   (null drops the override)
+ * @returns {{ value?: object, error?: string }}
+ */
+export function parseNotificationSettingsPatch(body) {
+  const value = {};
+  if (body?.channels !== undefined) {
+    const parsed = parseChannels(body.channels);
+    if (parsed.error) return parsed;
+    value.channels = parsed.value;
+  }
+  if (body?.defaults !== undefined) {
+    const parsed = parsePreferenceFields(body.defaults, 'defaults');
+    if (parsed.error) return parsed;
+    value.defaults = parsed.value;
+  }
+  if (body?.types !== undefined) {
+    if (!body.types || typeof body.types !== 'object' || Array.isArray(body.types)) {
+      return { error: 'types must be an object keyed by notification type' };
+    }
+    const entries = Object.entries(body.types);
+    if (entries.length > MAX_TYPE_OVERRIDES) return { error: `At most ${MAX_TYPE_OVERRIDES} types per request` };
+    value.types = {};
+    for (const [type, prefs] of entries) {
+      if (!TYPE_PATTERN.test(type)) return { error: `Invalid notification type "${type}"` };
+      if (prefs === null) {
+        value.types[type] = null;
+        continue;
+      }
+      const parsed = parsePreferenceFields(prefs, `types.${type}`);
+      if (parsed.error) return parsed;
+      value.types[type] = parsed.value;
+    }
+  }
+  if (Object.keys(value).length === 0) return { error: 'Provide channels, defaults or types' };
+  return { value };
+}
+
+/**
+ * Apply a parsed settings patch. Fields left out keep their current value; a new type
+ * override starts from the user's defaults.
+ */
+export async function saveNotificationSettings(wallet, { channels, defaults, types }) {
+  const current = await loadNotificationSettings(wallet);
+
+  if (channels && Object.keys(channels).length > 0) {
+    const { error } = await supabase
+      .from('notification_channels')
+      .upsert({ user_wallet: wallet, ...channels }, { onConflict: 'user_wallet' });
+    if (error) throw error;
+  }
+
+  const nextDefaults = { ...current.defaults, ...(defaults || {}) };
+  const rows = [];
+  if (defaults) rows.push({ user_wallet: wallet, type: DEFAULT_TYPE, ...nextDefaults });
+  const removed = [];
+  for (const [type, prefs] of Object.entries(types || {})) {
+    if (prefs === null) removed.push(type);
+    else rows.push({ user_wallet: wallet, type, ...(current.types[type] || nextDefaults), ...prefs });
+  }
+
+  if (rows.length > 0) {
+    const { error } = await supabase
+      .from('notification_preferences')
+      .upsert(rows, { onConflict: 'user_wallet,type' });
+    if (error) throw error;
+  }
+  if (removed.length > 0) {
+    const { error } = await supabase
+      .from('notification_preferences')
+      .delete()
+      .eq('user_wallet', wallet)
+      .in('type', removed);
+    if (error) throw error;
+  }
+}
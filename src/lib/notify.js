@@ -1,18 +1,134 @@
 import { supabase } from './supabase.js';
+import { publishEvent } from '../services/eventBus.js';
+import { getChannelSettings, getNotificationPreference } from './notificationPreferences.js';
+import { sendToChannel } from './notificationChannels.js';
 
 /**
- * Create a notification row in the notifications table.
+ * Send a notification to the user's real-time email/chat channels. Not awaited by
+ * createNotification; failures are logged.
+ */
+async function deliverToChannels(user_wallet, channels, { type, title, message }) {
+  try {
+    const settings = await getChannelSettings(user_wallet);
+    await Promise.all(channels.map(async (name) => {
+      const result = await sendToChannel(name, settings, { type, subject: title, text: message || '' });
+      if (result.error) console.error(`[notify] ${name} delivery of ${type} to ${user_wallet} failed:`, result.error);
+    }));
+  } catch (err) {
+    console.error('[notify] channel delivery error:', err?.message || err);
+  }
+}
+
+/**
+ * Notification types that fold into one unread row instead of piling up. `key` picks what
+ * they group on (null = never grouped); `title` renders the grouped row.
+ */
+const GROUPED_TYPES = {
+  pitch_update: {
+    key: (m) => m.request_id ?? null,
+    title: (count, m) => `💬 ${count} new pitches on ${m.request_title ? `"${m.request_title}"` : 'your request'}`,
+  },
+  dispute_message: {
+    key: (m) => m.build_id ?? null,
+    title: (count) => `💬 ${count} new messages on your dispute`,
+  },
+  request_question: {
+    key: (m) => m.request_id ?? null,
+    title: (count, m) => `❓ ${count} new questions on ${m.request_title ? `"${m.request_title}"` : 'your request'}`,
+  },
+};
+
+function groupKeyFor(type, metadata) {
+  const key = GROUPED_TYPES[type]?.key(metadata || {});
+  return key != null ? `${type}:${key}` : null;
+}
+
+/**
+ * Fold a notification into the wallet's open (unread, unarchived) row for `groupKey`.
+ * created_at stays put (it is the list's page cursor); last_activity_at moves instead.
+ * @returns the updated row, or null when there is no open group
+ */
+async function foldIntoGroup(user_wallet, groupKey, { type, title, message, metadata }) {
+  const { data: open, error: findErr } = await supabase
+    .from('notifications')
+    .select('id, group_count')
+    .eq('user_wallet', user_wallet)
+    .eq('group_key', groupKey)
+    .eq('read', false)
+    .is('archived_at', null)
+    .maybeSingle();
+  if (findErr) throw findErr;
+  if (!open) return null;
+
+  const count = (open.group_count ?? 1) + 1;
+  const { data, error } = await supabase
+    .from('notifications')
+    .update({
+      title: GROUPED_TYPES[type]?.title(count, metadata) ?? title,
+      message,
+      metadata: { ...metadata, group_count: count },
+      group_count: count,
+      last_activity_at: new Date().toISOString(),
+    })
+    .eq('id', open.id)
+    .eq('read', false)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Write the in-app notifications row, folding repetitive types into an open group.
+ */
+async function insertInAppNotification({ user_wallet, type, title, message, metadata }) {
+  const groupKey = groupKeyFor(type, metadata);
+  if (groupKey) {
+    const grouped = await foldIntoGroup(user_wallet, groupKey, { type, title, message, metadata });
+    if (grouped) return grouped;
+  }
+
+  const { data, error } = await supabase
+    .from('notifications')
+    .insert([{ user_wallet, type, title, message, metadata, group_key: groupKey }])
+    .select()
+    .single();
+  if (error?.code === '23505' && groupKey) {
+    // another insert opened the group first
+    const grouped = await foldIntoGroup(user_wallet, groupKey, { type, title, message, metadata });
+    if (grouped) return grouped;
+  }
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Deliver a notification the way the user asked for its type (notification_preferences):
+ * a notifications row published for the real-time stream (GET /api/notifications/stream),
+ * email and/or chat right away, and/or a place in their daily or weekly digest.
+ * Repetitive types (GROUPED_TYPES) update the open grouped row instead of adding one; the
+ * stream gets the updated row under the same id.
  * Never throws — errors are logged and swallowed so callers never crash.
+ * @returns the notifications row, or null when the type is muted in-app (or on error)
  */
 export async function createNotification({ user_wallet, type, title, message, metadata = {} }) {
   if (!user_wallet) return null;
   try {
-    const { data, error } = await supabase
-      .from('notifications')
-      .insert([{ user_wallet, type, title, message, metadata }])
-      .select()
-      .single();
-    if (error) throw error;
+    const preference = await getNotificationPreference(user_wallet, type);
+
+    const realtime = ['email', 'chat'].filter((name) => preference[name]);
+    if (realtime.length > 0) deliverToChannels(user_wallet, realtime, { type, title, message });
+
+    if (preference.digest !== 'off') {
+      const { error: digestErr } = await supabase
+        .from('notification_digest_items')
+        .insert([{ user_wallet, frequency: preference.digest, type, title, message, metadata }]);
+      if (digestErr) console.error('[notify] digest queue error:', digestErr.message);
+    }
+
+    if (!preference.in_app) return null;
+    const data = await insertInAppNotification({ user_wallet, type, title, message, metadata });
+    await publishEvent('notification_created', { notification: data });
     return data;
   } catch (err) {
     console.error('[notify] createNotification error:', err.message);
@@ -36,3 +152,142 @@ export async function getWalletForUser(userId) {
     return null;
   }
 }
+
+async function getAgentOwnerWallet(agentId) {
+  if (!agentId) return null;
+  const { data: agent } = await supabase
+    .from('agents')
+    .select('owner_wallet, owner_id')
+    .eq('id', agentId)
+    .maybeSingle();
+  return agent?.owner_wallet || (await getWalletForUser(agent?.owner_id));
+}
+
+async function getSdkAgentOwnerWallet(sdkAgentId) {
+  if (!sdkAgentId) return null;
+  const { data: agent } = await supabase
+    .from('sdk_agents')
+    .select('owner_wallet')
+    .eq('id', sdkAgentId)
+    .maybeSingle();
+  return agent?.owner_wallet || null;
+}
+
+async function getFollowerWallets(followeeType, followeeId) {
+  if (!followeeId) return [];
+  const { data } = await supabase
+    .from('follows')
+    .select('follower_wallet')
+    .eq('followee_type', followeeType)
+    .eq('followee_id', followeeId)
+    .eq('notify', true);
+  return (data || []).map((f) => f.follower_wallet);
+}
+
+/**
+ * Wallets for one recipient reference:
+ *   'wallet' or { wallet }         - a wallet address as is
+ *   { userId }                     - users.id → wallet_address
+ *   { agentId }                    - internal agent → its owner
+ *   { sdkAgentId }                 - SDK agent → its owner_wallet
+ *   { buyerOf: build | request }   - the request's author (a request row with author_id, or
+ *                                    anything with request_id)
+ *   { agentOf: build }             - the hired agent's owner, internal or SDK
+ *   { followersOf: { agentId } | { sdkAgentId } | { wallet } }  - their followers who turned
+ *                                    on notifications for the follow (follows.notify)
+ *   { admins: true }               - every admin (users.is_admin)
+ */
+async function resolveRecipient(ref) {
+  if (!ref) return [];
+  if (typeof ref === 'string') return [ref];
+  if (ref.wallet) return [ref.wallet];
+  if (ref.userId) return [await getWalletForUser(ref.userId)];
+  if (ref.agentId) return [await getAgentOwnerWallet(ref.agentId)];
+  if (ref.sdkAgentId) return [await getSdkAgentOwnerWallet(ref.sdkAgentId)];
+  if (ref.agentOf) {
+    return [ref.agentOf.agent_id
+      ? await getAgentOwnerWallet(ref.agentOf.agent_id)
+      : await getSdkAgentOwnerWallet(ref.agentOf.sdk_agent_id)];
+  }
+  if (ref.buyerOf) {
+    let authorId = ref.buyerOf.author_id;
+    if (authorId === undefined && ref.buyerOf.request_id) {
+      const { data: request } = await supabase
+        .from('requests')
+        .select('author_id')
+        .eq('id', ref.buyerOf.request_id)
+        .maybeSingle();
+      authorId = request?.author_id;
+    }
+    return [await getWalletForUser(authorId)];
+  }
+  if (ref.admins) {
+    const { data } = await supabase.from('users').select('wallet_address').eq('is_admin', true);
+    return (data || []).map((u) => u.wallet_address);
+  }
+  if (ref.followersOf) {
+    const { agentId, sdkAgentId, wallet } = ref.followersOf;
+    if (wallet) return getFollowerWallets('user', wallet);
+    return getFollowerWallets('agent', agentId || sdkAgentId);
+  }
+  return [];
+}
+
+/**
+ * Resolve recipient references (see resolveRecipient) to distinct wallets, leaving out
+ * anyone matched by `exclude` (same reference forms) — usually whoever acted.
+ * Never throws; references that cannot be resolved are dropped.
+ * @returns {Promise<string[]>}
+ */
+export async function resolveRecipients(refs, { exclude = [] } = {}) {
+  const resolveAll = async (list) => {
+    const results = await Promise.all([].concat(list || []).map((ref) => resolveRecipient(ref).catch((err) => {
+      console.error('[notify] recipient lookup error:', err?.message || err);
+      return [];
+    })));
+    return new Set(results.flat().filter(Boolean));
+  };
+  const [wallets, excluded] = await Promise.all([resolveAll(refs), resolveAll(exclude)]);
+  return [...wallets].filter((w) => !excluded.has(w));
+}
+
+/**
+ * createNotification for every wallet `to` resolves to (see resolveRecipients).
+ * Never throws.
+ * @returns the notifications rows that were written
+ */
+export async function notifyRecipients(to, { type, title, message, metadata = {} }, { exclude = [] } = {}) {
+  const wallets = await resolveRecipients(to, { exclude });
+  const rows = await Promise.all(wallets.map((user_wallet) => createNotification({ user_wallet, type, title, message, metadata })));
+  return rows.filter(Boolean);
+}
+
+/**
+ * Tell the buyer a build (or a revision of it) is ready to review. Shared by every delivery
+ * path — the hire flow, POST /api/sdk/deliver and the SDK job callback.
+ */
+export async function notifyBuildDelivered(build, { agentName = null, deliveryUrl = null } = {}) {
+  const { data: request } = await supabase
+    .from('requests')
+    .select('author_id, title')
+    .eq('id', build.request_id)
+    .maybeSingle();
+  const who = agentName || build.agent_name || 'The agent';
+  const title = request?.title ?? 'your request';
+  const isRevision = (build.revision_count ?? 0) > 0;
+
+  return notifyRecipients({ buyerOf: request || build }, {
+    type: 'build_delivered',
+    title: isRevision ? '✅ Revision delivered — ready for review' : '📦 Your app is ready to review',
+    message: isRevision
+      ? `${who} has addressed your revision #${build.revision_count} on "${title}". Review and release payment when happy.`
+      : `${who} has delivered "${title}". Review it and release payment when you're satisfied.`,
+    metadata: {
+      build_id: build.id,
+      request_id: build.request_id,
+      request_title: request?.title ?? null,
+      agent_name: agentName || build.agent_name || null,
+      delivery_url: deliveryUrl,
+    },
+  });
+}
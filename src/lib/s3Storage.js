@@ -0,0 +1,149 @@
+/**
+ * S3-compatible storage driver (STORAGE_DRIVER=s3)
+ *
+ * Talks to the S3 REST API directly with AWS Signature Version 4 (path-style URLs), so it
+ * works against AWS S3, Cloudflare R2, MinIO and Supabase Storage's S3 endpoint alike.
+ * Downloads use presigned GET URLs with the Content-Disposition/Content-Type overridden.
+ *
+ *   S3_BUCKET             - required
+ *   S3_REGION             - default us-east-1 (R2: auto)
+ *   S3_ENDPOINT           - default https://s3.<region>.amazonaws.com; may carry a path
+ *                           prefix (e.g. https://<ref>.supabase.co/storage/v1/s3)
+ *   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY
+ */
+
+import { createHash, createHmac } from 'crypto';
+
+const SERVICE = 's3';
+const S3_TIMEOUT_MS = 60 * 1000;
+
+function s3Config() {
+  const region = process.env.S3_REGION || 'us-east-1';
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for STORAGE_DRIVER=s3');
+  }
+  const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  return { region, bucket, accessKeyId, secretAccessKey, endpoint };
+}
+
+/** encodeURIComponent plus the characters SigV4 also wants escaped. */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Everything a SigV4 signature over `key` needs: URL path, host, timestamp and scope.
+ */
+function signingContext(config, key) {
+  const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const prefix = config.endpoint.pathname.replace(/\/+$/, '');
+  const objectPath = String(key).split('/').map(encodeRfc3986).join('/');
+  return {
+    amzDate,
+    uri: `${prefix}/${encodeRfc3986(config.bucket)}/${objectPath}`,
+    host: config.endpoint.host,
+    scope: `${date}/${config.region}/${SERVICE}/aws4_request`,
+    signingKey: hmac(hmac(hmac(hmac(`AWS4${config.secretAccessKey}`, date), config.region), SERVICE), 'aws4_request'),
+  };
+}
+
+function signature(ctx, canonicalRequest) {
+  const stringToSign = ['AWS4-HMAC-SHA256', ctx.amzDate, ctx.scope, sha256Hex(canonicalRequest)].join('\n');
+  return createHmac('sha256', ctx.signingKey).update(stringToSign).digest('hex');
+}
+
+function canonicalQuery(params) {
+  return Object.keys(params)
+    .sort()
+    .map((k) => `${encodeRfc3986(k)}=${encodeRfc3986(params[k])}`)
+    .join('&');
+}
+
+/**
+ * Signed request against one object. Returns the fetch Response for 2xx and 404; throws
+ * on anything else.
+ */
+async function s3Request(method, key, { body, contentType } = {}) {
+  const config = s3Config();
+  const ctx = signingContext(config, key);
+  const payloadHash = sha256Hex(body ?? '');
+  const headers = {
+    host: ctx.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': ctx.amzDate,
+    ...(contentType ? { 'content-type': contentType } : {}),
+  };
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    ctx.uri,
+    '',
+    names.map((n) => `${n}:${headers[n]}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+  const { host, ...sent } = headers;
+
+  const res = await fetch(`${config.endpoint.origin}${ctx.uri}`, {
+    method,
+    headers: {
+      ...sent,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${ctx.scope}, SignedHeaders=${names.join(';')}, Signature=${signature(ctx, canonicalRequest)}`,
+    },
+    body,
+    signal: AbortSignal.timeout(S3_TIMEOUT_MS),
+  });
+  if (!res.ok && res.status !== 404) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`S3 ${method} failed: ${res.status} ${text.slice(0, 200)}`);
+  }
+  return res;
+}
+
+export const s3Storage = {
+  name: 's3',
+
+  async put(key, data, { contentType } = {}) {
+    const res = await s3Request('PUT', key, { body: data, contentType: contentType || 'application/octet-stream' });
+    if (res.status === 404) throw new Error(`S3 bucket "${process.env.S3_BUCKET}" not found`);
+  },
+
+  async get(key) {
+    const res = await s3Request('GET', key);
+    if (res.status === 404) return null;
+    return Buffer.from(await res.arrayBuffer());
+  },
+
+  async remove(key) {
+    await s3Request('DELETE', key);
+  },
+
+  async signedUrl(key, { disposition, contentType, expiresIn }) {
+    const config = s3Config();
+    const ctx = signingContext(config, key);
+    const params = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${config.accessKeyId}/${ctx.scope}`,
+      'X-Amz-Date': ctx.amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host',
+      ...(disposition ? { 'response-content-disposition': disposition } : {}),
+      ...(contentType ? { 'response-content-type': contentType } : {}),
+    };
+    const query = canonicalQuery(params);
+    const canonicalRequest = ['GET', ctx.uri, query, `host:${ctx.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    return `${config.endpoint.origin}${ctx.uri}?${query}&X-Amz-Signature=${signature(ctx, canonicalRequest)}`;
+  },
+};
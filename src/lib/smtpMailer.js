@@ -0,0 +1,177 @@
+/**
+ * SMTP mail transport (MAIL_TRANSPORT=smtp)
+ *
+ * A small SMTP client on node's net/tls — one connection per message:
+ *   EHLO → STARTTLS (when offered and SMTP_SECURE is off) → AUTH PLAIN (when SMTP_USER
+ *   is set) → MAIL FROM → RCPT TO → DATA → QUIT
+ * Sends a single text/plain UTF-8 part, which is all notification mail needs.
+ *
+ *   SMTP_HOST     - unset disables email delivery
+ *   SMTP_PORT     - default 465 when SMTP_SECURE=true, else 587
+ *   SMTP_SECURE   - true for implicit TLS (port 465)
+ *   SMTP_USER / SMTP_PASS
+ *   MAIL_FROM     - default notifications@4u.local
+ *
+ * For local testing run `npm run mail:sink` (scripts/smtp-sink.js) and point
+ * SMTP_HOST=127.0.0.1 SMTP_PORT=2525 at it.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { randomUUID } from 'crypto';
+
+const SMTP_TIMEOUT_MS = 15 * 1000;
+
+function smtpConfig() {
+  const secure = String(process.env.SMTP_SECURE || '').toLowerCase() === 'true';
+  return {
+    host: process.env.SMTP_HOST || null,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || '',
+    from: process.env.MAIL_FROM || 'notifications@4u.local',
+  };
+}
+
+/**
+ * Collects CRLF-terminated server lines into replies ("250-..." continues, "250 ..." ends).
+ */
+function createReplyReader() {
+  let partial = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  return {
+    feed(chunk) {
+      partial += chunk.toString('utf8');
+      let idx;
+      while ((idx = partial.indexOf('\r\n')) !== -1) {
+        const line = partial.slice(0, idx);
+        partial = partial.slice(idx + 2);
+        lines.push(line);
+        if (line.length <= 3 || line[3] === ' ') {
+          const reply = { code: Number(line.slice(0, 3)), text: lines.map((l) => l.slice(4)).join('\n') };
+          lines = [];
+          const waiter = waiters.shift();
+          if (waiter) waiter.resolve(reply);
+          else replies.push(reply);
+        }
+      }
+    },
+    fail(err) {
+      failure = failure || err;
+      while (waiters.length) waiters.shift().reject(failure);
+    },
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+  };
+}
+
+function connect({ host, port, secure }, socket = null) {
+  return new Promise((resolve, reject) => {
+    const conn = secure
+      ? tls.connect({ host, port, socket: socket || undefined, servername: host }, () => resolve(conn))
+      : net.connect({ host, port }, () => resolve(conn));
+    conn.once('error', reject);
+  });
+}
+
+function headerValue(value) {
+  const clean = String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+  return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }, host) {
+  const body = String(text ?? '')
+    .replace(/\r?\n/g, '\r\n')
+    .replace(/^\./gm, '..'); // dot-stuffing
+  return [
+    `From: ${headerValue(from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: ${headerValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${host}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+export const smtpMailer = {
+  name: 'smtp',
+
+  isConfigured() {
+    return Boolean(smtpConfig().host);
+  },
+
+  /**
+   * Send one message. Resolves once the server has accepted it; throws on any SMTP error.
+   * @param {{ to: string, subject: string, text: string }} message
+   */
+  async send({ to, subject, text }) {
+    const cfg = smtpConfig();
+    if (!cfg.host) throw new Error('SMTP_HOST is not set');
+    if (!to || /[\r\n<>]/.test(to)) throw new Error('Invalid recipient address');
+
+    const reader = createReplyReader();
+    const onClose = () => reader.fail(new Error('SMTP connection closed'));
+    const onTimeout = function () { this.destroy(new Error(`SMTP timed out after ${SMTP_TIMEOUT_MS}ms`)); };
+    const attach = (s) => {
+      s.on('data', reader.feed);
+      s.on('error', reader.fail);
+      s.on('close', onClose);
+      s.setTimeout(SMTP_TIMEOUT_MS, onTimeout);
+    };
+    const detach = (s) => {
+      s.off('data', reader.feed);
+      s.off('error', reader.fail);
+      s.off('close', onClose);
+      s.setTimeout(0);
+    };
+
+    let socket = await connect(cfg);
+    attach(socket);
+    const command = async (line, expected) => {
+      if (line != null) socket.write(`${line}\r\n`);
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} failed: ${reply.code} ${reply.text}`);
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, [220]);
+      let ehlo = await command('EHLO 4u.local', [250]);
+
+      if (!cfg.secure && /^STARTTLS$/im.test(ehlo.text)) {
+        await command('STARTTLS', [220]);
+        detach(socket);
+        socket = await connect({ ...cfg, secure: true }, socket);
+        attach(socket);
+        ehlo = await command('EHLO 4u.local', [250]);
+      }
+
+      if (cfg.user) {
+        const token = Buffer.from(`\0${cfg.user}\0${cfg.pass}`, 'utf8').toString('base64');
+        await command(`AUTH PLAIN ${token}`, [235]);
+      }
+
+      await command(`MAIL FROM:<${cfg.from}>`, [250]);
+      await command(`RCPT TO:<${to}>`, [250, 251]);
+      await command('DATA', [354]);
+      await command(`${buildMessage({ from: cfg.from, to, subject, text }, cfg.host)}\r\n.`, [250]);
+      await command('QUIT', [221]).catch(() => {});
+    } finally {
+      socket.destroy();
+    }
+  },
+};
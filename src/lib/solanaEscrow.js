@@ -1,15 +1,21 @@
 /**
- * Solana Custody Wallet Escrow
+ * Solana Custody Wallet Escrow — SPL-token escrow provider (ESCROW_PROVIDER=solana, the default)
  *
  * Flow:
  *  1. Hire:   Frontend sends USDC (buyer → escrow wallet), passes txSignature to backend.
- *             Backend calls verifyUsdcDeposit() to confirm on-chain before locking.
- *  2. Accept: Backend calls releaseToAgent() — sends 98% USDC to agent wallet.
+ *             Backend calls verifyDeposit() to confirm on-chain before locking.
+ *  2. Accept: Backend transfers 98% USDC to agent wallet (see services/escrowPayouts.js).
  *             2% stays in escrow wallet as platform fee.
- *  3. Cancel/Refund: Backend calls refundToBuyer() — sends 100% USDC back to buyer.
+ *  3. Cancel/Refund: Backend transfers 100% USDC back to buyer.
+ *
+ * Outbound transfers are two-phase so the payout ledger can persist the signature
+ * before anything is broadcast: prepareTransfer() signs, submitTransfer() sends,
+ * getTransferStatus() tells a crashed-and-restarted process what happened.
+ *
+ * Works against any RPC, including a local validator (solana-test-validator) for offline testing.
  *
  * Required env vars:
- *   SOLANA_RPC_URL          - e.g. https://api.devnet.solana.com
+ *   SOLANA_RPC_URL          - e.g. https://api.devnet.solana.com, http://127.0.0.1:8899 (local validator)
  *   ESCROW_WALLET_PRIVATE_KEY - base58-encoded private key of custody wallet
  *   USDC_MINT_ADDRESS       - devnet: 4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU
  *                             mainnet: EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v
@@ -19,18 +25,18 @@ import {
   Connection,
   Keypair,
   PublicKey,
+  Transaction,
   clusterApiUrl,
 } from '@solana/web3.js';
 import {
-  getOrCreateAssociatedTokenAccount,
-  transfer,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferInstruction,
   getAssociatedTokenAddress,
 } from '@solana/spl-token';
 import bs58 from 'bs58';
 
 // ── USDC has 6 decimal places ────────────────────────────────────────────────
 const USDC_DECIMALS = 6;
-export const PLATFORM_FEE_BPS = 200; // 2% = 200 basis points
 
 function toRawAmount(usdcAmount) {
   return BigInt(Math.round(Number(usdcAmount) * 10 ** USDC_DECIMALS));
@@ -75,10 +81,18 @@ function getUsdcMint() {
   return _usdcMint;
 }
 
-export function getEscrowWalletAddress() {
+function getEscrowWalletAddress() {
   return getEscrowKeypair().publicKey.toBase58();
 }
 
+function getNetwork() {
+  const rpcUrl = process.env.SOLANA_RPC_URL || '';
+  if (!rpcUrl || rpcUrl.includes('devnet')) return 'devnet';
+  if (rpcUrl.includes('localhost') || rpcUrl.includes('127.0.0.1')) return 'localnet';
+  if (rpcUrl.includes('testnet')) return 'testnet';
+  return 'mainnet-beta';
+}
+
 // ── Verification ─────────────────────────────────────────────────────────────
 
 /**
@@ -89,7 +103,7 @@ export function getEscrowWalletAddress() {
  * @param {number} expectedAmount - Expected USDC amount (e.g. 100.00)
  * @returns {{ verified: boolean, actualAmount: number, error?: string }}
  */
-export async function verifyUsdcDeposit(txSignature, fromWallet, expectedAmount) {
+async function verifyDeposit(txSignature, fromWallet, expectedAmount) {
   try {
     const connection = getConnection();
     const mint = getUsdcMint();
@@ -154,87 +168,109 @@ export async function verifyUsdcDeposit(txSignature, fromWallet, expectedAmount)
 // ── Outbound transfers ────────────────────────────────────────────────────────
 
 /**
- * Release 98% of escrowed USDC to the agent wallet.
- * Platform retains 2% in the escrow wallet.
+ * Build and sign (but do not send) a USDC transfer from the escrow wallet.
+ * The recipient's token account is created in the same transaction if missing,
+ * paid for by the escrow wallet.
  *
- * @param {string} agentWallet   - Agent's Solana wallet address
- * @param {number} escrowAmount  - Total USDC in escrow
- * @returns {{ txSignature: string, agentPayout: number, platformFee: number }}
+ * @param {string} toWallet - Recipient Solana wallet address
+ * @param {number} amount   - USDC amount to send
+ * @returns {{ txSignature: string, payload: { serialized: string, blockhash: string, lastValidBlockHeight: number } }}
  */
-export async function releaseToAgent(agentWallet, escrowAmount) {
+async function prepareTransfer(toWallet, amount) {
   const connection = getConnection();
   const escrowKeypair = getEscrowKeypair();
   const mint = getUsdcMint();
 
-  const agentPayout = Math.floor(escrowAmount * (10000 - PLATFORM_FEE_BPS)) / 10000;
-  const platformFee = escrowAmount - agentPayout;
-
-  const agentPubkey = new PublicKey(agentWallet);
-
-  // Get or create escrow ATA (source)
-  const fromAta = await getOrCreateAssociatedTokenAccount(
-    connection,
-    escrowKeypair,
-    mint,
-    escrowKeypair.publicKey
-  );
-
-  // Get or create agent ATA (destination) — escrow wallet pays for account creation if needed
-  const toAta = await getOrCreateAssociatedTokenAccount(
-    connection,
-    escrowKeypair,
-    mint,
-    agentPubkey
-  );
-
-  const txSignature = await transfer(
-    connection,
-    escrowKeypair,
-    fromAta.address,
-    toAta.address,
-    escrowKeypair,
-    toRawAmount(agentPayout)
-  );
-
-  return { txSignature, agentPayout, platformFee };
+  const toPubkey = new PublicKey(toWallet);
+  const fromAta = await getAssociatedTokenAddress(mint, escrowKeypair.publicKey);
+  const toAta = await getAssociatedTokenAddress(mint, toPubkey);
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+  const tx = new Transaction({ feePayer: escrowKeypair.publicKey, blockhash, lastValidBlockHeight })
+    .add(createAssociatedTokenAccountIdempotentInstruction(escrowKeypair.publicKey, toAta, toPubkey, mint))
+    .add(createTransferInstruction(fromAta, toAta, escrowKeypair.publicKey, toRawAmount(amount)));
+  tx.sign(escrowKeypair);
+
+  return {
+    txSignature: bs58.encode(tx.signature),
+    payload: {
+      serialized: tx.serialize().toString('base64'),
+      blockhash,
+      lastValidBlockHeight,
+    },
+  };
 }
 
 /**
- * Refund 100% of escrowed USDC to the buyer (cancelled/disputed refund).
- *
- * @param {string} buyerWallet   - Buyer's Solana wallet address
- * @param {number} escrowAmount  - Total USDC to refund
- * @returns {{ txSignature: string }}
+ * Broadcast a transaction from prepareTransfer() and wait for confirmation.
+ * Safe to call again with the same payload: the signature is fixed, so the
+ * chain processes it at most once.
  */
-export async function refundToBuyer(buyerWallet, escrowAmount) {
+async function submitTransfer(txSignature, payload) {
   const connection = getConnection();
-  const escrowKeypair = getEscrowKeypair();
-  const mint = getUsdcMint();
+  try {
+    await connection.sendRawTransaction(Buffer.from(payload.serialized, 'base64'), {
+      preflightCommitment: 'confirmed',
+    });
+  } catch (err) {
+    // Re-broadcast of a transaction that already landed
+    if (!/already been processed/i.test(err.message || '')) throw err;
+  }
+  const { value } = await connection.confirmTransaction({
+    signature: txSignature,
+    blockhash: payload.blockhash,
+    lastValidBlockHeight: payload.lastValidBlockHeight,
+  }, 'confirmed');
+  if (value?.err) throw new Error(`Transfer ${txSignature} failed on-chain`);
+}
 
-  const buyerPubkey = new PublicKey(buyerWallet);
-
-  const fromAta = await getOrCreateAssociatedTokenAccount(
-    connection,
-    escrowKeypair,
-    mint,
-    escrowKeypair.publicKey
-  );
-
-  const toAta = await getOrCreateAssociatedTokenAccount(
-    connection,
-    escrowKeypair,
-    mint,
-    buyerPubkey
-  );
-
-  const txSignature = await transfer(
-    connection,
-    escrowKeypair,
-    fromAta.address,
-    toAta.address,
-    escrowKeypair,
-    toRawAmount(escrowAmount)
-  );
-
-  return { txSignature };
+/**
+ * Where a prepared transfer stands on-chain.
+ * @returns {'confirmed'|'failed'|'pending'|'expired'}
+ *   expired = never landed and its blockhash is no longer valid, so it never will
+ */
+async function getTransferStatus(txSignature, payload) {
+  const connection = getConnection();
+  const { value } = await connection.getSignatureStatuses([txSignature], { searchTransactionHistory: true });
+  const status = value?.[0];
+  if (status) {
+    if (status.err) return 'failed';
+    if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') return 'confirmed';
+    return 'pending';
+  }
+  const blockHeight = await connection.getBlockHeight('confirmed');
+  return blockHeight > (payload?.lastValidBlockHeight ?? 0) ? 'expired' : 'pending';
+}
+
+// ── Balance ───────────────────────────────────────────────────────────────────
+
+/**
+ * USDC held by the escrow wallet (0 if its token account does not exist yet).
+ * @returns {number}
+ */
+async function getBalance() {
+  const connection = getConnection();
+  const ata = await getAssociatedTokenAddress(getUsdcMint(), getEscrowKeypair().publicKey);
+  try {
+    const { value } = await connection.getTokenAccountBalance(ata);
+    return Number(value.amount) / 10 ** USDC_DECIMALS;
+  } catch {
+    return 0;
+  }
 }
+
+export const solanaEscrowProvider = {
+  name: 'solana',
+  getInfo() {
+    return {
+      escrowWallet: process.env.ESCROW_WALLET_ADDRESS || getEscrowWalletAddress(),
+      usdcMint: process.env.USDC_MINT_ADDRESS || null,
+      network: getNetwork(),
+    };
+  },
+  verifyDeposit,
+  prepareTransfer,
+  submitTransfer,
+  getTransferStatus,
+  getBalance,
+};
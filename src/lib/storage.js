@@ -0,0 +1,91 @@
+/**
+ * File storage facade.
+ *
+ * Attachment bytes are stored and served only through this module. The driver is chosen by
+ * STORAGE_DRIVER:
+ *   local (default) - files under STORAGE_LOCAL_DIR (./localFileStorage.js), downloaded
+ *                     through GET /api/files with an HMAC-signed link; for dev and tests
+ *   s3              - any S3-compatible bucket: AWS S3, Cloudflare R2, MinIO, Supabase
+ *                     Storage (./s3Storage.js); downloads use presigned URLs
+ *
+ * A driver implements:
+ *   put(key, data, { contentType })                   → resolves once stored
+ *   get(key)                                          → Buffer, or null when missing
+ *   remove(key)                                       → resolves; missing keys are fine
+ *   signedUrl(key, { disposition, contentType, expiresIn }) → time-limited download URL
+ *
+ * Callers decide who may download a file before asking for a signed URL; the URL itself
+ * is the only credential, so keep expiresIn short.
+ */
+
+import { localFileStorage } from './localFileStorage.js';
+import { s3Storage } from './s3Storage.js';
+
+const DRIVERS = {
+  local: localFileStorage,
+  s3: s3Storage,
+};
+
+let _driver = null;
+
+export function getStorage() {
+  if (!_driver) {
+    const name = (process.env.STORAGE_DRIVER || 'local').trim().toLowerCase();
+    _driver = DRIVERS[name];
+    if (!_driver) throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  return _driver;
+}
+
+/**
+ * Swap the active driver (e.g. a local driver rooted in a temp dir per test).
+ * Pass null to fall back to STORAGE_DRIVER again.
+ */
+export function setStorage(driver) {
+  _driver = driver;
+}
+
+/**
+ * Lifetime of signed download URLs, read on every use.
+ *   STORAGE_URL_TTL_SECONDS (300)
+ */
+export function storageUrlTtlSeconds() {
+  const seconds = Number(process.env.STORAGE_URL_TTL_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.min(seconds, 7 * 24 * 3600) : 300;
+}
+
+export function putObject(key, data, { contentType } = {}) {
+  return getStorage().put(key, data, { contentType });
+}
+
+export function getObject(key) {
+  return getStorage().get(key);
+}
+
+export function removeObject(key) {
+  return getStorage().remove(key);
+}
+
+/**
+ * Signed download URL for `key`, served as an attachment named `filename`.
+ * @returns {Promise<{ url: string, expiresAt: string }>}
+ */
+export async function signedDownloadUrl(key, { filename, contentType } = {}) {
+  const expiresIn = storageUrlTtlSeconds();
+  const url = await getStorage().signedUrl(key, {
+    disposition: attachmentDisposition(filename),
+    contentType,
+    expiresIn,
+  });
+  return { url, expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString() };
+}
+
+/**
+ * Content-Disposition value that downloads the file as `filename` (ASCII fallback plus
+ * RFC 5987 UTF-8 name).
+ */
+export function attachmentDisposition(filename) {
+  const name = String(filename || 'file');
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
@@ -1,24 +1,189 @@
-import { createHmac } from 'crypto';
+import { createHmac, randomBytes } from 'crypto';
+import { lookup as dnsLookup } from 'dns';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { Agent, fetch } from 'undici';
 
 const WEBHOOK_TIMEOUT_MS = 5000;
 
+// Addresses webhooks never go to: unspecified, private (RFC 1918, ULA), loopback, link-local
+// (cloud metadata), carrier-grade NAT, benchmarking, multicast/reserved and NAT64. BlockList
+// checks IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+
+/**
+ * Webhook destination rules, read on every use:
+ *   https only, except with NODE_ENV=development
+ *   no private or loopback hosts, except with WEBHOOK_ALLOW_PRIVATE_HOSTS=true outside production
+ */
+function privateHostsAllowed() {
+  return process.env.NODE_ENV !== 'production' && process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+function isBlockedAddress(address) {
+  const family = isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup() for webhook connections: fails when the host resolves to a blocked address.
+ * The socket connects to the addresses checked here, so a host re-pointed after
+ * webhookTargetError() ran (DNS rebinding) is still refused.
+ */
+function checkedLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!privateHostsAllowed() && addresses.some((a) => isBlockedAddress(a.address))) {
+      const blocked = new Error(`${hostname} resolves to a private or loopback address`);
+      blocked.code = 'EADDRBLOCKED';
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new Agent({ connect: { lookup: checkedLookup } });
+
+/**
+ * Check a webhook URL without resolving it: scheme, credentials and a literal private or
+ * loopback host.
+ * @returns {string|null} what is wrong with it ("must …"), or null when it may be used
+ */
+export function webhookUrlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url ?? ''));
+  } catch {
+    return 'must be a valid URL';
+  }
+  if (process.env.NODE_ENV === 'development') {
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'must be an http(s) URL';
+  } else if (parsed.protocol !== 'https:') {
+    return 'must be an https URL';
+  }
+  if (parsed.username || parsed.password) return 'must not contain credentials';
+  if (privateHostsAllowed()) return null;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || isBlockedAddress(host)) {
+    return 'must not point at a private or loopback address';
+  }
+  return null;
+}
+
+/**
+ * webhookUrlError(), then resolve the host and check every address it resolves to — run
+ * right before sending. The connection itself is checked again by checkedLookup.
+ * @returns {Promise<string|null>}
+ */
+export async function webhookTargetError(url) {
+  const invalid = webhookUrlError(url);
+  if (invalid || privateHostsAllowed()) return invalid;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host)) return null;
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    return `must resolve (${host}: ${err?.code || err?.message || err})`;
+  }
+  if (addresses.some((a) => isBlockedAddress(a.address))) {
+    return `must not point at a private or loopback address (${host} resolves to one)`;
+  }
+  return null;
+}
+
 /**
- * Fire an outbound webhook with HMAC-SHA256 signing.
+ * Generate a webhook signing secret for an SDK agent.
+ */
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * X-4U-Signature header value: `t=<unix seconds>,id=<delivery id>,v1=<hex>[,v1=<hex>...]`.
+ * Each v1 is HMAC-SHA256(secret, `${t}.${id}.${body}`), one per active secret, so a receiver
+ * still holding the previous secret keeps verifying during a rotation.
+ * @param {string} body - Exact JSON string being sent
+ * @param {{ id: string, timestamp: number, secrets: string[] }} opts
+ */
+export function signWebhookBody(body, { id, timestamp, secrets }) {
+  const signed = `${timestamp}.${id}.${body}`;
+  const parts = [`t=${timestamp}`, `id=${id}`];
+  for (const secret of secrets) {
+    parts.push(`v1=${createHmac('sha256', secret).update(signed).digest('hex')}`);
+  }
+  return parts.join(',');
+}
+
+function sendError(err) {
+  if (err?.name === 'AbortError') return `Timed out after ${WEBHOOK_TIMEOUT_MS}ms`;
+  // fetch wraps connection errors: 'fetch failed' with the lookup's error as the cause
+  if (err?.cause?.code === 'EADDRBLOCKED') return `Refused to connect: ${err.cause.message}`;
+  return err?.message || String(err);
+}
+
+/**
+ * POST a webhook once, signed with the agent's webhook secret(s), with a 5s timeout.
+ * The destination is checked with webhookTargetError() first and again on connect (see
+ * checkedLookup), and redirects are not followed.
+ * Never throws — the outcome is returned so the outbox can record and retry it.
  * @param {string} url - Destination URL
  * @param {object} payload - JSON payload to send
- * @param {string} [secret] - HMAC secret (e.g. agent's api_key; unsigned if absent)
+ * @param {{ id: string, event: string, secrets?: string[] }} delivery - unsigned if no secrets
+ * @returns {Promise<{ ok: boolean, status: number|null, latencyMs: number, error: string|null }>}
  */
-export function fireWebhook(url, payload, secret) {
-  if (!url || typeof url !== 'string' || !url.startsWith('http')) return;
-  const body = JSON.stringify(payload);
-  const headers = { 'Content-Type': 'application/json' };
-  if (secret) {
-    const signature = createHmac('sha256', secret).update(body).digest('hex');
-    headers['X-4U-Signature'] = `sha256=${signature}`;
+export async function sendWebhook(url, payload, { id, event, secrets = [] }) {
+  const invalid = await webhookTargetError(url);
+  if (invalid) {
+    return { ok: false, status: null, latencyMs: 0, error: `Webhook URL ${invalid}` };
   }
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-4U-Delivery': id,
+    'X-4U-Event': event,
+    'X-4U-Timestamp': String(timestamp),
+  };
+  if (secrets.length > 0) headers['X-4U-Signature'] = signWebhookBody(body, { id, timestamp, secrets });
+
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
-  fetch(url, { method: 'POST', headers, body, signal: controller.signal })
-    .catch(() => {})
-    .finally(() => clearTimeout(timeoutId));
+  const startedAt = Date.now();
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: controller.signal,
+      dispatcher: webhookAgent,
+    });
+    await res.arrayBuffer().catch(() => {});
+    return {
+      ok: res.ok,
+      status: res.status,
+      latencyMs: Date.now() - startedAt,
+      error: res.ok ? null : `HTTP ${res.status}`,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      status: null,
+      latencyMs: Date.now() - startedAt,
+      error: sendError(err),
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
 }
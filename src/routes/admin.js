@@ -5,6 +5,19 @@
 import { Router } from 'express';
 import { requireAuth } from '../middleware/auth.js';
 import { supabase } from '../lib/supabase.js';
+import { getEscrowInfo, getEscrowBalance } from '../lib/escrow.js';
+import { auditLog } from '../lib/audit.js';
+import {
+  CLEARED_RESPONSE_DEADLINE,
+  DISPUTE_STATUSES,
+  escalateDispute,
+  mapDisputeMessage,
+  notifyResponseDeadline,
+} from '../services/disputes.js';
+import { canTransition } from '../services/buildTransitions.js';
+import { publishEvent } from '../services/eventBus.js';
+import { checkCategoryChange, invalidateTaxonomy, parseCategoryInput } from '../services/categories.js';
+import { listCriteriaForBuilds, mapCriterion } from '../services/acceptanceCriteria.js';
 
 const router = Router();
 
@@ -26,19 +39,6 @@ async function requireAdmin(req, res, next) {
 // All admin routes require auth + admin role
 router.use(requireAuth, requireAdmin);
 
-// ── Audit log helper ─────────────────────────────────────────────────────────
-
-async function auditLog(adminId, action, targetType, targetId, reason, metadata = {}) {
-  await supabase.from('admin_audit_log').insert({
-    admin_id: adminId,
-    action,
-    target_type: targetType,
-    target_id: targetId,
-    reason,
-    metadata,
-  });
-}
-
 // ── Moderation endpoints ─────────────────────────────────────────────────────
 
 /**
@@ -81,6 +81,17 @@ router.patch('/requests/:id/hide', async (req, res, next) => {
     if (error) throw error;
 
     await auditLog(req.user.sub, 'hide_request', 'request', id, reason);
+
+    // SDK agents that pitched on it stop working towards it
+    const [{ data: request }, { data: sdkPitches }] = await Promise.all([
+      supabase.from('requests').select('title').eq('id', id).maybeSingle(),
+      supabase.from('sdk_pitches').select('sdk_agent_id').eq('request_id', id),
+    ]);
+    await publishEvent('request_cancelled', {
+      sdkAgentIds: (sdkPitches || []).map((p) => p.sdk_agent_id),
+      payload: { request_id: id, request_title: request?.title ?? null, reason: 'removed_by_moderator' },
+    });
+
     res.json({ message: 'Request hidden' });
   } catch (e) { next(e); }
 });
@@ -137,10 +148,73 @@ router.patch('/pitches/:id/hide', async (req, res, next) => {
     if (error) throw error;
 
     await auditLog(req.user.sub, 'hide_pitch', 'pitch', id, reason);
+
+    const { data: sdkPitch } = await supabase
+      .from('sdk_pitches')
+      .select('id, sdk_agent_id, request_id')
+      .eq('main_pitch_id', id)
+      .maybeSingle();
+    if (sdkPitch) {
+      await publishEvent('pitch_hidden', {
+        sdkAgentIds: [sdkPitch.sdk_agent_id],
+        payload: { pitch_id: sdkPitch.id, request_id: sdkPitch.request_id },
+      });
+    }
+
     res.json({ message: 'Pitch hidden' });
   } catch (e) { next(e); }
 });
 
+// ── Category taxonomy ────────────────────────────────────────────────────────
+
+/**
+ * POST /api/admin/categories
+ * Body: { slug, name, parent_slug?, aliases?, sort_order? }
+ * Add a category. Its name and aliases must not already refer to another category.
+ */
+router.post('/categories', async (req, res, next) => {
+  try {
+    const { fields, error: inputErr } = parseCategoryInput(req.body || {});
+    if (inputErr) return res.status(400).json({ error: inputErr });
+    const conflict = await checkCategoryChange(fields.slug, fields);
+    if (conflict) return res.status(409).json({ error: conflict });
+
+    const { data, error } = await supabase.from('categories').insert(fields).select().single();
+    if (error?.code === '23505') return res.status(409).json({ error: `Category ${fields.slug} already exists` });
+    if (error) throw error;
+    invalidateTaxonomy();
+    res.status(201).json(data);
+  } catch (e) { next(e); }
+});
+
+/**
+ * PATCH /api/admin/categories/:slug
+ * Body: { name?, parent_slug?, aliases?, sort_order? }
+ * Rename, move or re-alias a category. The slug stays: it is what requests and agents store.
+ */
+router.patch('/categories/:slug', async (req, res, next) => {
+  try {
+    const { fields, error: inputErr } = parseCategoryInput(req.body || {}, { partial: true });
+    if (inputErr) return res.status(400).json({ error: inputErr });
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'Provide name, parent_slug, aliases or sort_order' });
+    }
+    const conflict = await checkCategoryChange(req.params.slug, fields);
+    if (conflict) return res.status(409).json({ error: conflict });
+
+    const { data, error } = await supabase
+      .from('categories')
+      .update(fields)
+      .eq('slug', req.params.slug)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Category not found' });
+    invalidateTaxonomy();
+    res.json(data);
+  } catch (e) { next(e); }
+});
+
 /**
  * GET /api/admin/audit-log?limit=100&offset=0
  * View the admin audit log.
@@ -152,7 +226,7 @@ router.get('/audit-log', async (req, res, next) => {
 
     const { data, error } = await supabase
       .from('admin_audit_log')
-      .select('id, admin_id, action, target_type, target_id, reason, metadata, created_at')
+      .select('id, admin_id, actor_type, actor_id, action, target_type, target_id, reason, metadata, created_at')
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
     if (error) throw error;
@@ -162,18 +236,37 @@ router.get('/audit-log', async (req, res, next) => {
 
 /**
  * GET /api/admin/disputes
- * All builds currently in disputed state with buyer/agent/request info.
+ * All builds in disputed or arbitration_pending state with request info, response
+ * deadline, the acceptance criteria checklist and the full dispute thread.
  */
 router.get('/disputes', async (req, res, next) => {
   try {
     const { data: builds, error } = await supabase
       .from('builds')
-      .select('id, request_id, agent_id, agent_name, escrow_amount, status, dispute_reason, dispute_opened_at, created_at, requests(title)')
-      .eq('status', 'disputed')
+      .select('id, request_id, agent_id, sdk_agent_id, agent_name, escrow_amount, status, dispute_reason, dispute_opened_at, arbitration_opened_at, dispute_response_deadline, dispute_response_party, dispute_response_overdue_at, created_at, requests(title)')
+      .in('status', DISPUTE_STATUSES)
       .order('dispute_opened_at', { ascending: true });
 
     if (error) throw error;
 
+    const buildIds = (builds || []).map((b) => b.id);
+    const criteriaByBuild = await listCriteriaForBuilds(buildIds);
+    let messagesByBuild = {};
+    if (buildIds.length > 0) {
+      const { data: messages, error: msgErr } = await supabase
+        .from('dispute_messages')
+        .select('*')
+        .in('build_id', buildIds)
+        .order('created_at', { ascending: true });
+      if (msgErr) throw msgErr;
+      messagesByBuild = (messages || []).reduce((acc, m) => {
+        if (!acc[m.build_id]) acc[m.build_id] = [];
+        acc[m.build_id].push(mapDisputeMessage(m));
+        return acc;
+      }, {});
+    }
+
+    const now = Date.now();
     const result = (builds || []).map((b) => ({
       id: b.id,
       request_id: b.request_id,
@@ -183,6 +276,13 @@ router.get('/disputes', async (req, res, next) => {
       status: b.status,
       dispute_reason: b.dispute_reason ?? null,
       dispute_opened_at: b.dispute_opened_at,
+      arbitration_opened_at: b.arbitration_opened_at ?? null,
+      response_deadline: b.dispute_response_deadline ?? null,
+      response_party: b.dispute_response_party ?? null,
+      response_overdue: b.dispute_response_deadline != null && new Date(b.dispute_response_deadline).getTime() < now,
+      response_overdue_flagged_at: b.dispute_response_overdue_at ?? null,
+      acceptance_criteria: (criteriaByBuild[b.id] || []).map(mapCriterion),
+      messages: messagesByBuild[b.id] || [],
       created_at: b.created_at,
     }));
 
@@ -190,6 +290,90 @@ router.get('/disputes', async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
+/**
+ * POST /api/admin/disputes/:buildId/escalate
+ * Move a disputed build to arbitration_pending.
+ * Body: { reason? }
+ */
+router.post('/disputes/:buildId/escalate', async (req, res, next) => {
+  try {
+    const { buildId } = req.params;
+    const reason = req.body?.reason != null ? String(req.body.reason).trim() || null : null;
+
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, agent_name, status')
+      .eq('id', buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+
+    if (!(await canTransition(build.status, 'arbitration_pending', { type: 'admin' }))) {
+      return res.status(400).json({ error: `Cannot escalate build in status '${build.status}'` });
+    }
+
+    const updated = await escalateDispute({ build, actorType: 'admin', actorId: req.user.sub, reason });
+    res.json({ message: 'Dispute escalated to arbitration', status: updated.status, arbitration_opened_at: updated.arbitration_opened_at });
+  } catch (e) { next(e); }
+});
+
+/**
+ * PATCH /api/admin/disputes/:buildId/deadline
+ * Set (or clear with deadline: null) the date by which a party must respond in the thread.
+ * The party is told right away and reminded before it passes; a lapsed deadline is flagged
+ * to the admins by services/escrowTimeouts.js.
+ * Body: { deadline: ISO timestamp | null, party: 'requester' | 'agent' | 'both', reason? }
+ */
+router.patch('/disputes/:buildId/deadline', async (req, res, next) => {
+  try {
+    const { buildId } = req.params;
+    const { deadline, party, reason } = req.body || {};
+    const clearing = deadline === null;
+    if (!clearing) {
+      if (!deadline || Number.isNaN(Date.parse(deadline)) || Date.parse(deadline) <= Date.now()) {
+        return res.status(400).json({ error: 'deadline must be a future ISO timestamp (or null to clear)' });
+      }
+      if (!['requester', 'agent', 'both'].includes(party)) {
+        return res.status(400).json({ error: 'party must be "requester", "agent" or "both"' });
+      }
+    }
+
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, agent_name, status')
+      .eq('id', buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+    if (!DISPUTE_STATUSES.includes(build.status)) {
+      return res.status(400).json({ error: `Build has no open dispute (status '${build.status}')` });
+    }
+
+    const patch = clearing
+      ? { dispute_response_deadline: null, dispute_response_party: null }
+      : { dispute_response_deadline: new Date(deadline).toISOString(), dispute_response_party: party };
+    // A new deadline gets its own reminder and overdue flag
+    const { error } = await supabase.from('builds').update({ ...CLEARED_RESPONSE_DEADLINE, ...patch }).eq('id', buildId);
+    if (error) throw error;
+
+    await auditLog(req.user.sub, clearing ? 'clear_dispute_deadline' : 'set_dispute_deadline', 'build', buildId, reason || null, patch);
+
+    if (!clearing) {
+      await notifyResponseDeadline(build, { deadline: patch.dispute_response_deadline, party });
+    }
+
+    res.json({ build_id: buildId, response_deadline: patch.dispute_response_deadline, response_party: patch.dispute_response_party });
+  } catch (e) { next(e); }
+});
+
+/**
+ * GET /api/admin/escrow
+ * Active escrow provider, custody wallet and current USDC balance.
+ */
+router.get('/escrow', async (req, res, next) => {
+  try {
+    const info = getEscrowInfo();
+    const balance = await getEscrowBalance();
+    res.json({ ...info, balance });
+  } catch (e) { next(e); }
+});
+
 /**
  * GET /api/admin/stats
  * Quick platform health overview.
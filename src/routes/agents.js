@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import { supabase } from '../lib/supabase.js';
 import { optionalAuth } from '../middleware/auth.js';
+import { categorySubtree, loadTaxonomy } from '../services/categories.js';
 
 const router = Router();
 router.use(optionalAuth);
@@ -8,6 +9,7 @@ router.use(optionalAuth);
 /**
  * GET /api/agents
  * List registered AI agents. Returns shape compatible with frontend (id, name, bio, specializations, tier, etc.).
+ * specialization filters by a category and its subcategories (name, slug or alias).
  */
 router.get('/', async (req, res, next) => {
   try {
@@ -20,7 +22,7 @@ router.get('/', async (req, res, next) => {
 
     if (tier) q = q.eq('tier', tier);
     if (availability) q = q.eq('availability', availability);
-    if (specialization) q = q.contains('specializations', [specialization]);
+    if (specialization) q = q.overlaps('specializations', categorySubtree(await loadTaxonomy(), specialization));
 
     const { data: rows, error } = await q;
     if (error) throw error;
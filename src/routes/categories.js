@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import { categoryTree } from '../services/categories.js';
+
+const router = Router();
+
+/**
+ * GET /api/categories
+ * The category taxonomy as a tree: { categories: [{ slug, name, aliases, children }] }.
+ * Request categories and agent specializations are stored as slugs; names and aliases are
+ * accepted on input.
+ * Auth: none.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=600');
+    res.json({ categories: await categoryTree() });
+  } catch (e) {
+    next(e);
+  }
+});
+
+export const categoriesRouter = router;
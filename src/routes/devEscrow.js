@@ -0,0 +1,87 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { getWalletForUser } from '../lib/notify.js';
+import { devEscrowEnabled, getEscrowProvider } from '../lib/escrow.js';
+
+const router = Router();
+
+const FAILABLE_OPERATIONS = ['verifyDeposit', 'prepareTransfer', 'submitTransfer'];
+
+// index.js only mounts this router when devEscrowEnabled(); checked again per request
+// in case the provider was swapped since
+router.use((req, res, next) => {
+  if (!devEscrowEnabled()) return res.status(404).json({ error: 'Not found' });
+  next();
+});
+
+/**
+ * GET /api/dev/escrow
+ * The in-memory escrow ledger: escrow balance, the caller's wallet balance and every
+ * transaction so far.
+ * Auth: Bearer. Only with ESCROW_PROVIDER=memory outside production.
+ */
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const provider = getEscrowProvider();
+    const wallet = await getWalletForUser(req.user.sub);
+    res.json({
+      ...provider.getInfo(),
+      escrow_balance: await provider.getBalance(),
+      wallet,
+      wallet_balance: wallet ? provider.balanceOf(wallet) : 0,
+      transactions: provider.transactions(),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/dev/escrow/deposit
+ * Record a USDC transfer from the caller's wallet to the escrow wallet and return its
+ * signature — pass it as txSignature to POST /api/hire or /api/hire/:buildId/milestones/:id/fund.
+ * Body: { amount, failed? } — failed: true records a reverted transaction.
+ * Auth: Bearer. Only with ESCROW_PROVIDER=memory outside production.
+ */
+router.post('/deposit', requireAuth, async (req, res, next) => {
+  try {
+    const amount = Number(req.body?.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+    const wallet = await getWalletForUser(req.user.sub);
+    if (!wallet) return res.status(400).json({ error: 'No wallet on file for this user' });
+
+    const txSignature = getEscrowProvider().simulateDeposit(wallet, amount, { failed: req.body?.failed === true });
+    res.status(201).json({ txSignature, from_wallet: wallet, amount });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/dev/escrow/fail-next
+ * Make the next call of an escrow operation fail, e.g. to exercise payout retries.
+ * Body: { operation: 'verifyDeposit' | 'prepareTransfer' | 'submitTransfer', message? }
+ * Auth: Bearer. Only with ESCROW_PROVIDER=memory outside production.
+ */
+router.post('/fail-next', requireAuth, (req, res) => {
+  const { operation, message } = req.body || {};
+  if (!FAILABLE_OPERATIONS.includes(operation)) {
+    return res.status(400).json({ error: `operation must be one of: ${FAILABLE_OPERATIONS.join(', ')}` });
+  }
+  getEscrowProvider().failNext(operation, message || undefined);
+  res.json({ ok: true });
+});
+
+/**
+ * POST /api/dev/escrow/reset
+ * Empty the in-memory ledger (balances, transactions, pending failures).
+ * Auth: Bearer. Only with ESCROW_PROVIDER=memory outside production.
+ */
+router.post('/reset', requireAuth, (req, res) => {
+  getEscrowProvider().reset();
+  res.json({ ok: true });
+});
+
+export const devEscrowRouter = router;
@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { decodeCursor } from '../lib/cursor.js';
+import { FEED_VERBS, listFeed } from '../services/activityFeed.js';
+
+const router = Router();
+
+/**
+ * GET /api/feed
+ * Activity of the users and agents you follow, newest first: requests they post (users),
+ * pitches, hires won and deliveries (agents).
+ * Query: limit (default 30, max 100), cursor (next_cursor from the previous page),
+ * verb (comma-separated: request_posted, pitched, hired, delivered).
+ * Returns { events, next_cursor }.
+ * Auth: Bearer JWT required.
+ */
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const wallet = req.user.wallet_address;
+    if (!wallet) return res.status(400).json({ error: 'No wallet linked to this account' });
+
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    const verbs = req.query.verb
+      ? String(req.query.verb).split(',').map((v) => v.trim()).filter(Boolean)
+      : [];
+    const unknown = verbs.filter((v) => !FEED_VERBS.includes(v));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown verb(s): ${unknown.join(', ')}. Allowed: ${FEED_VERBS.join(', ')}` });
+    }
+
+    const { events, nextCursor } = await listFeed(wallet, { cursor, limit, verbs });
+    res.json({ events, next_cursor: nextCursor });
+  } catch (e) {
+    next(e);
+  }
+});
+
+export const feedRouter = router;
@@ -0,0 +1,37 @@
+import { Router } from 'express';
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { localFilePath, verifyLocalFileLink } from '../lib/localFileStorage.js';
+
+const router = Router();
+
+/**
+ * GET /api/files/:key
+ * Download a file kept by the local storage driver (STORAGE_DRIVER=local). Links come from
+ * the attachment endpoints and are only valid with their expires/signature query.
+ * Auth: the signed link itself (no Bearer token).
+ */
+router.get('/*', async (req, res, next) => {
+  try {
+    const key = req.params[0];
+    if (!verifyLocalFileLink(key, req.query)) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+    const file = localFilePath(key);
+    const info = await stat(file).catch(() => null);
+    if (!info?.isFile()) return res.status(404).json({ error: 'File not found' });
+
+    res.set({
+      'Content-Type': req.query.type || 'application/octet-stream',
+      'Content-Length': String(info.size),
+      'Content-Disposition': req.query.disposition || 'attachment',
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store',
+    });
+    createReadStream(file).on('error', next).pipe(res);
+  } catch (e) {
+    next(e);
+  }
+});
+
+export const filesRouter = router;
@@ -6,15 +6,20 @@ const router = Router();
 
 /**
  * POST /api/follows
- * Body: { followee_id, followee_type: 'user' | 'agent' }
- * Auth required. Creates a follow record.
+ * Body: { followee_id, followee_type: 'user' | 'agent', notify?: boolean }
+ * Auth required. Creates a follow record (or updates notify on an existing one).
+ * notify: also get notifications when a followed agent is hired or delivers, or a followed
+ * user posts a request. Everything followed shows up in GET /api/feed either way.
  */
 router.post('/', requireAuth, async (req, res, next) => {
   try {
-    const { followee_id, followee_type } = req.body || {};
+    const { followee_id, followee_type, notify } = req.body || {};
     if (!followee_id || !['user', 'agent'].includes(followee_type)) {
       return res.status(400).json({ error: 'followee_id and followee_type (user|agent) are required' });
     }
+    if (notify !== undefined && typeof notify !== 'boolean') {
+      return res.status(400).json({ error: 'notify must be a boolean' });
+    }
 
     const { data: user } = await supabase
       .from('users')
@@ -31,7 +36,7 @@ router.post('/', requireAuth, async (req, res, next) => {
     }
 
     const { error } = await supabase.from('follows').upsert(
-      { follower_wallet: user.wallet_address, followee_id, followee_type },
+      { follower_wallet: user.wallet_address, followee_id, followee_type, notify: notify === true },
       { onConflict: 'follower_wallet,followee_id,followee_type' }
     );
 
@@ -79,24 +84,24 @@ router.delete('/', requireAuth, async (req, res, next) => {
 
 /**
  * GET /api/follows/status?follower_wallet=:wallet&followee_id=:id&followee_type=user|agent
- * Returns { is_following: bool }
+ * Returns { is_following: bool, notify: bool }
  */
 router.get('/status', async (req, res, next) => {
   try {
     const { follower_wallet, followee_id, followee_type } = req.query;
     if (!follower_wallet || !followee_id || !followee_type) {
-      return res.json({ is_following: false });
+      return res.json({ is_following: false, notify: false });
     }
 
     const { data } = await supabase
       .from('follows')
-      .select('id')
+      .select('id, notify')
       .eq('follower_wallet', follower_wallet)
       .eq('followee_id', followee_id)
       .eq('followee_type', followee_type)
       .maybeSingle();
 
-    res.json({ is_following: !!data });
+    res.json({ is_following: !!data, notify: !!data?.notify });
   } catch (e) {
     next(e);
   }
@@ -1,15 +1,62 @@
 import { Router } from 'express';
 import { supabase } from '../lib/supabase.js';
 import { requireAuth } from '../middleware/auth.js';
-import { createNotification } from '../lib/notify.js';
-import { fireWebhook } from '../lib/webhook.js';
+import { getWalletForUser, notifyBuildDelivered, notifyRecipients } from '../lib/notify.js';
+import { publishEvent } from '../services/eventBus.js';
+import { verifyDeposit, getEscrowInfo } from '../lib/escrow.js';
+import { recordAudit } from '../lib/audit.js';
+import { claimedByTimeout, deliveryDueAt } from '../services/escrowTimeouts.js';
 import {
-  verifyUsdcDeposit,
-  releaseToAgent,
-  refundToBuyer,
-  getEscrowWalletAddress,
-  PLATFORM_FEE_BPS,
-} from '../lib/solanaEscrow.js';
+  releaseEscrowToAgent,
+  refundEscrowToBuyer,
+  releaseMilestoneToAgent,
+  refundMilestoneToBuyer,
+  splitEscrowBetweenParties,
+  resolveAgentWallet,
+} from '../services/escrowPayouts.js';
+import {
+  createBuildMilestones,
+  deliverMilestone,
+  listBuildMilestones,
+  mapMilestone,
+  refreshFundedEscrow,
+  rollupMilestones,
+} from '../services/milestones.js';
+import {
+  DISPUTE_STATUSES,
+  announceDisputeResolution,
+  authorizeDisputeResolution,
+  escalateDispute,
+  listDisputeMessages,
+  normalizeDisputeMessage,
+  notifyDisputeParties,
+  parseDisputeResolution,
+  postDisputeMessage,
+  recordDisputeResolution,
+} from '../services/disputes.js';
+import { listBuildEvents, recordBuildEvent } from '../services/buildEvents.js';
+import { canTransition, transitionBuild, transitionMilestone } from '../services/buildTransitions.js';
+import {
+  DELIVERY_UPLOAD_STATUSES,
+  deleteAttachment,
+  getAttachment,
+  listAttachments,
+  parseUpload,
+  readUploadBody,
+  saveAttachment,
+  withDownloadUrl,
+} from '../services/attachments.js';
+import {
+  applyCriteriaUpdates,
+  createBuildCriteria,
+  criteriaSummary,
+  describeFailedCriteria,
+  listBuildCriteria,
+  mapCriterion,
+  markDeliveredCriteria,
+  parseCriteriaUpdates,
+  previewCriteriaUpdates,
+} from '../services/acceptanceCriteria.js';
 
 const router = Router();
 
@@ -19,9 +66,11 @@ function mapBuild(row) {
     id: row.id,
     request_id: row.request_id,
     agent_id: row.agent_id,
+    sdk_agent_id: row.sdk_agent_id || null,
     agent_name: row.agent_name || null,
     is_sdk_agent: isSdk,
     status: row.status,
+    funding_mode: row.funding_mode || 'single',
     escrow_amount: row.escrow_amount != null ? Number(row.escrow_amount) : null,
     escrow_status: row.escrow_status,
     delivery_url: row.delivery_url,
@@ -32,22 +81,254 @@ function mapBuild(row) {
     refund_tx_signature: row.refund_tx_signature || null,
     revision_notes: row.revision_notes || null,
     revision_count: row.revision_count ?? 0,
+    delivery_due_at: row.delivery_due_at || null,
+    delivered_at: row.delivered_at || null,
+    resolution: row.resolution || null,
+    resolution_notes: row.resolution_notes || null,
+    resolution_agent_share_pct: row.resolution_agent_share_bps != null ? row.resolution_agent_share_bps / 100 : null,
+    buyer_refund: row.buyer_refund != null ? Number(row.buyer_refund) : null,
+    resolved_at: row.resolved_at || null,
+    arbitration_opened_at: row.arbitration_opened_at || null,
+    dispute_response_deadline: row.dispute_response_deadline || null,
     created_at: row.created_at,
     updated_at: row.updated_at,
   };
 }
 
+/**
+ * mapBuild plus the build's milestones for milestone-funded hires.
+ */
+async function mapBuildWithMilestones(row) {
+  const mapped = mapBuild(row);
+  if (mapped.funding_mode === 'single') return mapped;
+  const milestones = await listBuildMilestones(row.id);
+  return { ...mapped, milestones: milestones.map(mapMilestone) };
+}
+
+/**
+ * Respond with the build once its escrow transfer(s) have been applied.
+ * 202 while a transfer is still in flight (the reconciler finishes it),
+ * 502 if one failed on-chain.
+ */
+async function sendTransferResult(res, buildId, transfers) {
+  const list = [].concat(transfers);
+  const failed = list.find((t) => t.status === 'failed');
+  if (failed) {
+    return res.status(502).json({
+      error: 'Escrow transfer failed on-chain',
+      message: failed.last_error,
+      transfer_id: failed.id,
+    });
+  }
+
+  const { data: build, error } = await supabase
+    .from('builds')
+    .select('*')
+    .eq('id', buildId)
+    .single();
+  if (error) throw error;
+
+  const pending = list.find((t) => !t.finalized_at);
+  if (pending) {
+    return res.status(202).json({
+      ...(await mapBuildWithMilestones(build)),
+      payout_status: pending.status,
+      message: 'Escrow transfer is in flight and will be confirmed automatically.',
+    });
+  }
+  res.json(await mapBuildWithMilestones(build));
+}
+
+/**
+ * Build-level deliver/accept/revision/dispute do not apply to milestone-funded hires.
+ * Sends 400 and returns true for those builds.
+ */
+function rejectMilestoneBuild(build, res) {
+  if (!build.funding_mode || build.funding_mode === 'single') return false;
+  res.status(400).json({
+    error: 'This hire is funded by milestone — use /api/hire/:buildId/milestones/:milestoneId instead',
+  });
+  return true;
+}
+
+/**
+ * A build or milestone claimed by the escrow-timeout service is being released or refunded
+ * automatically. Sends 409 and returns true for those.
+ */
+function rejectTimeoutClaim(row, res) {
+  if (!claimedByTimeout(row)) return false;
+  res.status(409).json({ error: 'Its deadline passed and the escrow is already being settled automatically' });
+  return true;
+}
+
+/**
+ * True when a deposit signature already funded a build or a milestone.
+ */
+async function depositSignatureUsed(txSignature) {
+  const { data: existingBuild } = await supabase
+    .from('builds')
+    .select('id')
+    .eq('deposit_tx_signature', txSignature)
+    .maybeSingle();
+  if (existingBuild) return true;
+  const { data: existingMilestone } = await supabase
+    .from('build_milestones')
+    .select('id')
+    .eq('deposit_tx_signature', txSignature)
+    .maybeSingle();
+  return !!existingMilestone;
+}
+
+/**
+ * Cancel a milestone-funded hire: refund funded open milestones through the payout
+ * ledger, cancel unfunded ones, then settle the build from its milestones.
+ */
+async function cancelMilestoneBuild(res, build, userId) {
+  const milestones = await listBuildMilestones(build.id);
+  const open = milestones.filter((m) => !['accepted', 'cancelled', 'refunded'].includes(m.status));
+  const blocked = open.find((m) => !['hired', 'building'].includes(m.status));
+  if (blocked) {
+    return res.status(400).json({
+      error: `Milestone "${blocked.title}" is ${blocked.status} — accept, revise or resolve it before cancelling`,
+    });
+  }
+  if (rejectTimeoutClaim(open.find(claimedByTimeout), res)) return;
+
+  const buyerWallet = await getWalletForUser(userId);
+  const transfers = [];
+  for (const milestone of open) {
+    if (milestone.escrow_status === 'locked') {
+      transfers.push(await refundMilestoneToBuyer({ build, milestone, buyerWallet, actor: { type: 'requester', id: userId } }));
+    } else {
+      // Never funded — nothing to refund
+      await transitionMilestone({ milestone, to: 'cancelled', actor: { type: 'requester', id: userId } });
+    }
+  }
+  await rollupMilestones(build.id);
+
+  return sendTransferResult(res, build.id, transfers);
+}
+
+/**
+ * Load a build and one of its milestones for the /milestones/:milestoneId routes.
+ * Sends 404 and returns null when either is missing.
+ */
+async function loadBuildMilestone(req, res) {
+  const { data: build } = await supabase
+    .from('builds')
+    .select('id, request_id, agent_id, sdk_agent_id, agent_name, status, funding_mode, escrow_status')
+    .eq('id', req.params.buildId)
+    .maybeSingle();
+  if (!build) {
+    res.status(404).json({ error: 'Build not found' });
+    return null;
+  }
+  const { data: milestone } = await supabase
+    .from('build_milestones')
+    .select('*')
+    .eq('id', req.params.milestoneId)
+    .eq('build_id', build.id)
+    .maybeSingle();
+  if (!milestone) {
+    res.status(404).json({ error: 'Milestone not found' });
+    return null;
+  }
+  return { build, milestone };
+}
+
+/**
+ * Load the build's request and check the caller owns it.
+ * Sends 403 and returns null when they do not.
+ */
+async function loadOwnedRequest(res, build, userId) {
+  const { data: request } = await supabase
+    .from('requests').select('id, author_id, title').eq('id', build.request_id).single();
+  if (!request || request.author_id !== userId) {
+    res.status(403).json({ error: 'You do not own this request' });
+    return null;
+  }
+  return request;
+}
+
+/**
+ * True when the user owns the build's agent (internal agent owner, or SDK agent owner wallet).
+ */
+async function isAssignedAgent(build, userId) {
+  if (build.agent_id) {
+    const { data: agent } = await supabase
+      .from('agents')
+      .select('owner_id')
+      .eq('id', build.agent_id)
+      .single();
+    return agent?.owner_id === userId;
+  }
+  const [agentWallet, userWallet] = await Promise.all([resolveAgentWallet(build), getWalletForUser(userId)]);
+  return !!agentWallet && agentWallet === userWallet;
+}
+
+/**
+ * Notify the build's agent owner (internal or SDK) about a milestone event.
+ */
+async function notifyMilestoneAgent(build, milestone, { type, title, message }) {
+  await notifyRecipients({ agentOf: build }, {
+    type,
+    title,
+    message,
+    metadata: { build_id: build.id, request_id: build.request_id, milestone_id: milestone.id, milestone_title: milestone.title },
+  });
+}
+
+/**
+ * Timeline entry for a milestone moving from `milestone` to its `updated` row.
+ */
+function recordMilestoneEvent(milestone, updated, { eventType, actorType, actorId, txSignature = null, notes = null, metadata = {} }) {
+  return recordBuildEvent({
+    buildId: milestone.build_id,
+    milestoneId: milestone.id,
+    eventType,
+    actorType,
+    actorId,
+    fromStatus: milestone.status,
+    toStatus: updated.status,
+    escrowStatus: updated.escrow_status,
+    txSignature,
+    notes,
+    metadata: { milestone_title: milestone.title, ...metadata },
+  });
+}
+
+/**
+ * The caller's role on a build: 'requester', 'agent', 'admin' or null.
+ */
+async function buildRole(build, userId) {
+  const { data: request } = await supabase
+    .from('requests').select('author_id').eq('id', build.request_id).single();
+  if (request?.author_id === userId) return 'requester';
+  if (await isAssignedAgent(build, userId)) return 'agent';
+  const { data: user } = await supabase
+    .from('users').select('is_admin').eq('id', userId).single();
+  return user?.is_admin === true ? 'admin' : null;
+}
+
+/**
+ * The build's request and whether the caller owns it or is an admin, for resolve-dispute.
+ */
+async function disputeResolver(build, userId) {
+  const { data: request } = await supabase
+    .from('requests').select('author_id, title').eq('id', build.request_id).single();
+  const { data: user } = await supabase
+    .from('users').select('is_admin').eq('id', userId).single();
+  return { request, isOwner: request?.author_id === userId, isAdmin: user?.is_admin === true };
+}
+
 /**
  * GET /api/hire/escrow-info
- * Returns escrow wallet address, USDC mint, and network so the frontend
- * can build the deposit transaction without hardcoding addresses.
+ * Returns escrow wallet address, USDC mint, network and active escrow provider so the
+ * frontend can build the deposit transaction without hardcoding addresses.
  */
 router.get('/escrow-info', (req, res) => {
   try {
-    const escrowWallet = process.env.ESCROW_WALLET_ADDRESS || getEscrowWalletAddress();
-    const usdcMint = process.env.USDC_MINT_ADDRESS || null;
-    const network = (process.env.SOLANA_RPC_URL || '').includes('devnet') ? 'devnet' : 'mainnet-beta';
-    res.json({ escrowWallet, usdcMint, network });
+    res.json(getEscrowInfo());
   } catch (e) {
     res.status(503).json({ error: e.message || 'Escrow not configured' });
   }
@@ -95,14 +376,21 @@ router.get('/my-builds', requireAuth, async (req, res, next) => {
 
 /**
  * POST /api/hire
- * Body: { requestId, pitchId, txSignature }
+ * Body: { requestId, pitchId, txSignature, fundingMode? }
  * Auth required. Requester must own the request. Request must be Open. Pitch must exist for that request.
  * txSignature: Solana tx where buyer sent USDC to escrow wallet — verified on-chain before locking.
+ * fundingMode: for pitches with milestones, 'upfront' (default; deposit covers every milestone)
+ * or 'per_milestone' (deposit covers the first milestone, the rest via /milestones/:id/fund).
+ * escrow_amount on the build and request is the amount held: the price, or for per_milestone
+ * hires the funded milestones so far.
  * Creates build (status hired), sets request escrow locked, request status In Progress. Returns build.
+ * The request moves to In Progress only while it is still Open: 409 when it was cancelled or
+ * expired in the meantime.
+ * The request's acceptance criteria are copied onto the build as its review checklist.
  */
 router.post('/', requireAuth, async (req, res, next) => {
   try {
-    const { requestId, pitchId, txSignature } = req.body || {};
+    const { requestId, pitchId, txSignature, fundingMode } = req.body || {};
     if (!requestId || !pitchId) {
       return res.status(400).json({ error: 'requestId and pitchId are required' });
     }
@@ -117,7 +405,7 @@ router.post('/', requireAuth, async (req, res, next) => {
 
     const { data: request, error: reqErr } = await supabase
       .from('requests')
-      .select('id, title, description, categories, budget, timeline, author_id, status')
+      .select('id, title, description, categories, budget, timeline, acceptance_criteria, author_id, status, hired_agent_id, escrow_status, escrow_amount')
       .eq('id', requestId)
       .single();
     if (reqErr || !request) {
@@ -132,7 +420,7 @@ router.post('/', requireAuth, async (req, res, next) => {
 
     const { data: pitch, error: pitchErr } = await supabase
       .from('pitches')
-      .select('id, request_id, agent_id, agent_name, price')
+      .select('id, request_id, agent_id, agent_name, price, estimated_time, milestones')
       .eq('id', pitchId)
       .eq('request_id', requestId)
       .single();
@@ -140,7 +428,16 @@ router.post('/', requireAuth, async (req, res, next) => {
       return res.status(404).json({ error: 'Pitch not found for this request' });
     }
 
-    const escrowAmount = pitch.price != null ? Number(pitch.price) : 0;
+    const milestones = Array.isArray(pitch.milestones) && pitch.milestones.length > 0 ? pitch.milestones : null;
+    const mode = milestones ? (fundingMode || 'upfront') : 'single';
+    if (milestones && !['upfront', 'per_milestone'].includes(mode)) {
+      return res.status(400).json({ error: 'fundingMode must be "upfront" or "per_milestone"' });
+    }
+
+    const price = pitch.price != null ? Number(pitch.price) : 0;
+    // Per-milestone hires only deposit the first milestone now; escrow_amount tracks what
+    // is actually held and grows as the other milestones are funded
+    const escrowAmount = mode === 'per_milestone' ? Number(milestones[0].amount) : price;
 
     // ── Verify USDC deposit on-chain before locking escrow ────────────────────
     if (escrowAmount > 0) {
@@ -150,7 +447,7 @@ router.post('/', requireAuth, async (req, res, next) => {
         .eq('id', userId)
         .single();
 
-      const { verified, actualAmount, error: verifyErr } = await verifyUsdcDeposit(
+      const { verified, error: verifyErr } = await verifyDeposit(
         txSignature,
         user.wallet_address,
         escrowAmount
@@ -163,18 +460,23 @@ router.post('/', requireAuth, async (req, res, next) => {
         });
       }
 
-      const { data: existingBuild } = await supabase
-        .from('builds')
-        .select('id')
-        .eq('deposit_tx_signature', txSignature)
-        .maybeSingle();
-      if (existingBuild) {
+      if (await depositSignatureUsed(txSignature)) {
         return res.status(400).json({ error: 'Transaction signature already used' });
       }
     }
     // ─────────────────────────────────────────────────────────────────────────
 
     const isSdkPitch = pitch.agent_id == null;
+    const recordHireEvent = (build) => recordBuildEvent({
+      buildId: build.id,
+      eventType: 'hired',
+      actorType: 'requester',
+      actorId: userId,
+      toStatus: 'hired',
+      escrowStatus: 'locked',
+      txSignature: escrowAmount > 0 ? txSignature : null,
+      metadata: { pitch_id: pitchId, funding_mode: mode, price, escrow_amount: escrowAmount },
+    });
 
     let sdkPitchRow = null;
     if (isSdkPitch) {
@@ -189,68 +491,103 @@ router.post('/', requireAuth, async (req, res, next) => {
       sdkPitchRow = sdkPitch;
     }
 
+    // Take the request off the market before the build exists: only while it is still Open,
+    // so a cancel or expiry since the read above wins. From here transition_request()
+    // refuses to close it.
+    const { data: claimed, error: claimErr } = await supabase
+      .from('requests')
+      .update({
+        status: 'In Progress',
+        hired_agent_id: pitch.agent_id ?? null,
+        escrow_status: 'locked',
+        escrow_amount: escrowAmount,
+      })
+      .eq('id', requestId)
+      .eq('status', 'Open')
+      .select('id')
+      .maybeSingle();
+    if (claimErr) throw claimErr;
+    if (!claimed) {
+      return res.status(409).json({ error: 'Request is no longer open for hiring' });
+    }
+    // Puts the request back if the build cannot be created
+    const releaseRequest = () => supabase
+      .from('requests')
+      .update({
+        status: 'Open',
+        hired_agent_id: request.hired_agent_id ?? null,
+        escrow_status: request.escrow_status ?? null,
+        escrow_amount: request.escrow_amount ?? null,
+      })
+      .eq('id', requestId)
+      .eq('status', 'In Progress');
+
     if (isSdkPitch && sdkPitchRow) {
       const { data: build, error: buildErr } = await supabase
         .from('builds')
         .insert({
           request_id: requestId,
           agent_id: null,
+          sdk_agent_id: sdkPitchRow.sdk_agent_id,
           agent_name: pitch.agent_name || null,
           status: 'hired',
+          funding_mode: mode,
+          delivery_due_at: deliveryDueAt(pitch.estimated_time),
           escrow_amount: escrowAmount,
           escrow_status: 'locked',
           deposit_tx_signature: txSignature,
         })
         .select()
         .single();
-      if (buildErr) throw buildErr;
+      if (buildErr) {
+        await releaseRequest();
+        throw buildErr;
+      }
+      await recordHireEvent(build);
+      await createBuildCriteria(build.id, request.acceptance_criteria);
+
+      if (milestones) {
+        await createBuildMilestones(build.id, milestones, { fundingMode: mode, depositTxSignature: txSignature });
+      }
 
       await supabase
         .from('sdk_pitches')
         .update({ status: 'hired' })
         .eq('main_pitch_id', pitchId);
 
-      const { data: agentRow } = await supabase.from('sdk_agents').select('total_wins, owner_wallet, name, webhook_url, api_key').eq('id', sdkPitchRow.sdk_agent_id).single();
+      const { data: agentRow } = await supabase.from('sdk_agents').select('total_wins, owner_wallet, name').eq('id', sdkPitchRow.sdk_agent_id).single();
       if (agentRow != null) {
         await supabase.from('sdk_agents').update({ total_wins: (agentRow.total_wins || 0) + 1 }).eq('id', sdkPitchRow.sdk_agent_id);
-        // Fire hired webhook for SDK agents (e.g. OpenClaw integration)
-        if (agentRow.webhook_url) {
-          fireWebhook(agentRow.webhook_url, {
-            event: 'hired',
+        // Hired webhook for SDK agents (e.g. OpenClaw integration)
+        await publishEvent('hired', {
+          sdkAgentIds: [sdkPitchRow.sdk_agent_id],
+          payload: {
             request_id: requestId,
             request_title: request.title,
             request_description: request.description || null,
             request_categories: request.categories || [],
             request_budget: request.budget != null ? Number(request.budget) : null,
             request_timeline: request.timeline || null,
+            acceptance_criteria: request.acceptance_criteria || [],
             build_id: build.id,
+            price,
             escrow_amount: escrowAmount,
-          }, agentRow.api_key);
-        }
+            funding_mode: mode,
+            milestones: milestones || [],
+          },
+        });
         // Notify SDK agent owner
-        if (agentRow.owner_wallet) {
-          await createNotification({
-            user_wallet: agentRow.owner_wallet,
-            type: 'hired',
-            title: '🎉 Your agent was hired!',
-            message: `${agentRow.name} was hired for: "${request.title}"`,
-            metadata: { request_id: requestId, request_title: request.title, agent_name: agentRow.name },
-          });
-        }
+        await notifyRecipients({ sdkAgentId: sdkPitchRow.sdk_agent_id }, {
+          type: 'hired',
+          title: '🎉 Your agent was hired!',
+          message: `${agentRow.name} was hired for: "${request.title}"`,
+          metadata: { request_id: requestId, request_title: request.title, agent_name: agentRow.name },
+        });
       }
 
-      const { error: updateErr } = await supabase
-        .from('requests')
-        .update({
-          status: 'In Progress',
-          hired_agent_id: null,
-          escrow_status: 'locked',
-          escrow_amount: escrowAmount,
-        })
-        .eq('id', requestId);
-      if (updateErr) throw updateErr;
+      await publishEvent('agent_hired', { build, request: { id: requestId, title: request.title, author_id: request.author_id } });
 
-      return res.status(201).json(mapBuild(build));
+      return res.status(201).json(await mapBuildWithMilestones(build));
     }
 
     const { data: build, error: buildErr } = await supabase
@@ -259,32 +596,44 @@ router.post('/', requireAuth, async (req, res, next) => {
         request_id: requestId,
         agent_id: pitch.agent_id,
         status: 'hired',
+        funding_mode: mode,
+        delivery_due_at: deliveryDueAt(pitch.estimated_time),
         escrow_amount: escrowAmount,
         escrow_status: 'locked',
         deposit_tx_signature: txSignature,
       })
       .select()
       .single();
-    if (buildErr) throw buildErr;
+    if (buildErr) {
+      await releaseRequest();
+      throw buildErr;
+    }
+    await recordHireEvent(build);
+    await createBuildCriteria(build.id, request.acceptance_criteria);
 
-    await supabase.from('build_jobs').insert({
-      build_id: build.id,
-      agent_id: pitch.agent_id,
-      status: 'pending',
-    });
+    if (milestones) {
+      // Milestones are delivered one by one via /milestones/:id/deliver — no one-shot build job
+      await createBuildMilestones(build.id, milestones, { fundingMode: mode, depositTxSignature: txSignature });
+    } else {
+      // Agents with an active agent-scoped API key build externally via /sdk/jobs;
+      // everyone else is picked up by the in-process autopilot worker.
+      const { count: sdkKeyCount } = await supabase
+        .from('api_keys')
+        .select('id', { count: 'exact', head: true })
+        .eq('agent_id', pitch.agent_id)
+        .eq('is_active', true);
+
+      await supabase.from('build_jobs').insert({
+        build_id: build.id,
+        agent_id: pitch.agent_id,
+        status: 'pending',
+        executor: sdkKeyCount > 0 ? 'sdk' : 'autopilot',
+      });
+    }
 
-    const { error: updateErr } = await supabase
-      .from('requests')
-      .update({
-        status: 'In Progress',
-        hired_agent_id: pitch.agent_id,
-        escrow_status: 'locked',
-        escrow_amount: escrowAmount,
-      })
-      .eq('id', requestId);
-    if (updateErr) throw updateErr;
+    await publishEvent('agent_hired', { build, request: { id: requestId, title: request.title, author_id: request.author_id } });
 
-    res.status(201).json(mapBuild(build));
+    res.status(201).json(await mapBuildWithMilestones(build));
   } catch (e) {
     next(e);
   }
@@ -293,14 +642,14 @@ router.post('/', requireAuth, async (req, res, next) => {
 /**
  * GET /api/hire/:requestId
  * Returns the latest build for the request (most recent by created_at, excluding cancelled).
- * Response includes delivery_url and status.
+ * Response includes delivery_url and status, plus milestones for milestone-funded hires.
  */
 router.get('/:requestId', async (req, res, next) => {
   try {
     const { requestId } = req.params;
     const { data: build, error } = await supabase
       .from('builds')
-      .select('id, request_id, agent_id, agent_name, status, escrow_amount, escrow_status, delivery_url, agent_payout, platform_fee, created_at, updated_at')
+      .select('id, request_id, agent_id, sdk_agent_id, agent_name, status, funding_mode, escrow_amount, escrow_status, delivery_url, agent_payout, platform_fee, created_at, updated_at')
       .eq('request_id', requestId)
       .neq('status', 'cancelled')
       .order('created_at', { ascending: false })
@@ -310,7 +659,7 @@ router.get('/:requestId', async (req, res, next) => {
     if (!build) {
       return res.status(404).json({ error: 'No active build for this request' });
     }
-    res.json(mapBuild(build));
+    res.json(await mapBuildWithMilestones(build));
   } catch (e) {
     next(e);
   }
@@ -319,7 +668,7 @@ router.get('/:requestId', async (req, res, next) => {
 /**
  * POST /api/hire/:buildId/accept
  * Auth required. Requester must own the request. Build must be delivered (or hired/building -> we accept only when delivered).
- * Marks build accepted, escrow released, records 88/12 split (agent_payout, platform_fee).
+ * Marks build accepted, escrow released, records 98/2 split (agent_payout, platform_fee).
  */
 router.post('/:buildId/accept', requireAuth, async (req, res, next) => {
   try {
@@ -328,16 +677,16 @@ router.post('/:buildId/accept', requireAuth, async (req, res, next) => {
 
     const { data: build, error: buildErr } = await supabase
       .from('builds')
-      .select('id, request_id, agent_id, status, escrow_amount, escrow_status')
+      .select('id, request_id, agent_id, sdk_agent_id, status, funding_mode, escrow_amount, escrow_status, resolved_by')
       .eq('id', buildId)
       .single();
     if (buildErr || !build) {
       return res.status(404).json({ error: 'Build not found' });
     }
+    if (rejectMilestoneBuild(build, res)) return;
+    const actor = { type: 'requester', id: userId };
     // State machine guard: only delivered → accepted is valid
-    const { data: transitionOk } = await supabase
-      .rpc('validate_build_transition', { p_from: build.status, p_to: 'accepted' });
-    if (!transitionOk) {
+    if (!(await canTransition(build.status, 'accepted', actor))) {
       return res.status(400).json({
         error: `Cannot accept build in status '${build.status}'. Build must be in 'delivered' state.`,
       });
@@ -360,72 +709,14 @@ router.post('/:buildId/accept', requireAuth, async (req, res, next) => {
     if (request.author_id !== userId) {
       return res.status(403).json({ error: 'You do not own this request' });
     }
+    if (rejectTimeoutClaim(build, res)) return;
 
-    const escrowAmount = Number(build.escrow_amount) || 0;
-
-    // ── Look up agent wallet for on-chain transfer ────────────────────────────
-    let agentWallet = null;
-    if (build.agent_id) {
-      const { data: agent } = await supabase
-        .from('agents')
-        .select('owner_wallet')
-        .eq('id', build.agent_id)
-        .single();
-      agentWallet = agent?.owner_wallet || null;
-    } else {
-      // SDK agent — find via sdk_pitches using request_id
-      const { data: sdkPitch } = await supabase
-        .from('sdk_pitches')
-        .select('sdk_agent_id')
-        .eq('request_id', build.request_id)
-        .eq('status', 'hired')
-        .maybeSingle();
-      if (sdkPitch) {
-        const { data: sdkAgent } = await supabase
-          .from('sdk_agents')
-          .select('owner_wallet')
-          .eq('id', sdkPitch.sdk_agent_id)
-          .single();
-        agentWallet = sdkAgent?.owner_wallet || null;
-      }
-    }
-
-    // ── Send USDC on-chain (98% to agent, 2% stays in escrow wallet as fee) ───
-    let releaseTxSig = null;
-    let agentPayout = 0;
-    let platformFee = 0;
-
-    if (escrowAmount > 0 && agentWallet) {
-      const releaseResult = await releaseToAgent(agentWallet, escrowAmount);
-      releaseTxSig  = releaseResult.txSignature;
-      agentPayout   = releaseResult.agentPayout;
-      platformFee   = releaseResult.platformFee;
-    } else {
-      // No wallet on file or zero escrow — calculate split without on-chain transfer
-      agentPayout = Math.round(escrowAmount * (10000 - PLATFORM_FEE_BPS)) / 10000;
-      platformFee = escrowAmount - agentPayout;
-    }
-
-    const { data: updated, error: updateErr } = await supabase
-      .from('builds')
-      .update({
-        status: 'accepted',
-        escrow_status: 'released',
-        agent_payout: agentPayout,
-        platform_fee: platformFee,
-        release_tx_signature: releaseTxSig,
-      })
-      .eq('id', buildId)
-      .select()
-      .single();
-    if (updateErr) throw updateErr;
-
-    await supabase
-      .from('requests')
-      .update({ escrow_status: 'released', status: 'Completed' })
-      .eq('id', build.request_id);
+    // ── Release via payout ledger (98% to agent, 2% stays in escrow as fee) ──
+    // Idempotent per build: a retry after a crash resumes the original transfer.
+    const agentWallet = await resolveAgentWallet(build);
+    const transfer = await releaseEscrowToAgent({ build, agentWallet, actor });
 
-    res.json(mapBuild(updated));
+    await sendTransferResult(res, buildId, transfer);
   } catch (e) {
     next(e);
   }
@@ -434,6 +725,8 @@ router.post('/:buildId/accept', requireAuth, async (req, res, next) => {
 /**
  * POST /api/hire/:buildId/cancel
  * Auth required. Requester must own the request. Marks build cancelled, escrow refunded.
+ * Milestone hires: refunds every funded, not-yet-delivered milestone and cancels unfunded
+ * ones; accepted milestones stay paid. Rejected while a milestone is delivered or disputed.
  */
 router.post('/:buildId/cancel', requireAuth, async (req, res, next) => {
   try {
@@ -442,7 +735,7 @@ router.post('/:buildId/cancel', requireAuth, async (req, res, next) => {
 
     const { data: build, error: buildErr } = await supabase
       .from('builds')
-      .select('id, request_id, status, escrow_status, escrow_amount')
+      .select('id, request_id, status, funding_mode, escrow_status, escrow_amount, resolved_by')
       .eq('id', buildId)
       .single();
     if (buildErr || !build) {
@@ -460,10 +753,11 @@ router.post('/:buildId/cancel', requireAuth, async (req, res, next) => {
       return res.status(403).json({ error: 'You do not own this request' });
     }
 
+    if (rejectTimeoutClaim(build, res)) return;
+
     // State machine guard
-    const { data: transitionOk } = await supabase
-      .rpc('validate_build_transition', { p_from: build.status, p_to: 'cancelled' });
-    if (!transitionOk) {
+    const actor = { type: 'requester', id: userId };
+    if (!(await canTransition(build.status, 'cancelled', actor))) {
       return res.status(400).json({
         error: `Cannot cancel build in status '${build.status}'.`,
       });
@@ -472,40 +766,15 @@ router.post('/:buildId/cancel', requireAuth, async (req, res, next) => {
       return res.status(400).json({ error: 'Escrow is frozen pending dispute resolution' });
     }
 
-    const escrowAmount = Number(build.escrow_amount) || 0;
-
-    // ── Refund buyer on-chain ─────────────────────────────────────────────────
-    const { data: requesterUser } = await supabase
-      .from('users')
-      .select('wallet_address')
-      .eq('id', userId)
-      .single();
-
-    let refundTxSig = null;
-    if (escrowAmount > 0 && requesterUser?.wallet_address) {
-      const refundResult = await refundToBuyer(requesterUser.wallet_address, escrowAmount);
-      refundTxSig = refundResult.txSignature;
+    if (build.funding_mode && build.funding_mode !== 'single') {
+      return cancelMilestoneBuild(res, build, userId);
     }
 
-    const { data: updated, error: updateErr } = await supabase
-      .from('builds')
-      .update({ status: 'cancelled', escrow_status: 'refunded', refund_tx_signature: refundTxSig })
-      .eq('id', buildId)
-      .select()
-      .single();
-    if (updateErr) throw updateErr;
-
-    await supabase
-      .from('requests')
-      .update({
-        escrow_status: 'refunded',
-        hired_agent_id: null,
-        escrow_amount: null,
-        status: 'Open',
-      })
-      .eq('id', build.request_id);
+    // ── Refund buyer via payout ledger ──────────────────────────────────────
+    const buyerWallet = await getWalletForUser(userId);
+    const transfer = await refundEscrowToBuyer({ build, buyerWallet, actor });
 
-    res.json(mapBuild(updated));
+    await sendTransferResult(res, buildId, transfer);
   } catch (e) {
     next(e);
   }
@@ -515,221 +784,317 @@ router.post('/:buildId/cancel', requireAuth, async (req, res, next) => {
  * POST /api/hire/:buildId/dispute
  * Auth required. Requester raises a formal dispute on a delivered build.
  * Freezes escrow (disputed_hold) and sets build to 'disputed'.
+ * Body: { reason, criteria? } — criteria: acceptance criteria review, as for
+ * PATCH /:buildId/acceptance-criteria, recorded once the dispute is open.
  */
 router.post('/:buildId/dispute', requireAuth, async (req, res, next) => {
   try {
     const { buildId } = req.params;
     const { reason } = req.body || {};
     if (!reason) return res.status(400).json({ error: 'Dispute reason is required' });
+    const review = parseCriteriaUpdates(req.body.criteria, 'requester');
+    if (review.error) return res.status(400).json({ error: review.error });
 
     const { data: build, error: buildErr } = await supabase
       .from('builds')
-      .select('id, request_id, status, escrow_status')
+      .select('id, request_id, agent_id, sdk_agent_id, agent_name, status, funding_mode, escrow_status, resolved_by')
       .eq('id', buildId).single();
     if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+    if (rejectMilestoneBuild(build, res)) return;
 
     const { data: request } = await supabase
-      .from('requests').select('author_id').eq('id', build.request_id).single();
+      .from('requests').select('author_id, title').eq('id', build.request_id).single();
     if (!request || request.author_id !== req.user.sub) {
       return res.status(403).json({ error: 'You do not own this request' });
     }
 
-    const { data: ok } = await supabase
-      .rpc('validate_build_transition', { p_from: build.status, p_to: 'disputed' });
-    if (!ok) {
+    if (rejectTimeoutClaim(build, res)) return;
+
+    const actor = { type: 'requester', id: req.user.sub };
+    if (!(await canTransition(build.status, 'disputed', actor))) {
       return res.status(400).json({ error: `Cannot raise dispute on build in status '${build.status}'` });
     }
-
-    const { data: updated, error: updateErr } = await supabase
-      .from('builds')
-      .update({
-        status: 'disputed',
+    const checklist = await previewCriteriaUpdates(buildId, 'requester', review.updates);
+    if (checklist.error) return res.status(400).json({ error: checklist.error });
+    const summary = criteriaSummary(checklist.criteria);
+
+    const updated = await transitionBuild({
+      build,
+      to: 'disputed',
+      actor,
+      patch: {
         escrow_status: 'disputed_hold',
         dispute_reason: reason,
         dispute_opened_at: new Date().toISOString(),
-      })
-      .eq('id', buildId).select().single();
-    if (updateErr) throw updateErr;
+      },
+      event: { type: 'dispute_opened', notes: reason, metadata: { acceptance_criteria: summary } },
+    });
+    await applyCriteriaUpdates(buildId, 'requester', review.updates);
+    await recordAudit({
+      actorType: 'requester',
+      actorId: req.user.sub,
+      action: 'open_dispute',
+      targetType: 'build',
+      targetId: buildId,
+      reason,
+      metadata: { acceptance_criteria: summary },
+    });
+    const failedNote = summary.failed > 0
+      ? ` ${summary.failed} of ${summary.total} acceptance criteria were marked as not met.`
+      : '';
+    await notifyDisputeParties(build, {
+      type: 'dispute_opened',
+      title: '⚠️ Dispute opened',
+      message: `The buyer disputed the delivery of "${request.title}".${failedNote} Escrow is on hold — reply in the dispute thread with your side and any evidence.`,
+      metadata: { dispute_reason: reason, acceptance_criteria: summary },
+      exclude: [{ userId: req.user.sub }],
+    });
 
     res.json(mapBuild(updated));
   } catch (e) { next(e); }
 });
 
 /**
- * POST /api/hire/:buildId/resolve-dispute
- * Auth required (admin only). Resolves a disputed build by either refunding the buyer
- * or releasing escrow to the agent.
- * Body: { resolution: 'refund' | 'release' }
+ * POST /api/hire/:buildId/escalate
+ * Auth required. Buyer or assigned agent escalates a dispute to platform arbitration
+ * (disputed → arbitration_pending). From there only an admin can resolve it.
+ * Body: { reason? }
  */
-router.post('/:buildId/resolve-dispute', requireAuth, async (req, res, next) => {
+router.post('/:buildId/escalate', requireAuth, async (req, res, next) => {
   try {
     const { buildId } = req.params;
-    const { resolution } = req.body || {};
-    if (!resolution || !['refund', 'release'].includes(resolution)) {
-      return res.status(400).json({ error: 'resolution must be "refund" or "release"' });
-    }
+    const reason = req.body?.reason != null ? String(req.body.reason).trim() || null : null;
 
     const { data: build, error: buildErr } = await supabase
       .from('builds')
-      .select('id, request_id, agent_id, agent_name, status, escrow_amount, escrow_status')
+      .select('id, request_id, agent_id, sdk_agent_id, agent_name, status, funding_mode')
       .eq('id', buildId).single();
     if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+    if (rejectMilestoneBuild(build, res)) return;
 
-    if (build.status !== 'disputed' || build.escrow_status !== 'disputed_hold') {
-      return res.status(400).json({ error: 'Build is not in a disputed state' });
+    const role = await buildRole(build, req.user.sub);
+    if (role !== 'requester' && role !== 'agent') {
+      return res.status(403).json({ error: 'Only the buyer or the assigned agent can escalate a dispute' });
     }
 
-    // Check: must be admin or request owner
-    const { data: request } = await supabase
-      .from('requests').select('author_id').eq('id', build.request_id).single();
-    const { data: adminUser } = await supabase
-      .from('users').select('is_admin').eq('id', req.user.sub).single();
-    const isOwner = request && request.author_id === req.user.sub;
-    const isAdmin = adminUser?.is_admin === true;
-    if (!isOwner && !isAdmin) {
-      return res.status(403).json({ error: 'Only the request owner or an admin can resolve disputes' });
+    if (!(await canTransition(build.status, 'arbitration_pending', { type: role }))) {
+      return res.status(400).json({ error: `Cannot escalate build in status '${build.status}'` });
     }
 
-    const escrowAmount = Number(build.escrow_amount) || 0;
+    const updated = await escalateDispute({ build, actorType: role, actorId: req.user.sub, reason });
+    res.json(mapBuild(updated));
+  } catch (e) { next(e); }
+});
 
-    if (resolution === 'refund') {
-      const { data: requesterUser } = await supabase
-        .from('users').select('wallet_address').eq('id', request.author_id).single();
+/**
+ * GET /api/hire/:buildId/dispute/messages
+ * Auth required (buyer, assigned agent or admin). The build's dispute thread, oldest first,
+ * with the current response deadline and the acceptance criteria checklist.
+ */
+router.get('/:buildId/dispute/messages', requireAuth, async (req, res, next) => {
+  try {
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, status, dispute_reason, dispute_opened_at, dispute_response_deadline, dispute_response_party')
+      .eq('id', req.params.buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
 
-      let refundTxSig = null;
-      if (escrowAmount > 0 && requesterUser?.wallet_address) {
-        const result = await refundToBuyer(requesterUser.wallet_address, escrowAmount);
-        refundTxSig = result.txSignature;
-      }
+    if (!(await buildRole(build, req.user.sub))) {
+      return res.status(403).json({ error: 'Only the dispute parties or an admin can view this thread' });
+    }
 
-      const { data: updated, error: updateErr } = await supabase
-        .from('builds')
-        .update({ status: 'cancelled', escrow_status: 'refunded', refund_tx_signature: refundTxSig })
-        .eq('id', buildId).select().single();
-      if (updateErr) throw updateErr;
+    res.json({
+      build_id: build.id,
+      status: build.status,
+      dispute_reason: build.dispute_reason || null,
+      dispute_opened_at: build.dispute_opened_at || null,
+      response_deadline: build.dispute_response_deadline || null,
+      response_party: build.dispute_response_party || null,
+      acceptance_criteria: (await listBuildCriteria(build.id)).map(mapCriterion),
+      messages: await listDisputeMessages(build.id),
+    });
+  } catch (e) { next(e); }
+});
 
-      await supabase.from('requests').update({
-        escrow_status: 'refunded', hired_agent_id: null, escrow_amount: null, status: 'Open',
-      }).eq('id', build.request_id);
+/**
+ * POST /api/hire/:buildId/dispute/messages
+ * Auth required (buyer, assigned agent or admin). Adds a message to an open dispute.
+ * Body: { body, evidence_urls? } — evidence_urls: up to 10 http(s) links.
+ */
+router.post('/:buildId/dispute/messages', requireAuth, async (req, res, next) => {
+  try {
+    const { body, evidenceUrls, error: validationError } =
+      normalizeDisputeMessage(req.body?.body, req.body?.evidence_urls);
+    if (validationError) return res.status(400).json({ error: validationError });
 
-      return res.json(mapBuild(updated));
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, agent_name, status, dispute_response_deadline, dispute_response_party')
+      .eq('id', req.params.buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+
+    const role = await buildRole(build, req.user.sub);
+    if (!role) {
+      return res.status(403).json({ error: 'Only the dispute parties or an admin can post to this thread' });
+    }
+    if (!DISPUTE_STATUSES.includes(build.status)) {
+      return res.status(400).json({ error: `Build has no open dispute (status '${build.status}')` });
     }
 
-    // resolution === 'release'
-    let agentWallet = null;
-    if (build.agent_id) {
-      const { data: agent } = await supabase
-        .from('agents').select('owner_wallet').eq('id', build.agent_id).single();
-      agentWallet = agent?.owner_wallet || null;
-    } else {
-      const { data: sdkPitch } = await supabase
-        .from('sdk_pitches').select('sdk_agent_id').eq('request_id', build.request_id).eq('status', 'hired').maybeSingle();
-      if (sdkPitch) {
-        const { data: sdkAgent } = await supabase
-          .from('sdk_agents').select('owner_wallet').eq('id', sdkPitch.sdk_agent_id).single();
-        agentWallet = sdkAgent?.owner_wallet || null;
-      }
+    const message = await postDisputeMessage({ build, role, userId: req.user.sub, body, evidenceUrls });
+    res.status(201).json(message);
+  } catch (e) { next(e); }
+});
+
+/**
+ * POST /api/hire/:buildId/resolve-dispute
+ * Auth required. Resolves a disputed build:
+ *   refund  — full escrow back to the buyer
+ *   release — full escrow to the agent (98/2 split)
+ *   split   — agent_share_pct of escrow to the agent (platform fee on that share only),
+ *             the rest back to the buyer; admin only
+ * The request owner may refund or release while the build is 'disputed'; once escalated
+ * to 'arbitration_pending' only an admin can resolve. Platform resolutions require notes,
+ * which are stored on the build and sent to both parties. The acceptance criteria checklist
+ * (GET /:buildId/dispute/messages) is recorded with the resolution.
+ * Body: { resolution: 'refund' | 'release' | 'split', agent_share_pct?, notes? }
+ */
+router.post('/:buildId/resolve-dispute', requireAuth, async (req, res, next) => {
+  try {
+    const { buildId } = req.params;
+    const { resolution, agentShareBps, notes, error: validationError } = parseDisputeResolution(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, agent_name, status, funding_mode, escrow_amount, escrow_status, resolution')
+      .eq('id', buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+    if (rejectMilestoneBuild(build, res)) return;
+
+    if (!DISPUTE_STATUSES.includes(build.status) || build.escrow_status !== 'disputed_hold') {
+      return res.status(400).json({ error: 'Build is not in a disputed state' });
     }
 
-    let releaseTxSig = null;
-    let agentPayout = 0;
-    let platformFee = 0;
+    const { request, isOwner, isAdmin } = await disputeResolver(build, req.user.sub);
+    const auth = authorizeDisputeResolution({ target: build, resolution, notes, isOwner, isAdmin, userId: req.user.sub });
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { actor } = auth;
+    if (!(await canTransition(build.status, resolution === 'refund' ? 'refunded' : 'accepted', actor))) {
+      return res.status(400).json({ error: `Cannot resolve dispute on build in status '${build.status}'` });
+    }
 
-    if (escrowAmount > 0 && agentWallet) {
-      const result = await releaseToAgent(agentWallet, escrowAmount);
-      releaseTxSig = result.txSignature;
-      agentPayout = result.agentPayout;
-      platformFee = result.platformFee;
-    } else {
-      agentPayout = Math.round(escrowAmount * (10000 - PLATFORM_FEE_BPS)) / 10000;
-      platformFee = escrowAmount - agentPayout;
+    // A retried resolution resumes its transfers without recording it again
+    const firstAttempt = !build.resolution;
+    const resolved = { build, actor, resolution, agentShareBps, notes };
+    if (firstAttempt) {
+      resolved.metadata = { acceptance_criteria: criteriaSummary(await listBuildCriteria(buildId)) };
+      await recordDisputeResolution(resolved);
     }
 
-    const { data: updated, error: updateErr } = await supabase
-      .from('builds')
-      .update({
-        status: 'accepted', escrow_status: 'released',
-        agent_payout: agentPayout, platform_fee: platformFee,
-        release_tx_signature: releaseTxSig,
-      })
-      .eq('id', buildId).select().single();
-    if (updateErr) throw updateErr;
+    let transfers;
+    if (resolution === 'refund') {
+      const buyerWallet = await getWalletForUser(request.author_id);
+      transfers = await refundEscrowToBuyer({ build, buyerWallet, status: 'refunded', actor });
+    } else if (resolution === 'release') {
+      const agentWallet = await resolveAgentWallet(build);
+      transfers = await releaseEscrowToAgent({ build, agentWallet, actor });
+    } else {
+      const [agentWallet, buyerWallet] = await Promise.all([
+        resolveAgentWallet(build),
+        getWalletForUser(request.author_id),
+      ]);
+      transfers = await splitEscrowBetweenParties({ build, agentWallet, buyerWallet, agentShareBps, actor });
+    }
 
-    await supabase.from('requests')
-      .update({ escrow_status: 'released', status: 'Completed' })
-      .eq('id', build.request_id);
+    if (firstAttempt) await announceDisputeResolution({ ...resolved, requestTitle: request.title });
 
-    res.json(mapBuild(updated));
+    await sendTransferResult(res, buildId, transfers);
   } catch (e) { next(e); }
 });
 
 /**
  * POST /api/hire/:buildId/request-revision
  * Auth required. Requester asks for changes on a delivered build.
- * Body: { notes } — required. Buyer's specific feedback for the agent.
+ * Body: { notes, criteria? } — notes: the buyer's specific feedback for the agent.
+ * criteria: acceptance criteria review, as for PATCH /:buildId/acceptance-criteria. The
+ * criteria marked failed are appended to the notes, which may then be left out.
  */
 router.post('/:buildId/request-revision', requireAuth, async (req, res, next) => {
   try {
     const { buildId } = req.params;
-    const { notes } = req.body || {};
-    if (!notes || !notes.trim()) {
-      return res.status(400).json({ error: 'Revision notes are required — describe what you want changed.' });
-    }
+    const rawNotes = req.body?.notes != null ? String(req.body.notes).trim() : '';
+    const review = parseCriteriaUpdates(req.body?.criteria, 'requester');
+    if (review.error) return res.status(400).json({ error: review.error });
 
     const { data: build, error: buildErr } = await supabase
       .from('builds')
-      .select('id, request_id, status, revision_count, agent_id, agent_name')
+      .select('id, request_id, status, funding_mode, revision_count, agent_id, sdk_agent_id, agent_name, resolved_by')
       .eq('id', buildId).single();
     if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+    if (rejectMilestoneBuild(build, res)) return;
 
     const { data: request } = await supabase
       .from('requests').select('author_id, title').eq('id', build.request_id).single();
     if (!request || request.author_id !== req.user.sub) {
       return res.status(403).json({ error: 'You do not own this request' });
     }
+    if (rejectTimeoutClaim(build, res)) return;
 
-    const { data: ok } = await supabase
-      .rpc('validate_build_transition', { p_from: build.status, p_to: 'revision_requested' });
-    if (!ok) {
+    const actor = { type: 'requester', id: req.user.sub };
+    if (!(await canTransition(build.status, 'revision_requested', actor))) {
       return res.status(400).json({ error: `Cannot request revision on build in status '${build.status}'` });
     }
 
+    const checklist = await previewCriteriaUpdates(buildId, 'requester', review.updates);
+    if (checklist.error) return res.status(400).json({ error: checklist.error });
+    const notes = [rawNotes, describeFailedCriteria(checklist.criteria)].filter(Boolean).join('\n\n');
+    if (!notes) {
+      return res.status(400).json({
+        error: 'Revision notes are required — describe what you want changed or mark the acceptance criteria that are not met.',
+      });
+    }
+
     const newRevisionCount = (build.revision_count ?? 0) + 1;
 
-    const { data: updated, error: updateErr } = await supabase
-      .from('builds')
-      .update({
-        status: 'revision_requested',
-        revision_notes: notes.trim(),
+    const updated = await transitionBuild({
+      build,
+      to: 'revision_requested',
+      actor,
+      patch: {
+        revision_notes: notes,
         revision_count: newRevisionCount,
-      })
-      .eq('id', buildId).select().single();
-    if (updateErr) throw updateErr;
-
-    // Notify the agent owner about the revision request + notes
-    if (build.agent_id) {
-      const { data: agent } = await supabase
-        .from('agents')
-        .select('owner_wallet, name')
-        .eq('id', build.agent_id)
-        .single();
-      if (agent?.owner_wallet) {
-        await createNotification({
-          user_wallet: agent.owner_wallet,
-          type: 'revision_requested',
-          title: '✏️ Revision requested',
-          message: `Revision #${newRevisionCount} on "${request.title}": ${notes.trim().slice(0, 120)}${notes.trim().length > 120 ? '…' : ''}`,
-          metadata: {
-            build_id: buildId,
-            request_id: build.request_id,
-            request_title: request.title,
-            revision_count: newRevisionCount,
-            revision_notes: notes.trim(),
-          },
-        });
-      }
+      },
+      event: {
+        notes,
+        metadata: { revision_count: newRevisionCount, acceptance_criteria: criteriaSummary(checklist.criteria) },
+      },
+    });
+    await applyCriteriaUpdates(buildId, 'requester', review.updates);
+
+    if (build.sdk_agent_id) {
+      // Back on the SDK agent's job list until it re-delivers
+      await supabase
+        .from('sdk_pitches')
+        .update({ status: 'hired' })
+        .eq('sdk_agent_id', build.sdk_agent_id)
+        .eq('request_id', build.request_id);
     }
 
+    // Notify the agent owner (internal or SDK) about the revision request + notes
+    await notifyRecipients({ agentOf: build }, {
+      type: 'revision_requested',
+      title: '✏️ Revision requested',
+      message: `Revision #${newRevisionCount} on "${request.title}": ${notes.slice(0, 120)}${notes.length > 120 ? '…' : ''}`,
+      metadata: {
+        build_id: buildId,
+        request_id: build.request_id,
+        request_title: request.title,
+        revision_count: newRevisionCount,
+        revision_notes: notes,
+      },
+    });
+
     res.json(mapBuild(updated));
   } catch (e) { next(e); }
 });
@@ -737,7 +1102,9 @@ router.post('/:buildId/request-revision', requireAuth, async (req, res, next) =>
 /**
  * POST /api/hire/:buildId/deliver
  * Auth required. Agent submits (or re-submits after revision) their delivery.
- * Body: { delivery_url } — required. URL/link to the built app.
+ * Body: { delivery_url, criteria? } — delivery_url required. URL/link to the built app.
+ * criteria: [{ id, met, note? }] — the agent's marks on the acceptance criteria checklist.
+ * Items the buyer failed on the previous delivery go back up for review.
  * Valid from: hired, building, revision_requested → delivered.
  * Notifies the buyer that their app is ready to review.
  */
@@ -748,71 +1115,570 @@ router.post('/:buildId/deliver', requireAuth, async (req, res, next) => {
     if (!delivery_url || !delivery_url.trim()) {
       return res.status(400).json({ error: 'delivery_url is required — provide a link to the delivered app.' });
     }
+    const marks = parseCriteriaUpdates(req.body.criteria, 'agent');
+    if (marks.error) return res.status(400).json({ error: marks.error });
 
     const { data: build, error: buildErr } = await supabase
       .from('builds')
-      .select('id, request_id, status, agent_id, agent_name, revision_count')
+      .select('id, request_id, status, funding_mode, agent_id, sdk_agent_id, agent_name, revision_count, resolved_by')
       .eq('id', buildId).single();
     if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+    if (rejectMilestoneBuild(build, res)) return;
 
-    // Only the agent who owns this build can deliver
-    if (build.agent_id) {
-      const { data: agent } = await supabase
-        .from('agents')
-        .select('owner_id, name')
-        .eq('id', build.agent_id)
-        .single();
-      if (!agent || agent.owner_id !== req.user.sub) {
-        return res.status(403).json({ error: 'Only the assigned agent can mark this build as delivered' });
-      }
+    // Only the agent who owns this build can deliver (internal agent owner or SDK agent owner)
+    if (!(await isAssignedAgent(build, req.user.sub))) {
+      return res.status(403).json({ error: 'Only the assigned agent can mark this build as delivered' });
     }
+    if (rejectTimeoutClaim(build, res)) return;
 
     // State machine check
-    const { data: transitionOk } = await supabase
-      .rpc('validate_build_transition', { p_from: build.status, p_to: 'delivered' });
-    if (!transitionOk) {
+    const actor = { type: 'agent', id: req.user.sub };
+    if (!(await canTransition(build.status, 'delivered', actor))) {
       return res.status(400).json({
         error: `Cannot deliver from status '${build.status}'`,
       });
     }
-
-    const { data: updated, error: updateErr } = await supabase
-      .from('builds')
-      .update({
-        status: 'delivered',
+    const checklist = await markDeliveredCriteria(buildId, marks.updates);
+    if (checklist.error) return res.status(400).json({ error: checklist.error });
+
+    const updated = await transitionBuild({
+      build,
+      to: 'delivered',
+      actor,
+      patch: {
         delivery_url: delivery_url.trim(),
+        delivered_at: new Date().toISOString(),
+        review_reminder_sent_at: null,
         updated_at: new Date().toISOString(),
-      })
-      .eq('id', buildId).select().single();
-    if (updateErr) throw updateErr;
+      },
+      event: {
+        metadata: {
+          delivery_url: delivery_url.trim(),
+          revision_count: build.revision_count ?? 0,
+          acceptance_criteria: criteriaSummary(checklist.criteria),
+        },
+      },
+    });
 
     // Notify the buyer that their app is ready to review
-    const { data: request } = await supabase
-      .from('requests').select('author_id, title').eq('id', build.request_id).single();
-    if (request?.author_id) {
-      const { data: buyer } = await supabase
-        .from('profiles').select('wallet_address').eq('user_id', request.author_id).single();
-      if (buyer?.wallet_address) {
-        const isRevision = build.revision_count > 0;
-        await createNotification({
-          user_wallet: buyer.wallet_address,
-          type: 'build_delivered',
-          title: isRevision ? '✅ Revision delivered — ready for review' : '📦 Your app is ready to review',
-          message: isRevision
-            ? `${build.agent_name || 'The agent'} has addressed your revision #${build.revision_count} on "${request.title}". Review and release payment when happy.`
-            : `${build.agent_name || 'The agent'} has delivered "${request.title}". Review it and release payment when you're satisfied.`,
-          metadata: {
-            build_id: buildId,
-            request_id: build.request_id,
-            request_title: request.title,
-            delivery_url: delivery_url.trim(),
-          },
-        });
-      }
-    }
+    await notifyBuildDelivered(build, { deliveryUrl: delivery_url.trim() });
 
     res.json(mapBuild(updated));
   } catch (e) { next(e); }
 });
 
+/**
+ * GET /api/hire/:buildId/acceptance-criteria
+ * Auth required (buyer, assigned agent or admin). The build's acceptance criteria checklist,
+ * copied from the request at hire: the agent's marks and the buyer's review of each item.
+ */
+router.get('/:buildId/acceptance-criteria', requireAuth, async (req, res, next) => {
+  try {
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, status')
+      .eq('id', req.params.buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+
+    if (!(await buildRole(build, req.user.sub))) {
+      return res.status(403).json({ error: 'Only the buyer, the assigned agent or an admin can view this checklist' });
+    }
+
+    const rows = await listBuildCriteria(build.id);
+    res.json({
+      build_id: build.id,
+      status: build.status,
+      summary: criteriaSummary(rows),
+      criteria: rows.map(mapCriterion),
+    });
+  } catch (e) { next(e); }
+});
+
+/**
+ * PATCH /api/hire/:buildId/acceptance-criteria
+ * Auth required (buyer). Tick off acceptance criteria while reviewing a delivered build.
+ * Body: { criteria: [{ id, status: 'passed' | 'failed' | 'pending', note? }] } — note says
+ * what is missing on a failed item. Failed items are sent back with request-revision.
+ */
+router.patch('/:buildId/acceptance-criteria', requireAuth, async (req, res, next) => {
+  try {
+    const review = parseCriteriaUpdates(req.body?.criteria, 'requester');
+    if (review.error) return res.status(400).json({ error: review.error });
+    if (review.updates.length === 0) return res.status(400).json({ error: 'criteria is required' });
+
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, status')
+      .eq('id', req.params.buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+    if (!(await loadOwnedRequest(res, build, req.user.sub))) return;
+    if (build.status !== 'delivered') {
+      return res.status(400).json({ error: `Acceptance criteria are reviewed once the build is delivered (status '${build.status}')` });
+    }
+
+    const checklist = await applyCriteriaUpdates(build.id, 'requester', review.updates);
+    if (checklist.error) return res.status(400).json({ error: checklist.error });
+    res.json({
+      build_id: build.id,
+      status: build.status,
+      summary: criteriaSummary(checklist.criteria),
+      criteria: checklist.criteria.map(mapCriterion),
+    });
+  } catch (e) { next(e); }
+});
+
+/**
+ * GET /api/hire/:buildId/timeline
+ * Auth required (buyer, assigned agent or admin). Every recorded transition of the build
+ * and its milestones, oldest first: who acted, status before/after, escrow status and
+ * any on-chain signature.
+ */
+router.get('/:buildId/timeline', requireAuth, async (req, res, next) => {
+  try {
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, status, escrow_status')
+      .eq('id', req.params.buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+
+    if (!(await buildRole(build, req.user.sub))) {
+      return res.status(403).json({ error: 'Only the buyer, the assigned agent or an admin can view this timeline' });
+    }
+
+    const events = await listBuildEvents(build.id);
+    res.json({ build_id: build.id, status: build.status, escrow_status: build.escrow_status, events });
+  } catch (e) { next(e); }
+});
+
+/**
+ * GET /api/hire/:buildId/attachments
+ * Auth required (buyer, assigned agent or admin). Files the agent attached to the delivery,
+ * oldest first, each with a short-lived signed download `url`.
+ */
+router.get('/:buildId/attachments', requireAuth, async (req, res, next) => {
+  try {
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, status')
+      .eq('id', req.params.buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+
+    if (!(await buildRole(build, req.user.sub))) {
+      return res.status(403).json({ error: 'Only the buyer, the assigned agent or an admin can view delivery files' });
+    }
+
+    const rows = await listAttachments({ requestId: build.request_id, buildId: build.id });
+    res.set('Cache-Control', 'private, no-store');
+    res.json({ build_id: build.id, attachments: await Promise.all(rows.map(withDownloadUrl)) });
+  } catch (e) { next(e); }
+});
+
+/**
+ * POST /api/hire/:buildId/attachments?filename=app.zip
+ * Auth required (assigned agent). Attach a delivery file (zip, docs…) while the build is
+ * hired, building or revision_requested; deliver as usual afterwards. The raw file is the
+ * request body and Content-Type its type; ATTACHMENT_MAX_MB / ATTACHMENT_TYPES apply (413 / 415).
+ */
+router.post('/:buildId/attachments', requireAuth, readUploadBody, async (req, res, next) => {
+  try {
+    const parsed = parseUpload(req);
+    if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, status')
+      .eq('id', req.params.buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+
+    if (!(await isAssignedAgent(build, req.user.sub))) {
+      return res.status(403).json({ error: 'Only the assigned agent can attach delivery files' });
+    }
+    if (!DELIVERY_UPLOAD_STATUSES.includes(build.status)) {
+      return res.status(409).json({ error: `Cannot attach delivery files while the build is '${build.status}'` });
+    }
+
+    const result = await saveAttachment({
+      requestId: build.request_id,
+      buildId: build.id,
+      upload: parsed.upload,
+      userId: req.user.sub,
+    });
+    if (result.error) return res.status(409).json({ error: result.error });
+    res.status(201).json(await withDownloadUrl(result.attachment));
+  } catch (e) { next(e); }
+});
+
+/**
+ * DELETE /api/hire/:buildId/attachments/:attachmentId
+ * Auth required (assigned agent). Remove a delivery file before (re-)delivering.
+ */
+router.delete('/:buildId/attachments/:attachmentId', requireAuth, async (req, res, next) => {
+  try {
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, status')
+      .eq('id', req.params.buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+
+    if (!(await isAssignedAgent(build, req.user.sub))) {
+      return res.status(403).json({ error: 'Only the assigned agent can remove delivery files' });
+    }
+    if (!DELIVERY_UPLOAD_STATUSES.includes(build.status)) {
+      return res.status(409).json({ error: `Cannot remove delivery files while the build is '${build.status}'` });
+    }
+
+    const row = await getAttachment(req.params.attachmentId, { buildId: build.id });
+    if (!row) return res.status(404).json({ error: 'Attachment not found' });
+    await deleteAttachment(row);
+    res.status(204).send();
+  } catch (e) { next(e); }
+});
+
+/**
+ * GET /api/hire/:buildId/milestones
+ * Auth required (buyer, assigned agent or admin). Milestones of a milestone-funded hire, in order.
+ */
+router.get('/:buildId/milestones', requireAuth, async (req, res, next) => {
+  try {
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id')
+      .eq('id', req.params.buildId).single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+
+    if (!(await buildRole(build, req.user.sub))) {
+      return res.status(403).json({ error: 'Only the buyer, the assigned agent or an admin can view these milestones' });
+    }
+
+    const milestones = await listBuildMilestones(build.id);
+    res.json({ milestones: milestones.map(mapMilestone) });
+  } catch (e) { next(e); }
+});
+
+/**
+ * POST /api/hire/:buildId/milestones/:milestoneId/fund
+ * Auth required. Requester funds the next milestone of a per_milestone hire.
+ * Body: { txSignature } — Solana tx sending the milestone amount to the escrow wallet.
+ */
+router.post('/:buildId/milestones/:milestoneId/fund', requireAuth, async (req, res, next) => {
+  try {
+    const { txSignature } = req.body || {};
+    if (!txSignature) {
+      return res.status(400).json({
+        error: 'txSignature is required',
+        message: 'Send USDC to the escrow wallet first, then pass the transaction signature.',
+      });
+    }
+
+    const loaded = await loadBuildMilestone(req, res);
+    if (!loaded) return;
+    const { build, milestone } = loaded;
+    const request = await loadOwnedRequest(res, build, req.user.sub);
+    if (!request) return;
+
+    if (['accepted', 'cancelled', 'refunded'].includes(build.status)) {
+      return res.status(400).json({ error: `Cannot fund a milestone on a build in status '${build.status}'` });
+    }
+    if (milestone.status !== 'hired' || milestone.escrow_status !== 'pending') {
+      return res.status(400).json({ error: 'Milestone is already funded' });
+    }
+
+    const userWallet = await getWalletForUser(req.user.sub);
+    const { verified, error: verifyErr } = await verifyDeposit(txSignature, userWallet, Number(milestone.amount));
+    if (!verified) {
+      return res.status(400).json({
+        error: 'USDC deposit verification failed',
+        message: verifyErr || 'Could not verify on-chain USDC transfer',
+      });
+    }
+    if (await depositSignatureUsed(txSignature)) {
+      return res.status(400).json({ error: 'Transaction signature already used' });
+    }
+
+    const { data: updated, error: updateErr } = await supabase
+      .from('build_milestones')
+      .update({ escrow_status: 'locked', deposit_tx_signature: txSignature, funded_at: new Date().toISOString() })
+      .eq('id', milestone.id)
+      .eq('escrow_status', 'pending')
+      .select()
+      .maybeSingle();
+    if (updateErr) {
+      if (updateErr.code === '23505') return res.status(400).json({ error: 'Transaction signature already used' });
+      throw updateErr;
+    }
+    if (!updated) return res.status(409).json({ error: 'Milestone was funded concurrently' });
+
+    await recordMilestoneEvent(milestone, updated, {
+      eventType: 'milestone_funded',
+      actorType: 'requester',
+      actorId: req.user.sub,
+      txSignature,
+      metadata: { amount: Number(milestone.amount) },
+    });
+    await refreshFundedEscrow(build);
+
+    await notifyMilestoneAgent(build, milestone, {
+      type: 'milestone_funded',
+      title: '💰 Milestone funded',
+      message: `"${milestone.title}" on "${request.title}" is funded — you can start work on it.`,
+    });
+
+    res.json(mapMilestone(updated));
+  } catch (e) { next(e); }
+});
+
+/**
+ * POST /api/hire/:buildId/milestones/:milestoneId/deliver
+ * Auth required. Agent delivers (or re-delivers after revision) a funded milestone.
+ * Body: { delivery_url } — required.
+ */
+router.post('/:buildId/milestones/:milestoneId/deliver', requireAuth, async (req, res, next) => {
+  try {
+    const { delivery_url } = req.body || {};
+    if (!delivery_url || !delivery_url.trim()) {
+      return res.status(400).json({ error: 'delivery_url is required — provide a link to the delivered milestone.' });
+    }
+
+    const loaded = await loadBuildMilestone(req, res);
+    if (!loaded) return;
+    const { build, milestone } = loaded;
+    if (!(await isAssignedAgent(build, req.user.sub))) {
+      return res.status(403).json({ error: 'Only the assigned agent can deliver this milestone' });
+    }
+    if (rejectTimeoutClaim(milestone, res)) return;
+    if (milestone.escrow_status !== 'locked') {
+      return res.status(400).json({ error: 'Milestone is not funded yet' });
+    }
+
+    if (!(await canTransition(milestone.status, 'delivered', { type: 'agent' }))) {
+      return res.status(400).json({ error: `Cannot deliver milestone from status '${milestone.status}'` });
+    }
+
+    const updated = await deliverMilestone({
+      build,
+      milestone,
+      actor: { type: 'agent', id: req.user.sub },
+      deliveryUrl: delivery_url.trim(),
+      agentName: build.agent_name,
+    });
+
+    res.json(mapMilestone(updated));
+  } catch (e) { next(e); }
+});
+
+/**
+ * POST /api/hire/:buildId/milestones/:milestoneId/accept
+ * Auth required. Requester accepts a delivered milestone; releases its escrow to the
+ * agent (98/2 split) through the payout ledger. The build is accepted with its last milestone.
+ */
+router.post('/:buildId/milestones/:milestoneId/accept', requireAuth, async (req, res, next) => {
+  try {
+    const loaded = await loadBuildMilestone(req, res);
+    if (!loaded) return;
+    const { build, milestone } = loaded;
+    const request = await loadOwnedRequest(res, build, req.user.sub);
+    if (!request) return;
+    if (rejectTimeoutClaim(milestone, res)) return;
+
+    if (!(await canTransition(milestone.status, 'accepted', { type: 'requester' }))) {
+      return res.status(400).json({
+        error: `Cannot accept milestone in status '${milestone.status}'. Milestone must be in 'delivered' state.`,
+      });
+    }
+    if (milestone.escrow_status !== 'locked') {
+      return res.status(400).json({ error: 'Milestone escrow is not locked' });
+    }
+
+    const agentWallet = await resolveAgentWallet(build);
+    const transfer = await releaseMilestoneToAgent({
+      build, milestone, agentWallet, actor: { type: 'requester', id: req.user.sub },
+    });
+
+    if (transfer.finalized_at) {
+      await notifyMilestoneAgent(build, milestone, {
+        type: 'milestone_accepted',
+        title: '✅ Milestone accepted',
+        message: `"${milestone.title}" on "${request.title}" was accepted and its payment released.`,
+      });
+    }
+
+    await sendTransferResult(res, build.id, transfer);
+  } catch (e) { next(e); }
+});
+
+/**
+ * POST /api/hire/:buildId/milestones/:milestoneId/request-revision
+ * Auth required. Requester asks for changes on a delivered milestone.
+ * Body: { notes } — required.
+ */
+router.post('/:buildId/milestones/:milestoneId/request-revision', requireAuth, async (req, res, next) => {
+  try {
+    const { notes } = req.body || {};
+    if (!notes || !notes.trim()) {
+      return res.status(400).json({ error: 'Revision notes are required — describe what you want changed.' });
+    }
+
+    const loaded = await loadBuildMilestone(req, res);
+    if (!loaded) return;
+    const { build, milestone } = loaded;
+    const request = await loadOwnedRequest(res, build, req.user.sub);
+    if (!request) return;
+    if (rejectTimeoutClaim(milestone, res)) return;
+
+    if (!(await canTransition(milestone.status, 'revision_requested', { type: 'requester' }))) {
+      return res.status(400).json({ error: `Cannot request revision on milestone in status '${milestone.status}'` });
+    }
+
+    const newRevisionCount = (milestone.revision_count ?? 0) + 1;
+    const updated = await transitionMilestone({
+      milestone,
+      to: 'revision_requested',
+      actor: { type: 'requester', id: req.user.sub },
+      patch: { revision_notes: notes.trim(), revision_count: newRevisionCount },
+      event: { notes: notes.trim(), metadata: { revision_count: newRevisionCount } },
+    });
+
+    await notifyMilestoneAgent(build, milestone, {
+      type: 'revision_requested',
+      title: '✏️ Milestone revision requested',
+      message: `Revision #${newRevisionCount} on "${milestone.title}" (${request.title}): ${notes.trim().slice(0, 120)}${notes.trim().length > 120 ? '…' : ''}`,
+    });
+
+    res.json(mapMilestone(updated));
+  } catch (e) { next(e); }
+});
+
+/**
+ * POST /api/hire/:buildId/milestones/:milestoneId/dispute
+ * Auth required. Requester disputes a delivered milestone; freezes its escrow.
+ * Body: { reason } — required.
+ */
+router.post('/:buildId/milestones/:milestoneId/dispute', requireAuth, async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason) return res.status(400).json({ error: 'Dispute reason is required' });
+
+    const loaded = await loadBuildMilestone(req, res);
+    if (!loaded) return;
+    const { build, milestone } = loaded;
+    const request = await loadOwnedRequest(res, build, req.user.sub);
+    if (!request) return;
+
+    if (rejectTimeoutClaim(milestone, res)) return;
+
+    if (!(await canTransition(milestone.status, 'disputed', { type: 'requester' }))) {
+      return res.status(400).json({ error: `Cannot raise dispute on milestone in status '${milestone.status}'` });
+    }
+
+    const updated = await transitionMilestone({
+      milestone,
+      to: 'disputed',
+      actor: { type: 'requester', id: req.user.sub },
+      patch: {
+        escrow_status: 'disputed_hold',
+        dispute_reason: reason,
+        dispute_opened_at: new Date().toISOString(),
+      },
+      event: { type: 'milestone_dispute_opened', notes: reason },
+    });
+    await notifyMilestoneAgent(build, milestone, {
+      type: 'milestone_disputed',
+      title: '⚠️ Milestone disputed',
+      message: `The buyer disputed "${milestone.title}" on "${request.title}". Its payment is on hold until the dispute is resolved.`,
+    });
+
+    res.json(mapMilestone(updated));
+  } catch (e) { next(e); }
+});
+
+/**
+ * POST /api/hire/:buildId/milestones/:milestoneId/escalate
+ * Auth required. Buyer or assigned agent escalates a milestone dispute to platform
+ * arbitration (disputed → arbitration_pending). From there only an admin can resolve it.
+ * Body: { reason? }
+ */
+router.post('/:buildId/milestones/:milestoneId/escalate', requireAuth, async (req, res, next) => {
+  try {
+    const reason = req.body?.reason != null ? String(req.body.reason).trim() || null : null;
+
+    const loaded = await loadBuildMilestone(req, res);
+    if (!loaded) return;
+    const { build, milestone } = loaded;
+
+    const role = await buildRole(build, req.user.sub);
+    if (role !== 'requester' && role !== 'agent') {
+      return res.status(403).json({ error: 'Only the buyer or the assigned agent can escalate a dispute' });
+    }
+
+    if (!(await canTransition(milestone.status, 'arbitration_pending', { type: role }))) {
+      return res.status(400).json({ error: `Cannot escalate milestone in status '${milestone.status}'` });
+    }
+
+    const updated = await escalateDispute({ build, milestone, actorType: role, actorId: req.user.sub, reason });
+    res.json(mapMilestone(updated));
+  } catch (e) { next(e); }
+});
+
+/**
+ * POST /api/hire/:buildId/milestones/:milestoneId/resolve-dispute
+ * Auth required. Resolves a disputed milestone like /:buildId/resolve-dispute resolves a
+ * build, with the milestone amount as the escrow: refund, release or (admin only) split.
+ * The request owner may refund or release while the milestone is 'disputed'; once
+ * escalated only an admin can resolve it. Platform resolutions require notes.
+ * Body: { resolution: 'refund' | 'release' | 'split', agent_share_pct?, notes? }
+ */
+router.post('/:buildId/milestones/:milestoneId/resolve-dispute', requireAuth, async (req, res, next) => {
+  try {
+    const { resolution, agentShareBps, notes, error: validationError } = parseDisputeResolution(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const loaded = await loadBuildMilestone(req, res);
+    if (!loaded) return;
+    const { build, milestone } = loaded;
+    if (!DISPUTE_STATUSES.includes(milestone.status) || milestone.escrow_status !== 'disputed_hold') {
+      return res.status(400).json({ error: 'Milestone is not in a disputed state' });
+    }
+
+    const { request, isOwner, isAdmin } = await disputeResolver(build, req.user.sub);
+    const auth = authorizeDisputeResolution({ target: milestone, resolution, notes, isOwner, isAdmin, userId: req.user.sub });
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { actor } = auth;
+    if (!(await canTransition(milestone.status, resolution === 'refund' ? 'refunded' : 'accepted', actor))) {
+      return res.status(400).json({ error: `Cannot resolve dispute on milestone in status '${milestone.status}'` });
+    }
+
+    // A retried resolution resumes its transfers without recording it again
+    const firstAttempt = !milestone.resolution;
+    const resolved = {
+      build,
+      milestone,
+      actor,
+      resolution,
+      agentShareBps,
+      notes,
+      metadata: { milestone_title: milestone.title },
+    };
+    if (firstAttempt) await recordDisputeResolution(resolved);
+
+    let transfers;
+    if (resolution === 'refund') {
+      const buyerWallet = await getWalletForUser(request.author_id);
+      transfers = await refundMilestoneToBuyer({ build, milestone, buyerWallet, actor, status: 'refunded' });
+    } else if (resolution === 'release') {
+      const agentWallet = await resolveAgentWallet(build);
+      transfers = await releaseMilestoneToAgent({ build, milestone, agentWallet, actor });
+    } else {
+      const [agentWallet, buyerWallet] = await Promise.all([
+        resolveAgentWallet(build),
+        getWalletForUser(request.author_id),
+      ]);
+      transfers = await splitEscrowBetweenParties({ build, milestone, agentWallet, buyerWallet, agentShareBps, actor });
+    }
+
+    if (firstAttempt) await announceDisputeResolution({ ...resolved, requestTitle: request.title });
+
+    await sendTransferResult(res, build.id, transfers);
+  } catch (e) { next(e); }
+});
+
 export const hireRouter = router;
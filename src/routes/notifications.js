@@ -1,8 +1,26 @@
 import { Router } from 'express';
 import { supabase } from '../lib/supabase.js';
 import { requireAuth } from '../middleware/auth.js';
+import { afterCursor, decodeCursor, pageQuery, paginate } from '../lib/cursor.js';
+import { isMailConfigured } from '../lib/mailer.js';
+import { isTelegramConfigured } from '../lib/notificationChannels.js';
+import {
+  loadNotificationSettings,
+  parseNotificationSettingsPatch,
+  saveNotificationSettings,
+} from '../lib/notificationPreferences.js';
+import {
+  STREAM_PAGE_SIZE,
+  latestStreamEventId,
+  listStreamEvents,
+  watchWallet,
+} from '../services/notificationStream.js';
 
 const router = Router();
+const STREAM_POLL_MS = 15 * 1000;      // catch events stored by other instances
+const STREAM_RETRY_MS = 5000;          // EventSource reconnect delay
+const MAX_BULK_IDS = 200;
+const MAX_TYPE_FILTERS = 20;
 
 // All notification routes require a valid JWT.
 // Wallet scoping: req.user.wallet_address must match the :wallet param.
@@ -14,9 +32,114 @@ function requireWalletMatch(req, res, next) {
   next();
 }
 
+// EventSource cannot send headers: accept the JWT as ?access_token= on the stream only.
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+/**
+ * GET /api/notifications/stream
+ * Server-Sent Events for the signed-in wallet: `notification` (new notifications rows),
+ * `build_status` (builds you are party to) and `pitch` (new pitches on your requests).
+ * Each event has an id; on reconnect the browser sends it back as Last-Event-ID (or pass
+ * ?lastEventId=) and everything after it is replayed first.
+ * Auth: Bearer JWT, or ?access_token= for EventSource.
+ */
+router.get('/stream', tokenFromQuery, requireAuth, async (req, res, next) => {
+  try {
+    const wallet = req.user.wallet_address;
+    if (!wallet) return res.status(400).json({ error: 'No wallet linked to this account' });
+
+    const resumeFrom = Number(req.get('Last-Event-ID') ?? req.query.lastEventId);
+    let lastId = Number.isInteger(resumeFrom) && resumeFrom >= 0
+      ? resumeFrom
+      : await latestStreamEventId(wallet);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    // One flush at a time, always in id order; a wake-up during a flush queues another
+    let closed = false;
+    let flushing = false;
+    let pending = false;
+    const flush = async () => {
+      if (closed) return;
+      if (flushing) {
+        pending = true;
+        return;
+      }
+      flushing = true;
+      try {
+        do {
+          pending = false;
+          const rows = await listStreamEvents(wallet, lastId);
+          for (const row of rows) {
+            if (closed) return;
+            res.write(`id: ${row.id}\nevent: ${row.type}\ndata: ${JSON.stringify(row.data)}\n\n`);
+            lastId = row.id;
+          }
+          if (rows.length === STREAM_PAGE_SIZE) pending = true; // page through a long replay
+        } while (pending && !closed);
+      } catch (err) {
+        console.error('[notifications] stream flush error:', err.message);
+      } finally {
+        flushing = false;
+      }
+    };
+
+    const stopWatching = watchWallet(wallet, flush);
+    const poll = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+      flush();
+    }, STREAM_POLL_MS);
+    req.on('close', () => {
+      closed = true;
+      clearInterval(poll);
+      stopWatching();
+    });
+
+    await flush();
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    next(err);
+  }
+});
+
+/**
+ * Bulk body: { ids: [...] } or { all_read: true } (every read notification).
+ */
+function parseBulkSelection(body) {
+  if (body?.all_read === true) return { allRead: true };
+  const ids = body?.ids;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS || !ids.every((id) => typeof id === 'string' && id)) {
+    return { error: `Provide ids (1-${MAX_BULK_IDS} notification ids) or all_read: true` };
+  }
+  return { ids: [...new Set(ids)] };
+}
+
+function scopeToSelection(query, wallet, selection) {
+  query = query.eq('user_wallet', wallet);
+  return selection.allRead ? query.eq('read', true) : query.in('id', selection.ids);
+}
+
 /**
  * GET /api/notifications/:wallet
- * Returns all notifications for a wallet address, newest first.
+ * Notifications for a wallet, newest first, a page at a time.
+ * Query: limit (default 50, max 100), cursor (next_cursor from the previous page),
+ * type (comma-separated), unread=true, archived=true (only archived) | all (default: not archived).
+ * Returns { notifications, next_cursor } — next_cursor is null on the last page.
+ * Grouped rows (group_count > 1) stand for several notifications of the same kind. Rows are
+ * ordered by created_at, which never changes; a group's last_activity_at is when it last took
+ * a notification (the stream re-sends the row then).
  * Auth: Bearer JWT required; wallet must match token.
  */
 router.get('/:wallet', requireAuth, requireWalletMatch, async (req, res, next) => {
@@ -24,15 +147,105 @@ router.get('/:wallet', requireAuth, requireWalletMatch, async (req, res, next) =
     const { wallet } = req.params;
     const limit = Math.min(parseInt(req.query.limit) || 50, 100);
 
-    const { data, error } = await supabase
+    let query = supabase
       .from('notifications')
       .select('*')
-      .eq('user_wallet', wallet)
-      .order('created_at', { ascending: false })
-      .limit(limit);
+      .eq('user_wallet', wallet);
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ error: 'Invalid cursor' });
+      query = afterCursor(query, cursor);
+    }
+    if (req.query.type) {
+      const types = String(req.query.type).split(',').map((t) => t.trim()).filter(Boolean);
+      if (types.length > MAX_TYPE_FILTERS) return res.status(400).json({ error: `At most ${MAX_TYPE_FILTERS} types` });
+      if (types.length > 0) query = query.in('type', types);
+    }
+    if (req.query.unread === 'true') query = query.eq('read', false);
+    if (req.query.archived === 'true') query = query.not('archived_at', 'is', null);
+    else if (req.query.archived !== 'all') query = query.is('archived_at', null);
+
+    const { data, error } = await pageQuery(query, limit);
+
+    if (error) throw error;
+    const { page, nextCursor } = paginate(data, limit);
+    res.json({ notifications: page, next_cursor: nextCursor });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/notifications/:wallet/archive
+ * Body: { ids } or { all_read: true }. Archived notifications leave the default list and
+ * the unread count. Returns { archived } (how many changed).
+ * Auth: Bearer JWT required; wallet must match token.
+ */
+router.post('/:wallet/archive', requireAuth, requireWalletMatch, async (req, res, next) => {
+  try {
+    const selection = parseBulkSelection(req.body);
+    if (selection.error) return res.status(400).json({ error: selection.error });
+
+    const { data, error } = await scopeToSelection(
+      supabase.from('notifications').update({ archived_at: new Date().toISOString() }),
+      req.params.wallet,
+      selection,
+    )
+      .is('archived_at', null)
+      .select('id');
 
     if (error) throw error;
-    res.json({ notifications: data || [] });
+    res.json({ archived: data?.length ?? 0 });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/notifications/:wallet/unarchive
+ * Body: { ids }. Restored rows no longer take new notifications into their group.
+ * Returns { unarchived }.
+ * Auth: Bearer JWT required; wallet must match token.
+ */
+router.post('/:wallet/unarchive', requireAuth, requireWalletMatch, async (req, res, next) => {
+  try {
+    const selection = parseBulkSelection(req.body);
+    if (selection.error || selection.allRead) return res.status(400).json({ error: `Provide ids (1-${MAX_BULK_IDS} notification ids)` });
+
+    const { data, error } = await scopeToSelection(
+      supabase.from('notifications').update({ archived_at: null, group_key: null }),
+      req.params.wallet,
+      selection,
+    )
+      .not('archived_at', 'is', null)
+      .select('id');
+
+    if (error) throw error;
+    res.json({ unarchived: data?.length ?? 0 });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/notifications/:wallet/delete
+ * Body: { ids } or { all_read: true }. Deletes permanently. Returns { deleted }.
+ * Auth: Bearer JWT required; wallet must match token.
+ */
+router.post('/:wallet/delete', requireAuth, requireWalletMatch, async (req, res, next) => {
+  try {
+    const selection = parseBulkSelection(req.body);
+    if (selection.error) return res.status(400).json({ error: selection.error });
+
+    const { data, error } = await scopeToSelection(
+      supabase.from('notifications').delete(),
+      req.params.wallet,
+      selection,
+    ).select('id');
+
+    if (error) throw error;
+    res.json({ deleted: data?.length ?? 0 });
   } catch (err) {
     next(err);
   }
@@ -40,7 +253,7 @@ router.get('/:wallet', requireAuth, requireWalletMatch, async (req, res, next) =
 
 /**
  * GET /api/notifications/:wallet/unread-count
- * Returns just the unread count — lightweight for polling.
+ * Returns just the unread count (archived excluded) — lightweight for polling.
  * Auth: Bearer JWT required; wallet must match token.
  */
 router.get('/:wallet/unread-count', requireAuth, requireWalletMatch, async (req, res, next) => {
@@ -51,7 +264,8 @@ router.get('/:wallet/unread-count', requireAuth, requireWalletMatch, async (req,
       .from('notifications')
       .select('*', { count: 'exact', head: true })
       .eq('user_wallet', wallet)
-      .eq('read', false);
+      .eq('read', false)
+      .is('archived_at', null);
 
     if (error) throw error;
     res.json({ count: count || 0 });
@@ -60,6 +274,49 @@ router.get('/:wallet/unread-count', requireAuth, requireWalletMatch, async (req,
   }
 });
 
+async function sendNotificationSettings(res, wallet) {
+  const settings = await loadNotificationSettings(wallet);
+  res.json({
+    ...settings,
+    available: { email: isMailConfigured(), telegram: isTelegramConfigured() },
+  });
+}
+
+/**
+ * GET /api/notifications/:wallet/preferences
+ * Delivery channels (email, chat_webhook_url, telegram_chat_id), default preferences and
+ * per-type overrides. Each preference is { in_app, email, chat, digest: off|daily|weekly };
+ * types without an override use the defaults. `available` says which channels the
+ * platform can currently send on.
+ * Auth: Bearer JWT required; wallet must match token.
+ */
+router.get('/:wallet/preferences', requireAuth, requireWalletMatch, async (req, res, next) => {
+  try {
+    await sendNotificationSettings(res, req.params.wallet);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/notifications/:wallet/preferences
+ * Body: { channels?, defaults?, types?: { [type]: { in_app?, email?, chat?, digest? } | null } }
+ * Only the fields sent change; `null` for a type removes its override. Returns the same
+ * shape as GET.
+ * Auth: Bearer JWT required; wallet must match token.
+ */
+router.patch('/:wallet/preferences', requireAuth, requireWalletMatch, async (req, res, next) => {
+  try {
+    const { value, error } = parseNotificationSettingsPatch(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    await saveNotificationSettings(req.params.wallet, value);
+    await sendNotificationSettings(res, req.params.wallet);
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * PATCH /api/notifications/:id/read
  * Mark a single notification as read.
@@ -95,6 +352,34 @@ router.patch('/:id/read', requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * DELETE /api/notifications/:id
+ * Delete a single notification.
+ * Auth: Bearer JWT required; only the notification's owner can delete it.
+ */
+router.delete('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: fetchErr } = await supabase
+      .from('notifications')
+      .select('id, user_wallet')
+      .eq('id', id)
+      .single();
+
+    if (fetchErr || !existing) return res.status(404).json({ error: 'Notification not found' });
+    if (existing.user_wallet !== req.user.wallet_address) {
+      return res.status(403).json({ error: 'Forbidden', message: 'You can only delete your own notifications' });
+    }
+
+    const { error } = await supabase.from('notifications').delete().eq('id', id);
+    if (error) throw error;
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * PATCH /api/notifications/:wallet/read-all
  * Mark all notifications for a wallet as read.
@@ -1,7 +1,10 @@
 import { Router } from 'express';
 import { supabase } from '../lib/supabase.js';
 import { requireAuth } from '../middleware/auth.js';
-import { createNotification, getWalletForUser } from '../lib/notify.js';
+import { notifyRecipients } from '../lib/notify.js';
+import { normalizeMilestones } from '../services/milestones.js';
+import { publishPitchCreated } from '../services/eventBus.js';
+import { agentCanAccess } from '../services/requestVisibility.js';
 
 const router = Router();
 
@@ -26,6 +29,7 @@ router.get('/', async (req, res, next) => {
         message,
         estimated_time,
         price,
+        milestones,
         created_at,
         agents:agent_id ( id, name, tier, rating )
       `)
@@ -58,6 +62,7 @@ router.get('/', async (req, res, next) => {
       message: p.message || '',
       estimatedTime: p.estimated_time || '—',
       price: Number(p.price) || 0,
+      milestones: p.milestones || [],
       portfolioPreview: (portfolioByAgent[p.agent_id] || []).slice(0, 3),
       createdAt: new Date(p.created_at).getTime(),
     }));
@@ -71,20 +76,23 @@ router.get('/', async (req, res, next) => {
 /**
  * POST /api/pitches
  * Create a pitch for a request. Requires auth (agent or human posting on behalf).
- * Body: { request_id, agent_id, message, estimated_time, price }
+ * Body: { request_id, agent_id, message, estimated_time, price, milestones? }
+ * milestones: optional [{ title, amount, due_date? }]; amounts must add up to price.
  */
 router.post('/', requireAuth, async (req, res, next) => {
   try {
-    const { request_id, agent_id, message, estimated_time, price } = req.body || {};
+    const { request_id, agent_id, message, estimated_time, price, milestones } = req.body || {};
     if (!request_id) return res.status(400).json({ error: 'request_id is required' });
     if (!agent_id) return res.status(400).json({ error: 'agent_id is required' });
     if (!message || typeof message !== 'string' || message.trim().length < 10) {
       return res.status(400).json({ error: 'message is required (min 10 characters)' });
     }
+    const proposal = normalizeMilestones(milestones, price);
+    if (proposal.error) return res.status(400).json({ error: proposal.error });
 
     const { data: requestRow, error: reqErr } = await supabase
       .from('requests')
-      .select('id, title, status, author_id')
+      .select('id, title, status, author_id, visibility')
       .eq('id', request_id)
       .single();
 
@@ -104,6 +112,9 @@ router.post('/', requireAuth, async (req, res, next) => {
     if (agentErr || !agentRow) {
       return res.status(404).json({ error: 'Agent not found' });
     }
+    if (!(await agentCanAccess(requestRow, { agentId: agent_id }))) {
+      return res.status(403).json({ error: 'This request is invite-only' });
+    }
 
     const payload = {
       request_id,
@@ -111,7 +122,8 @@ router.post('/', requireAuth, async (req, res, next) => {
       author_id: req.user.sub,
       message: message.trim(),
       estimated_time: estimated_time || null,
-      price: price != null ? Number(price) : null,
+      price: proposal.price,
+      milestones: proposal.milestones,
     };
 
     const { data: row, error } = await supabase
@@ -124,28 +136,33 @@ router.post('/', requireAuth, async (req, res, next) => {
         message,
         estimated_time,
         price,
+        milestones,
         created_at,
         agents:agent_id ( name, tier, rating )
       `)
       .single();
 
     if (error) throw error;
+    await publishPitchCreated({
+      pitchId: row.id,
+      requestId: row.request_id,
+      agentId: row.agent_id,
+      agentName: row.agents?.name ?? null,
+      price: row.price,
+      estimatedTime: row.estimated_time,
+    });
 
     // Notify the request owner about the new pitch
-    const ownerWallet = await getWalletForUser(requestRow.author_id);
-    if (ownerWallet) {
-      const { count: pitchCount } = await supabase
-        .from('pitches')
-        .select('*', { count: 'exact', head: true })
-        .eq('request_id', request_id);
-      await createNotification({
-        user_wallet: ownerWallet,
-        type: 'pitch_update',
-        title: '💬 New pitch on your request',
-        message: `${row.agents?.name || 'An agent'} pitched on "${requestRow.title}" — ${pitchCount || 1} agent${(pitchCount || 1) !== 1 ? 's' : ''} interested`,
-        metadata: { request_id, request_title: requestRow.title, agent_id, agent_name: row.agents?.name, pitch_count: pitchCount || 1 },
-      });
-    }
+    const { count: pitchCount } = await supabase
+      .from('pitches')
+      .select('*', { count: 'exact', head: true })
+      .eq('request_id', request_id);
+    await notifyRecipients({ buyerOf: requestRow }, {
+      type: 'pitch_update',
+      title: '💬 New pitch on your request',
+      message: `${row.agents?.name || 'An agent'} pitched on "${requestRow.title}" — ${pitchCount || 1} agent${(pitchCount || 1) !== 1 ? 's' : ''} interested`,
+      metadata: { request_id, request_title: requestRow.title, agent_id, agent_name: row.agents?.name, pitch_count: pitchCount || 1 },
+    });
 
     res.status(201).json({
       id: row.id,
@@ -157,6 +174,7 @@ router.post('/', requireAuth, async (req, res, next) => {
       message: row.message,
       estimatedTime: row.estimated_time || '—',
       price: Number(row.price) || 0,
+      milestones: row.milestones || [],
       portfolioPreview: [],
       createdAt: new Date(row.created_at).getTime(),
     });
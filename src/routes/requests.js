@@ -1,19 +1,77 @@
 import { Router } from 'express';
 import { supabase } from '../lib/supabase.js';
 import { optionalAuth, requireAuth } from '../middleware/auth.js';
+import {
+  EDITABLE_STATUSES,
+  REQUEST_STATUSES,
+  announceRequest,
+  editRequest,
+  parseRequestEdits,
+  resolveExpiresAt,
+  transitionRequest,
+} from '../services/requestLifecycle.js';
+import {
+  QUESTION_VISIBILITIES,
+  answerQuestion,
+  askQuestion,
+  listRequestQuestions,
+  normalizeQuestionText,
+} from '../services/requestQuestions.js';
+import {
+  REQUEST_VISIBILITIES,
+  agentCanAccess,
+  invitedRequestIds,
+  inviteAgents,
+  mapRequestInvite,
+  parseInviteTargets,
+  userCanView,
+} from '../services/requestVisibility.js';
+import {
+  deleteAttachment,
+  getAttachment,
+  listAttachments,
+  parseUpload,
+  readUploadBody,
+  saveAttachment,
+  withDownloadUrl,
+} from '../services/attachments.js';
+import { categorySubtree, loadTaxonomy, normalizeCategories } from '../services/categories.js';
+import { normalizeAcceptanceCriteria } from '../services/acceptanceCriteria.js';
 
 const router = Router();
 
+/**
+ * Internal agents (owner_id) and SDK agents (owner_wallet) the signed-in user owns.
+ */
+async function loadOwnedAgents(user) {
+  const [{ data: agents }, { data: sdkAgents }] = await Promise.all([
+    supabase.from('agents').select('id').eq('owner_id', user.sub),
+    user.wallet_address
+      ? supabase.from('sdk_agents').select('id').eq('owner_wallet', user.wallet_address)
+      : Promise.resolve({ data: [] }),
+  ]);
+  return {
+    agentIds: (agents || []).map((a) => a.id),
+    sdkAgentIds: (sdkAgents || []).map((a) => a.id),
+  };
+}
+
 // Apply optional auth so we can attach author info when logged in
 router.use(optionalAuth);
 
 /**
  * GET /api/requests
  * List requests (with optional status/category filters). Returns shape matching frontend.
+ * Only public requests are listed, and no drafts. status=Draft lists the caller's own drafts;
+ * invited=true lists the requests the caller's agents were invited to (auth required for both).
+ * category matches that category and its subcategories (name, slug or alias).
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { status, category, limit = 100, offset = 0 } = req.query;
+    const { status, category, invited, limit = 100, offset = 0 } = req.query;
+    if ((status === 'Draft' || invited === 'true') && !req.user) {
+      return res.status(401).json({ error: 'Sign in to list your drafts or invitations' });
+    }
     let q = supabase
       .from('requests')
       .select(`
@@ -24,16 +82,29 @@ router.get('/', async (req, res, next) => {
         budget,
         timeline,
         status,
+        visibility,
         attachment,
         author_id,
+        expires_at,
         created_at,
         users:author_id ( wallet_address )
       `, { count: 'exact' })
       .order('created_at', { ascending: false })
       .range(Number(offset), Number(offset) + Number(limit) - 1);
 
-    if (status) q = q.eq('status', status);
-    if (category) q = q.contains('categories', [category]);
+    if (status === 'Draft') {
+      q = q.eq('status', 'Draft').eq('author_id', req.user.sub);
+    } else {
+      q = status ? q.eq('status', status) : q.neq('status', 'Draft');
+      if (invited === 'true') {
+        const ids = await invitedRequestIds(await loadOwnedAgents(req.user));
+        if (ids.length === 0) return res.json({ requests: [], total: 0 });
+        q = q.in('id', ids);
+      } else {
+        q = q.eq('visibility', 'public');
+      }
+    }
+    if (category) q = q.overlaps('categories', categorySubtree(await loadTaxonomy(), category));
 
     const { data: rows, error, count } = await q;
     if (error) throw error;
@@ -56,16 +127,19 @@ router.get('/', async (req, res, next) => {
       budget: r.budget,
       timeline: r.timeline,
       status: r.status,
+      visibility: r.visibility,
       pitches: countByRequest[r.id] ?? 0,
       author: r.users?.wallet_address
         ? `${r.users.wallet_address.slice(0, 6)}...${r.users.wallet_address.slice(-4)}`
         : 'anonymous',
       author_wallet: r.users?.wallet_address ?? null,
       createdAt: new Date(r.created_at).getTime(),
+      expiresAt: r.expires_at ? new Date(r.expires_at).getTime() : null,
       attachment: r.attachment,
     }));
 
-    res.set('Cache-Control', 'public, s-maxage=10, stale-while-revalidate=30');
+    if (status === 'Draft' || invited === 'true') res.set('Cache-Control', 'private, no-store');
+    else res.set('Cache-Control', 'public, s-maxage=10, stale-while-revalidate=30');
     res.json({ requests: data, total: data.length });
   } catch (e) {
     next(e);
@@ -74,7 +148,8 @@ router.get('/', async (req, res, next) => {
 
 /**
  * GET /api/requests/:id
- * Single request by id. Returns same shape as list item.
+ * Single request by id. Returns same shape as list item. Drafts are only visible to their
+ * author, invite-only requests to their author and the owners of invited agents.
  */
 router.get('/:id', async (req, res, next) => {
   try {
@@ -89,8 +164,14 @@ router.get('/:id', async (req, res, next) => {
         budget,
         timeline,
         status,
+        visibility,
         attachment,
+        acceptance_criteria,
         author_id,
+        expires_at,
+        cancelled_at,
+        cancel_reason,
+        edited_at,
         created_at,
         users:author_id ( wallet_address )
       `)
@@ -101,6 +182,12 @@ router.get('/:id', async (req, res, next) => {
       if (error.code === 'PGRST116') return res.status(404).json({ error: 'Request not found' });
       throw error;
     }
+    if (row.status === 'Draft' && row.author_id !== req.user?.sub) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    if (!(await userCanView(row, req.user, loadOwnedAgents))) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
 
     const { count } = await supabase
       .from('pitches')
@@ -116,6 +203,7 @@ router.get('/:id', async (req, res, next) => {
       budget: row.budget,
       timeline: row.timeline,
       status: row.status,
+      visibility: row.visibility,
       pitches: count ?? 0,
       author_id: row.author_id,
       author_wallet: authorWallet,
@@ -123,7 +211,12 @@ router.get('/:id', async (req, res, next) => {
         ? `${authorWallet.slice(0, 6)}...${authorWallet.slice(-4)}`
         : 'anonymous',
       createdAt: new Date(row.created_at).getTime(),
+      expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null,
+      cancelledAt: row.cancelled_at ? new Date(row.cancelled_at).getTime() : null,
+      cancelReason: row.cancel_reason ?? null,
+      editedAt: row.edited_at ? new Date(row.edited_at).getTime() : null,
       attachment: row.attachment,
+      acceptanceCriteria: row.acceptance_criteria || [],
     };
 
     res.json(request);
@@ -135,33 +228,61 @@ router.get('/:id', async (req, res, next) => {
 /**
  * POST /api/requests
  * Create a request. Requires auth.
+ * Body: { title, description, categories?, budget?, timeline?, attachment?, acceptance_criteria?, draft?, expires_at?, visibility? }
+ * draft: true saves it as a Draft (publish later with PATCH status=Open). Published requests
+ * expire at expires_at (default REQUEST_EXPIRY_DAYS from now) unless an agent is hired.
+ * visibility: public (default), unlisted or invite_only (invite agents with POST /:id/invites).
+ * categories: names, slugs or aliases from GET /api/categories; stored as slugs (400 if unknown).
+ * acceptance_criteria: checklist items (strings, max 20) copied onto the build when hiring.
  */
 router.post('/', requireAuth, async (req, res, next) => {
   try {
-    const { title, description, categories, budget, timeline, attachment } = req.body || {};
+    const {
+      title, description, categories, budget, timeline, attachment, acceptance_criteria, draft, expires_at, visibility = 'public',
+    } = req.body || {};
     if (!title || typeof title !== 'string' || title.trim().length < 3) {
       return res.status(400).json({ error: 'title is required (min 3 characters)' });
     }
     if (!description || typeof description !== 'string' || description.trim().length < 10) {
       return res.status(400).json({ error: 'description is required (min 10 characters)' });
     }
+    if (!REQUEST_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: 'visibility must be one of: ' + REQUEST_VISIBILITIES.join(', ') });
+    }
+    if (draft !== undefined && typeof draft !== 'boolean') {
+      return res.status(400).json({ error: 'draft must be a boolean' });
+    }
+    const cats = await normalizeCategories(categories);
+    if (cats.error) return res.status(400).json({ error: cats.error });
+    const checklist = normalizeAcceptanceCriteria(acceptance_criteria);
+    if (checklist.error) return res.status(400).json({ error: checklist.error });
+    let expiresAt = null;
+    if (!draft) {
+      const expiry = resolveExpiresAt(expires_at);
+      if (expiry.error) return res.status(400).json({ error: expiry.error });
+      expiresAt = expiry.expiresAt;
+    }
 
     console.log('[POST /api/requests] user:', req.user);
     const payload = {
       author_id: req.user.sub,
       title: title.trim(),
       description: description.trim(),
-      categories: Array.isArray(categories) ? categories : [categories].filter(Boolean),
+      categories: cats.categories,
       budget: budget != null ? Number(budget) : null,
       timeline: timeline || null,
-      status: 'Open',
+      status: draft ? 'Draft' : 'Open',
+      visibility,
       attachment: attachment || null,
+      acceptance_criteria: checklist.criteria,
+      expires_at: expiresAt,
+      published_at: draft ? null : new Date().toISOString(),
     };
 
     const { data: row, error } = await supabase
       .from('requests')
       .insert(payload)
-      .select('id, title, description, categories, budget, timeline, status, created_at, author_id')
+      .select('id, title, description, categories, budget, timeline, status, visibility, attachment, acceptance_criteria, expires_at, created_at, author_id')
       .single();
 
     if (error) {
@@ -169,6 +290,7 @@ router.post('/', requireAuth, async (req, res, next) => {
       throw error;
     }
     console.log('[POST /api/requests] inserted row:', row);
+    if (row.status === 'Open') await announceRequest(row);
 
     res.status(201).json({
       id: row.id,
@@ -178,10 +300,13 @@ router.post('/', requireAuth, async (req, res, next) => {
       budget: row.budget,
       timeline: row.timeline,
       status: row.status,
+      visibility: row.visibility,
       pitches: 0,
       author: 'you',
       createdAt: new Date(row.created_at).getTime(),
+      expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null,
       attachment: row.attachment,
+      acceptanceCriteria: row.acceptance_criteria || [],
     });
   } catch (e) {
     next(e);
@@ -190,20 +315,35 @@ router.post('/', requireAuth, async (req, res, next) => {
 
 /**
  * PATCH /api/requests/:id
- * Update request status (e.g. Open -> In Progress). Requires auth (author only).
+ * Change a request's status and/or edit it. Requires auth (author only).
+ * Body: { status?, title?, description?, budget?, visibility?, acceptance_criteria?, expires_at?, reason? }
+ * status moves are checked by transition_request(): publish (Draft → Open), cancel
+ * (Draft | Open → Cancelled, optional `reason`) and reopen (Cancelled | Expired → Open).
+ * In Progress and Completed follow the hire and cannot be set here. expires_at applies when
+ * publishing, reopening or editing an Open request.
+ * title/description/budget/visibility/acceptance_criteria can be edited while Draft or Open;
+ * agents that pitched on an Open request are notified of content changes.
  */
 router.patch('/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body || {};
-    const allowed = ['Open', 'In Progress', 'Completed'];
-    if (!status || !allowed.includes(status)) {
-      return res.status(400).json({ error: 'status must be one of: ' + allowed.join(', ') });
+    const body = req.body || {};
+    const { status, expires_at, reason } = body;
+    if (status !== undefined && !REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'status must be one of: ' + REQUEST_STATUSES.join(', ') });
+    }
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ error: 'reason must be a string (max 500 characters)' });
+    }
+    const { changes, error: editErr } = parseRequestEdits(body);
+    if (editErr) return res.status(400).json({ error: editErr });
+    if (status === undefined && Object.keys(changes).length === 0 && expires_at === undefined) {
+      return res.status(400).json({ error: 'Provide status, title, description, budget, visibility, acceptance_criteria or expires_at' });
     }
 
     const { data: existing, error: fetchErr } = await supabase
       .from('requests')
-      .select('author_id')
+      .select('*')
       .eq('id', id)
       .single();
 
@@ -214,15 +354,355 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
-    const { data: row, error } = await supabase
+    const moving = status !== undefined && status !== existing.status;
+    const target = moving ? status : existing.status;
+    if (expires_at !== undefined) {
+      if (target !== 'Open') {
+        return res.status(400).json({ error: 'expires_at can only be set on an Open request' });
+      }
+      const expiry = resolveExpiresAt(expires_at);
+      if (expiry.error) return res.status(400).json({ error: expiry.error });
+      changes.expires_at = expiry.expiresAt;
+    }
+
+    if (!moving) {
+      if (!EDITABLE_STATUSES.includes(existing.status)) {
+        return res.status(409).json({ error: `Only Draft or Open requests can be edited (this one is ${existing.status})` });
+      }
+      const row = await editRequest(existing, changes);
+      if (!row) return res.status(409).json({ error: 'Request status changed — reload and try again' });
+      return res.json(row);
+    }
+
+    // Edits ride along with the status change in the same transaction (e.g. publish a
+    // draft with its final wording); only drafts and open requests take them.
+    const edited = Object.keys(changes).some((k) => k !== 'expires_at');
+    if (edited && !EDITABLE_STATUSES.includes(existing.status)) {
+      return res.status(409).json({ error: `Only Draft or Open requests can be edited (this one is ${existing.status})` });
+    }
+    const now = new Date().toISOString();
+    const patch = { ...changes, ...(edited ? { edited_at: now } : {}) };
+    if (status === 'Open') {
+      if (!patch.expires_at) patch.expires_at = resolveExpiresAt(null).expiresAt;
+      if (existing.status === 'Draft') patch.published_at = now;
+      Object.assign(patch, { cancelled_at: null, cancel_reason: null, expired_at: null });
+    }
+    if (status === 'Cancelled') {
+      Object.assign(patch, { cancelled_at: now, cancel_reason: reason?.trim() || null });
+    }
+
+    const row = await transitionRequest({
+      request: existing,
+      to: status,
+      actor: { type: 'author', id: req.user.sub },
+      patch,
+    });
+    res.json(row);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /api/requests/:id/questions
+ * Auth required. Clarification Q&A on a request, oldest first. The buyer sees every question;
+ * an agent owner sees their agents' questions and all public answers, once one of their
+ * agents pitched on or asked about the request.
+ */
+router.get('/:id/questions', requireAuth, async (req, res, next) => {
+  try {
+    const { data: request, error } = await supabase
       .from('requests')
-      .update({ status })
-      .eq('id', id)
-      .select()
+      .select('id, author_id, status')
+      .eq('id', req.params.id)
+      .single();
+    if (error || !request) return res.status(404).json({ error: 'Request not found' });
+
+    const viewer = request.author_id === req.user.sub ? { buyer: true } : await loadOwnedAgents(req.user);
+    const questions = await listRequestQuestions(request.id, viewer);
+    if (!questions) {
+      return res.status(403).json({ error: 'Pitch on or ask about this request to see its Q&A' });
+    }
+    res.json({ request_id: request.id, questions });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/requests/:id/questions
+ * Auth required (owner of the asking agent). Ask the buyer a question about an Open request.
+ * Body: { agent_id, body }
+ */
+router.post('/:id/questions', requireAuth, async (req, res, next) => {
+  try {
+    const { agent_id } = req.body || {};
+    if (!agent_id) return res.status(400).json({ error: 'agent_id is required' });
+    const { text, error: validationError } = normalizeQuestionText(req.body?.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const { data: request, error } = await supabase
+      .from('requests')
+      .select('id, title, author_id, status, visibility')
+      .eq('id', req.params.id)
+      .single();
+    if (error || !request) return res.status(404).json({ error: 'Request not found' });
+    if (request.status !== 'Open') {
+      return res.status(400).json({ error: 'Questions can only be asked while the request is Open' });
+    }
+
+    const { data: agent } = await supabase
+      .from('agents')
+      .select('id, name, owner_id')
+      .eq('id', agent_id)
+      .maybeSingle();
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    if (agent.owner_id !== req.user.sub) {
+      return res.status(403).json({ error: 'You can only ask on behalf of an agent you own' });
+    }
+    if (!(await agentCanAccess(request, { agentId: agent.id }))) {
+      return res.status(403).json({ error: 'This request is invite-only' });
+    }
+
+    const question = await askQuestion({
+      request,
+      agentId: agent.id,
+      userId: req.user.sub,
+      askerName: agent.name,
+      body: text,
+    });
+    res.status(201).json(question);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/requests/:id/questions/:questionId/answer
+ * Auth required (request author). Answer a question, or replace an earlier answer.
+ * Body: { answer, visibility?: 'public' | 'private' } — public (default) answers are shown
+ * to every agent that pitched; private ones only to the agent that asked.
+ */
+router.post('/:id/questions/:questionId/answer', requireAuth, async (req, res, next) => {
+  try {
+    const { visibility = 'public' } = req.body || {};
+    if (!QUESTION_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: 'visibility must be one of: ' + QUESTION_VISIBILITIES.join(', ') });
+    }
+    const { text, error: validationError } = normalizeQuestionText(req.body?.answer, 'answer');
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const { data: request, error } = await supabase
+      .from('requests')
+      .select('id, title, author_id, status')
+      .eq('id', req.params.id)
       .single();
+    if (error || !request) return res.status(404).json({ error: 'Request not found' });
+    if (request.author_id !== req.user.sub) {
+      return res.status(403).json({ error: 'Only the request author can answer questions' });
+    }
+
+    const { data: question } = await supabase
+      .from('request_questions')
+      .select('*')
+      .eq('id', req.params.questionId)
+      .eq('request_id', request.id)
+      .maybeSingle();
+    if (!question) return res.status(404).json({ error: 'Question not found' });
+
+    res.json(await answerQuestion({ request, question, answer: text, visibility }));
+  } catch (e) {
+    next(e);
+  }
+});
 
+/**
+ * Load a request for its author, or send 404/403 (`what` names the resource in the 403).
+ */
+async function loadAuthoredRequest(req, res, what = 'invites') {
+  const { data: request, error } = await supabase
+    .from('requests')
+    .select('id, title, description, categories, budget, timeline, status, visibility, author_id, created_at')
+    .eq('id', req.params.id)
+    .single();
+  if (error || !request) {
+    res.status(404).json({ error: 'Request not found' });
+    return null;
+  }
+  if (request.author_id !== req.user.sub) {
+    res.status(403).json({ error: `Only the request author can manage ${what}` });
+    return null;
+  }
+  return request;
+}
+
+/**
+ * GET /api/requests/:id/invites
+ * Auth required (request author). Agents invited to the request.
+ */
+router.get('/:id/invites', requireAuth, async (req, res, next) => {
+  try {
+    const request = await loadAuthoredRequest(req, res);
+    if (!request) return;
+    const { data, error } = await supabase
+      .from('request_invites')
+      .select('*')
+      .eq('request_id', request.id)
+      .order('created_at', { ascending: true });
     if (error) throw error;
-    res.json(row);
+    res.json({ request_id: request.id, visibility: request.visibility, invites: (data || []).map(mapRequestInvite) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/requests/:id/invites
+ * Auth required (request author). Invite internal and/or SDK agents to see and pitch on the
+ * request — the only agents that can while it is invite_only. Invitees of an Open request are
+ * notified (SDK agents get request_invited); a draft's are notified when it is published.
+ * Body: { agent_ids?, sdk_agent_ids? }
+ */
+router.post('/:id/invites', requireAuth, async (req, res, next) => {
+  try {
+    const targets = parseInviteTargets(req.body || {});
+    if (targets.error) return res.status(400).json({ error: targets.error });
+
+    const request = await loadAuthoredRequest(req, res);
+    if (!request) return;
+    if (!EDITABLE_STATUSES.includes(request.status)) {
+      return res.status(409).json({ error: `Agents can only be invited while the request is Draft or Open (it is ${request.status})` });
+    }
+
+    const result = await inviteAgents({ request, ...targets, invitedBy: req.user.sub });
+    res.status(201).json({
+      invites: result.invites,
+      unknown_agent_ids: result.unknownAgentIds,
+      unknown_sdk_agent_ids: result.unknownSdkAgentIds,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * DELETE /api/requests/:id/invites/:inviteId
+ * Auth required (request author). Withdraw an invite; pitches already made are kept.
+ */
+router.delete('/:id/invites/:inviteId', requireAuth, async (req, res, next) => {
+  try {
+    const request = await loadAuthoredRequest(req, res);
+    if (!request) return;
+    const { data, error } = await supabase
+      .from('request_invites')
+      .delete()
+      .eq('id', req.params.inviteId)
+      .eq('request_id', request.id)
+      .select('id');
+    if (error) throw error;
+    if (!data || data.length === 0) return res.status(404).json({ error: 'Invite not found' });
+    res.status(204).send();
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * Load a request the caller may view (drafts: author only; invite_only: author and owners of
+ * invited agents), or send 404.
+ */
+async function loadViewableRequest(req, res) {
+  const { data: request } = await supabase
+    .from('requests')
+    .select('id, status, visibility, author_id')
+    .eq('id', req.params.id)
+    .maybeSingle();
+  const visible = request
+    && (request.status !== 'Draft' || request.author_id === req.user?.sub)
+    && (await userCanView(request, req.user, loadOwnedAgents));
+  if (!visible) {
+    res.status(404).json({ error: 'Request not found' });
+    return null;
+  }
+  return request;
+}
+
+/**
+ * GET /api/requests/:id/attachments
+ * Files attached to the request, oldest first, each with a short-lived signed download `url`
+ * (url_expires_at). Visible to whoever can view the request.
+ * Auth: optional (required for drafts and invite-only requests).
+ */
+router.get('/:id/attachments', async (req, res, next) => {
+  try {
+    const request = await loadViewableRequest(req, res);
+    if (!request) return;
+    const rows = await listAttachments({ requestId: request.id });
+    res.set('Cache-Control', 'private, no-store');
+    res.json({ attachments: await Promise.all(rows.map(withDownloadUrl)) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /api/requests/:id/attachments/:attachmentId
+ * One attachment with a fresh signed download `url`.
+ * Auth: optional (required for drafts and invite-only requests).
+ */
+router.get('/:id/attachments/:attachmentId', async (req, res, next) => {
+  try {
+    const request = await loadViewableRequest(req, res);
+    if (!request) return;
+    const row = await getAttachment(req.params.attachmentId, { requestId: request.id });
+    if (!row) return res.status(404).json({ error: 'Attachment not found' });
+    res.set('Cache-Control', 'private, no-store');
+    res.json(await withDownloadUrl(row));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/requests/:id/attachments?filename=spec.pdf
+ * Auth required (request author). Attach a file while the request is Draft or Open: the raw
+ * file is the request body and Content-Type its type. Size (ATTACHMENT_MAX_MB) and type
+ * (ATTACHMENT_TYPES) limits apply: 413 / 415.
+ */
+router.post('/:id/attachments', requireAuth, readUploadBody, async (req, res, next) => {
+  try {
+    const parsed = parseUpload(req);
+    if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+
+    const request = await loadAuthoredRequest(req, res, 'attachments');
+    if (!request) return;
+    if (!EDITABLE_STATUSES.includes(request.status)) {
+      return res.status(409).json({ error: `Files can only be attached while the request is Draft or Open (it is ${request.status})` });
+    }
+
+    const result = await saveAttachment({ requestId: request.id, upload: parsed.upload, userId: req.user.sub });
+    if (result.error) return res.status(409).json({ error: result.error });
+    res.status(201).json(await withDownloadUrl(result.attachment));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * DELETE /api/requests/:id/attachments/:attachmentId
+ * Auth required (request author). Remove an attached file while the request is Draft or Open.
+ */
+router.delete('/:id/attachments/:attachmentId', requireAuth, async (req, res, next) => {
+  try {
+    const request = await loadAuthoredRequest(req, res, 'attachments');
+    if (!request) return;
+    if (!EDITABLE_STATUSES.includes(request.status)) {
+      return res.status(409).json({ error: `Files can only be removed while the request is Draft or Open (it is ${request.status})` });
+    }
+    const row = await getAttachment(req.params.attachmentId, { requestId: request.id });
+    if (!row) return res.status(404).json({ error: 'Attachment not found' });
+    await deleteAttachment(row);
+    res.status(204).send();
   } catch (e) {
     next(e);
   }
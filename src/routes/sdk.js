@@ -1,10 +1,56 @@
 import crypto from 'crypto';
 import { Router } from 'express';
 import { supabase } from '../lib/supabase.js';
-import { createNotification, getWalletForUser } from '../lib/notify.js';
+import { notifyBuildDelivered, notifyRecipients } from '../lib/notify.js';
+import { generateWebhookSecret, webhookUrlError } from '../lib/webhook.js';
+import {
+  deliverMilestone,
+  listBuildMilestones,
+  mapMilestone,
+  normalizeMilestones,
+} from '../services/milestones.js';
+import {
+  DISPUTE_STATUSES,
+  listDisputeMessages,
+  normalizeDisputeMessage,
+  postDisputeMessage,
+} from '../services/disputes.js';
+import { canTransition, transitionBuild, transitionMilestone } from '../services/buildTransitions.js';
+import { askQuestion, listRequestQuestions, normalizeQuestionText } from '../services/requestQuestions.js';
+import { agentCanAccess, invitedRequestIds } from '../services/requestVisibility.js';
+import { loadTaxonomy, normalizeCategories, relatedCategories } from '../services/categories.js';
+import {
+  DELIVERY_UPLOAD_STATUSES,
+  deleteAttachment,
+  getAttachment,
+  listAttachments,
+  parseUpload,
+  readUploadBody,
+  saveAttachment,
+  withDownloadUrl,
+} from '../services/attachments.js';
+import { listBuildEvents } from '../services/buildEvents.js';
+import {
+  criteriaSummary,
+  listBuildCriteria,
+  mapCriterion,
+  markDeliveredCriteria,
+  parseCriteriaUpdates,
+  previewCriteriaUpdates,
+} from '../services/acceptanceCriteria.js';
+import { WEBHOOK_EVENTS, publishPitchCreated } from '../services/eventBus.js';
+import {
+  attemptWebhookDelivery,
+  enqueueAgentEvent,
+  mapWebhookDelivery,
+  previousSecretExpiresAt,
+  replayWebhookDelivery,
+  rotateWebhookSecret,
+} from '../services/webhookOutbox.js';
 
 const router = Router();
 const API_KEY_HEADER = 'x-api-key';
+const SDK_BUILD_COLUMNS = 'id, request_id, agent_id, sdk_agent_id, agent_name, status, funding_mode, escrow_amount, escrow_status, delivery_url, delivery_due_at, delivered_at, revision_notes, revision_count, created_at, updated_at';
 
 /**
  * Generate a secure API key for SDK agents.
@@ -85,7 +131,8 @@ router.get('/directory', async (req, res, next) => {
 /**
  * POST /api/sdk/register
  * Body: { name, bio, specializations, webhookUrl, ownerWallet, minBudget, autoPitch }
- * Returns: { agentId, apiKey, message }
+ * specializations: category names, slugs or aliases (GET /api/categories), stored as slugs.
+ * Returns: { agentId, apiKey, webhookSecret, message }
  */
 router.post('/register', async (req, res, next) => {
   try {
@@ -102,17 +149,23 @@ router.post('/register', async (req, res, next) => {
     if (!name || typeof name !== 'string' || name.trim().length < 1) {
       return res.status(400).json({ error: 'name is required' });
     }
+    const specs = await normalizeCategories(specializations ?? [], 'specializations');
+    if (specs.error) return res.status(400).json({ error: specs.error });
+    const webhookInvalid = webhookUrl != null && String(webhookUrl).trim() ? webhookUrlError(String(webhookUrl).trim()) : null;
+    if (webhookInvalid) return res.status(400).json({ error: `webhookUrl ${webhookInvalid}` });
 
     const apiKey = generateApiKey();
+    const webhookSecret = generateWebhookSecret();
     const payload = {
       name: name.trim(),
       bio: bio != null ? String(bio).trim() : null,
-      specializations: Array.isArray(specializations) ? specializations : [],
+      specializations: specs.categories,
       webhook_url: webhookUrl != null ? String(webhookUrl).trim() || null : null,
       owner_wallet: ownerWallet != null ? String(ownerWallet).trim() || null : null,
       min_budget: minBudget != null ? Number(minBudget) : null,
       auto_pitch: Boolean(autoPitch),
       api_key: apiKey,
+      webhook_secret: webhookSecret,
       is_active: true,
     };
 
@@ -124,9 +177,18 @@ router.post('/register', async (req, res, next) => {
 
     if (error) throw error;
 
+    // webhookUrl becomes the agent's first webhook endpoint, subscribed to every event
+    if (payload.webhook_url) {
+      const { error: endpointErr } = await supabase
+        .from('webhook_endpoints')
+        .insert({ sdk_agent_id: row.id, url: payload.webhook_url, events: WEBHOOK_EVENTS });
+      if (endpointErr) throw endpointErr;
+    }
+
     res.status(201).json({
       agentId: row.id,
       apiKey,
+      webhookSecret,
       message: 'Agent registered. Use x-api-key header for API requests.',
     });
   } catch (e) {
@@ -141,24 +203,30 @@ router.use(requireSdkKey);
 /**
  * GET /api/sdk/requests
  * Query: limit (default 20), offset (default 0)
- * Returns open requests matching agent specializations (or all if agent has none).
+ * Returns open requests matching agent specializations (or all if agent has none): public
+ * ones and invite-only ones the agent was invited to. Matching follows the category tree —
+ * a specialization also matches its subcategories and parent categories.
  */
 router.get('/requests', async (req, res, next) => {
   try {
     const limit = Math.min(Number(req.query.limit) || 20, 100);
     const offset = Number(req.query.offset) || 0;
     const agent = req.sdkAgent;
-    const specs = new Set((agent.specializations || []).map((s) => String(s).trim()));
+    const specs = (agent.specializations || []).filter((s) => String(s).trim());
 
+    const invitedIds = await invitedRequestIds({ sdkAgentIds: [agent.id] });
     let q = supabase
       .from('requests')
-      .select('id, title, description, categories, budget, timeline, status, created_at')
+      .select('id, title, description, categories, budget, timeline, status, visibility, acceptance_criteria, created_at')
       .eq('status', 'Open')
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
+    q = invitedIds.length > 0
+      ? q.or(`visibility.eq.public,id.in.(${invitedIds.join(',')})`)
+      : q.eq('visibility', 'public');
 
-    if (specs.size > 0) {
-      q = q.overlaps('categories', [...specs]);
+    if (specs.length > 0) {
+      q = q.overlaps('categories', relatedCategories(await loadTaxonomy(), specs));
     }
 
     const { data: rows, error } = await q;
@@ -172,6 +240,8 @@ router.get('/requests', async (req, res, next) => {
       budget: r.budget != null ? Number(r.budget) : null,
       timeline: r.timeline,
       status: r.status,
+      visibility: r.visibility,
+      acceptanceCriteria: r.acceptance_criteria || [],
       createdAt: r.created_at,
     }));
 
@@ -183,28 +253,34 @@ router.get('/requests', async (req, res, next) => {
 
 /**
  * POST /api/sdk/pitch
- * Body: { requestId, message, price, estimatedTime }
+ * Body: { requestId, message, price, estimatedTime, milestones? }
+ * milestones: optional [{ title, amount, due_date? }]; amounts must add up to price.
  * Inserts sdk_pitches and main pitches (agent_id null, agent_name from sdk_agents). Returns { pitchId }.
  */
 router.post('/pitch', async (req, res, next) => {
   try {
-    const { requestId, message, price, estimatedTime } = req.body || {};
+    const { requestId, message, price, estimatedTime, milestones } = req.body || {};
     const agent = req.sdkAgent;
 
     if (!requestId) return res.status(400).json({ error: 'requestId is required' });
     if (!message || typeof message !== 'string' || message.trim().length < 10) {
       return res.status(400).json({ error: 'message is required (min 10 characters)' });
     }
+    const proposal = normalizeMilestones(milestones, price);
+    if (proposal.error) return res.status(400).json({ error: proposal.error });
 
     const { data: requestRow, error: reqErr } = await supabase
       .from('requests')
-      .select('id, title, status, author_id')
+      .select('id, title, status, author_id, visibility')
       .eq('id', requestId)
       .single();
 
     if (reqErr || !requestRow) {
       return res.status(404).json({ error: 'Request not found' });
     }
+    if (!(await agentCanAccess(requestRow, { sdkAgentId: agent.id }))) {
+      return res.status(403).json({ error: 'This request is invite-only' });
+    }
     if (requestRow.status !== 'Open') {
       return res.status(400).json({ error: 'Request is not open for pitches' });
     }
@@ -217,7 +293,8 @@ router.post('/pitch', async (req, res, next) => {
       agent_name: agent.name,
       message: message.trim(),
       estimated_time: estimatedTime != null ? String(estimatedTime).trim() || null : null,
-      price: price != null ? Number(price) : null,
+      price: proposal.price,
+      milestones: proposal.milestones,
     };
 
     const { data: mainPitch, error: mainErr } = await supabase
@@ -241,7 +318,7 @@ router.post('/pitch', async (req, res, next) => {
         request_id: requestId,
         main_pitch_id: mainPitch.id,
         message: message.trim(),
-        price: price != null ? Number(price) : null,
+        price: proposal.price,
         estimated_time: estimatedTime != null ? String(estimatedTime).trim() || null : null,
         status: 'submitted',
       })
@@ -256,24 +333,26 @@ router.post('/pitch', async (req, res, next) => {
       await supabase.from('pitches').delete().eq('id', mainPitch.id);
       throw sdkErr;
     }
+    await publishPitchCreated({
+      pitchId: mainPitch.id,
+      requestId,
+      sdkAgentId: agent.id,
+      agentName: agent.name,
+      price: proposal.price,
+      estimatedTime: mainPitchPayload.estimated_time,
+    });
 
     // Notify request owner about new SDK pitch
-    if (requestRow.author_id) {
-      const ownerWallet = await getWalletForUser(requestRow.author_id);
-      if (ownerWallet) {
-        const { count: pitchCount } = await supabase
-          .from('pitches')
-          .select('*', { count: 'exact', head: true })
-          .eq('request_id', requestId);
-        await createNotification({
-          user_wallet: ownerWallet,
-          type: 'pitch_update',
-          title: '💬 New pitch on your request',
-          message: `${agent.name} pitched on "${requestRow.title}" — ${pitchCount || 1} agent${(pitchCount || 1) !== 1 ? 's' : ''} interested`,
-          metadata: { request_id: requestId, request_title: requestRow.title, agent_name: agent.name, pitch_count: pitchCount || 1 },
-        });
-      }
-    }
+    const { count: pitchCount } = await supabase
+      .from('pitches')
+      .select('*', { count: 'exact', head: true })
+      .eq('request_id', requestId);
+    await notifyRecipients({ buyerOf: requestRow }, {
+      type: 'pitch_update',
+      title: '💬 New pitch on your request',
+      message: `${agent.name} pitched on "${requestRow.title}" — ${pitchCount || 1} agent${(pitchCount || 1) !== 1 ? 's' : ''} interested`,
+      metadata: { request_id: requestId, request_title: requestRow.title, agent_name: agent.name, pitch_count: pitchCount || 1 },
+    });
 
     res.status(201).json({ pitchId: sdkPitch.id });
   } catch (e) {
@@ -281,9 +360,39 @@ router.post('/pitch', async (req, res, next) => {
   }
 });
 
+const JOB_PITCH_COLUMNS = 'id, request_id, message, price, estimated_time, status, created_at';
+const JOB_REQUEST_COLUMNS = 'id, title, description, categories, budget, timeline, status, acceptance_criteria';
+
+/**
+ * Map an sdk_pitches row and its request for SDK job responses (camelCase).
+ */
+function mapSdkJob(p, request) {
+  return {
+    pitchId: p.id,
+    requestId: p.request_id,
+    request: request
+      ? {
+          id: request.id,
+          title: request.title,
+          description: request.description,
+          categories: request.categories || [],
+          budget: request.budget,
+          timeline: request.timeline,
+          status: request.status,
+          acceptanceCriteria: request.acceptance_criteria || [],
+        }
+      : null,
+    message: p.message,
+    price: p.price != null ? Number(p.price) : null,
+    estimatedTime: p.estimated_time,
+    status: p.status,
+    createdAt: p.created_at,
+  };
+}
+
 /**
  * GET /api/sdk/jobs
- * Returns sdk_pitches where status = 'hired', joined with requests data.
+ * Returns sdk_pitches where status = 'hired', joined with requests data and the build's id and status.
  */
 router.get('/jobs', async (req, res, next) => {
   try {
@@ -291,15 +400,7 @@ router.get('/jobs', async (req, res, next) => {
 
     const { data: pitchRows, error: pitchErr } = await supabase
       .from('sdk_pitches')
-      .select(`
-        id,
-        request_id,
-        message,
-        price,
-        estimated_time,
-        status,
-        created_at
-      `)
+      .select(JOB_PITCH_COLUMNS)
       .eq('sdk_agent_id', agentId)
       .eq('status', 'hired')
       .order('created_at', { ascending: false });
@@ -310,34 +411,35 @@ router.get('/jobs', async (req, res, next) => {
     }
 
     const requestIds = [...new Set(pitchRows.map((p) => p.request_id))];
-    const { data: requestRows, error: reqErr } = await supabase
-      .from('requests')
-      .select('id, title, description, categories, budget, timeline, status')
-      .in('id', requestIds);
+    const [{ data: requestRows, error: reqErr }, { data: buildRows, error: buildErr }] = await Promise.all([
+      supabase
+        .from('requests')
+        .select(JOB_REQUEST_COLUMNS)
+        .in('id', requestIds),
+      supabase
+        .from('builds')
+        .select('id, request_id, status, created_at')
+        .eq('sdk_agent_id', agentId)
+        .in('request_id', requestIds)
+        .order('created_at', { ascending: false }),
+    ]);
 
     if (reqErr) throw reqErr;
+    if (buildErr) throw buildErr;
     const requestsById = Object.fromEntries((requestRows || []).map((r) => [r.id, r]));
+    const buildsByRequest = {};
+    for (const b of buildRows || []) {
+      if (!buildsByRequest[b.request_id]) buildsByRequest[b.request_id] = b;
+    }
 
-    const jobs = pitchRows.map((p) => ({
-      pitchId: p.id,
-      requestId: p.request_id,
-      request: requestsById[p.request_id]
-        ? {
-            id: requestsById[p.request_id].id,
-            title: requestsById[p.request_id].title,
-            description: requestsById[p.request_id].description,
-            categories: requestsById[p.request_id].categories || [],
-            budget: requestsById[p.request_id].budget,
-            timeline: requestsById[p.request_id].timeline,
-            status: requestsById[p.request_id].status,
-          }
-        : null,
-      message: p.message,
-      price: p.price != null ? Number(p.price) : null,
-      estimatedTime: p.estimated_time,
-      status: p.status,
-      createdAt: p.created_at,
-    }));
+    const jobs = pitchRows.map((p) => {
+      const build = buildsByRequest[p.request_id];
+      return {
+        ...mapSdkJob(p, requestsById[p.request_id]),
+        buildId: build?.id ?? null,
+        buildStatus: build?.status ?? null,
+      };
+    });
 
     res.json({ jobs });
   } catch (e) {
@@ -345,75 +447,600 @@ router.get('/jobs', async (req, res, next) => {
   }
 });
 
+/**
+ * Map a build for SDK responses (camelCase).
+ */
+function mapSdkBuild(build) {
+  return {
+    buildId: build.id,
+    requestId: build.request_id,
+    status: build.status,
+    fundingMode: build.funding_mode || 'single',
+    escrowAmount: build.escrow_amount != null ? Number(build.escrow_amount) : null,
+    escrowStatus: build.escrow_status,
+    deliveryUrl: build.delivery_url || null,
+    deliveryDueAt: build.delivery_due_at || null,
+    deliveredAt: build.delivered_at || null,
+    revisionNotes: build.revision_notes || null,
+    revisionCount: build.revision_count ?? 0,
+    createdAt: build.created_at,
+    updatedAt: build.updated_at,
+  };
+}
+
+/**
+ * GET /api/sdk/jobs/:id
+ * One job by pitchId or buildId, with the full build state, every revision requested so far
+ * and the acceptance criteria checklist with the buyer's review — what an agent polls (or
+ * fetches after a revision_requested webhook) to act on feedback.
+ */
+router.get('/jobs/:id', async (req, res, next) => {
+  try {
+    const agentId = req.sdkAgent.id;
+    const { id } = req.params;
+
+    let { data: pitch } = await supabase
+      .from('sdk_pitches')
+      .select(JOB_PITCH_COLUMNS)
+      .eq('id', id)
+      .eq('sdk_agent_id', agentId)
+      .maybeSingle();
+
+    let build = null;
+    if (!pitch) {
+      const { data: buildRow } = await supabase
+        .from('builds')
+        .select(SDK_BUILD_COLUMNS)
+        .eq('id', id)
+        .eq('sdk_agent_id', agentId)
+        .maybeSingle();
+      if (!buildRow) return res.status(404).json({ error: 'Job not found' });
+      build = buildRow;
+      ({ data: pitch } = await supabase
+        .from('sdk_pitches')
+        .select(JOB_PITCH_COLUMNS)
+        .eq('sdk_agent_id', agentId)
+        .eq('request_id', build.request_id)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle());
+      if (!pitch) return res.status(404).json({ error: 'Job not found' });
+    } else {
+      const { data: buildRows, error: buildErr } = await supabase
+        .from('builds')
+        .select(SDK_BUILD_COLUMNS)
+        .eq('sdk_agent_id', agentId)
+        .eq('request_id', pitch.request_id)
+        .order('created_at', { ascending: false })
+        .limit(1);
+      if (buildErr) throw buildErr;
+      build = buildRows?.[0] ?? null;
+    }
+
+    const { data: request } = await supabase
+      .from('requests')
+      .select(JOB_REQUEST_COLUMNS)
+      .eq('id', pitch.request_id)
+      .maybeSingle();
+
+    let revisions = [];
+    let criteria = [];
+    if (build) {
+      criteria = (await listBuildCriteria(build.id)).map(mapCriterion);
+      const events = await listBuildEvents(build.id);
+      revisions = events
+        .filter((e) => e.to_status === 'revision_requested')
+        .map((e, i) => ({
+          revisionNumber: e.metadata.revision_count ?? i + 1,
+          notes: e.notes,
+          requestedAt: e.created_at,
+        }));
+    }
+
+    res.json({
+      ...mapSdkJob(pitch, request),
+      buildId: build?.id ?? null,
+      buildStatus: build?.status ?? null,
+      build: build ? mapSdkBuild(build) : null,
+      revisionNotes: build?.revision_notes || null,
+      revisionCount: build?.revision_count ?? 0,
+      revisions,
+      acceptanceCriteria: criteria,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * Deliver an SDK agent's build through the build state machine: moves the build to delivered
+ * (from hired, building or revision_requested), then records the delivery in sdk_deliveries
+ * and the marks on the checklist, and notifies the buyer to review it. Escrow is released
+ * when the buyer accepts.
+ * criteria: the agent's parsed marks on the acceptance criteria checklist.
+ * Sends the error response and returns null when the build cannot be delivered.
+ */
+async function deliverSdkBuild(req, res, build, { url, note, criteria = [] }) {
+  if (build.funding_mode && build.funding_mode !== 'single') {
+    res.status(400).json({ error: 'This hire is funded by milestone — deliver each milestone via /api/sdk/builds/:buildId/milestones/:milestoneId/deliver' });
+    return null;
+  }
+  const actor = { type: 'agent', id: req.sdkAgent.id };
+  if (!(await canTransition(build.status, 'delivered', actor))) {
+    res.status(400).json({ error: `Cannot deliver from status '${build.status}'` });
+    return null;
+  }
+  const checklist = await previewCriteriaUpdates(build.id, 'agent', criteria, { delivery: true });
+  if (checklist.error) {
+    res.status(400).json({ error: checklist.error });
+    return null;
+  }
+
+  // Nothing is recorded for a delivery the build refuses
+  const deliveryId = crypto.randomUUID();
+  const updated = await transitionBuild({
+    build,
+    to: 'delivered',
+    actor,
+    patch: {
+      delivery_url: url,
+      delivered_at: new Date().toISOString(),
+      review_reminder_sent_at: null,
+    },
+    event: {
+      notes: note,
+      metadata: { delivery_id: deliveryId, delivery_url: url, acceptance_criteria: criteriaSummary(checklist.criteria) },
+    },
+  });
+
+  const { data: delivery, error: delErr } = await supabase
+    .from('sdk_deliveries')
+    .insert({
+      id: deliveryId,
+      sdk_agent_id: req.sdkAgent.id,
+      request_id: build.request_id,
+      delivery_url: url,
+      delivery_note: note,
+    })
+    .select('id')
+    .single();
+  if (delErr) throw delErr;
+  await markDeliveredCriteria(build.id, criteria);
+
+  await supabase
+    .from('sdk_pitches')
+    .update({ status: 'delivered' })
+    .eq('sdk_agent_id', req.sdkAgent.id)
+    .eq('request_id', build.request_id);
+
+  // Notify request owner that the delivery is ready to review
+  await notifyBuildDelivered(build, { agentName: req.sdkAgent.name, deliveryUrl: url });
+
+  return { delivery, build: updated };
+}
+
 /**
  * POST /api/sdk/deliver
- * Body: { requestId, deliveryUrl, deliveryNote }
- * Inserts sdk_deliveries, sets sdk_pitch status to 'delivered', request status to 'Completed'. Returns { deliveryId }.
+ * Body: { requestId, deliveryUrl, deliveryNote, criteria? }
+ * Delivers the agent's active build for the request (hired, building or revision_requested
+ * → delivered) and notifies the buyer. Returns { deliveryId, buildId, status }.
+ * criteria: [{ id, met, note? }] — marks on the build's acceptance criteria (GET /jobs/:id).
  */
 router.post('/deliver', async (req, res, next) => {
   try {
-    const { requestId, deliveryUrl, deliveryNote } = req.body || {};
+    const { requestId, deliveryUrl, deliveryNote, criteria } = req.body || {};
     const agentId = req.sdkAgent.id;
 
     if (!requestId) return res.status(400).json({ error: 'requestId is required' });
     const url = deliveryUrl != null ? String(deliveryUrl).trim() : '';
     if (!url) return res.status(400).json({ error: 'deliveryUrl is required' });
+    const marks = parseCriteriaUpdates(criteria, 'agent');
+    if (marks.error) return res.status(400).json({ error: marks.error });
 
-    const { data: sdkPitch, error: pitchErr } = await supabase
-      .from('sdk_pitches')
-      .select('id, status')
-      .eq('sdk_agent_id', agentId)
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select(SDK_BUILD_COLUMNS)
       .eq('request_id', requestId)
-      .single();
+      .eq('sdk_agent_id', agentId)
+      .not('status', 'in', '("cancelled","refunded")')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (buildErr) throw buildErr;
+    if (!build) {
+      return res.status(404).json({ error: 'No active hire found for this request' });
+    }
+
+    const result = await deliverSdkBuild(req, res, build, {
+      url,
+      note: deliveryNote != null ? String(deliveryNote).trim() || null : null,
+      criteria: marks.updates,
+    });
+    if (!result) return;
+
+    res.status(201).json({ deliveryId: result.delivery.id, buildId: build.id, status: result.build.status });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * Load a build the SDK agent was hired for.
+ * Sends 404 and returns null when the build is missing or belongs to another agent.
+ */
+async function loadSdkAgentBuild(req, res, columns) {
+  const { data: build } = await supabase
+    .from('builds')
+    .select(columns)
+    .eq('id', req.params.buildId)
+    .eq('sdk_agent_id', req.sdkAgent.id)
+    .maybeSingle();
+  if (!build) {
+    res.status(404).json({ error: 'Build not found' });
+    return null;
+  }
+  return build;
+}
+
+/**
+ * Load one milestone of a build the SDK agent was hired for.
+ * Sends 404 and returns null when the build or the milestone is missing.
+ */
+async function loadSdkAgentMilestone(req, res) {
+  const build = await loadSdkAgentBuild(req, res, SDK_BUILD_COLUMNS);
+  if (!build) return null;
+  const { data: milestone } = await supabase
+    .from('build_milestones')
+    .select('*')
+    .eq('id', req.params.milestoneId)
+    .eq('build_id', build.id)
+    .maybeSingle();
+  if (!milestone) {
+    res.status(404).json({ error: 'Milestone not found' });
+    return null;
+  }
+  return { build, milestone };
+}
 
-    if (pitchErr || !sdkPitch) {
-      return res.status(404).json({ error: 'No hired pitch found for this request' });
+/**
+ * GET /api/sdk/builds/:buildId
+ * Status, escrow, revision notes and acceptance criteria of a build the agent was hired for,
+ * plus its milestones for milestone-funded hires.
+ */
+router.get('/builds/:buildId', async (req, res, next) => {
+  try {
+    const build = await loadSdkAgentBuild(req, res, SDK_BUILD_COLUMNS);
+    if (!build) return;
+    const milestones = build.funding_mode && build.funding_mode !== 'single'
+      ? { milestones: (await listBuildMilestones(build.id)).map(mapMilestone) }
+      : {};
+    res.json({
+      ...mapSdkBuild(build),
+      ...milestones,
+      acceptanceCriteria: (await listBuildCriteria(build.id)).map(mapCriterion),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/sdk/builds/:buildId/status
+ * Body: { status: 'building' | 'delivered', deliveryUrl?, deliveryNote?, criteria? }
+ * Moves a build the agent was hired for through the build state machine:
+ * 'building' when work (or a revision) starts, 'delivered' with a deliveryUrl when done
+ * (criteria: acceptance criteria marks, as for POST /deliver).
+ */
+router.post('/builds/:buildId/status', async (req, res, next) => {
+  try {
+    const { status, deliveryUrl, deliveryNote, criteria } = req.body || {};
+    if (!['building', 'delivered'].includes(status)) {
+      return res.status(400).json({ error: "status must be 'building' or 'delivered'" });
     }
-    if (sdkPitch.status !== 'hired') {
-      return res.status(400).json({ error: 'Pitch is not in hired status' });
+    const marks = parseCriteriaUpdates(criteria, 'agent');
+    if (marks.error) return res.status(400).json({ error: marks.error });
+
+    const build = await loadSdkAgentBuild(req, res, SDK_BUILD_COLUMNS);
+    if (!build) return;
+
+    if (status === 'delivered') {
+      const url = deliveryUrl != null ? String(deliveryUrl).trim() : '';
+      if (!url) return res.status(400).json({ error: 'deliveryUrl is required' });
+      const result = await deliverSdkBuild(req, res, build, {
+        url,
+        note: deliveryNote != null ? String(deliveryNote).trim() || null : null,
+        criteria: marks.updates,
+      });
+      if (!result) return;
+      return res.json({ ...mapSdkBuild(result.build), deliveryId: result.delivery.id });
     }
 
-    const { data: delivery, error: delErr } = await supabase
-      .from('sdk_deliveries')
-      .insert({
-        sdk_agent_id: agentId,
-        request_id: requestId,
-        delivery_url: url,
-        delivery_note: deliveryNote != null ? String(deliveryNote).trim() || null : null,
-      })
+    if (build.funding_mode && build.funding_mode !== 'single') {
+      return res.status(400).json({ error: 'This hire is funded by milestone — deliver each milestone via /api/sdk/builds/:buildId/milestones/:milestoneId/deliver' });
+    }
+    const actor = { type: 'agent', id: req.sdkAgent.id };
+    if (!(await canTransition(build.status, 'building', actor))) {
+      return res.status(400).json({ error: `Cannot start building from status '${build.status}'` });
+    }
+    const updated = await transitionBuild({ build, to: 'building', actor, event: { type: 'building_started' } });
+    res.json(mapSdkBuild(updated));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/sdk/builds/:buildId/milestones/:milestoneId/deliver
+ * Body: { deliveryUrl, deliveryNote? }
+ * Delivers (or re-delivers after a revision) a funded milestone of a milestone-funded hire
+ * and notifies the buyer, who accepts it to release that milestone's escrow.
+ */
+router.post('/builds/:buildId/milestones/:milestoneId/deliver', async (req, res, next) => {
+  try {
+    const url = req.body?.deliveryUrl != null ? String(req.body.deliveryUrl).trim() : '';
+    if (!url) return res.status(400).json({ error: 'deliveryUrl is required' });
+
+    const loaded = await loadSdkAgentMilestone(req, res);
+    if (!loaded) return;
+    const { build, milestone } = loaded;
+    if (milestone.escrow_status !== 'locked') {
+      return res.status(400).json({ error: 'Milestone is not funded yet' });
+    }
+    const actor = { type: 'agent', id: req.sdkAgent.id };
+    if (!(await canTransition(milestone.status, 'delivered', actor))) {
+      return res.status(400).json({ error: `Cannot deliver milestone from status '${milestone.status}'` });
+    }
+
+    const updated = await deliverMilestone({
+      build,
+      milestone,
+      actor,
+      deliveryUrl: url,
+      note: req.body?.deliveryNote != null ? String(req.body.deliveryNote).trim() || null : null,
+      agentName: req.sdkAgent.name,
+    });
+    res.json(mapMilestone(updated));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/sdk/builds/:buildId/milestones/:milestoneId/status
+ * Body: { status: 'building' }
+ * Marks work (or a revision) on a funded milestone as started; deliver it with
+ * POST /builds/:buildId/milestones/:milestoneId/deliver.
+ */
+router.post('/builds/:buildId/milestones/:milestoneId/status', async (req, res, next) => {
+  try {
+    if (req.body?.status !== 'building') {
+      return res.status(400).json({ error: "status must be 'building' — use /deliver to deliver the milestone" });
+    }
+
+    const loaded = await loadSdkAgentMilestone(req, res);
+    if (!loaded) return;
+    const { milestone } = loaded;
+    if (milestone.escrow_status !== 'locked') {
+      return res.status(400).json({ error: 'Milestone is not funded yet' });
+    }
+    const actor = { type: 'agent', id: req.sdkAgent.id };
+    if (!(await canTransition(milestone.status, 'building', actor))) {
+      return res.status(400).json({ error: `Cannot start building milestone from status '${milestone.status}'` });
+    }
+
+    const updated = await transitionMilestone({
+      milestone,
+      to: 'building',
+      actor,
+      event: { type: 'milestone_building_started' },
+    });
+    res.json(mapMilestone(updated));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /api/sdk/disputes/:buildId/messages
+ * Dispute thread for a build the agent was hired for, with the current response deadline and
+ * the acceptance criteria checklist.
+ */
+router.get('/disputes/:buildId/messages', async (req, res, next) => {
+  try {
+    const build = await loadSdkAgentBuild(req, res,
+      'id, request_id, agent_id, sdk_agent_id, status, dispute_reason, dispute_opened_at, dispute_response_deadline, dispute_response_party');
+    if (!build) return;
+
+    res.json({
+      buildId: build.id,
+      status: build.status,
+      disputeReason: build.dispute_reason || null,
+      disputeOpenedAt: build.dispute_opened_at || null,
+      responseDeadline: build.dispute_response_deadline || null,
+      responseParty: build.dispute_response_party || null,
+      acceptanceCriteria: (await listBuildCriteria(build.id)).map(mapCriterion),
+      messages: await listDisputeMessages(build.id),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/sdk/disputes/:buildId/messages
+ * Body: { body, evidenceUrls? } — evidenceUrls: up to 10 http(s) links.
+ * Posts the agent's side to an open dispute on a build it was hired for.
+ */
+router.post('/disputes/:buildId/messages', async (req, res, next) => {
+  try {
+    const { body, evidenceUrls, error: validationError } =
+      normalizeDisputeMessage(req.body?.body, req.body?.evidenceUrls);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const build = await loadSdkAgentBuild(req, res,
+      'id, request_id, agent_id, sdk_agent_id, agent_name, status, dispute_response_deadline, dispute_response_party');
+    if (!build) return;
+    if (!DISPUTE_STATUSES.includes(build.status)) {
+      return res.status(400).json({ error: `Build has no open dispute (status '${build.status}')` });
+    }
+
+    const message = await postDisputeMessage({
+      build,
+      role: 'agent',
+      sdkAgentId: req.sdkAgent.id,
+      body,
+      evidenceUrls,
+    });
+    res.status(201).json(message);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /api/sdk/requests/:id/questions
+ * Clarification Q&A on a request the agent pitched on or asked about: its own questions and
+ * every public answer, oldest first.
+ */
+router.get('/requests/:id/questions', async (req, res, next) => {
+  try {
+    const { data: request, error } = await supabase
+      .from('requests')
       .select('id')
+      .eq('id', req.params.id)
       .single();
+    if (error || !request) return res.status(404).json({ error: 'Request not found' });
 
-    if (delErr) throw delErr;
+    const questions = await listRequestQuestions(request.id, { sdkAgentIds: [req.sdkAgent.id] });
+    if (!questions) {
+      return res.status(403).json({ error: 'Pitch on or ask about this request to see its Q&A' });
+    }
+    res.json({ requestId: request.id, questions });
+  } catch (e) {
+    next(e);
+  }
+});
 
-    await supabase
-      .from('sdk_pitches')
-      .update({ status: 'delivered' })
-      .eq('id', sdkPitch.id);
+/**
+ * POST /api/sdk/requests/:id/questions
+ * Body: { body }
+ * Ask the buyer a question about an Open request. The answer arrives as a question_answered
+ * webhook (and in GET /api/sdk/requests/:id/questions).
+ */
+router.post('/requests/:id/questions', async (req, res, next) => {
+  try {
+    const { text, error: validationError } = normalizeQuestionText(req.body?.body);
+    if (validationError) return res.status(400).json({ error: validationError });
 
-    const { data: reqRow } = await supabase
+    const { data: request, error } = await supabase
       .from('requests')
-      .select('title, author_id')
-      .eq('id', requestId)
+      .select('id, title, author_id, status, visibility')
+      .eq('id', req.params.id)
       .single();
+    if (error || !request) return res.status(404).json({ error: 'Request not found' });
+    if (!(await agentCanAccess(request, { sdkAgentId: req.sdkAgent.id }))) {
+      return res.status(403).json({ error: 'This request is invite-only' });
+    }
+    if (request.status !== 'Open') {
+      return res.status(400).json({ error: 'Questions can only be asked while the request is Open' });
+    }
 
-    await supabase.from('requests').update({ status: 'Completed' }).eq('id', requestId);
-
-    // Notify request owner that delivery arrived
-    if (reqRow?.author_id) {
-      const ownerWallet = await getWalletForUser(reqRow.author_id);
-      if (ownerWallet) {
-        await createNotification({
-          user_wallet: ownerWallet,
-          type: 'delivered',
-          title: '📦 Delivery received!',
-          message: `${req.sdkAgent.name} has delivered work on: "${reqRow.title}"`,
-          metadata: { request_id: requestId, request_title: reqRow.title, agent_name: req.sdkAgent.name, delivery_url: url },
-        });
-      }
+    const question = await askQuestion({
+      request,
+      sdkAgentId: req.sdkAgent.id,
+      askerName: req.sdkAgent.name,
+      body: text,
+    });
+    res.status(201).json(question);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /api/sdk/requests/:id/attachments
+ * Files the buyer attached to a request, each with a short-lived signed download `url`.
+ * Invite-only requests: invited agents only.
+ */
+router.get('/requests/:id/attachments', async (req, res, next) => {
+  try {
+    const { data: request, error } = await supabase
+      .from('requests')
+      .select('id, status, visibility')
+      .eq('id', req.params.id)
+      .single();
+    if (error || !request || request.status === 'Draft') return res.status(404).json({ error: 'Request not found' });
+    if (!(await agentCanAccess(request, { sdkAgentId: req.sdkAgent.id }))) {
+      return res.status(403).json({ error: 'This request is invite-only' });
+    }
+
+    const rows = await listAttachments({ requestId: request.id });
+    res.json({ requestId: request.id, attachments: await Promise.all(rows.map(withDownloadUrl)) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /api/sdk/builds/:buildId/attachments
+ * Delivery files attached to a build the agent was hired for, with signed download URLs.
+ */
+router.get('/builds/:buildId/attachments', async (req, res, next) => {
+  try {
+    const build = await loadSdkAgentBuild(req, res, 'id, request_id, status');
+    if (!build) return;
+    const rows = await listAttachments({ requestId: build.request_id, buildId: build.id });
+    res.json({ buildId: build.id, attachments: await Promise.all(rows.map(withDownloadUrl)) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/sdk/builds/:buildId/attachments?filename=app.zip
+ * Raw file body with its Content-Type. Attach a delivery file (zip, docs…) to a build while
+ * it is hired, building or revision_requested, then deliver as usual. ATTACHMENT_MAX_MB and
+ * ATTACHMENT_TYPES limits apply (413 / 415).
+ */
+router.post('/builds/:buildId/attachments', readUploadBody, async (req, res, next) => {
+  try {
+    const parsed = parseUpload(req);
+    if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+
+    const build = await loadSdkAgentBuild(req, res, 'id, request_id, status');
+    if (!build) return;
+    if (!DELIVERY_UPLOAD_STATUSES.includes(build.status)) {
+      return res.status(409).json({ error: `Cannot attach delivery files while the build is '${build.status}'` });
     }
 
-    res.status(201).json({ deliveryId: delivery.id });
+    const result = await saveAttachment({
+      requestId: build.request_id,
+      buildId: build.id,
+      upload: parsed.upload,
+      sdkAgentId: req.sdkAgent.id,
+    });
+    if (result.error) return res.status(409).json({ error: result.error });
+    res.status(201).json(await withDownloadUrl(result.attachment));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * DELETE /api/sdk/builds/:buildId/attachments/:attachmentId
+ * Remove a delivery file from a build while it is hired, building or revision_requested.
+ */
+router.delete('/builds/:buildId/attachments/:attachmentId', async (req, res, next) => {
+  try {
+    const build = await loadSdkAgentBuild(req, res, 'id, request_id, status');
+    if (!build) return;
+    if (!DELIVERY_UPLOAD_STATUSES.includes(build.status)) {
+      return res.status(409).json({ error: `Cannot remove delivery files while the build is '${build.status}'` });
+    }
+    const row = await getAttachment(req.params.attachmentId, { buildId: build.id });
+    if (!row) return res.status(404).json({ error: 'Attachment not found' });
+    await deleteAttachment(row);
+    res.status(204).send();
   } catch (e) {
     next(e);
   }
@@ -477,9 +1104,313 @@ router.get('/stats', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/sdk/webhooks/secret
+ * The agent's current webhook signing secret, and when the previous one (if any) stops signing.
+ */
+router.get('/webhooks/secret', async (req, res, next) => {
+  try {
+    const { data: agent, error } = await supabase
+      .from('sdk_agents')
+      .select('webhook_secret, webhook_secret_previous, webhook_secret_rotated_at')
+      .eq('id', req.sdkAgent.id)
+      .single();
+    if (error) throw error;
+    res.json({
+      webhookSecret: agent.webhook_secret,
+      rotatedAt: agent.webhook_secret_rotated_at || null,
+      previousSecretExpiresAt: previousSecretExpiresAt(agent),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/sdk/webhooks/secret/rotate
+ * Issue a new webhook signing secret. Webhooks are signed with both the new and the previous
+ * secret until previousSecretExpiresAt. Returns: { webhookSecret, previousSecretExpiresAt }
+ */
+router.post('/webhooks/secret/rotate', async (req, res, next) => {
+  try {
+    res.json(await rotateWebhookSecret(req.sdkAgent.id));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/sdk/webhooks/test
+ * Body: { endpointId? }
+ * Send a signed 'ping' event to one endpoint (or all active ones) and return the deliveries
+ * with each endpoint's response code and latency. Failed pings are retried like any other event.
+ */
+router.post('/webhooks/test', async (req, res, next) => {
+  try {
+    const { endpointId } = req.body || {};
+    const rows = await enqueueAgentEvent(req.sdkAgent.id, 'ping', {
+      agent_id: req.sdkAgent.id,
+      agent_name: req.sdkAgent.name,
+      occurred_at: new Date().toISOString(),
+    }, { endpointId: endpointId || null, attemptNow: false });
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: endpointId ? 'Webhook endpoint not found or disabled' : 'Register a webhook endpoint before sending a test event',
+      });
+    }
+    const deliveries = await Promise.all(rows.map(async (row) => (await attemptWebhookDelivery(row.id)) ?? row));
+    res.json({ deliveries: deliveries.map(mapWebhookDelivery) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * GET /api/sdk/webhooks/deliveries
+ * Webhook outbox for the agent, newest first: each event with its status, attempts, last
+ * response code, latency and error.
+ * Query: status ('pending' | 'delivered' | 'failed'), event, limit (default 20), offset (default 0)
+ */
+router.get('/webhooks/deliveries', async (req, res, next) => {
+  try {
+    const { status, event } = req.query;
+    if (status != null && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const offset = Number(req.query.offset) || 0;
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('sdk_agent_id', req.sdkAgent.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (status) query = query.eq('status', status);
+    if (event) query = query.eq('event', String(event));
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ deliveries: (data || []).map(mapWebhookDelivery) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/sdk/webhooks/deliveries/:id/replay
+ * Send a delivery again to its endpoint's current URL (same delivery id), with a fresh
+ * set of retries. Returns the delivery after the first attempt.
+ */
+router.post('/webhooks/deliveries/:id/replay', async (req, res, next) => {
+  try {
+    const { data: delivery } = await supabase
+      .from('webhook_deliveries')
+      .select('id, sdk_agent_id, endpoint_id, status')
+      .eq('id', req.params.id)
+      .eq('sdk_agent_id', req.sdkAgent.id)
+      .maybeSingle();
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+
+    const replayed = await replayWebhookDelivery(delivery);
+    if (!replayed) return res.status(400).json({ error: 'The webhook endpoint for this delivery was deleted or disabled' });
+    res.json(mapWebhookDelivery(replayed));
+  } catch (e) {
+    next(e);
+  }
+});
+
+const MAX_WEBHOOK_ENDPOINTS = 10;
+
+function mapWebhookEndpoint(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events || [],
+    description: row.description || null,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Validate webhook endpoint fields from a request body. `partial` allows omitting url
+ * (PATCH); events defaults to every event type on create.
+ * @returns {{ fields: object }|{ error: string }}
+ */
+function parseWebhookEndpointBody(body, { partial = false } = {}) {
+  const { url, events, description, isActive } = body || {};
+  const fields = {};
+
+  if (url !== undefined || !partial) {
+    const invalid = webhookUrlError(url);
+    if (invalid) return { error: `url ${invalid}` };
+    fields.url = new URL(String(url)).toString();
+  }
+  if (events !== undefined || !partial) {
+    const list = events === undefined ? WEBHOOK_EVENTS : events;
+    if (!Array.isArray(list) || list.length === 0) {
+      return { error: 'events must be a non-empty array' };
+    }
+    const unknown = list.filter((e) => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return { error: `Unknown event(s): ${unknown.join(', ')}. Allowed: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    fields.events = [...new Set(list)];
+  }
+  if (description !== undefined) {
+    fields.description = description != null ? String(description).trim().slice(0, 200) || null : null;
+  }
+  if (isActive !== undefined) {
+    if (typeof isActive !== 'boolean') return { error: 'isActive must be a boolean' };
+    fields.is_active = isActive;
+  }
+  return { fields };
+}
+
+async function loadWebhookEndpoint(req, res) {
+  const { data: endpoint } = await supabase
+    .from('webhook_endpoints')
+    .select('*')
+    .eq('id', req.params.id)
+    .eq('sdk_agent_id', req.sdkAgent.id)
+    .maybeSingle();
+  if (!endpoint) {
+    res.status(404).json({ error: 'Webhook endpoint not found' });
+    return null;
+  }
+  return endpoint;
+}
+
+/**
+ * GET /api/sdk/webhooks
+ * The agent's webhook endpoints and the event types each is subscribed to.
+ */
+router.get('/webhooks', async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('sdk_agent_id', req.sdkAgent.id)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    res.json({ endpoints: (data || []).map(mapWebhookEndpoint), availableEvents: WEBHOOK_EVENTS });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/sdk/webhooks
+ * Body: { url, events?, description? } — events defaults to every event type.
+ * Register a webhook endpoint (up to 10 per agent).
+ */
+router.post('/webhooks', async (req, res, next) => {
+  try {
+    const { fields, error: invalid } = parseWebhookEndpointBody(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { count } = await supabase
+      .from('webhook_endpoints')
+      .select('id', { count: 'exact', head: true })
+      .eq('sdk_agent_id', req.sdkAgent.id);
+    if ((count ?? 0) >= MAX_WEBHOOK_ENDPOINTS) {
+      return res.status(400).json({ error: `An agent can have at most ${MAX_WEBHOOK_ENDPOINTS} webhook endpoints` });
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .insert({ ...fields, sdk_agent_id: req.sdkAgent.id })
+      .select()
+      .single();
+    if (error) throw error;
+    res.status(201).json(mapWebhookEndpoint(data));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /api/sdk/webhooks/:id
+ */
+router.get('/webhooks/:id', async (req, res, next) => {
+  try {
+    const endpoint = await loadWebhookEndpoint(req, res);
+    if (!endpoint) return;
+    res.json(mapWebhookEndpoint(endpoint));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * PATCH /api/sdk/webhooks/:id
+ * Body: { url?, events?, description?, isActive? }
+ * Pending retries follow the new URL; disabling an endpoint fails its pending deliveries.
+ */
+router.patch('/webhooks/:id', async (req, res, next) => {
+  try {
+    const { fields, error: invalid } = parseWebhookEndpointBody(req.body, { partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const endpoint = await loadWebhookEndpoint(req, res);
+    if (!endpoint) return;
+    if (Object.keys(fields).length === 0) return res.json(mapWebhookEndpoint(endpoint));
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .update(fields)
+      .eq('id', endpoint.id)
+      .select()
+      .single();
+    if (error) throw error;
+
+    if (fields.is_active === false) {
+      await supabase
+        .from('webhook_deliveries')
+        .update({ status: 'failed', last_error: 'Webhook endpoint disabled' })
+        .eq('endpoint_id', endpoint.id)
+        .eq('status', 'pending');
+    }
+    res.json(mapWebhookEndpoint(data));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * DELETE /api/sdk/webhooks/:id
+ * Remove an endpoint. Its delivery history is kept; pending deliveries are marked failed.
+ */
+router.delete('/webhooks/:id', async (req, res, next) => {
+  try {
+    const endpoint = await loadWebhookEndpoint(req, res);
+    if (!endpoint) return;
+
+    await supabase
+      .from('webhook_deliveries')
+      .update({ status: 'failed', last_error: 'Webhook endpoint deleted' })
+      .eq('endpoint_id', endpoint.id)
+      .eq('status', 'pending');
+
+    const { error } = await supabase
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', endpoint.id);
+    if (error) throw error;
+    res.status(204).send();
+  } catch (e) {
+    next(e);
+  }
+});
+
 /**
  * PATCH /api/sdk/agents/:id/settings
- * requireSdkKey. Update auto_pitch and/or is_active for the agent identified by x-api-key.
+ * requireSdkKey. Update auto_pitch, is_active and/or specializations (normalized like
+ * POST /register) for the agent identified by x-api-key.
  * :id must match req.sdkAgent.id.
  */
 router.patch('/agents/:id/settings', async (req, res, next) => {
@@ -488,10 +1419,15 @@ router.patch('/agents/:id/settings', async (req, res, next) => {
     if (agentId !== req.sdkAgent.id) {
       return res.status(403).json({ error: 'API key does not belong to this agent' });
     }
-    const { auto_pitch, is_active } = req.body || {};
+    const { auto_pitch, is_active, specializations } = req.body || {};
     const updates = {};
     if (typeof auto_pitch === 'boolean') updates.auto_pitch = auto_pitch;
     if (typeof is_active === 'boolean') updates.is_active = is_active;
+    if (specializations !== undefined) {
+      const specs = await normalizeCategories(specializations ?? [], 'specializations');
+      if (specs.error) return res.status(400).json({ error: specs.error });
+      updates.specializations = specs.categories;
+    }
     if (Object.keys(updates).length === 0) {
       const { data } = await supabase.from('sdk_agents').select('*').eq('id', agentId).single();
       return res.json(data);
@@ -0,0 +1,278 @@
+import { Router } from 'express';
+import { supabase } from '../lib/supabase.js';
+import { requireApiKey, requireAgentScope } from '../middleware/sdkAuth.js';
+import { notifyBuildDelivered } from '../lib/notify.js';
+import { getJobSpec, handOverToAutopilot } from '../services/buildPipeline.js';
+import { recordBuildEvent } from '../services/buildEvents.js';
+import { canTransition, transitionBuild } from '../services/buildTransitions.js';
+import {
+  criteriaSummary,
+  markDeliveredCriteria,
+  parseCriteriaUpdates,
+  previewCriteriaUpdates,
+} from '../services/acceptanceCriteria.js';
+
+const router = Router();
+
+// All job routes require an agent-scoped x-4u-api-key (see SDK.md)
+router.use(requireApiKey, requireAgentScope);
+
+const JOB_COLUMNS = 'id, build_id, agent_id, status, build_tool, prompt, delivery_url, error, claimed_by, created_at, updated_at';
+
+/**
+ * Worker id recorded in build_jobs.claimed_by for jobs claimed through the SDK.
+ */
+function sdkWorkerId(apiKey) {
+  return `sdk:${apiKey.id}`;
+}
+
+/**
+ * Load a job and check it belongs to the API key's agent.
+ * Sends 404 and returns null when it does not.
+ */
+async function loadAgentJob(req, res) {
+  const { data: job, error } = await supabase
+    .from('build_jobs')
+    .select(JOB_COLUMNS)
+    .eq('id', req.params.jobId)
+    .eq('agent_id', req.apiKey.agent_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * GET /sdk/jobs/pending
+ * Pending SDK build jobs for the key's agent, oldest first.
+ */
+router.get('/pending', async (req, res, next) => {
+  try {
+    const { data: jobs, error } = await supabase
+      .from('build_jobs')
+      .select('id, build_id, agent_id, status, build_tool, prompt, created_at')
+      .eq('agent_id', req.apiKey.agent_id)
+      .eq('executor', 'sdk')
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    res.json({ jobs: jobs || [] });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /sdk/jobs/:jobId/spec
+ * Request title, description, categories, budget, timeline, attachment, attached files
+ * (signed download URLs, with the contents of small text files) and the build's acceptance
+ * criteria checklist for the job.
+ */
+router.get('/:jobId/spec', async (req, res, next) => {
+  try {
+    const job = await loadAgentJob(req, res);
+    if (!job) return;
+
+    const spec = await getJobSpec(job.id);
+    if (!spec) {
+      return res.status(404).json({ error: 'Job spec not found (build or request missing)' });
+    }
+    res.json(spec);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /sdk/jobs/:jobId/start
+ * Body: { buildTool?, prompt? }
+ * Atomically claims a pending job (pending → running) and moves the build to building.
+ * 409 if the job was already claimed. The claim is released when the build cannot move.
+ */
+router.post('/:jobId/start', async (req, res, next) => {
+  try {
+    const { buildTool, prompt } = req.body || {};
+    const job = await loadAgentJob(req, res);
+    if (!job) return;
+
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, status')
+      .eq('id', job.build_id)
+      .single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+
+    const actor = { type: 'agent', id: req.apiKey.agent_id };
+    if (!(await canTransition(build.status, 'building', actor))) {
+      return res.status(400).json({ error: `Cannot start building from status '${build.status}'` });
+    }
+
+    const workerId = sdkWorkerId(req.apiKey);
+    const { data: claimed, error: claimErr } = await supabase
+      .rpc('claim_sdk_build_job', {
+        p_job_id: job.id,
+        p_agent_id: req.apiKey.agent_id,
+        p_worker_id: workerId,
+      });
+    if (claimErr) throw claimErr;
+    if (!claimed?.id) {
+      return res.status(409).json({ error: `Job is not pending (status '${job.status}')` });
+    }
+
+    const tool = buildTool != null ? String(buildTool).trim() || null : null;
+    try {
+      await transitionBuild({
+        build,
+        to: 'building',
+        actor,
+        event: { type: 'building_started', metadata: { job_id: job.id, api_key_id: req.apiKey.id, build_tool: tool } },
+      });
+    } catch (err) {
+      // The build moved on since it was read: hand the job back so it can be started again
+      await supabase
+        .from('build_jobs')
+        .update({ status: 'pending', claimed_at: null, claimed_by: null })
+        .eq('id', job.id)
+        .eq('status', 'running')
+        .eq('claimed_by', workerId);
+      throw err;
+    }
+
+    const { data: updated, error: updateErr } = await supabase
+      .from('build_jobs')
+      .update({
+        build_tool: tool,
+        prompt: prompt != null ? String(prompt).trim() || null : null,
+      })
+      .eq('id', job.id)
+      .select(JOB_COLUMNS)
+      .single();
+    if (updateErr) throw updateErr;
+
+    res.json(updated);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /sdk/jobs/:jobId/deliver
+ * Body: { deliveryUrl, criteria? }
+ * Job must be running and claimed by this key. Marks the build delivered and the job completed,
+ * then notifies the buyer. criteria: [{ id, met, note? }] marks on the acceptance criteria
+ * from the job spec.
+ */
+router.post('/:jobId/deliver', async (req, res, next) => {
+  try {
+    const url = req.body?.deliveryUrl != null ? String(req.body.deliveryUrl).trim() : '';
+    if (!url) return res.status(400).json({ error: 'deliveryUrl is required' });
+    const marks = parseCriteriaUpdates(req.body.criteria, 'agent');
+    if (marks.error) return res.status(400).json({ error: marks.error });
+
+    const job = await loadAgentJob(req, res);
+    if (!job) return;
+    if (job.status !== 'running' || job.claimed_by !== sdkWorkerId(req.apiKey)) {
+      return res.status(409).json({ error: 'Job must be started with this API key before delivering' });
+    }
+
+    const { data: build, error: buildErr } = await supabase
+      .from('builds')
+      .select('id, request_id, status, agent_name, revision_count')
+      .eq('id', job.build_id)
+      .single();
+    if (buildErr || !build) return res.status(404).json({ error: 'Build not found' });
+
+    const actor = { type: 'agent', id: req.apiKey.agent_id };
+    if (!(await canTransition(build.status, 'delivered', actor))) {
+      return res.status(400).json({ error: `Cannot deliver from status '${build.status}'` });
+    }
+    const checklist = await previewCriteriaUpdates(build.id, 'agent', marks.updates, { delivery: true });
+    if (checklist.error) return res.status(400).json({ error: checklist.error });
+
+    // The job and checklist change only once the build is delivered
+    await transitionBuild({
+      build,
+      to: 'delivered',
+      actor,
+      patch: {
+        delivery_url: url,
+        delivered_at: new Date().toISOString(),
+        review_reminder_sent_at: null,
+      },
+      event: {
+        metadata: {
+          job_id: job.id,
+          api_key_id: req.apiKey.id,
+          delivery_url: url,
+          acceptance_criteria: criteriaSummary(checklist.criteria),
+        },
+      },
+    });
+    await markDeliveredCriteria(build.id, marks.updates);
+
+    const { error: jobErr } = await supabase
+      .from('build_jobs')
+      .update({ status: 'completed', delivery_url: url, error: null })
+      .eq('id', job.id);
+    if (jobErr) throw jobErr;
+
+    await notifyBuildDelivered(build, { deliveryUrl: url });
+
+    res.json({ ok: true, delivery_url: url });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /sdk/jobs/:jobId/fail
+ * Body: { error }
+ * Marks a pending or running job failed with the given message and hands the build to the
+ * 4U autopilot (see handOverToAutopilot). 409 if the job changed since it was read.
+ */
+router.post('/:jobId/fail', async (req, res, next) => {
+  try {
+    const rawError = req.body?.error;
+    const message = rawError != null ? String(rawError).trim() : '';
+    if (!message) return res.status(400).json({ error: 'error is required' });
+
+    const job = await loadAgentJob(req, res);
+    if (!job) return;
+    if (!['pending', 'running'].includes(job.status)) {
+      return res.status(409).json({ error: `Cannot fail a job in status '${job.status}'` });
+    }
+    if (job.status === 'running' && job.claimed_by !== sdkWorkerId(req.apiKey)) {
+      return res.status(409).json({ error: 'Job was started by a different API key' });
+    }
+
+    // Only fail the job as it was read: a concurrent start, deliver or fail wins
+    let failJob = supabase
+      .from('build_jobs')
+      .update({ status: 'failed', error: message.slice(0, 2000), last_error: message.slice(0, 2000) })
+      .eq('id', job.id)
+      .eq('status', job.status);
+    if (job.status === 'running') failJob = failJob.eq('claimed_by', sdkWorkerId(req.apiKey));
+    const { data: updated, error: updateErr } = await failJob.select(JOB_COLUMNS).maybeSingle();
+    if (updateErr) throw updateErr;
+    if (!updated) return res.status(409).json({ error: 'Job changed status — reload and try again' });
+
+    await recordBuildEvent({
+      buildId: job.build_id,
+      eventType: 'build_job_failed',
+      actorType: 'agent',
+      actorId: req.apiKey.agent_id,
+      notes: message.slice(0, 2000),
+      metadata: { job_id: job.id, api_key_id: req.apiKey.id },
+    });
+    await handOverToAutopilot(job, message);
+
+    res.json(updated);
+  } catch (e) {
+    next(e);
+  }
+});
+
+export const sdkJobsRouter = router;
@@ -0,0 +1,212 @@
+import { supabase } from '../lib/supabase.js';
+
+export const REVIEW_STATUSES = ['pending', 'passed', 'failed'];
+
+const MAX_CRITERIA = 20;
+const MAX_TEXT_LENGTH = 300;
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Validate a request's acceptance criteria: an array of strings (or { text } objects).
+ * Blank items are dropped and duplicates collapsed.
+ * @returns {{ criteria: string[] } | { error: string }}
+ */
+export function normalizeAcceptanceCriteria(input) {
+  if (input == null) return { criteria: [] };
+  if (!Array.isArray(input)) return { error: 'acceptance_criteria must be an array of strings' };
+
+  const criteria = [];
+  for (const [i, item] of input.entries()) {
+    const raw = typeof item === 'string' ? item : item?.text;
+    if (typeof raw !== 'string') return { error: `Acceptance criterion ${i + 1} must be a string` };
+    const text = raw.trim();
+    if (!text) continue;
+    if (text.length > MAX_TEXT_LENGTH) {
+      return { error: `Acceptance criterion ${i + 1} must be at most ${MAX_TEXT_LENGTH} characters` };
+    }
+    if (!criteria.includes(text)) criteria.push(text);
+  }
+  if (criteria.length > MAX_CRITERIA) {
+    return { error: `At most ${MAX_CRITERIA} acceptance criteria are allowed` };
+  }
+  return { criteria };
+}
+
+export function mapCriterion(row) {
+  return {
+    id: row.id,
+    position: row.position,
+    text: row.text,
+    agent_status: row.agent_status,
+    agent_note: row.agent_note || null,
+    agent_marked_at: row.agent_marked_at || null,
+    buyer_status: row.buyer_status,
+    buyer_note: row.buyer_note || null,
+    buyer_reviewed_at: row.buyer_reviewed_at || null,
+  };
+}
+
+/**
+ * Counts for a build's checklist: { total, met, not_met, passed, failed }.
+ */
+export function criteriaSummary(rows = []) {
+  const count = (key, value) => rows.filter((r) => r[key] === value).length;
+  return {
+    total: rows.length,
+    met: count('agent_status', 'met'),
+    not_met: count('agent_status', 'not_met'),
+    passed: count('buyer_status', 'passed'),
+    failed: count('buyer_status', 'failed'),
+  };
+}
+
+export async function listBuildCriteria(buildId) {
+  const { data, error } = await supabase
+    .from('build_acceptance_criteria')
+    .select('*')
+    .eq('build_id', buildId)
+    .order('position', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Checklists of several builds, keyed by build id.
+ */
+export async function listCriteriaForBuilds(buildIds) {
+  if (buildIds.length === 0) return {};
+  const { data, error } = await supabase
+    .from('build_acceptance_criteria')
+    .select('*')
+    .in('build_id', buildIds)
+    .order('position', { ascending: true });
+  if (error) throw error;
+  return (data || []).reduce((acc, row) => {
+    if (!acc[row.build_id]) acc[row.build_id] = [];
+    acc[row.build_id].push(row);
+    return acc;
+  }, {});
+}
+
+/**
+ * Copy a request's acceptance criteria onto a new build. No-op without criteria.
+ */
+export async function createBuildCriteria(buildId, criteria) {
+  const list = Array.isArray(criteria) ? criteria.filter((c) => typeof c === 'string' && c.trim()) : [];
+  if (list.length === 0) return [];
+  const { data, error } = await supabase
+    .from('build_acceptance_criteria')
+    .insert(list.map((text, i) => ({ build_id: buildId, position: i + 1, text })))
+    .select('*');
+  if (error) throw error;
+  return (data || []).sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Validate checklist updates from the agent ([{ id, met, note? }] on delivery) or the
+ * buyer ([{ id, status: 'passed' | 'failed' | 'pending', note? }] while reviewing).
+ * @returns {{ updates: Array<{ id, status, note }> } | { error: string }}
+ */
+export function parseCriteriaUpdates(input, role) {
+  if (input == null) return { updates: [] };
+  if (!Array.isArray(input)) return { error: 'criteria must be an array' };
+  if (input.length > MAX_CRITERIA) return { error: `At most ${MAX_CRITERIA} criteria per update` };
+
+  const updates = [];
+  for (const [i, item] of input.entries()) {
+    if (!item?.id || typeof item.id !== 'string') return { error: `criteria[${i}]: id is required` };
+    let status;
+    if (role === 'agent') {
+      if (typeof item.met !== 'boolean') return { error: `criteria[${i}]: met must be true or false` };
+      status = item.met ? 'met' : 'not_met';
+    } else {
+      if (!REVIEW_STATUSES.includes(item.status)) {
+        return { error: `criteria[${i}]: status must be one of: ${REVIEW_STATUSES.join(', ')}` };
+      }
+      status = item.status;
+    }
+    if (item.note != null && typeof item.note !== 'string') return { error: `criteria[${i}]: note must be a string` };
+    const note = item.note?.trim() || null;
+    if (note && note.length > MAX_NOTE_LENGTH) {
+      return { error: `criteria[${i}]: note must be at most ${MAX_NOTE_LENGTH} characters` };
+    }
+    updates.push({ id: item.id, status, note });
+  }
+  return { updates };
+}
+
+/**
+ * Apply parsed updates (see parseCriteriaUpdates) to a build's checklist: the agent's
+ * met / not met marks, or the buyer's review. Every id must belong to the build.
+ * @returns {{ criteria: object[] } | { error: string }} the whole checklist after the update
+ */
+export async function applyCriteriaUpdates(buildId, role, updates) {
+  const rows = await listBuildCriteria(buildId);
+  if (updates.length === 0) return { criteria: rows };
+  const unknown = updates.find((u) => !rows.some((r) => r.id === u.id));
+  if (unknown) return { error: `Unknown acceptance criterion: ${unknown.id}` };
+
+  const now = new Date().toISOString();
+  for (const u of updates) {
+    const patch = role === 'agent'
+      ? { agent_status: u.status, agent_note: u.note, agent_marked_at: now }
+      : { buyer_status: u.status, buyer_note: u.note, buyer_reviewed_at: u.status === 'pending' ? null : now };
+    const { error } = await supabase
+      .from('build_acceptance_criteria')
+      .update(patch)
+      .eq('id', u.id)
+      .eq('build_id', buildId);
+    if (error) throw error;
+  }
+  return { criteria: await listBuildCriteria(buildId) };
+}
+
+/**
+ * The checklist as applyCriteriaUpdates() (or, with `delivery`, markDeliveredCriteria())
+ * would leave it, without writing anything. Lets a route validate and summarise the change
+ * before the status transition it belongs to, and apply it only once that went through.
+ * @returns {{ criteria: object[] } | { error: string }} as applyCriteriaUpdates
+ */
+export async function previewCriteriaUpdates(buildId, role, updates, { delivery = false } = {}) {
+  const rows = await listBuildCriteria(buildId);
+  const unknown = updates.find((u) => !rows.some((r) => r.id === u.id));
+  if (unknown) return { error: `Unknown acceptance criterion: ${unknown.id}` };
+
+  const byId = new Map(updates.map((u) => [u.id, u]));
+  const criteria = rows.map((row) => {
+    const u = byId.get(row.id);
+    const next = { ...row };
+    if (u && role === 'agent') Object.assign(next, { agent_status: u.status, agent_note: u.note });
+    if (u && role !== 'agent') Object.assign(next, { buyer_status: u.status, buyer_note: u.note });
+    if (delivery && next.buyer_status === 'failed') next.buyer_status = 'pending';
+    return next;
+  });
+  return { criteria };
+}
+
+/**
+ * Record a delivery on the checklist: the agent's marks (parsed updates) are applied and the
+ * items the buyer failed on the previous delivery go back up for review.
+ * @returns {{ criteria: object[] } | { error: string }} as applyCriteriaUpdates
+ */
+export async function markDeliveredCriteria(buildId, updates) {
+  const result = await applyCriteriaUpdates(buildId, 'agent', updates);
+  if (result.error || !result.criteria.some((r) => r.buyer_status === 'failed')) return result;
+  const { error } = await supabase
+    .from('build_acceptance_criteria')
+    .update({ buyer_status: 'pending', buyer_reviewed_at: null })
+    .eq('build_id', buildId)
+    .eq('buyer_status', 'failed');
+  if (error) throw error;
+  return { criteria: await listBuildCriteria(buildId) };
+}
+
+/**
+ * The failed items as a plain-text list for revision notes, or '' when none failed.
+ */
+export function describeFailedCriteria(rows = []) {
+  const failed = rows.filter((r) => r.buyer_status === 'failed');
+  if (failed.length === 0) return '';
+  const lines = failed.map((r) => `- ${r.text}${r.buyer_note ? ` — ${r.buyer_note}` : ''}`);
+  return `Acceptance criteria not met:\n${lines.join('\n')}`;
+}
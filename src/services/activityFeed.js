@@ -0,0 +1,213 @@
+import { supabase } from '../lib/supabase.js';
+import { notifyRecipients } from '../lib/notify.js';
+import { afterCursor, pageQuery, paginate } from '../lib/cursor.js';
+import { onEvent } from './eventBus.js';
+
+export const FEED_VERBS = ['request_posted', 'pitched', 'hired', 'delivered'];
+const MAX_FOLLOWEES = 500; // followees a feed query covers
+
+let unsubscribe = null;
+
+function log(msg) {
+  console.log(`[activityFeed ${new Date().toISOString()}] ${msg}`);
+}
+
+function mapActivity(row) {
+  const [actorType, ...rest] = row.actor_key.split(':');
+  return {
+    id: row.id,
+    actor: { type: actorType, id: rest.join(':'), name: row.actor_name ?? null },
+    verb: row.verb,
+    request_id: row.request_id ?? null,
+    build_id: row.build_id ?? null,
+    summary: row.summary,
+    data: row.data || {},
+    created_at: row.created_at,
+  };
+}
+
+async function recordActivity({ actorKey, actorName = null, verb, requestId = null, buildId = null, summary, data = {} }) {
+  const { error } = await supabase.from('activity_events').insert({
+    actor_key: actorKey,
+    actor_name: actorName,
+    verb,
+    request_id: requestId,
+    build_id: buildId,
+    summary,
+    data,
+  });
+  if (error) log(`Record ${verb} for ${actorKey} error: ${error.message}`);
+}
+
+/**
+ * Title of a request whose activity may be shown, or null for unlisted and invite-only
+ * requests, which stay out of feeds and follower notifications.
+ */
+async function publicRequestTitle(requestId) {
+  const { data } = await supabase.from('requests').select('title, visibility').eq('id', requestId).maybeSingle();
+  if (!data || (data.visibility ?? 'public') !== 'public') return null;
+  return data.title;
+}
+
+/**
+ * Followable identity of the agent behind a build or pitch (internal or SDK).
+ */
+async function agentActor({ agent_id: agentId, sdk_agent_id: sdkAgentId, agent_name: knownName }) {
+  if (!agentId && !sdkAgentId) return null;
+  let name = knownName ?? null;
+  if (!name) {
+    const { data } = await supabase
+      .from(agentId ? 'agents' : 'sdk_agents')
+      .select('name')
+      .eq('id', agentId || sdkAgentId)
+      .maybeSingle();
+    name = data?.name ?? null;
+  }
+  return {
+    key: `agent:${agentId || sdkAgentId}`,
+    name,
+    ref: agentId ? { agentId } : { sdkAgentId },
+  };
+}
+
+async function handleRequestCreated({ request }) {
+  if ((request.visibility ?? 'public') !== 'public') return;
+  const { data: author } = await supabase
+    .from('users')
+    .select('wallet_address, username')
+    .eq('id', request.author_id)
+    .maybeSingle();
+  const wallet = author?.wallet_address;
+  if (!wallet) return;
+
+  await recordActivity({
+    actorKey: `user:${wallet}`,
+    actorName: author.username ?? null,
+    verb: 'request_posted',
+    requestId: request.id,
+    summary: `posted "${request.title}"`,
+    data: { categories: request.categories || [], budget: request.budget ?? null },
+  });
+  await notifyRecipients({ followersOf: { wallet } }, {
+    type: 'followed_user_request',
+    title: '🆕 New request from someone you follow',
+    message: `${author.username || 'A user you follow'} posted "${request.title}"`,
+    metadata: { request_id: request.id, request_title: request.title, author_wallet: wallet },
+  }, { exclude: [wallet] });
+}
+
+async function handlePitchCreated({ pitch }) {
+  const title = await publicRequestTitle(pitch.request_id);
+  if (title == null) return;
+  const actor = await agentActor(pitch);
+  if (!actor) return;
+  await recordActivity({
+    actorKey: actor.key,
+    actorName: actor.name ?? pitch.agent_name,
+    verb: 'pitched',
+    requestId: pitch.request_id,
+    summary: `pitched on "${title}"`,
+    data: { pitch_id: pitch.pitch_id, price: pitch.price ?? null },
+  });
+}
+
+async function handleAgentHired({ build, request }) {
+  if ((await publicRequestTitle(build.request_id)) == null) return;
+  const actor = await agentActor(build);
+  if (!actor) return;
+  const name = actor.name || 'An agent you follow';
+  await recordActivity({
+    actorKey: actor.key,
+    actorName: actor.name,
+    verb: 'hired',
+    requestId: build.request_id,
+    buildId: build.id,
+    summary: `was hired for "${request.title}"`,
+  });
+  await notifyRecipients({ followersOf: actor.ref }, {
+    type: 'followed_agent_hired',
+    title: '🏆 An agent you follow was hired',
+    message: `${name} was hired for "${request.title}"`,
+    metadata: { request_id: build.request_id, request_title: request.title, build_id: build.id, agent_name: actor.name },
+  }, { exclude: [{ buyerOf: request }] });
+}
+
+async function handleBuildStatus({ build }) {
+  if (build.status !== 'delivered') return;
+  const title = await publicRequestTitle(build.request_id);
+  if (title == null) return;
+  const actor = await agentActor(build);
+  if (!actor) return;
+  const name = actor.name || 'An agent you follow';
+  await recordActivity({
+    actorKey: actor.key,
+    actorName: actor.name,
+    verb: 'delivered',
+    requestId: build.request_id,
+    buildId: build.id,
+    summary: `delivered "${title}"`,
+    data: { revision_count: build.revision_count ?? 0 },
+  });
+  await notifyRecipients({ followersOf: actor.ref }, {
+    type: 'followed_agent_delivered',
+    title: '🚀 An agent you follow shipped a delivery',
+    message: `${name} delivered "${title}"`,
+    metadata: { request_id: build.request_id, request_title: title, build_id: build.id, agent_name: actor.name },
+  }, { exclude: [{ buyerOf: build }] });
+}
+
+const HANDLERS = {
+  request_created: handleRequestCreated,
+  pitch_created: handlePitchCreated,
+  agent_hired: handleAgentHired,
+  build_status_changed: handleBuildStatus,
+};
+
+async function dispatchActivityEvent({ type, data }) {
+  const handler = HANDLERS[type];
+  if (handler) await handler(data);
+}
+
+/**
+ * Activity of everyone `wallet` follows (users by wallet, internal and SDK agents by id),
+ * newest first.
+ * @param {{ cursor?: { createdAt, id }, limit: number, verbs?: string[] }} opts
+ * @returns {{ events: object[], nextCursor: string|null }}
+ */
+export async function listFeed(wallet, { cursor = null, limit, verbs = [] }) {
+  const { data: follows, error: followErr } = await supabase
+    .from('follows')
+    .select('followee_type, followee_id')
+    .eq('follower_wallet', wallet)
+    .limit(MAX_FOLLOWEES);
+  if (followErr) throw followErr;
+  if (!follows || follows.length === 0) return { events: [], nextCursor: null };
+
+  let query = supabase
+    .from('activity_events')
+    .select('*')
+    .in('actor_key', follows.map((f) => `${f.followee_type}:${f.followee_id}`));
+  if (cursor) query = afterCursor(query, cursor);
+  if (verbs.length > 0) query = query.in('verb', verbs);
+
+  const { data, error } = await pageQuery(query, limit);
+  if (error) throw error;
+  const { page, nextCursor } = paginate(data, limit);
+  return { events: page.map(mapActivity), nextCursor };
+}
+
+/**
+ * Record followed-actor activity from the event bus and notify opted-in followers.
+ */
+export function startActivityFeed() {
+  if (unsubscribe != null) return;
+  unsubscribe = onEvent(dispatchActivityEvent);
+  log('Started');
+}
+
+export function stopActivityFeed() {
+  if (unsubscribe != null) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+}
@@ -0,0 +1,228 @@
+import express from 'express';
+import { createHash, randomUUID } from 'crypto';
+import { supabase } from '../lib/supabase.js';
+import { putObject, getObject, removeObject, signedDownloadUrl } from '../lib/storage.js';
+
+// Build statuses in which the hired agent may add or remove delivery files
+export const DELIVERY_UPLOAD_STATUSES = ['hired', 'building', 'revision_requested'];
+
+// application/json is left out on purpose: the global JSON body parser would consume it.
+const DEFAULT_TYPES = [
+  'application/pdf',
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/gzip',
+  'application/x-tar',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'text/html',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+];
+// Types whose contents are inlined into build job specs
+const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/csv', 'text/html'];
+
+const MAX_ATTACHMENTS = 20;
+const MAX_FILENAME_LENGTH = 200;
+const SPEC_TEXT_MAX_BYTES = 100 * 1024;
+
+function log(msg) {
+  console.log(`[attachments ${new Date().toISOString()}] ${msg}`);
+}
+
+/**
+ * Upload limits, read on every use.
+ *   ATTACHMENT_MAX_MB (25)  - per file
+ *   ATTACHMENT_TYPES        - comma-separated Content-Types, replaces the default list
+ */
+export function attachmentLimits() {
+  const mb = Number(process.env.ATTACHMENT_MAX_MB);
+  const types = (process.env.ATTACHMENT_TYPES || '')
+    .split(',')
+    .map((t) => t.trim().toLowerCase())
+    .filter(Boolean);
+  return {
+    maxBytes: Math.floor((Number.isFinite(mb) && mb > 0 ? mb : 25) * 1024 * 1024),
+    types: types.length > 0 ? types : DEFAULT_TYPES,
+  };
+}
+
+/**
+ * Middleware: read the raw file body (any Content-Type) up to ATTACHMENT_MAX_MB.
+ * Oversized uploads get 413 before the route runs.
+ */
+export function readUploadBody(req, res, next) {
+  const { maxBytes } = attachmentLimits();
+  express.raw({ type: () => true, limit: maxBytes })(req, res, (err) => {
+    if (err?.type === 'entity.too.large') {
+      return res.status(413).json({ error: `File is larger than ${Number((maxBytes / 1024 / 1024).toFixed(2))} MB` });
+    }
+    next(err);
+  });
+}
+
+function normalizeFilename(raw) {
+  const name = String(raw ?? '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .trim();
+  return name.slice(0, MAX_FILENAME_LENGTH);
+}
+
+/**
+ * Validate an upload: raw body, Content-Type header and ?filename= (or X-Filename header).
+ * @returns {{ upload: { filename, contentType, data } } | { status: number, error: string }}
+ */
+export function parseUpload(req) {
+  const filename = normalizeFilename(req.query.filename ?? req.get('x-filename'));
+  if (!filename) return { status: 400, error: 'filename is required (?filename= or X-Filename header)' };
+  const contentType = (req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const { types } = attachmentLimits();
+  if (!types.includes(contentType)) {
+    return { status: 415, error: `Content-Type must be one of: ${types.join(', ')}` };
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return { status: 400, error: 'Send the file contents as the request body' };
+  }
+  return { upload: { filename, contentType, data: req.body } };
+}
+
+export function mapAttachment(row) {
+  return {
+    id: row.id,
+    request_id: row.request_id,
+    build_id: row.build_id || null,
+    kind: row.kind,
+    filename: row.filename,
+    content_type: row.content_type,
+    size_bytes: Number(row.size_bytes),
+    sha256: row.sha256,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * mapAttachment plus a signed download URL (url, url_expires_at). Only call once the
+ * caller is known to be allowed to read the file.
+ */
+export async function withDownloadUrl(row) {
+  const { url, expiresAt } = await signedDownloadUrl(row.storage_key, {
+    filename: row.filename,
+    contentType: row.content_type,
+  });
+  return { ...mapAttachment(row), url, url_expires_at: expiresAt };
+}
+
+/**
+ * A request's spec files (buildId omitted) or a build's delivery files, oldest first.
+ */
+export async function listAttachments({ requestId, buildId = null }) {
+  let q = supabase.from('attachments').select('*').order('created_at', { ascending: true });
+  q = buildId
+    ? q.eq('build_id', buildId).eq('kind', 'delivery')
+    : q.eq('request_id', requestId).eq('kind', 'request');
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One attachment of a request (buildId omitted) or build, or null.
+ */
+export async function getAttachment(id, { requestId, buildId = null }) {
+  let q = supabase.from('attachments').select('*').eq('id', id);
+  q = buildId ? q.eq('build_id', buildId) : q.eq('request_id', requestId).eq('kind', 'request');
+  const { data, error } = await q.maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Store a parsed upload (see parseUpload) as a request spec file, or as a delivery file when
+ * buildId is given, and record it. The uploader is a user (userId) or SDK agent (sdkAgentId).
+ * @returns {{ attachment: object } | { error: string }} error when the file limit is reached
+ */
+export async function saveAttachment({ requestId, buildId = null, upload, userId = null, sdkAgentId = null }) {
+  const existing = await listAttachments({ requestId, buildId });
+  if (existing.length >= MAX_ATTACHMENTS) {
+    return { error: `At most ${MAX_ATTACHMENTS} files can be attached` };
+  }
+
+  const kind = buildId ? 'delivery' : 'request';
+  const prefix = buildId ? `builds/${buildId}` : `requests/${requestId}`;
+  const storageKey = `${prefix}/${randomUUID()}/${upload.filename.replace(/[^\w.-]+/g, '_')}`;
+  await putObject(storageKey, upload.data, { contentType: upload.contentType });
+
+  const { data: row, error } = await supabase
+    .from('attachments')
+    .insert({
+      request_id: requestId,
+      build_id: buildId,
+      kind,
+      storage_key: storageKey,
+      filename: upload.filename,
+      content_type: upload.contentType,
+      size_bytes: upload.data.length,
+      sha256: createHash('sha256').update(upload.data).digest('hex'),
+      uploaded_by_user_id: userId,
+      uploaded_by_sdk_agent_id: sdkAgentId,
+    })
+    .select()
+    .single();
+  if (error) {
+    await removeObject(storageKey).catch(() => {});
+    throw error;
+  }
+  return { attachment: row };
+}
+
+/**
+ * Delete an attachment's row, then its stored file (a storage failure only logs).
+ */
+export async function deleteAttachment(row) {
+  const { error } = await supabase.from('attachments').delete().eq('id', row.id);
+  if (error) throw error;
+  try {
+    await removeObject(row.storage_key);
+  } catch (err) {
+    log(`Remove ${row.storage_key} error: ${err?.message || err}`);
+  }
+}
+
+/**
+ * A request's spec files as build job specs carry them: a signed url for every file, plus
+ * the text of small text files (up to 100 KB) in `content`.
+ */
+export async function specAttachments(requestId) {
+  const rows = await listAttachments({ requestId });
+  return Promise.all(rows.map(async (row) => {
+    const { url, expiresAt } = await signedDownloadUrl(row.storage_key, {
+      filename: row.filename,
+      contentType: row.content_type,
+    });
+    let content = null;
+    if (TEXT_TYPES.includes(row.content_type) && Number(row.size_bytes) <= SPEC_TEXT_MAX_BYTES) {
+      try {
+        content = (await getObject(row.storage_key))?.toString('utf8') ?? null;
+      } catch (err) {
+        log(`Read ${row.storage_key} error: ${err?.message || err}`);
+      }
+    }
+    return {
+      id: row.id,
+      filename: row.filename,
+      contentType: row.content_type,
+      size: Number(row.size_bytes),
+      url,
+      urlExpiresAt: expiresAt,
+      content,
+    };
+  }));
+}
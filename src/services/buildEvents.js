@@ -0,0 +1,63 @@
+import { supabase } from '../lib/supabase.js';
+
+export function mapBuildEvent(row) {
+  return {
+    id: row.id,
+    build_id: row.build_id,
+    milestone_id: row.milestone_id || null,
+    event_type: row.event_type,
+    actor_type: row.actor_type,
+    actor_id: row.actor_id || null,
+    from_status: row.from_status || null,
+    to_status: row.to_status || null,
+    escrow_status: row.escrow_status || null,
+    tx_signature: row.tx_signature || null,
+    notes: row.notes || null,
+    metadata: row.metadata || {},
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Append an event to a build's timeline.
+ * actorType: 'requester' | 'agent' | 'admin' | 'system'.
+ * Never throws — errors are logged and swallowed so the transition itself still completes.
+ */
+export async function recordBuildEvent({
+  buildId,
+  milestoneId = null,
+  eventType,
+  actorType,
+  actorId = null,
+  fromStatus = null,
+  toStatus = null,
+  escrowStatus = null,
+  txSignature = null,
+  notes = null,
+  metadata = {},
+}) {
+  const { error } = await supabase.from('build_events').insert({
+    build_id: buildId,
+    milestone_id: milestoneId,
+    event_type: eventType,
+    actor_type: actorType,
+    actor_id: actorId != null ? String(actorId) : null,
+    from_status: fromStatus,
+    to_status: toStatus,
+    escrow_status: escrowStatus,
+    tx_signature: txSignature,
+    notes,
+    metadata,
+  });
+  if (error) console.error('[buildEvents] recordBuildEvent error:', error.message);
+}
+
+export async function listBuildEvents(buildId) {
+  const { data, error } = await supabase
+    .from('build_events')
+    .select('*')
+    .eq('build_id', buildId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(mapBuildEvent);
+}
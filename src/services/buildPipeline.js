@@ -1,16 +1,41 @@
 import Anthropic from '@anthropic-ai/sdk';
 import archiver from 'archiver';
 import { supabase } from '../lib/supabase.js';
+import { notifyRecipients } from '../lib/notify.js';
+import { recordBuildEvent } from './buildEvents.js';
+import { transitionBuild } from './buildTransitions.js';
+import { specAttachments } from './attachments.js';
+import { criteriaSummary, listBuildCriteria, markDeliveredCriteria } from './acceptanceCriteria.js';
 
 const NETLIFY_API = 'https://api.netlify.com/api/v1';
 const NETLIFY_TOKEN = process.env.NETLIFY_ACCESS_TOKEN;
 const NETLIFY_SITE_ID = process.env.NETLIFY_SITE_ID;
 const ANTHROPIC_KEY = process.env.ANTHROPIC_API_KEY;
+const ACTOR = { type: 'system', id: '4u-autopilot' };
+
+// Build statuses the autopilot can still pick a build up from (markJobRunning → building)
+const AUTOPILOT_STATUSES = ['hired', 'building'];
+const HOUR_MS = 60 * 60 * 1000;
+// Attachment text inlined into the generation prompt, across all files
+const PROMPT_ATTACHMENT_MAX_BYTES = 200 * 1024;
 
 /**
- * Fetch job spec (request title, description, categories, budget, timeline) for a build_job.
+ * How long an SDK job may wait for its agent to start it, read on every run.
+ *   SDK_JOB_CLAIM_TIMEOUT_HOURS (24)
  */
-async function getJobSpec(jobId) {
+function sdkClaimTimeoutHours() {
+  const hours = Number(process.env.SDK_JOB_CLAIM_TIMEOUT_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 24;
+}
+
+/**
+ * Fetch job spec (request title, description, categories, budget, timeline, attachments,
+ * acceptance criteria) for a build_job. attachments are the request's spec files with signed
+ * download URLs and, for small text files, their contents. acceptanceCriteria is the build's
+ * checklist with the buyer's review so far (a failed item's buyerNote says what is missing).
+ * Shared with the SDK job endpoints (GET /sdk/jobs/:jobId/spec).
+ */
+export async function getJobSpec(jobId) {
   const { data: job, error: jobErr } = await supabase
     .from('build_jobs')
     .select('id, build_id, agent_id')
@@ -42,47 +67,218 @@ async function getJobSpec(jobId) {
       budget: request.budget != null ? Number(request.budget) : null,
       timeline: request.timeline,
       attachment: request.attachment,
+      attachments: await specAttachments(build.request_id),
+      acceptanceCriteria: (await listBuildCriteria(job.build_id)).map((c) => ({
+        id: c.id,
+        text: c.text,
+        buyerStatus: c.buyer_status,
+        buyerNote: c.buyer_note || null,
+      })),
     },
   };
 }
 
+async function getBuildStatus(buildId) {
+  const { data } = await supabase
+    .from('builds')
+    .select('status, escrow_status')
+    .eq('id', buildId)
+    .maybeSingle();
+  return data || {};
+}
+
 /**
- * Mark job as running and build as building.
+ * Mark job as running and build as building (already building on a retry).
+ * Throws if the build can no longer be worked on (e.g. cancelled).
  */
 async function markJobRunning(jobId, buildId) {
   await supabase
     .from('build_jobs')
     .update({ status: 'running', build_tool: '4u-autopilot' })
     .eq('id', jobId);
-  await supabase
-    .from('builds')
-    .update({ status: 'building' })
-    .eq('id', buildId);
+  await transitionBuild({
+    build: { id: buildId },
+    to: 'building',
+    actor: ACTOR,
+    expectFrom: null,
+    event: { type: 'building_started', metadata: { job_id: jobId } },
+  });
 }
 
 /**
- * Mark job failed with error message.
+ * Mark job failed with error message. The build keeps its status; the failure is noted
+ * on its timeline.
  */
-async function markJobFailed(jobId, errorMessage) {
+async function markJobFailed(jobId, buildId, errorMessage) {
   const msg = typeof errorMessage === 'string' ? errorMessage : (errorMessage?.message || 'Unknown error');
   await supabase
     .from('build_jobs')
     .update({ status: 'failed', error: msg.slice(0, 2000) })
     .eq('id', jobId);
+  const current = await getBuildStatus(buildId);
+  await recordBuildEvent({
+    buildId,
+    eventType: 'build_job_failed',
+    actorType: ACTOR.type,
+    actorId: ACTOR.id,
+    fromStatus: current.status ?? null,
+    toStatus: current.status ?? null,
+    escrowStatus: current.escrow_status ?? null,
+    notes: msg.slice(0, 2000),
+    metadata: { job_id: jobId },
+  });
 }
 
 /**
  * Deliver: mark job completed and build delivered with URL.
  */
 async function deliverJob(jobId, buildId, deliveryUrl) {
+  // The autopilot marks nothing itself, but items the buyer failed go back up for review
+  const { criteria } = await markDeliveredCriteria(buildId, []);
+  await transitionBuild({
+    build: { id: buildId },
+    to: 'delivered',
+    actor: ACTOR,
+    expectFrom: 'building',
+    patch: {
+      delivery_url: deliveryUrl,
+      delivered_at: new Date().toISOString(),
+      review_reminder_sent_at: null,
+    },
+    event: { metadata: { job_id: jobId, delivery_url: deliveryUrl, acceptance_criteria: criteriaSummary(criteria) } },
+  });
   await supabase
     .from('build_jobs')
     .update({ status: 'completed', delivery_url: deliveryUrl })
     .eq('id', jobId);
-  await supabase
+}
+
+/**
+ * Queue an autopilot job for a build whose SDK job failed or was never started, so the hire
+ * still gets built, and tell the buyer. Skipped when the build is past the point the
+ * autopilot can pick it up from, or another job for it is already queued or running.
+ * @returns the queued job, or null when nothing was queued
+ */
+export async function handOverToAutopilot(job, reason) {
+  const { data: build } = await supabase
     .from('builds')
-    .update({ status: 'delivered', delivery_url: deliveryUrl })
-    .eq('id', buildId);
+    .select('id, request_id, status, escrow_status, agent_name')
+    .eq('id', job.build_id)
+    .maybeSingle();
+  if (!build || !AUTOPILOT_STATUSES.includes(build.status)) return null;
+
+  const { count: openJobs, error: countErr } = await supabase
+    .from('build_jobs')
+    .select('id', { count: 'exact', head: true })
+    .eq('build_id', build.id)
+    .in('status', ['pending', 'running']);
+  if (countErr) throw countErr;
+  if (openJobs > 0) return null;
+
+  const { data: queued, error } = await supabase
+    .from('build_jobs')
+    .insert({ build_id: build.id, agent_id: job.agent_id, status: 'pending', executor: 'autopilot' })
+    .select()
+    .single();
+  if (error) throw error;
+
+  await recordBuildEvent({
+    buildId: build.id,
+    eventType: 'build_job_reassigned',
+    actorType: ACTOR.type,
+    actorId: ACTOR.id,
+    fromStatus: build.status,
+    toStatus: build.status,
+    escrowStatus: build.escrow_status,
+    notes: reason,
+    metadata: { job_id: queued.id, previous_job_id: job.id, executor: 'autopilot' },
+  });
+
+  const { data: request } = await supabase
+    .from('requests').select('author_id, title').eq('id', build.request_id).maybeSingle();
+  await notifyRecipients({ buyerOf: request || build }, {
+    type: 'build_reassigned',
+    title: '🔁 Your build was handed to the 4U autopilot',
+    message: `${build.agent_name || 'The agent'} could not build "${request?.title ?? 'your request'}" (${reason.slice(0, 120)}) — the 4U autopilot is building it instead.`,
+    metadata: { build_id: build.id, request_id: build.request_id, request_title: request?.title ?? null, job_id: queued.id },
+  });
+
+  return queued;
+}
+
+/**
+ * The executor is picked at hire time (sdk when the agent had an active API key), so an
+ * agent that stops polling or revokes its key would leave the buyer waiting. Fail pending
+ * SDK jobs that were not started within SDK_JOB_CLAIM_TIMEOUT_HOURS, or whose agent no
+ * longer has an active key, and hand their builds to the autopilot.
+ * @returns {Promise<number>} builds handed over
+ */
+export async function reassignUnclaimedSdkJobs(now = Date.now()) {
+  const hours = sdkClaimTimeoutHours();
+  const { data: jobs, error } = await supabase
+    .from('build_jobs')
+    .select('id, build_id, agent_id, status, created_at')
+    .eq('executor', 'sdk')
+    .eq('status', 'pending');
+  if (error) throw error;
+
+  let handedOver = 0;
+  for (const job of jobs || []) {
+    let reason = `Not started within ${hours}h`;
+    if (Date.parse(job.created_at) > now - hours * HOUR_MS) {
+      const { count: activeKeys } = await supabase
+        .from('api_keys')
+        .select('id', { count: 'exact', head: true })
+        .eq('agent_id', job.agent_id)
+        .eq('is_active', true);
+      if (activeKeys > 0) continue;
+      reason = 'The agent no longer has an active API key';
+    }
+
+    // Skip jobs the agent started in the meantime
+    const { data: failed, error: failErr } = await supabase
+      .from('build_jobs')
+      .update({ status: 'failed', error: reason, last_error: reason })
+      .eq('id', job.id)
+      .eq('status', 'pending')
+      .select('id')
+      .maybeSingle();
+    if (failErr) throw failErr;
+    if (!failed) continue;
+
+    if (await handOverToAutopilot(job, reason)) handedOver++;
+  }
+  return handedOver;
+}
+
+/**
+ * Prompt section for the request's attached files: text files inline while they fit in
+ * PROMPT_ATTACHMENT_MAX_BYTES altogether, the others by name.
+ */
+export function attachedFiles(attachments = []) {
+  if (attachments.length === 0) return '';
+  let budget = PROMPT_ATTACHMENT_MAX_BYTES;
+  const files = attachments.map((a) => {
+    const bytes = a.content != null ? Buffer.byteLength(a.content, 'utf8') : null;
+    if (bytes != null && bytes <= budget) {
+      budget -= bytes;
+      return `### ${a.filename}\n\`\`\`\n${a.content}\n\`\`\``;
+    }
+    const why = bytes != null ? 'not included, the attached files are too long to inline' : 'not included';
+    return `### ${a.filename}\n(${a.contentType}, ${a.size} bytes — ${why})`;
+  });
+  return `\n## Attached files\n${files.join('\n\n')}\n`;
+}
+
+/**
+ * Prompt section for the acceptance criteria checklist the buyer reviews the delivery against.
+ */
+function acceptanceChecklist(criteria = []) {
+  if (criteria.length === 0) return '';
+  const items = criteria.map((c, i) => (c.buyerStatus === 'failed' && c.buyerNote
+    ? `${i + 1}. ${c.text} (not met last time: ${c.buyerNote})`
+    : `${i + 1}. ${c.text}`));
+  return `\n## Acceptance criteria\nThe buyer reviews the delivery against this checklist — every item must be met:\n${items.join('\n')}\n`;
 }
 
 /**
@@ -101,6 +297,7 @@ async function generateHtml(spec) {
 - **Budget:** ${spec.budget != null ? spec.budget : 'Not specified'}
 - **Timeline:** ${spec.timeline || 'Not specified'}
 ${spec.attachment ? `- **Attachment/extra context:** ${spec.attachment}` : ''}
+${attachedFiles(spec.attachments)}${acceptanceChecklist(spec.acceptanceCriteria)}
 
 ## Requirements
 1. Output ONLY a single, valid \`index.html\` file. No markdown, no code fence, no explanation before or after.
@@ -186,7 +383,7 @@ export async function runBuildPipeline(job) {
     log('Fetching job spec');
     const specData = await getJobSpec(jobId);
     if (!specData) {
-      await markJobFailed(jobId, 'Could not load job spec (build or request missing)');
+      await markJobFailed(jobId, buildId, 'Could not load job spec (build or request missing)');
       log('Failed: no spec');
       return;
     }
@@ -211,7 +408,7 @@ export async function runBuildPipeline(job) {
     const message = err?.message || String(err);
     log(`Error: ${message}`);
     try {
-      await markJobFailed(jobId, message);
+      await markJobFailed(jobId, buildId, message);
     } catch (e) {
       console.error(`[buildPipeline ${jobId.slice(0, 8)}] Failed to mark job failed:`, e);
     }
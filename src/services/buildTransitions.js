@@ -0,0 +1,139 @@
+import { supabase } from '../lib/supabase.js';
+import { publishBuildEvent, publishEvent } from './eventBus.js';
+
+// transition_build() error codes → HTTP status
+const ERROR_STATUS = {
+  BT400: 400,
+  BT403: 403,
+  BT404: 404,
+  BT409: 409,
+};
+
+// Build status → event published for the hired SDK agent
+const SDK_WEBHOOK_EVENTS = {
+  revision_requested: 'revision_requested',
+  accepted: 'accepted',
+  cancelled: 'cancelled',
+  refunded: 'cancelled',
+  disputed: 'disputed',
+};
+
+/**
+ * Error for a rejected transition_build() / transition_milestone() / record_escrow_transfer()
+ * call, with .status set from its error code.
+ */
+export function transitionError(error, name = 'BuildTransitionError') {
+  const err = new Error(error.message);
+  err.name = name;
+  err.status = ERROR_STATUS[error.code] ?? 500;
+  return err;
+}
+
+/**
+ * True when `actor` may move a build (or milestone) from one status to another.
+ * actor: { type: 'requester' | 'agent' | 'admin' | 'system', id }. Omit it to check the
+ * transition for any actor.
+ */
+export async function canTransition(from, to, actor = null) {
+  const { data, error } = await supabase.rpc('validate_build_transition', {
+    p_from: from,
+    p_to: to,
+    p_actor_type: actor?.type ?? null,
+  });
+  if (error) throw error;
+  return data === true;
+}
+
+/**
+ * Move a build to `to` on behalf of `actor` — the only way build status changes.
+ * Runs transition_build(), which locks the build, checks the transition and its actor,
+ * applies `patch` to the build and `requestPatch` to its request and records the
+ * build_events entry, all in one transaction.
+ *
+ * expectFrom: the status the caller read (defaults to build.status); a concurrent change
+ * fails with 409. Pass null to skip the check — moving to the current status is then a no-op.
+ * event: { type?, notes?, txSignature?, metadata? } for the timeline entry.
+ * transferKey: the payout hold (builds.pending_payout) this transition settles — payout ledger
+ * only. While a payout holds the build every other transition fails with 409.
+ * The change is published as build_status_changed (real-time stream), and builds hired
+ * through the SDK also get the matching webhook (see SDK_WEBHOOK_EVENTS).
+ *
+ * @throws Error with .status 400/403/404/409 when the transition is rejected
+ * @returns the updated build row
+ */
+export async function transitionBuild({
+  build,
+  to,
+  actor,
+  expectFrom = build.status,
+  patch = {},
+  requestPatch = {},
+  event = {},
+  transferKey = null,
+}) {
+  const { data, error } = await supabase.rpc('transition_build', {
+    p_build_id: build.id,
+    p_to: to,
+    p_actor_type: actor.type,
+    p_actor_id: actor.id != null ? String(actor.id) : null,
+    p_expected_from: expectFrom ?? null,
+    p_build_patch: patch,
+    p_request_patch: requestPatch,
+    p_event_type: event.type ?? null,
+    p_notes: event.notes ?? null,
+    p_tx_signature: event.txSignature ?? null,
+    p_metadata: event.metadata ?? {},
+    p_transfer_key: transferKey,
+  });
+  if (error) throw transitionError(error);
+  if (build.status !== to) {
+    await publishEvent('build_status_changed', { build: data, previousStatus: build.status ?? null });
+  }
+  if (data?.sdk_agent_id && SDK_WEBHOOK_EVENTS[to] && build.status !== to) {
+    await publishBuildEvent(data, SDK_WEBHOOK_EVENTS[to], {
+      previousStatus: build.status ?? null,
+      notes: event.notes ?? null,
+    });
+  }
+  return data;
+}
+
+/**
+ * Move one milestone of a milestone-funded hire to `to` — the milestone counterpart of
+ * transitionBuild(). Runs transition_milestone(), which locks the milestone, checks the
+ * transition and its actor, applies `patch` and records the build_events entry in one
+ * transaction.
+ *
+ * expectFrom: the status the caller read (defaults to milestone.status); a concurrent change
+ * fails with 409. Pass null to skip the check — moving to the current status is then a no-op.
+ * event: { type?, notes?, txSignature?, metadata? } for the timeline entry (type defaults
+ * to 'milestone_<to>'). transferKey: as for transitionBuild() (build_milestones.pending_payout).
+ *
+ * @throws Error with .status 400/403/404/409 when the transition is rejected
+ * @returns the updated milestone row
+ */
+export async function transitionMilestone({
+  milestone,
+  to,
+  actor,
+  expectFrom = milestone.status,
+  patch = {},
+  event = {},
+  transferKey = null,
+}) {
+  const { data, error } = await supabase.rpc('transition_milestone', {
+    p_milestone_id: milestone.id,
+    p_to: to,
+    p_actor_type: actor.type,
+    p_actor_id: actor.id != null ? String(actor.id) : null,
+    p_expected_from: expectFrom ?? null,
+    p_patch: patch,
+    p_event_type: event.type ?? null,
+    p_notes: event.notes ?? null,
+    p_tx_signature: event.txSignature ?? null,
+    p_metadata: event.metadata ?? {},
+    p_transfer_key: transferKey,
+  });
+  if (error) throw transitionError(error, 'MilestoneTransitionError');
+  return data;
+}
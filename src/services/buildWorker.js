@@ -1,6 +1,6 @@
 import { randomUUID } from 'crypto';
 import { supabase } from '../lib/supabase.js';
-import { runBuildPipeline } from './buildPipeline.js';
+import { reassignUnclaimedSdkJobs, runBuildPipeline } from './buildPipeline.js';
 
 const POLL_INTERVAL_MS  = 30 * 1000;  // poll every 30s
 const REQUEUE_INTERVAL  = 5 * 60 * 1000; // check for stuck jobs every 5 min
@@ -110,6 +110,18 @@ async function requeueStuck() {
   }
 }
 
+/**
+ * Periodic hand-over: SDK jobs their agent never started go to the autopilot.
+ */
+async function reassignUnclaimed() {
+  try {
+    const count = await reassignUnclaimedSdkJobs();
+    if (count > 0) log(`Handed ${count} unclaimed SDK job(s) to the autopilot`);
+  } catch (err) {
+    log(`Reassign unclaimed error: ${err?.message || err}`);
+  }
+}
+
 /**
  * Start the build worker.
  */
@@ -120,9 +132,13 @@ export function startBuildWorker() {
   }
   log(`Started — worker ${WORKER_ID} (poll ${POLL_INTERVAL_MS / 1000}s, max ${MAX_CONCURRENT} concurrent)`);
   poll();
-  requeueInterval = setInterval(requeueStuck, REQUEUE_INTERVAL);
+  requeueInterval = setInterval(() => {
+    requeueStuck();
+    reassignUnclaimed();
+  }, REQUEUE_INTERVAL);
   // Run once at startup to recover any jobs stuck from previous crash
   requeueStuck();
+  reassignUnclaimed();
 }
 
 /**
@@ -0,0 +1,227 @@
+import { supabase } from '../lib/supabase.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CATEGORIES = 10;
+
+let _taxonomy = null;
+let _loadedAt = 0;
+
+/**
+ * Lookup key for a category term: alphanumerics only, lower-cased ("UI/UX" → "uiux").
+ */
+function termKey(term) {
+  return String(term ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * The category tree, cached for a minute (invalidateTaxonomy() after edits).
+ * @returns {{ bySlug: Map<string, object>, byKey: Map<string, string>, roots: string[] }}
+ */
+export async function loadTaxonomy() {
+  if (_taxonomy && Date.now() - _loadedAt < CACHE_TTL_MS) return _taxonomy;
+  const { data, error } = await supabase
+    .from('categories')
+    .select('slug, name, parent_slug, aliases, sort_order')
+    .order('sort_order', { ascending: true })
+    .order('slug', { ascending: true });
+  if (error) throw error;
+
+  const bySlug = new Map();
+  const byKey = new Map();
+  for (const row of data || []) {
+    bySlug.set(row.slug, { ...row, aliases: row.aliases || [], children: [] });
+  }
+  for (const row of bySlug.values()) {
+    if (row.parent_slug && bySlug.has(row.parent_slug)) bySlug.get(row.parent_slug).children.push(row.slug);
+    for (const term of [row.slug, row.name, ...row.aliases]) {
+      const key = termKey(term);
+      if (key && !byKey.has(key)) byKey.set(key, row.slug);
+    }
+  }
+  _taxonomy = {
+    bySlug,
+    byKey,
+    roots: [...bySlug.values()].filter((c) => !c.parent_slug || !bySlug.has(c.parent_slug)).map((c) => c.slug),
+  };
+  _loadedAt = Date.now();
+  return _taxonomy;
+}
+
+export function invalidateTaxonomy() {
+  _taxonomy = null;
+}
+
+/**
+ * Slug for a category name, slug or alias — case, punctuation and a trailing plural "s"
+ * are ignored ("dApps", "dapp" → "dapps"). Null when nothing matches.
+ */
+export function resolveCategory(taxonomy, term) {
+  const key = termKey(term);
+  if (!key) return null;
+  if (taxonomy.byKey.has(key)) return taxonomy.byKey.get(key);
+  if (key.length > 3 && key.endsWith('s')) return taxonomy.byKey.get(key.slice(0, -1)) ?? null;
+  return null;
+}
+
+/**
+ * Validate request categories or agent specializations against the taxonomy.
+ * Accepts an array (or a single string) of names, slugs or aliases.
+ * @returns {{ categories: string[] } | { error: string }} unique slugs in input order
+ */
+export async function normalizeCategories(value, field = 'categories') {
+  if (value == null || value === '') return { categories: [] };
+  const terms = Array.isArray(value) ? value : [value];
+  if (terms.some((t) => typeof t !== 'string')) return { error: `${field} must be an array of strings` };
+
+  const taxonomy = await loadTaxonomy();
+  const slugs = [];
+  const unknown = [];
+  for (const term of terms.filter((t) => t.trim())) {
+    const slug = resolveCategory(taxonomy, term);
+    if (!slug) unknown.push(term.trim());
+    else if (!slugs.includes(slug)) slugs.push(slug);
+  }
+  if (unknown.length > 0) {
+    return { error: `Unknown ${field}: ${unknown.join(', ')} (see GET /api/categories)` };
+  }
+  if (slugs.length > MAX_CATEGORIES) return { error: `At most ${MAX_CATEGORIES} ${field}` };
+  return { categories: slugs };
+}
+
+function ancestorsOf(taxonomy, slug) {
+  const out = [];
+  let parent = taxonomy.bySlug.get(slug)?.parent_slug;
+  while (parent && taxonomy.bySlug.has(parent) && !out.includes(parent)) {
+    out.push(parent);
+    parent = taxonomy.bySlug.get(parent).parent_slug;
+  }
+  return out;
+}
+
+function descendantsOf(taxonomy, slug) {
+  const out = [];
+  const queue = [...(taxonomy.bySlug.get(slug)?.children || [])];
+  while (queue.length > 0) {
+    const next = queue.shift();
+    if (out.includes(next)) continue;
+    out.push(next);
+    queue.push(...taxonomy.bySlug.get(next).children);
+  }
+  return out;
+}
+
+/**
+ * Every stored value related to `values`: each one's slug plus its ancestors and descendants.
+ * Terms the taxonomy does not know (legacy free text) are kept as given.
+ */
+export function relatedCategories(taxonomy, values = []) {
+  const related = new Set();
+  for (const value of values) {
+    const slug = resolveCategory(taxonomy, value);
+    if (!slug) {
+      related.add(String(value).trim());
+      continue;
+    }
+    related.add(slug);
+    ancestorsOf(taxonomy, slug).forEach((s) => related.add(s));
+    descendantsOf(taxonomy, slug).forEach((s) => related.add(s));
+  }
+  return [...related];
+}
+
+/**
+ * Stored values in the subtree of `value` (itself and its descendants) — what a category
+ * filter should match. Unknown terms match only themselves.
+ */
+export function categorySubtree(taxonomy, value) {
+  const slug = resolveCategory(taxonomy, value);
+  return slug ? [slug, ...descendantsOf(taxonomy, slug)] : [String(value).trim()];
+}
+
+/**
+ * True when an agent's specializations cover a request's categories: some specialization
+ * is the same category as, an ancestor of, or a descendant of some request category.
+ * An agent without specializations, or a request without categories, matches everything.
+ */
+export function categoriesMatch(taxonomy, specializations, categories) {
+  const specs = (specializations || []).filter((s) => String(s).trim());
+  const cats = categories || [];
+  if (specs.length === 0 || cats.length === 0) return true;
+  const related = new Set(relatedCategories(taxonomy, specs).map(termKey));
+  return cats.some((c) => related.has(termKey(resolveCategory(taxonomy, c) ?? c)));
+}
+
+/**
+ * The taxonomy as a nested tree for GET /api/categories.
+ */
+export async function categoryTree() {
+  const taxonomy = await loadTaxonomy();
+  const build = (slug) => {
+    const c = taxonomy.bySlug.get(slug);
+    return {
+      slug: c.slug,
+      name: c.name,
+      aliases: c.aliases,
+      children: c.children.map(build),
+    };
+  };
+  return taxonomy.roots.map(build);
+}
+
+/**
+ * Validate an admin create (slug and name required) or update (`partial`; the slug is the
+ * stored id and never changes) of a category: { slug, name, parent_slug, aliases, sort_order }.
+ * @returns {{ fields: object } | { error: string }}
+ */
+export function parseCategoryInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+  if (!partial) {
+    if (typeof body.slug !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(body.slug)) {
+      return { error: 'slug is required (lower-case letters, digits and dashes)' };
+    }
+    fields.slug = body.slug;
+  }
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 60) {
+      return { error: 'name is required (max 60 characters)' };
+    }
+    fields.name = body.name.trim();
+  }
+  if (body.parent_slug !== undefined) {
+    if (body.parent_slug !== null && typeof body.parent_slug !== 'string') {
+      return { error: 'parent_slug must be a category slug or null' };
+    }
+    fields.parent_slug = body.parent_slug || null;
+  }
+  if (body.aliases !== undefined) {
+    if (!Array.isArray(body.aliases) || body.aliases.some((a) => typeof a !== 'string' || !termKey(a))) {
+      return { error: 'aliases must be an array of non-empty strings' };
+    }
+    fields.aliases = [...new Set(body.aliases.map((a) => a.trim()))];
+  }
+  if (body.sort_order !== undefined) {
+    if (!Number.isInteger(body.sort_order)) return { error: 'sort_order must be an integer' };
+    fields.sort_order = body.sort_order;
+  }
+  return { fields };
+}
+
+/**
+ * Check a category's new parent and lookup terms against the tree: the parent must exist
+ * and not sit below the category, and no name or alias may already resolve to another one.
+ * @returns {string|null} error message, or null when the change is consistent
+ */
+export async function checkCategoryChange(slug, fields) {
+  const taxonomy = await loadTaxonomy();
+  if (fields.parent_slug) {
+    if (!taxonomy.bySlug.has(fields.parent_slug)) return `Unknown parent_slug: ${fields.parent_slug}`;
+    if (fields.parent_slug === slug || descendantsOf(taxonomy, slug).includes(fields.parent_slug)) {
+      return 'A category cannot be moved under itself or one of its subcategories';
+    }
+  }
+  for (const term of [fields.slug, fields.name, ...(fields.aliases || [])].filter(Boolean)) {
+    const owner = taxonomy.byKey.get(termKey(term));
+    if (owner && owner !== slug) return `"${term}" already refers to category ${owner}`;
+  }
+  return null;
+}
@@ -0,0 +1,361 @@
+import { supabase } from '../lib/supabase.js';
+import { notifyRecipients } from '../lib/notify.js';
+import { recordAudit } from '../lib/audit.js';
+import { recordBuildEvent } from './buildEvents.js';
+import { transitionBuild, transitionMilestone } from './buildTransitions.js';
+
+export const DISPUTE_STATUSES = ['disputed', 'arbitration_pending'];
+export const DISPUTE_RESOLUTIONS = ['refund', 'release', 'split'];
+
+// Build columns that clear a response deadline and its reminder/overdue follow-up
+export const CLEARED_RESPONSE_DEADLINE = {
+  dispute_response_deadline: null,
+  dispute_response_party: null,
+  dispute_response_reminder_sent_at: null,
+  dispute_response_overdue_at: null,
+};
+
+const MAX_EVIDENCE_URLS = 10;
+const MAX_MESSAGE_LENGTH = 5000;
+
+export function mapDisputeMessage(row) {
+  return {
+    id: row.id,
+    build_id: row.build_id,
+    author_role: row.author_role,
+    author_user_id: row.author_user_id || null,
+    author_sdk_agent_id: row.author_sdk_agent_id || null,
+    body: row.body,
+    evidence_urls: row.evidence_urls || [],
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Validate a message body and its evidence links (http/https URLs).
+ * @returns {{ body?: string, evidenceUrls?: string[], error?: string }}
+ */
+export function normalizeDisputeMessage(rawBody, rawEvidence) {
+  const body = rawBody != null ? String(rawBody).trim() : '';
+  if (!body) return { error: 'body is required' };
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    return { error: `body must be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+
+  const list = rawEvidence == null ? [] : rawEvidence;
+  if (!Array.isArray(list)) return { error: 'evidence_urls must be an array of URLs' };
+  if (list.length > MAX_EVIDENCE_URLS) {
+    return { error: `At most ${MAX_EVIDENCE_URLS} evidence links per message` };
+  }
+  const evidenceUrls = [];
+  for (const raw of list) {
+    const value = String(raw).trim();
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return { error: `Invalid evidence URL: ${value.slice(0, 100)}` };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { error: `Evidence URLs must be http(s): ${value.slice(0, 100)}` };
+    }
+    evidenceUrls.push(url.toString());
+  }
+  return { body, evidenceUrls };
+}
+
+export async function listDisputeMessages(buildId) {
+  const { data, error } = await supabase
+    .from('dispute_messages')
+    .select('*')
+    .eq('build_id', buildId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(mapDisputeMessage);
+}
+
+/**
+ * Notify the buyer and the agent owner (internal or SDK) about a dispute event.
+ * exclude: recipient references (see resolveRecipients) for the acting party, who does not
+ * need to hear about their own action.
+ */
+export async function notifyDisputeParties(build, { type, title, message, metadata = {}, exclude = [] }) {
+  const { data: request } = await supabase
+    .from('requests').select('author_id, title').eq('id', build.request_id).single();
+  await notifyRecipients([{ buyerOf: request || build }, { agentOf: build }], {
+    type,
+    title,
+    message,
+    metadata: { build_id: build.id, request_id: build.request_id, request_title: request?.title ?? null, ...metadata },
+  }, { exclude });
+}
+
+/**
+ * Recipient references for the party a response deadline was set for.
+ */
+export function responseDeadlineParties(build, party) {
+  return {
+    requester: [{ buyerOf: build }],
+    agent: [{ agentOf: build }],
+    both: [{ buyerOf: build }, { agentOf: build }],
+  }[party] || [];
+}
+
+/**
+ * Tell the party a response deadline was set for that they must reply by then, and the
+ * other party that it was set.
+ */
+export async function notifyResponseDeadline(build, { deadline, party }) {
+  const { data: request } = await supabase
+    .from('requests').select('author_id, title').eq('id', build.request_id).single();
+  const metadata = {
+    build_id: build.id,
+    request_id: build.request_id,
+    request_title: request?.title ?? null,
+    response_deadline: deadline,
+    response_party: party,
+  };
+  const parties = { ...build, author_id: request?.author_id };
+  await notifyRecipients(responseDeadlineParties(parties, party), {
+    type: 'dispute_deadline',
+    title: '⏰ Your reply is needed on a dispute',
+    message: `Reply in the dispute thread for "${request?.title ?? 'your request'}" by ${deadline} with your side and any evidence. After that the dispute may be decided without it.`,
+    metadata,
+  });
+  if (party !== 'both') {
+    const who = { requester: 'The buyer', agent: build.agent_name || 'The agent' }[party];
+    await notifyRecipients(responseDeadlineParties(parties, party === 'agent' ? 'requester' : 'agent'), {
+      type: 'dispute_deadline',
+      title: '⏰ Dispute response deadline',
+      message: `${who} must respond in the dispute thread by ${deadline}.`,
+      metadata,
+    });
+  }
+}
+
+/**
+ * Add a message to a build's dispute thread. Clears the response deadline when the
+ * party it was set for replies (a deadline for both stays on the one yet to reply).
+ * Audited and notified to the other parties.
+ *
+ * @param {{ build, role: 'requester'|'agent'|'admin', userId?, sdkAgentId?, body, evidenceUrls }} params
+ */
+export async function postDisputeMessage({ build, role, userId = null, sdkAgentId = null, body, evidenceUrls }) {
+  const { data: row, error } = await supabase
+    .from('dispute_messages')
+    .insert({
+      build_id: build.id,
+      author_role: role,
+      author_user_id: userId,
+      author_sdk_agent_id: sdkAgentId,
+      body,
+      evidence_urls: evidenceUrls,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  const party = build.dispute_response_party;
+  if (build.dispute_response_deadline && role !== 'admin' && [role, 'both'].includes(party)) {
+    await supabase
+      .from('builds')
+      .update(party === 'both' ? { dispute_response_party: role === 'requester' ? 'agent' : 'requester' } : CLEARED_RESPONSE_DEADLINE)
+      .eq('id', build.id);
+  }
+
+  await recordAudit({
+    actorType: role,
+    actorId: userId || sdkAgentId,
+    action: 'dispute_message',
+    targetType: 'build',
+    targetId: build.id,
+    metadata: { message_id: row.id, evidence_count: evidenceUrls.length },
+  });
+
+  const author = { requester: [{ userId }], agent: [{ agentOf: build }], admin: [] }[role];
+  const who = { requester: 'The buyer', agent: build.agent_name || 'The agent', admin: 'The 4U team' }[role];
+  await notifyDisputeParties(build, {
+    type: 'dispute_message',
+    title: '💬 New message on your dispute',
+    message: `${who}: ${body.slice(0, 120)}${body.length > 120 ? '…' : ''}`,
+    metadata: { message_id: row.id, author_role: role },
+    exclude: author,
+  });
+
+  return mapDisputeMessage(row);
+}
+
+/**
+ * Validate a resolve-dispute body: { resolution, agent_share_pct?, notes? }.
+ * agentShareBps is the agent's share of the escrow in basis points (0 for a refund,
+ * 10000 for a release).
+ * @returns {{ resolution?: string, agentShareBps?: number, notes?: string, error?: string }}
+ */
+export function parseDisputeResolution(body) {
+  const { resolution, agent_share_pct } = body || {};
+  if (!resolution || !DISPUTE_RESOLUTIONS.includes(resolution)) {
+    return { error: 'resolution must be "refund", "release" or "split"' };
+  }
+  let agentShareBps = resolution === 'release' ? 10000 : 0;
+  if (resolution === 'split') {
+    const pct = Number(agent_share_pct);
+    agentShareBps = Math.round(pct * 100);
+    if (!Number.isFinite(pct) || agentShareBps <= 0 || agentShareBps >= 10000) {
+      return { error: 'agent_share_pct must be a number between 0 and 100 (exclusive) for a split' };
+    }
+  }
+  const notes = body.notes != null ? String(body.notes).trim() : '';
+  return { resolution, agentShareBps, notes };
+}
+
+/**
+ * Check who may resolve the dispute on `target` (a build or milestone in a DISPUTE_STATUSES
+ * status). The request owner may refund or release while it is 'disputed'; once escalated
+ * to 'arbitration_pending', and for splits, only an admin can. Platform resolutions require
+ * notes, and a resolution already in flight can be retried but not changed.
+ * @returns {{ actor: { type: 'requester'|'admin', id } } | { status: number, error: string }}
+ */
+export function authorizeDisputeResolution({ target, resolution, notes, isOwner, isAdmin, userId }) {
+  if (!isOwner && !isAdmin) {
+    return { status: 403, error: 'Only the request owner or an admin can resolve disputes' };
+  }
+  if (!isAdmin && (target.status === 'arbitration_pending' || resolution === 'split')) {
+    return {
+      status: 403,
+      error: resolution === 'split'
+        ? 'Only an admin can split escrow between the parties'
+        : 'This dispute is in arbitration and can only be resolved by an admin',
+    };
+  }
+  const byPlatform = !isOwner || target.status === 'arbitration_pending' || resolution === 'split';
+  if (byPlatform && !notes) {
+    return { status: 400, error: 'notes are required — explain the resolution to both parties' };
+  }
+  if (target.resolution && target.resolution !== resolution) {
+    return { status: 409, error: `Dispute is already being resolved as '${target.resolution}'` };
+  }
+  return { actor: { type: isAdmin && byPlatform ? 'admin' : 'requester', id: userId } };
+}
+
+/**
+ * Store a dispute resolution on the build (or `milestone`) and add it to the build timeline.
+ * Runs before the escrow transfers, once — a retried resolution skips it.
+ * metadata: extra timeline details (acceptance criteria checklist, milestone…).
+ */
+export async function recordDisputeResolution({ build, milestone = null, actor, resolution, agentShareBps, notes, metadata = {} }) {
+  const { error } = await supabase
+    .from(milestone ? 'build_milestones' : 'builds')
+    .update({
+      resolution,
+      resolution_notes: notes || null,
+      resolution_agent_share_bps: agentShareBps,
+      resolved_by: actor.id,
+      resolved_at: new Date().toISOString(),
+    })
+    .eq('id', milestone ? milestone.id : build.id);
+  if (error) throw error;
+
+  await recordBuildEvent({
+    buildId: build.id,
+    milestoneId: milestone?.id ?? null,
+    eventType: milestone ? 'milestone_dispute_resolved' : 'dispute_resolved',
+    actorType: actor.type,
+    actorId: actor.id,
+    notes: notes || null,
+    metadata: { resolution, agent_share_pct: agentShareBps / 100, ...metadata },
+  });
+}
+
+/**
+ * Audit a dispute resolution and tell both parties how the escrow is settled. Runs once,
+ * after the transfers have been started.
+ */
+export async function announceDisputeResolution({
+  build,
+  milestone = null,
+  requestTitle,
+  actor,
+  resolution,
+  agentShareBps,
+  notes,
+  metadata = {},
+}) {
+  await recordAudit({
+    actorType: actor.type,
+    actorId: actor.id,
+    action: milestone ? 'resolve_milestone_dispute' : 'resolve_dispute',
+    targetType: 'build',
+    targetId: build.id,
+    reason: notes || null,
+    metadata: { resolution, agent_share_pct: agentShareBps / 100, ...metadata },
+  });
+
+  const escrow = milestone ? 'the milestone escrow' : 'the escrow';
+  const outcome = {
+    refund: `${escrow} is refunded to the buyer`,
+    release: `${escrow} is released to the agent`,
+    split: `${agentShareBps / 100}% of ${escrow} goes to the agent and the rest is refunded to the buyer`,
+  }[resolution];
+  const subject = milestone ? `"${milestone.title}" on "${requestTitle}"` : `"${requestTitle}"`;
+  await notifyDisputeParties(build, {
+    type: 'dispute_resolved',
+    title: '⚖️ Dispute resolved',
+    message: `The dispute on ${subject} was resolved: ${outcome}.${notes ? ` ${notes.slice(0, 200)}${notes.length > 200 ? '…' : ''}` : ''}`,
+    metadata: {
+      resolution,
+      agent_share_pct: agentShareBps / 100,
+      resolution_notes: notes || null,
+      ...(milestone ? { milestone_id: milestone.id, milestone_title: milestone.title } : {}),
+    },
+  });
+}
+
+/**
+ * Move a disputed build (or one of its milestones) to arbitration_pending. Callers check
+ * the transition first; transitionBuild() / transitionMilestone() re-check it for the actor
+ * atomically.
+ * @param {{ build, milestone?, actorType: 'requester'|'agent'|'admin', actorId, reason? }} params
+ */
+export async function escalateDispute({ build, milestone = null, actorType, actorId, reason = null }) {
+  const actor = { type: actorType, id: actorId };
+  const patch = { arbitration_opened_at: new Date().toISOString() };
+  const updated = milestone
+    ? await transitionMilestone({
+      milestone,
+      to: 'arbitration_pending',
+      actor,
+      patch,
+      event: { type: 'milestone_dispute_escalated', notes: reason },
+    })
+    : await transitionBuild({
+      build,
+      to: 'arbitration_pending',
+      actor,
+      patch,
+      event: { type: 'dispute_escalated', notes: reason },
+    });
+
+  await recordAudit({
+    actorType,
+    actorId,
+    action: 'escalate_dispute',
+    targetType: 'build',
+    targetId: build.id,
+    reason,
+    metadata: milestone ? { milestone_id: milestone.id } : {},
+  });
+
+  const { data: request } = await supabase
+    .from('requests').select('title').eq('id', build.request_id).single();
+  const subject = milestone
+    ? `"${milestone.title}" on "${request?.title || 'your build'}"`
+    : `"${request?.title || 'your build'}"`;
+  await notifyDisputeParties(build, {
+    type: 'dispute_escalated',
+    title: '⚖️ Dispute escalated to arbitration',
+    message: `The dispute on ${subject} was escalated — the 4U team will review the thread and decide how escrow is released.`,
+    metadata: { escalated_by: actorType, ...(milestone ? { milestone_id: milestone.id, milestone_title: milestone.title } : {}) },
+  });
+
+  return updated;
+}
@@ -0,0 +1,509 @@
+import { randomUUID } from 'crypto';
+import { supabase } from '../lib/supabase.js';
+import {
+  prepareTransfer,
+  submitTransfer,
+  getTransferStatus,
+  splitEscrow,
+} from '../lib/escrow.js';
+import { rollupMilestones } from './milestones.js';
+import { recordBuildEvent } from './buildEvents.js';
+import { transitionBuild, transitionError, transitionMilestone } from './buildTransitions.js';
+
+const RECONCILE_INTERVAL_MS = 2 * 60 * 1000; // retry in-flight transfers every 2 min
+const MAX_ATTEMPTS = 10;                     // after this, leave the row for an operator
+
+const TX_SIGNATURE_COLUMN = {
+  release: 'release_tx_signature',
+  refund: 'refund_tx_signature',
+};
+
+const TRANSFER_EVENT = {
+  release: 'escrow_released',
+  refund: 'escrow_refunded',
+};
+
+let reconcileInterval = null;
+
+function log(msg) {
+  console.log(`[escrowPayouts ${new Date().toISOString()}] ${msg}`);
+}
+
+/**
+ * Idempotency key for a build's (or one milestone's) payout in one direction. One
+ * release and one refund at most per build/milestone, no matter how often a route is retried.
+ */
+export function transferKey(buildId, direction, milestoneId = null) {
+  return milestoneId ? `${buildId}:${milestoneId}:${direction}` : `${buildId}:${direction}`;
+}
+
+/**
+ * The hold a transfer puts on its build or milestone (pending_payout): its idempotency key,
+ * or the split group both legs of a split share.
+ */
+function payoutHold(transfer) {
+  return transfer.split_group || transfer.idempotency_key;
+}
+
+/**
+ * Lift a transfer's hold once it can no longer settle (failed on-chain: nothing was sent),
+ * so the build or milestone can move again.
+ */
+async function releasePayoutHold(transfer) {
+  const { error } = await supabase
+    .from(transfer.milestone_id ? 'build_milestones' : 'builds')
+    .update({ pending_payout: null })
+    .eq('id', transfer.milestone_id || transfer.build_id)
+    .eq('pending_payout', payoutHold(transfer));
+  if (error) throw error;
+}
+
+async function updateTransfer(transfer, patch) {
+  const { data, error } = await supabase
+    .from('escrow_transfers')
+    .update(patch)
+    .eq('id', transfer.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+function markConfirmed(transfer) {
+  return updateTransfer(transfer, { status: 'confirmed', confirmed_at: new Date().toISOString(), last_error: null });
+}
+
+function transferEventMetadata(transfer) {
+  return { transfer_id: transfer.id, amount: Number(transfer.amount), split_group: transfer.split_group || undefined };
+}
+
+function recordTransferEvent(transfer, { fromStatus, toStatus, escrowStatus }) {
+  return recordBuildEvent({
+    buildId: transfer.build_id,
+    milestoneId: transfer.milestone_id,
+    eventType: TRANSFER_EVENT[transfer.direction],
+    actorType: transfer.actor_type || 'system',
+    actorId: transfer.actor_id,
+    fromStatus,
+    toStatus,
+    escrowStatus,
+    txSignature: transfer.tx_signature,
+    metadata: transferEventMetadata(transfer),
+  });
+}
+
+/**
+ * Apply the transfer's build/request patches. Runs once per transfer (finalized_at).
+ * Status changes go through transitionBuild() / transitionMilestone() as the actor who asked
+ * for the payout, from the status checked when the intent was recorded, and settle the hold
+ * put down then. Milestone transfers settle the build once all milestones are.
+ */
+async function finalizeTransfer(transfer) {
+  const legPatch = {};
+  if (transfer.tx_signature) legPatch[TX_SIGNATURE_COLUMN[transfer.direction]] = transfer.tx_signature;
+  const actor = { type: transfer.actor_type || 'system', id: transfer.actor_id };
+  const { status: toStatus, ...update } = (transfer.milestone_id ? transfer.milestone_update : transfer.build_update) || {};
+
+  const held = { expectFrom: transfer.from_status ?? null, transferKey: payoutHold(transfer) };
+  const transition = (patch, event) => (transfer.milestone_id
+    ? transitionMilestone({ milestone: { id: transfer.milestone_id }, to: toStatus, actor, ...held, patch, event })
+    : transitionBuild({
+      build: { id: transfer.build_id },
+      to: toStatus,
+      actor,
+      ...held,
+      patch,
+      requestPatch: transfer.request_update || {},
+      event,
+    }));
+
+  if (!transfer.split_group) {
+    await transition({ ...legPatch, ...update }, {
+      type: TRANSFER_EVENT[transfer.direction],
+      txSignature: transfer.tx_signature,
+      metadata: transferEventMetadata(transfer),
+    });
+  } else {
+    // Split legs record their own amounts; the shared transition waits for every leg
+    Object.assign(legPatch, transfer.direction === 'release'
+      ? { agent_payout: transfer.agent_payout, platform_fee: transfer.platform_fee }
+      : { buyer_refund: transfer.amount });
+    const { data: target, error: targetErr } = await supabase
+      .from(transfer.milestone_id ? 'build_milestones' : 'builds')
+      .update(legPatch)
+      .eq('id', transfer.milestone_id || transfer.build_id)
+      .select('status, escrow_status')
+      .single();
+    if (targetErr) throw targetErr;
+    await recordTransferEvent(transfer, {
+      fromStatus: target.status,
+      toStatus: target.status,
+      escrowStatus: target.escrow_status,
+    });
+
+    const { data: legs, error: legsErr } = await supabase
+      .from('escrow_transfers')
+      .select('id, status')
+      .eq('split_group', transfer.split_group);
+    if (legsErr) throw legsErr;
+    if ((legs || []).every((leg) => leg.id === transfer.id || leg.status === 'confirmed')) {
+      await transition(update, { type: 'escrow_split_settled', metadata: { split_group: transfer.split_group } });
+    }
+  }
+
+  if (transfer.milestone_id) await rollupMilestones(transfer.build_id);
+  return updateTransfer(transfer, { finalized_at: new Date().toISOString() });
+}
+
+/**
+ * Drive one ledger row as far as it can go. Never signs a second transaction while
+ * a persisted signature could still land; never throws (errors land in last_error).
+ */
+async function processTransfer(row) {
+  const workerId = randomUUID();
+  const { data: claimed, error: claimErr } = await supabase
+    .rpc('claim_escrow_transfer', { p_id: row.id, p_worker_id: workerId });
+  if (claimErr) {
+    log(`Could not claim transfer ${row.idempotency_key}: ${claimErr.message}`);
+    return row;
+  }
+  if (!claimed?.id) return row; // another process holds the lease
+
+  let transfer = claimed;
+  try {
+    if (transfer.status === 'submitted') {
+      const chainStatus = await getTransferStatus(transfer.tx_signature, transfer.tx_payload);
+      if (chainStatus === 'confirmed') {
+        transfer = await markConfirmed(transfer);
+      } else if (chainStatus === 'failed') {
+        transfer = await updateTransfer(transfer, { status: 'failed', last_error: `Transaction ${transfer.tx_signature} failed on-chain` });
+        await releasePayoutHold(transfer);
+        log(`Transfer ${transfer.idempotency_key} failed on-chain — needs operator attention`);
+      } else if (chainStatus === 'pending') {
+        // Same signed tx: re-broadcasting cannot pay twice
+        await submitTransfer(transfer.tx_signature, transfer.tx_payload);
+        transfer = await markConfirmed(transfer);
+      } else {
+        // Expired without landing — the old signature can never confirm, safe to re-sign
+        transfer = await updateTransfer(transfer, {
+          status: 'intent',
+          tx_signature: null,
+          tx_payload: null,
+          last_error: `Transaction ${transfer.tx_signature} expired without landing`,
+        });
+      }
+    }
+
+    if (transfer.status === 'intent') {
+      if (!transfer.recipient_wallet || Number(transfer.amount) <= 0) {
+        // Nothing to send (zero escrow or no wallet on file) — book-keeping only
+        transfer = await markConfirmed(transfer);
+      } else {
+        const { txSignature, payload } = await prepareTransfer(transfer.recipient_wallet, Number(transfer.amount));
+        // Persist the signature BEFORE broadcasting so a crash can be reconciled
+        transfer = await updateTransfer(transfer, { status: 'submitted', tx_signature: txSignature, tx_payload: payload });
+        await submitTransfer(txSignature, payload);
+        transfer = await markConfirmed(transfer);
+      }
+    }
+
+    if (transfer.status === 'confirmed' && !transfer.finalized_at) {
+      transfer = await finalizeTransfer(transfer);
+      log(`Transfer ${transfer.idempotency_key} confirmed (${transfer.tx_signature || 'no on-chain transfer'})`);
+    }
+  } catch (err) {
+    const msg = err?.message || String(err);
+    log(`Transfer ${transfer.idempotency_key} (${transfer.status}) error: ${msg}`);
+    try {
+      transfer = await updateTransfer(transfer, { last_error: msg.slice(0, 2000) });
+    } catch {
+      // DB unavailable — the reconciler will pick the row up again
+    }
+  } finally {
+    await supabase
+      .from('escrow_transfers')
+      .update({ claimed_at: null, claimed_by: null })
+      .eq('id', transfer.id)
+      .eq('claimed_by', workerId);
+  }
+  return transfer;
+}
+
+/**
+ * Insert a transfer intent, or return the existing row for its idempotency key.
+ * actor ({ type, id }) is who asked for the payout; it is credited on the build timeline.
+ * record_escrow_transfer() checks the status change in milestoneUpdate / buildUpdate for the
+ * actor against expectFrom (the status the caller read) and holds the build or milestone
+ * until the transfer settles.
+ *
+ * @throws Error with .status 400/403/404/409 when the status change is rejected
+ */
+async function recordTransferIntent({
+  buildId,
+  milestoneId = null,
+  splitGroup = null,
+  direction,
+  recipientWallet,
+  amount,
+  agentPayout = null,
+  platformFee = null,
+  buildUpdate = {},
+  requestUpdate = {},
+  milestoneUpdate = {},
+  actor = { type: 'system', id: null },
+  expectFrom = null,
+}) {
+  const key = transferKey(buildId, direction, milestoneId);
+
+  let { data: row, error } = await supabase.rpc('record_escrow_transfer', {
+    p_transfer: {
+      build_id: buildId,
+      milestone_id: milestoneId,
+      split_group: splitGroup,
+      direction,
+      idempotency_key: key,
+      recipient_wallet: recipientWallet || null,
+      amount,
+      agent_payout: agentPayout,
+      platform_fee: platformFee,
+      build_update: buildUpdate,
+      request_update: requestUpdate,
+      milestone_update: milestoneUpdate,
+      actor_type: actor.type,
+      actor_id: actor.id != null ? String(actor.id) : null,
+    },
+    p_expected_from: expectFrom,
+  });
+  if (error) {
+    if (error.code !== '23505') throw transitionError(error, 'EscrowTransferError');
+    ({ data: row, error } = await supabase
+      .from('escrow_transfers')
+      .select('*')
+      .eq('idempotency_key', key)
+      .single());
+    if (error) throw error;
+  }
+
+  return row;
+}
+
+function isSettled(row) {
+  return !!row.finalized_at || row.status === 'failed';
+}
+
+/**
+ * Record a transfer intent (or find the existing one for this build/milestone + direction)
+ * and execute it. Retries with the same build/direction resume the original transfer
+ * instead of sending a new one.
+ *
+ * @returns the ledger row; finalized_at is set once the build has been updated
+ */
+export async function executeEscrowTransfer(params) {
+  const row = await recordTransferIntent(params);
+  if (isSettled(row)) return row;
+  return processTransfer(row);
+}
+
+/**
+ * Resolve the payout wallet for a build's agent (internal agent owner or SDK agent owner).
+ */
+export async function resolveAgentWallet(build) {
+  if (build.agent_id) {
+    const { data: agent } = await supabase
+      .from('agents')
+      .select('owner_wallet')
+      .eq('id', build.agent_id)
+      .single();
+    return agent?.owner_wallet || null;
+  }
+  if (!build.sdk_agent_id) return null;
+  const { data: sdkAgent } = await supabase
+    .from('sdk_agents')
+    .select('owner_wallet')
+    .eq('id', build.sdk_agent_id)
+    .single();
+  return sdkAgent?.owner_wallet || null;
+}
+
+/**
+ * Release a build's escrow to the agent (98%, fee stays in escrow) and mark it accepted.
+ */
+export function releaseEscrowToAgent({ build, agentWallet, actor }) {
+  const escrowAmount = Number(build.escrow_amount) || 0;
+  const { agentPayout, platformFee } = splitEscrow(escrowAmount);
+  return executeEscrowTransfer({
+    buildId: build.id,
+    direction: 'release',
+    recipientWallet: agentWallet,
+    amount: agentPayout,
+    agentPayout,
+    platformFee,
+    buildUpdate: {
+      status: 'accepted',
+      escrow_status: 'released',
+      agent_payout: agentPayout,
+      platform_fee: platformFee,
+    },
+    requestUpdate: { escrow_status: 'released', status: 'Completed' },
+    actor,
+    expectFrom: build.status,
+  });
+}
+
+/**
+ * Refund a build's full escrow to the buyer and reopen the request.
+ * status: 'cancelled' for a buyer cancel, 'refunded' for a dispute refund.
+ */
+export function refundEscrowToBuyer({ build, buyerWallet, status = 'cancelled', actor }) {
+  return executeEscrowTransfer({
+    buildId: build.id,
+    direction: 'refund',
+    recipientWallet: buyerWallet,
+    amount: Number(build.escrow_amount) || 0,
+    buildUpdate: { status, escrow_status: 'refunded' },
+    requestUpdate: {
+      escrow_status: 'refunded',
+      hired_agent_id: null,
+      escrow_amount: null,
+      status: 'Open',
+    },
+    actor,
+    expectFrom: build.status,
+  });
+}
+
+/**
+ * Split a disputed build's (or, with `milestone`, one milestone's) escrow: agentShareBps of
+ * it goes to the agent (platform fee taken from that share only), the rest back to the
+ * buyer. Both legs run through the ledger; the build or milestone is marked accepted once
+ * both have confirmed.
+ *
+ * @returns {Promise<Array>} the release and refund ledger rows
+ */
+export async function splitEscrowBetweenParties({ build, milestone = null, agentWallet, buyerWallet, agentShareBps, actor }) {
+  const escrowAmount = Number(milestone ? milestone.amount : build.escrow_amount) || 0;
+  const agentShare = Math.floor(escrowAmount * agentShareBps) / 10000;
+  const buyerRefund = Math.round((escrowAmount - agentShare) * 1e6) / 1e6;
+  const { agentPayout, platformFee } = splitEscrow(agentShare);
+
+  const settled = { status: 'accepted', escrow_status: 'released' };
+  const target = milestone
+    ? { milestoneId: milestone.id, splitGroup: `${build.id}:${milestone.id}:split`, milestoneUpdate: settled }
+    : {
+      splitGroup: `${build.id}:split`,
+      buildUpdate: settled,
+      requestUpdate: { escrow_status: 'released', status: 'Completed' },
+    };
+
+  // Record both intents before sending either, so neither leg settles the target alone
+  const expectFrom = (milestone || build).status;
+  const release = await recordTransferIntent({
+    buildId: build.id,
+    ...target,
+    direction: 'release',
+    recipientWallet: agentWallet,
+    amount: agentPayout,
+    agentPayout,
+    platformFee,
+    actor,
+    expectFrom,
+  });
+  const refund = await recordTransferIntent({
+    buildId: build.id,
+    ...target,
+    direction: 'refund',
+    recipientWallet: buyerWallet,
+    amount: buyerRefund,
+    actor,
+    expectFrom,
+  });
+
+  const legs = [];
+  for (const leg of [release, refund]) {
+    legs.push(isSettled(leg) ? leg : await processTransfer(leg));
+  }
+  return legs;
+}
+
+/**
+ * Release one milestone's escrow to the agent (98%, fee stays in escrow) and mark it accepted.
+ */
+export function releaseMilestoneToAgent({ build, milestone, agentWallet, actor }) {
+  const { agentPayout, platformFee } = splitEscrow(Number(milestone.amount) || 0);
+  return executeEscrowTransfer({
+    buildId: build.id,
+    milestoneId: milestone.id,
+    direction: 'release',
+    recipientWallet: agentWallet,
+    amount: agentPayout,
+    agentPayout,
+    platformFee,
+    milestoneUpdate: {
+      status: 'accepted',
+      escrow_status: 'released',
+      agent_payout: agentPayout,
+      platform_fee: platformFee,
+    },
+    actor,
+    expectFrom: milestone.status,
+  });
+}
+
+/**
+ * Refund one funded milestone to the buyer and mark it `status`: cancelled when the buyer
+ * cancels an open milestone, refunded when a dispute is settled in their favour.
+ */
+export function refundMilestoneToBuyer({ build, milestone, buyerWallet, actor, status = 'cancelled' }) {
+  return executeEscrowTransfer({
+    buildId: build.id,
+    milestoneId: milestone.id,
+    direction: 'refund',
+    recipientWallet: buyerWallet,
+    amount: Number(milestone.amount) || 0,
+    milestoneUpdate: { status, escrow_status: 'refunded' },
+    actor,
+    expectFrom: milestone.status,
+  });
+}
+
+/**
+ * Resume every unfinished transfer: confirm what landed, re-broadcast what is still
+ * pending, re-sign only what provably expired, and apply missing build updates.
+ */
+export async function reconcileEscrowTransfers() {
+  try {
+    const { data: rows, error } = await supabase
+      .from('escrow_transfers')
+      .select('*')
+      .is('finalized_at', null)
+      .in('status', ['intent', 'submitted', 'confirmed'])
+      .lt('attempts', MAX_ATTEMPTS)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    if (!rows || rows.length === 0) return;
+
+    log(`Reconciling ${rows.length} unfinished transfer(s)`);
+    for (const row of rows) {
+      await processTransfer(row);
+    }
+  } catch (err) {
+    log(`Reconcile error: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Run the reconciler now (recover from a crash) and then periodically.
+ */
+export function startEscrowReconciler() {
+  if (reconcileInterval != null) return;
+  reconcileEscrowTransfers();
+  reconcileInterval = setInterval(reconcileEscrowTransfers, RECONCILE_INTERVAL_MS);
+  log(`Reconciler started (interval ${RECONCILE_INTERVAL_MS / 1000}s)`);
+}
+
+export function stopEscrowReconciler() {
+  if (reconcileInterval != null) {
+    clearInterval(reconcileInterval);
+    reconcileInterval = null;
+  }
+}
@@ -0,0 +1,546 @@
+import { supabase } from '../lib/supabase.js';
+import { getWalletForUser, notifyRecipients } from '../lib/notify.js';
+import { recordAudit } from '../lib/audit.js';
+import {
+  releaseEscrowToAgent,
+  refundEscrowToBuyer,
+  refundMilestoneToBuyer,
+  releaseMilestoneToAgent,
+  resolveAgentWallet,
+} from './escrowPayouts.js';
+import { transitionMilestone } from './buildTransitions.js';
+import { listBuildMilestones, rollupMilestones } from './milestones.js';
+import { DISPUTE_STATUSES, responseDeadlineParties } from './disputes.js';
+
+const CHECK_INTERVAL_MS = 10 * 60 * 1000; // check deadlines every 10 min
+const HOUR_MS = 60 * 60 * 1000;
+const SYSTEM_ACTOR = 'system:escrow-timeout';
+const TIMEOUT_ACTOR = { type: 'system', id: SYSTEM_ACTOR };
+
+const UNIT_HOURS = { h: 1, d: 24, w: 24 * 7, m: 24 * 30 };
+
+let checkInterval = null;
+
+function log(msg) {
+  console.log(`[escrowTimeouts ${new Date().toISOString()}] ${msg}`);
+}
+
+function hoursFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Deadlines, read on every run so they can be changed without a restart.
+ *   ESCROW_REVIEW_WINDOW_HOURS  (72) — delivered → auto-accept
+ *   ESCROW_DELIVERY_GRACE_HOURS (48) — after the delivery deadline → auto-cancel
+ *   ESCROW_REMINDER_HOURS       (24) — reminder this long before any deadline (including
+ *                                      dispute response deadlines set by an admin)
+ * ESCROW_DEFAULT_DELIVERY_HOURS (336) sets the deadline of hires whose estimate cannot be
+ * parsed; it is read when the hire is made (deliveryDueAt).
+ */
+function getConfig() {
+  return {
+    reviewWindowMs: hoursFromEnv('ESCROW_REVIEW_WINDOW_HOURS', 72) * HOUR_MS,
+    deliveryGraceMs: hoursFromEnv('ESCROW_DELIVERY_GRACE_HOURS', 48) * HOUR_MS,
+    reminderMs: hoursFromEnv('ESCROW_REMINDER_HOURS', 24) * HOUR_MS,
+  };
+}
+
+/**
+ * Parse a pitch's free-text estimated_time ("5 days", "2-3 weeks", "48h", "1 month")
+ * into hours, using the upper bound of a range. Returns null when it cannot be parsed.
+ */
+export function parseEstimatedHours(text) {
+  if (text == null) return null;
+  const match = String(text).toLowerCase()
+    .match(/(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(h|hr|hrs|hours?|d|days?|w|wks?|weeks?|mo|months?)\b/);
+  if (!match) return null;
+  const amount = Number(match[2] ?? match[1]);
+  const unit = match[3].startsWith('mo') ? 'm' : match[3][0];
+  const hours = amount * UNIT_HOURS[unit];
+  return hours > 0 ? hours : null;
+}
+
+/**
+ * Delivery deadline for a hire made at `from` with the pitch's estimated time, or
+ * ESCROW_DEFAULT_DELIVERY_HOURS after it when the estimate is unparseable.
+ * @returns {string} ISO timestamp
+ */
+export function deliveryDueAt(estimatedTime, from = new Date()) {
+  const hours = parseEstimatedHours(estimatedTime) ?? hoursFromEnv('ESCROW_DEFAULT_DELIVERY_HOURS', 14 * 24);
+  return new Date(from.getTime() + hours * HOUR_MS).toISOString();
+}
+
+/**
+ * Delivery deadline of a funded milestone: the end of its due_date (UTC) or, without one,
+ * the hire's estimated duration counted from when the milestone was funded.
+ * @returns {number} epoch ms
+ */
+function milestoneDueMs(milestone, build) {
+  if (milestone.due_date) return new Date(`${milestone.due_date}T23:59:59.999Z`).getTime();
+  const hiredAt = new Date(build.created_at).getTime();
+  const estimateMs = new Date(build.delivery_due_at).getTime() - hiredAt;
+  return new Date(milestone.funded_at || build.created_at).getTime() + estimateMs;
+}
+
+async function loadParties(build) {
+  const { data: request } = await supabase
+    .from('requests').select('author_id, title').eq('id', build.request_id).single();
+  const [buyerWallet, agentWallet] = await Promise.all([
+    getWalletForUser(request?.author_id),
+    resolveAgentWallet(build),
+  ]);
+  return { buyerId: request?.author_id ?? null, title: request?.title ?? 'your request', buyerWallet, agentWallet };
+}
+
+function hoursLeft(deadlineMs, now) {
+  return Math.max(1, Math.round((deadlineMs - now) / HOUR_MS));
+}
+
+/**
+ * True when the timeout service claimed this build or milestone for an automatic
+ * release or refund. Buyer and agent actions must leave it alone from then on.
+ */
+export function claimedByTimeout(row) {
+  return row?.resolved_by === SYSTEM_ACTOR;
+}
+
+/**
+ * Claim a build for an automatic action: stamp resolved_by while it is still in one of
+ * the expected statuses, unclaimed and not held by a payout, so a buyer/agent action in the
+ * meantime wins and overlapping runs never both proceed.
+ */
+async function claimForTimeout(build, statuses) {
+  const { data } = await supabase
+    .from('builds')
+    .update({ resolved_by: SYSTEM_ACTOR })
+    .eq('id', build.id)
+    .in('status', statuses)
+    .eq('escrow_status', 'locked')
+    .is('resolved_by', null)
+    .is('pending_payout', null)
+    .select('id')
+    .maybeSingle();
+  return !!data;
+}
+
+/**
+ * Claim a funded milestone for an automatic action, the same way claimForTimeout does
+ * for builds.
+ */
+async function claimMilestoneForTimeout(milestone, statuses) {
+  const { data } = await supabase
+    .from('build_milestones')
+    .update({ resolved_by: SYSTEM_ACTOR })
+    .eq('id', milestone.id)
+    .in('status', statuses)
+    .eq('escrow_status', 'locked')
+    .is('resolved_by', null)
+    .is('pending_payout', null)
+    .select('id')
+    .maybeSingle();
+  return !!data;
+}
+
+async function sendReviewReminders(cfg, now) {
+  const { data: builds, error } = await supabase
+    .from('builds')
+    .select('id, request_id, agent_id, sdk_agent_id, delivered_at')
+    .eq('status', 'delivered')
+    .eq('escrow_status', 'locked')
+    .is('review_reminder_sent_at', null)
+    .lt('delivered_at', new Date(now - cfg.reviewWindowMs + cfg.reminderMs).toISOString());
+  if (error) throw error;
+
+  for (const build of builds || []) {
+    const deadline = new Date(build.delivered_at).getTime() + cfg.reviewWindowMs;
+    if (deadline <= now) continue; // auto-accepted this run instead
+    const { title, buyerId } = await loadParties(build);
+    await notifyRecipients({ userId: buyerId }, {
+      type: 'review_reminder',
+      title: '⏳ Review your delivery',
+      message: `"${title}" will be accepted automatically and payment released in about ${hoursLeft(deadline, now)}h unless you accept, request a revision or open a dispute.`,
+      metadata: { build_id: build.id, request_id: build.request_id, auto_accept_at: new Date(deadline).toISOString() },
+    });
+    await supabase.from('builds').update({ review_reminder_sent_at: new Date(now).toISOString() }).eq('id', build.id);
+  }
+}
+
+async function autoAcceptDeliveries(cfg, now) {
+  const { data: builds, error } = await supabase
+    .from('builds')
+    .select('id, request_id, agent_id, sdk_agent_id, agent_name, status, escrow_amount, escrow_status')
+    .eq('status', 'delivered')
+    .eq('escrow_status', 'locked')
+    .eq('funding_mode', 'single')
+    .lt('delivered_at', new Date(now - cfg.reviewWindowMs).toISOString());
+  if (error) throw error;
+
+  for (const build of builds || []) {
+    if (!(await claimForTimeout(build, ['delivered']))) continue;
+    const { title, buyerId, agentWallet } = await loadParties(build);
+    const transfer = await releaseEscrowToAgent({ build, agentWallet, actor: TIMEOUT_ACTOR });
+    await recordAudit({
+      actorType: 'system',
+      actorId: SYSTEM_ACTOR,
+      action: 'auto_accept_build',
+      targetType: 'build',
+      targetId: build.id,
+      reason: 'Review window elapsed',
+      metadata: { transfer_id: transfer.id, transfer_status: transfer.status },
+    });
+    log(`Auto-accepted build ${build.id} (transfer ${transfer.status})`);
+
+    const metadata = { build_id: build.id, request_id: build.request_id, request_title: title };
+    await notifyRecipients({ userId: buyerId }, {
+      type: 'build_auto_accepted',
+      title: '✅ Delivery accepted automatically',
+      message: `The review window for "${title}" ended, so the delivery was accepted and payment released to the agent.`,
+      metadata,
+    });
+    await notifyRecipients({ agentOf: build }, {
+      type: 'build_auto_accepted',
+      title: '💸 Payment released',
+      message: `The buyer did not respond within the review window for "${title}" — your delivery was accepted and escrow released.`,
+      metadata,
+    });
+  }
+}
+
+async function autoAcceptMilestones(cfg, now) {
+  const { data: milestones, error } = await supabase
+    .from('build_milestones')
+    .select('*')
+    .eq('status', 'delivered')
+    .eq('escrow_status', 'locked')
+    .is('resolved_by', null)
+    .lt('delivered_at', new Date(now - cfg.reviewWindowMs + cfg.reminderMs).toISOString());
+  if (error) throw error;
+
+  for (const milestone of milestones || []) {
+    const { data: build } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, agent_name')
+      .eq('id', milestone.build_id)
+      .single();
+    if (!build) continue;
+    const deadline = new Date(milestone.delivered_at).getTime() + cfg.reviewWindowMs;
+    const { title, buyerId, agentWallet } = await loadParties(build);
+    const metadata = { build_id: build.id, request_id: build.request_id, milestone_id: milestone.id, milestone_title: milestone.title };
+
+    if (deadline > now) {
+      if (milestone.review_reminder_sent_at) continue;
+      await notifyRecipients({ userId: buyerId }, {
+        type: 'review_reminder',
+        title: '⏳ Review your milestone',
+        message: `Milestone "${milestone.title}" on "${title}" will be accepted automatically in about ${hoursLeft(deadline, now)}h unless you accept, request a revision or open a dispute.`,
+        metadata: { ...metadata, auto_accept_at: new Date(deadline).toISOString() },
+      });
+      await supabase.from('build_milestones').update({ review_reminder_sent_at: new Date(now).toISOString() }).eq('id', milestone.id);
+      continue;
+    }
+
+    if (!(await claimMilestoneForTimeout(milestone, ['delivered']))) continue;
+    const transfer = await releaseMilestoneToAgent({ build, milestone, agentWallet, actor: TIMEOUT_ACTOR });
+    await recordAudit({
+      actorType: 'system',
+      actorId: SYSTEM_ACTOR,
+      action: 'auto_accept_milestone',
+      targetType: 'build',
+      targetId: build.id,
+      reason: 'Review window elapsed',
+      metadata: { milestone_id: milestone.id, transfer_id: transfer.id, transfer_status: transfer.status },
+    });
+    log(`Auto-accepted milestone ${milestone.id} of build ${build.id} (transfer ${transfer.status})`);
+    await notifyRecipients({ agentOf: build }, {
+      type: 'milestone_accepted',
+      title: '💸 Milestone payment released',
+      message: `The review window for "${milestone.title}" on "${title}" ended — the milestone was accepted and its escrow released.`,
+      metadata,
+    });
+  }
+}
+
+async function sendDeliveryReminders(cfg, now) {
+  const { data: builds, error } = await supabase
+    .from('builds')
+    .select('id, request_id, agent_id, sdk_agent_id, delivery_due_at')
+    .in('status', ['hired', 'building'])
+    .eq('escrow_status', 'locked')
+    .eq('funding_mode', 'single')
+    .is('delivery_reminder_sent_at', null)
+    .lt('delivery_due_at', new Date(now + cfg.reminderMs - cfg.deliveryGraceMs).toISOString());
+  if (error) throw error;
+
+  for (const build of builds || []) {
+    const deadline = new Date(build.delivery_due_at).getTime() + cfg.deliveryGraceMs;
+    if (deadline <= now) continue; // auto-cancelled this run instead
+    const { title } = await loadParties(build);
+    await notifyRecipients({ agentOf: build }, {
+      type: 'delivery_reminder',
+      title: '⏳ Delivery deadline approaching',
+      message: `Deliver "${title}" within about ${hoursLeft(deadline, now)}h — after that the hire is cancelled and escrow refunded to the buyer.`,
+      metadata: { build_id: build.id, request_id: build.request_id, auto_cancel_at: new Date(deadline).toISOString() },
+    });
+    await supabase.from('builds').update({ delivery_reminder_sent_at: new Date(now).toISOString() }).eq('id', build.id);
+  }
+}
+
+async function autoCancelUndelivered(cfg, now) {
+  const { data: builds, error } = await supabase
+    .from('builds')
+    .select('id, request_id, agent_id, sdk_agent_id, agent_name, status, escrow_amount, escrow_status')
+    .in('status', ['hired', 'building'])
+    .eq('escrow_status', 'locked')
+    .eq('funding_mode', 'single')
+    .lt('delivery_due_at', new Date(now - cfg.deliveryGraceMs).toISOString());
+  if (error) throw error;
+
+  for (const build of builds || []) {
+    if (!(await claimForTimeout(build, ['hired', 'building']))) continue;
+    const { title, buyerId, buyerWallet } = await loadParties(build);
+
+    // Nobody should pick the build up once it is being refunded
+    await supabase
+      .from('build_jobs')
+      .update({ status: 'failed', error: 'Cancelled: delivery deadline passed' })
+      .eq('build_id', build.id)
+      .eq('status', 'pending');
+
+    const transfer = await refundEscrowToBuyer({ build, buyerWallet, actor: TIMEOUT_ACTOR });
+    await recordAudit({
+      actorType: 'system',
+      actorId: SYSTEM_ACTOR,
+      action: 'auto_cancel_build',
+      targetType: 'build',
+      targetId: build.id,
+      reason: 'Delivery deadline plus grace period elapsed',
+      metadata: { transfer_id: transfer.id, transfer_status: transfer.status },
+    });
+    log(`Auto-cancelled undelivered build ${build.id} (transfer ${transfer.status})`);
+
+    const metadata = { build_id: build.id, request_id: build.request_id, request_title: title };
+    await notifyRecipients({ userId: buyerId }, {
+      type: 'build_auto_cancelled',
+      title: '↩️ Hire cancelled and refunded',
+      message: `${build.agent_name || 'The agent'} did not deliver "${title}" in time, so the hire was cancelled and your escrow refunded. The request is open for pitches again.`,
+      metadata,
+    });
+    await notifyRecipients({ agentOf: build }, {
+      type: 'build_auto_cancelled',
+      title: '⌛ Hire cancelled — deadline missed',
+      message: `"${title}" was not delivered by its deadline, so the hire was cancelled and escrow refunded to the buyer.`,
+      metadata,
+    });
+  }
+}
+
+/**
+ * Cancel a milestone hire whose agent missed a funded milestone's deadline: refund every
+ * funded milestone not yet delivered, cancel the unfunded ones and settle the build.
+ * Delivered and disputed milestones keep going through review and dispute resolution.
+ * @returns {Promise<number>} milestones refunded or cancelled
+ */
+async function cancelOverdueMilestoneBuild(build, buyerWallet) {
+  const open = (await listBuildMilestones(build.id)).filter((m) => ['hired', 'building'].includes(m.status));
+  const transfers = [];
+  let cancelled = 0;
+  for (const milestone of open) {
+    if (milestone.escrow_status === 'locked') {
+      if (!(await claimMilestoneForTimeout(milestone, ['hired', 'building']))) continue;
+      transfers.push(await refundMilestoneToBuyer({ build, milestone, buyerWallet, actor: TIMEOUT_ACTOR }));
+    } else {
+      try {
+        await transitionMilestone({ milestone, to: 'cancelled', actor: TIMEOUT_ACTOR });
+      } catch (err) {
+        if (err.status !== 409) throw err;
+        continue; // picked up in the meantime
+      }
+    }
+    cancelled++;
+  }
+  await rollupMilestones(build.id);
+
+  await recordAudit({
+    actorType: 'system',
+    actorId: SYSTEM_ACTOR,
+    action: 'auto_cancel_milestones',
+    targetType: 'build',
+    targetId: build.id,
+    reason: 'Milestone delivery deadline plus grace period elapsed',
+    metadata: { transfers: transfers.map((t) => ({ id: t.id, status: t.status, milestone_id: t.milestone_id })) },
+  });
+  return cancelled;
+}
+
+async function expireUndeliveredMilestones(cfg, now) {
+  const { data: milestones, error } = await supabase
+    .from('build_milestones')
+    .select('*')
+    .in('status', ['hired', 'building'])
+    .eq('escrow_status', 'locked')
+    .is('resolved_by', null);
+  if (error) throw error;
+
+  const cancelledBuilds = new Set();
+  for (const milestone of milestones || []) {
+    if (cancelledBuilds.has(milestone.build_id)) continue;
+    const { data: build } = await supabase
+      .from('builds')
+      .select('id, request_id, agent_id, sdk_agent_id, agent_name, status, created_at, delivery_due_at')
+      .eq('id', milestone.build_id)
+      .single();
+    if (!build) continue;
+    const deadline = milestoneDueMs(milestone, build) + cfg.deliveryGraceMs;
+    if (!Number.isFinite(deadline)) continue;
+    const metadata = { build_id: build.id, request_id: build.request_id, milestone_id: milestone.id, milestone_title: milestone.title };
+
+    if (deadline > now) {
+      if (milestone.delivery_reminder_sent_at || deadline - now > cfg.reminderMs) continue;
+      const { title } = await loadParties(build);
+      await notifyRecipients({ agentOf: build }, {
+        type: 'delivery_reminder',
+        title: '⏳ Milestone deadline approaching',
+        message: `Deliver milestone "${milestone.title}" on "${title}" within about ${hoursLeft(deadline, now)}h — after that the hire is cancelled and the unspent escrow refunded to the buyer.`,
+        metadata: { ...metadata, auto_cancel_at: new Date(deadline).toISOString() },
+      });
+      await supabase.from('build_milestones').update({ delivery_reminder_sent_at: new Date(now).toISOString() }).eq('id', milestone.id);
+      continue;
+    }
+
+    cancelledBuilds.add(build.id);
+    const { title, buyerId, buyerWallet } = await loadParties(build);
+    await supabase
+      .from('build_jobs')
+      .update({ status: 'failed', error: 'Cancelled: milestone deadline passed' })
+      .eq('build_id', build.id)
+      .eq('status', 'pending');
+    const cancelled = await cancelOverdueMilestoneBuild(build, buyerWallet);
+    if (cancelled === 0) continue;
+    log(`Auto-cancelled ${cancelled} milestone(s) of build ${build.id}: "${milestone.title}" is overdue`);
+
+    await notifyRecipients({ userId: buyerId }, {
+      type: 'build_auto_cancelled',
+      title: '↩️ Milestones cancelled and refunded',
+      message: `${build.agent_name || 'The agent'} did not deliver milestone "${milestone.title}" of "${title}" in time, so the milestones not yet delivered were cancelled and their escrow refunded.`,
+      metadata: { ...metadata, request_title: title },
+    });
+    await notifyRecipients({ agentOf: build }, {
+      type: 'build_auto_cancelled',
+      title: '⌛ Milestones cancelled — deadline missed',
+      message: `Milestone "${milestone.title}" of "${title}" was not delivered by its deadline, so the milestones not yet delivered were cancelled and their escrow refunded to the buyer.`,
+      metadata: { ...metadata, request_title: title },
+    });
+  }
+}
+
+/**
+ * Dispute response deadlines set by an admin: remind the party before it passes, and once
+ * it has passed without a reply flag the dispute to the admins, with an audit entry.
+ */
+async function followUpDisputeDeadlines(cfg, now) {
+  const { data: builds, error } = await supabase
+    .from('builds')
+    .select('id, request_id, agent_id, sdk_agent_id, agent_name, status, dispute_response_deadline, dispute_response_party, dispute_response_reminder_sent_at')
+    .in('status', DISPUTE_STATUSES)
+    .is('dispute_response_overdue_at', null)
+    .lt('dispute_response_deadline', new Date(now + cfg.reminderMs).toISOString());
+  if (error) throw error;
+
+  for (const build of builds || []) {
+    const deadline = build.dispute_response_deadline;
+    const party = build.dispute_response_party;
+    const { title } = await loadParties(build);
+    const metadata = { build_id: build.id, request_id: build.request_id, request_title: title, response_deadline: deadline, response_party: party };
+
+    if (new Date(deadline).getTime() > now) {
+      if (build.dispute_response_reminder_sent_at) continue;
+      await notifyRecipients(responseDeadlineParties(build, party), {
+        type: 'dispute_deadline_reminder',
+        title: '⏳ Dispute reply due soon',
+        message: `Reply in the dispute thread for "${title}" within about ${hoursLeft(new Date(deadline).getTime(), now)}h — after that the dispute may be decided without your side.`,
+        metadata,
+      });
+      await supabase
+        .from('builds')
+        .update({ dispute_response_reminder_sent_at: new Date(now).toISOString() })
+        .eq('id', build.id)
+        .eq('dispute_response_deadline', deadline);
+      continue;
+    }
+
+    // Flag once, and only the deadline that was read — an admin may have moved it since
+    const { data: flagged } = await supabase
+      .from('builds')
+      .update({ dispute_response_overdue_at: new Date(now).toISOString() })
+      .eq('id', build.id)
+      .eq('dispute_response_deadline', deadline)
+      .is('dispute_response_overdue_at', null)
+      .select('id')
+      .maybeSingle();
+    if (!flagged) continue;
+
+    const agentName = build.agent_name || 'the agent';
+    const noReply = {
+      requester: 'The buyer did not reply',
+      agent: `${build.agent_name || 'The agent'} did not reply`,
+      both: `Neither the buyer nor ${agentName} replied`,
+    }[party];
+    await recordAudit({
+      actorType: 'system',
+      actorId: SYSTEM_ACTOR,
+      action: 'dispute_response_overdue',
+      targetType: 'build',
+      targetId: build.id,
+      reason: 'Dispute response deadline passed without a reply',
+      metadata: { response_deadline: deadline, response_party: party },
+    });
+    log(`Dispute response deadline of build ${build.id} passed (${party})`);
+    await notifyRecipients({ admins: true }, {
+      type: 'dispute_response_overdue',
+      title: '🚩 Dispute reply overdue',
+      message: `${noReply} in the dispute thread for "${title}" by ${deadline}. The dispute is ready for a decision.`,
+      metadata,
+    });
+  }
+}
+
+/**
+ * One pass over every escrow deadline. Each step is isolated so one failure does
+ * not block the others.
+ */
+export async function runEscrowTimeouts() {
+  const cfg = getConfig();
+  const now = Date.now();
+  const steps = [
+    ['review reminders', sendReviewReminders],
+    ['auto-accept', autoAcceptDeliveries],
+    ['milestone auto-accept', autoAcceptMilestones],
+    ['delivery reminders', sendDeliveryReminders],
+    ['auto-cancel', autoCancelUndelivered],
+    ['milestone auto-cancel', expireUndeliveredMilestones],
+    ['dispute deadlines', followUpDisputeDeadlines],
+  ];
+  for (const [name, step] of steps) {
+    try {
+      await step(cfg, now);
+    } catch (err) {
+      log(`${name} error: ${err?.message || err}`);
+    }
+  }
+}
+
+export function startEscrowTimeouts() {
+  if (checkInterval != null) return;
+  runEscrowTimeouts();
+  checkInterval = setInterval(runEscrowTimeouts, CHECK_INTERVAL_MS);
+  log(`Started (interval ${CHECK_INTERVAL_MS / 1000}s)`);
+}
+
+export function stopEscrowTimeouts() {
+  if (checkInterval != null) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+  }
+}
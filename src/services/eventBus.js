@@ -0,0 +1,134 @@
+import { supabase } from '../lib/supabase.js';
+
+/**
+ * Event types SDK agents can subscribe webhook endpoints to.
+ */
+export const WEBHOOK_EVENTS = [
+  'request_matched',    // a new request matches the agent's specializations and min budget
+  'pitch_submitted',    // the auto-pitch engine pitched for the agent
+  'pitch_hidden',       // an admin hid one of the agent's pitches
+  'hired',
+  'revision_requested',
+  'accepted',           // delivery accepted and escrow released to the agent
+  'cancelled',          // build cancelled or refunded
+  'disputed',
+  'request_cancelled',  // a request the agent pitched on was cancelled, expired or removed
+  'request_updated',    // the buyer edited a request the agent pitched on
+  'question_answered',  // the buyer answered the agent's question, or publicly on a request it pitched on
+  'request_invited',    // the buyer invited the agent to an invite-only request
+];
+
+const subscribers = new Set();
+
+function log(msg) {
+  console.log(`[eventBus ${new Date().toISOString()}] ${msg}`);
+}
+
+/**
+ * Publish a platform event to every subscriber (the webhook outbox, the notification stream,
+ * the activity feed). For webhook events, data.sdkAgentIds lists the SDK agents it concerns
+ * and data.payload is what they are sent.
+ * Resolves once the durable subscribers have handled it — the webhook outbox has stored its
+ * deliveries — so awaiting it before responding means a crash cannot lose the webhook. The
+ * other subscribers run in the background. Never rejects; subscriber errors are logged.
+ */
+export async function publishEvent(type, data = {}) {
+  const event = { type, data, occurredAt: new Date().toISOString() };
+  const durable = [];
+  for (const subscriber of subscribers) {
+    const handled = Promise.resolve()
+      .then(() => subscriber.handler(event))
+      .catch((err) => log(`Handler error on ${type}: ${err?.message || err}`));
+    if (subscriber.durable) durable.push(handled);
+  }
+  await Promise.all(durable);
+}
+
+/**
+ * Subscribe to every published event. Handlers run in the background and their errors are
+ * logged; durable: true makes publishEvent() wait for the handler, so keep those quick.
+ * Returns an unsubscribe function.
+ */
+export function onEvent(handler, { durable = false } = {}) {
+  const subscriber = { handler, durable };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+}
+
+/**
+ * Publish a build lifecycle event (revision_requested, accepted, cancelled, disputed) to the
+ * SDK agent hired for `build`. No-op for internal agents. Never throws.
+ */
+export async function publishBuildEvent(build, type, { previousStatus = null, notes = null } = {}) {
+  if (!build?.sdk_agent_id) return;
+  try {
+    const { data: request } = await supabase
+      .from('requests')
+      .select('title')
+      .eq('id', build.request_id)
+      .single();
+
+    await publishEvent(type, {
+      sdkAgentIds: [build.sdk_agent_id],
+      payload: {
+        request_id: build.request_id,
+        request_title: request?.title ?? null,
+        build_id: build.id,
+        status: build.status,
+        previous_status: previousStatus,
+        escrow_status: build.escrow_status ?? null,
+        escrow_amount: build.escrow_amount != null ? Number(build.escrow_amount) : null,
+        funding_mode: build.funding_mode || 'single',
+        revision_notes: build.revision_notes ?? null,
+        revision_count: build.revision_count ?? 0,
+        delivery_url: build.delivery_url ?? null,
+        notes,
+        occurred_at: new Date().toISOString(),
+      },
+    });
+  } catch (err) {
+    log(`Build event ${type} for ${build.id} error: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Publish a new pitch (from the pitches route, the SDK or the auto-pitch engine) so the
+ * request owner sees it in real time and the agent's followers in their feed.
+ */
+export function publishPitchCreated({ pitchId, requestId, agentId = null, sdkAgentId = null, agentName = null, price = null, estimatedTime = null }) {
+  return publishEvent('pitch_created', {
+    pitch: {
+      pitch_id: pitchId,
+      request_id: requestId,
+      agent_id: agentId,
+      sdk_agent_id: sdkAgentId,
+      agent_name: agentName,
+      price: price != null ? Number(price) : null,
+      estimated_time: estimatedTime ?? null,
+      created_at: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Offer a request to SDK agents — request_matched (public requests matching the agent) or
+ * request_invited (the buyer invited the agent) — with the request summary they pitch from.
+ */
+export async function publishRequestOffered(type, sdkAgentIds, row) {
+  if (!sdkAgentIds?.length) return;
+  await publishEvent(type, {
+    sdkAgentIds,
+    payload: {
+      request: {
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        categories: row.categories || [],
+        budget: row.budget,
+        timeline: row.timeline,
+        visibility: row.visibility ?? 'public',
+        createdAt: row.created_at,
+      },
+    },
+  });
+}
@@ -0,0 +1,207 @@
+import { supabase } from '../lib/supabase.js';
+import { notifyRecipients } from '../lib/notify.js';
+import { transitionBuild, transitionMilestone } from './buildTransitions.js';
+
+const MAX_MILESTONES = 20;
+const TERMINAL_STATUSES = ['accepted', 'cancelled', 'refunded'];
+
+/**
+ * Validate milestones proposed on a pitch: [{ title, amount, due_date? }].
+ * Amounts must add up to the pitch price; with no price the total becomes the price.
+ *
+ * @returns {{ milestones: Array|null, price: number|null, error?: string }}
+ *   milestones is null when none were proposed
+ */
+export function normalizeMilestones(input, price) {
+  const pitchPrice = price != null ? Number(price) : null;
+  if (input == null) return { milestones: null, price: pitchPrice };
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'milestones must be a non-empty array' };
+  }
+  if (input.length > MAX_MILESTONES) {
+    return { error: `At most ${MAX_MILESTONES} milestones are allowed` };
+  }
+
+  const milestones = [];
+  for (const [i, m] of input.entries()) {
+    const title = m?.title != null ? String(m.title).trim() : '';
+    if (!title) return { error: `Milestone ${i + 1}: title is required` };
+    const amount = Number(m.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { error: `Milestone ${i + 1}: amount must be a positive number` };
+    }
+    const rawDue = m.due_date ?? m.dueDate ?? null;
+    let dueDate = null;
+    if (rawDue != null && rawDue !== '') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(rawDue)) || Number.isNaN(Date.parse(rawDue))) {
+        return { error: `Milestone ${i + 1}: due_date must be YYYY-MM-DD` };
+      }
+      dueDate = String(rawDue);
+    }
+    milestones.push({ title: title.slice(0, 200), amount: Math.round(amount * 100) / 100, due_date: dueDate });
+  }
+
+  const total = Math.round(milestones.reduce((sum, m) => sum + m.amount, 0) * 100) / 100;
+  if (pitchPrice != null && Math.abs(total - pitchPrice) > 0.01) {
+    return { error: `Milestone amounts (${total}) must add up to the pitch price (${pitchPrice})` };
+  }
+  return { milestones, price: pitchPrice ?? total };
+}
+
+export function mapMilestone(row) {
+  return {
+    id: row.id,
+    build_id: row.build_id,
+    position: row.position,
+    title: row.title,
+    amount: Number(row.amount),
+    due_date: row.due_date || null,
+    status: row.status,
+    escrow_status: row.escrow_status,
+    delivery_url: row.delivery_url || null,
+    agent_payout: row.agent_payout != null ? Number(row.agent_payout) : null,
+    platform_fee: row.platform_fee != null ? Number(row.platform_fee) : null,
+    deposit_tx_signature: row.deposit_tx_signature || null,
+    release_tx_signature: row.release_tx_signature || null,
+    refund_tx_signature: row.refund_tx_signature || null,
+    revision_notes: row.revision_notes || null,
+    revision_count: row.revision_count ?? 0,
+    dispute_reason: row.dispute_reason || null,
+    resolution: row.resolution || null,
+    resolution_notes: row.resolution_notes || null,
+    resolution_agent_share_pct: row.resolution_agent_share_bps != null ? row.resolution_agent_share_bps / 100 : null,
+    buyer_refund: row.buyer_refund != null ? Number(row.buyer_refund) : null,
+    resolved_at: row.resolved_at || null,
+    arbitration_opened_at: row.arbitration_opened_at || null,
+    funded_at: row.funded_at || null,
+    delivered_at: row.delivered_at || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+export async function listBuildMilestones(buildId) {
+  const { data, error } = await supabase
+    .from('build_milestones')
+    .select('*')
+    .eq('build_id', buildId)
+    .order('position', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Create a hire's milestone rows from the pitch proposal.
+ * upfront: every milestone is funded by the hire deposit.
+ * per_milestone: the hire deposit funds the first milestone only.
+ */
+export async function createBuildMilestones(buildId, milestones, { fundingMode, depositTxSignature }) {
+  const now = new Date().toISOString();
+  const rows = milestones.map((m, i) => {
+    const funded = fundingMode === 'upfront' || i === 0;
+    return {
+      build_id: buildId,
+      position: i + 1,
+      title: m.title,
+      amount: m.amount,
+      due_date: m.due_date || null,
+      escrow_status: funded ? 'locked' : 'pending',
+      deposit_tx_signature: fundingMode === 'per_milestone' && i === 0 ? depositTxSignature : null,
+      funded_at: funded ? now : null,
+    };
+  });
+  const { data, error } = await supabase
+    .from('build_milestones')
+    .insert(rows)
+    .select('*');
+  if (error) throw error;
+  return (data || []).sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Set escrow_amount on the build and its request to the sum of the funded milestones.
+ * per_milestone hires start with the first milestone's deposit and grow as the rest are funded.
+ * @returns the new escrow_amount
+ */
+export async function refreshFundedEscrow(build) {
+  const rows = await listBuildMilestones(build.id);
+  const funded = rows.filter((m) => m.funded_at);
+  const escrowAmount = Math.round(funded.reduce((s, m) => s + (Number(m.amount) || 0), 0) * 1e6) / 1e6;
+
+  const { error } = await supabase.from('builds').update({ escrow_amount: escrowAmount }).eq('id', build.id);
+  if (error) throw error;
+  const { error: requestErr } = await supabase
+    .from('requests').update({ escrow_amount: escrowAmount }).eq('id', build.request_id);
+  if (requestErr) throw requestErr;
+  return escrowAmount;
+}
+
+/**
+ * Deliver (or re-deliver after a revision) a funded milestone on behalf of the hired agent
+ * and ask the buyer to review it. Callers check funding and the transition first.
+ * actor: { type: 'agent', id } — the agent owner (user id) or the SDK agent.
+ * @throws Error with .status 409 when the milestone changed since it was read
+ * @returns the updated milestone row
+ */
+export async function deliverMilestone({ build, milestone, actor, deliveryUrl, note = null, agentName = null }) {
+  const updated = await transitionMilestone({
+    milestone,
+    to: 'delivered',
+    actor,
+    patch: {
+      delivery_url: deliveryUrl,
+      delivered_at: new Date().toISOString(),
+      review_reminder_sent_at: null,
+    },
+    event: { notes: note, metadata: { delivery_url: deliveryUrl } },
+  });
+
+  const { data: request } = await supabase
+    .from('requests').select('author_id, title').eq('id', build.request_id).single();
+  await notifyRecipients({ buyerOf: request || build }, {
+    type: 'milestone_delivered',
+    title: '📦 Milestone ready to review',
+    message: `${agentName || 'The agent'} delivered "${milestone.title}" on "${request?.title}". Review it and release the milestone payment when you're satisfied.`,
+    metadata: {
+      build_id: build.id,
+      request_id: build.request_id,
+      request_title: request?.title ?? null,
+      milestone_id: milestone.id,
+      milestone_title: milestone.title,
+      delivery_url: deliveryUrl,
+    },
+  });
+
+  return updated;
+}
+
+/**
+ * Once every milestone is settled, settle the build and its request to match:
+ * any accepted milestone → build accepted/released and request Completed;
+ * none accepted → build cancelled/refunded and request reopened.
+ * No-op while a milestone is still open.
+ */
+export async function rollupMilestones(buildId) {
+  const rows = await listBuildMilestones(buildId);
+  if (rows.length === 0 || !rows.every((m) => TERMINAL_STATUSES.includes(m.status))) return;
+
+  const accepted = rows.filter((m) => m.status === 'accepted');
+  const sum = (field) => Math.round(accepted.reduce((s, m) => s + (Number(m[field]) || 0), 0) * 1e6) / 1e6;
+
+  const { status, ...buildPatch } = accepted.length > 0
+    ? { status: 'accepted', escrow_status: 'released', agent_payout: sum('agent_payout'), platform_fee: sum('platform_fee') }
+    : { status: 'cancelled', escrow_status: 'refunded' };
+  const requestPatch = accepted.length > 0
+    ? { escrow_status: 'released', status: 'Completed' }
+    : { escrow_status: 'refunded', hired_agent_id: null, escrow_amount: null, status: 'Open' };
+
+  await transitionBuild({
+    build: { id: buildId },
+    to: status,
+    actor: { type: 'system', id: 'milestones' },
+    expectFrom: null,
+    patch: buildPatch,
+    requestPatch,
+    event: { type: 'milestones_settled', notes: `${accepted.length} of ${rows.length} milestone(s) accepted` },
+  });
+}
@@ -0,0 +1,154 @@
+import { supabase } from '../lib/supabase.js';
+import { getChannelSettings } from '../lib/notificationPreferences.js';
+import { sendToChannel } from '../lib/notificationChannels.js';
+
+const DIGEST_INTERVAL_MS = 60 * 60 * 1000; // look for due digests hourly
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const MAX_DIGEST_ITEMS = 500;       // per digest; the rest waits for the next one
+const MAX_ITEMS_PER_TYPE = 10;      // listed per type, then "…and N more"
+const PENDING_SCAN_LIMIT = 5000;    // pending items scanned per frequency per run
+
+let digestInterval = null;
+let running = false;
+
+function log(msg) {
+  console.log(`[notificationDigest ${new Date().toISOString()}] ${msg}`);
+}
+
+function typeLabel(type) {
+  const words = String(type).replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Subject and plain-text body for a digest, grouped by notification type, oldest first.
+ */
+export function buildDigestMessage(items, frequency) {
+  const groups = new Map();
+  for (const item of items) {
+    if (!groups.has(item.type)) groups.set(item.type, []);
+    groups.get(item.type).push(item);
+  }
+
+  const lines = [`Here is what happened on 4U since your last ${frequency} digest.`, ''];
+  for (const [type, group] of groups) {
+    lines.push(`${typeLabel(type)} (${group.length})`);
+    for (const item of group.slice(0, MAX_ITEMS_PER_TYPE)) {
+      lines.push(`  - ${item.title}${item.message ? `: ${item.message}` : ''}`);
+    }
+    if (group.length > MAX_ITEMS_PER_TYPE) lines.push(`  …and ${group.length - MAX_ITEMS_PER_TYPE} more`);
+    lines.push('');
+  }
+  lines.push('Change what you receive under notification preferences.');
+
+  return {
+    type: `${frequency}_digest`,
+    subject: `Your ${frequency} 4U digest: ${items.length} notification${items.length === 1 ? '' : 's'}`,
+    text: lines.join('\n'),
+  };
+}
+
+/**
+ * Send one user's pending digest items for `frequency` by email, or to their chat channel
+ * when they have no email set up, and mark them sent. Items stay pending when sending fails;
+ * a user with neither channel has them dropped (marked sent) so they do not pile up.
+ * @returns {Promise<{ sent: number, channel: string|null }>}
+ */
+export async function sendDigest(wallet, frequency) {
+  const { data: items, error } = await supabase
+    .from('notification_digest_items')
+    .select('id, type, title, message, created_at')
+    .eq('user_wallet', wallet)
+    .eq('frequency', frequency)
+    .is('sent_at', null)
+    .order('created_at', { ascending: true })
+    .limit(MAX_DIGEST_ITEMS);
+  if (error) throw error;
+  if (!items || items.length === 0) return { sent: 0, channel: null };
+
+  const settings = await getChannelSettings(wallet);
+  const message = buildDigestMessage(items, frequency);
+  let channel = null;
+  for (const name of ['email', 'chat']) {
+    const result = await sendToChannel(name, settings, message);
+    if (result.skipped) continue;
+    if (!result.ok) throw new Error(`${name}: ${result.error}`);
+    channel = name;
+    break;
+  }
+  if (!channel) log(`No email or chat channel for ${wallet}; dropping ${items.length} ${frequency} digest item(s)`);
+
+  const now = new Date().toISOString();
+  const { error: markErr } = await supabase
+    .from('notification_digest_items')
+    .update({ sent_at: now })
+    .in('id', items.map((i) => i.id));
+  if (markErr) throw markErr;
+
+  const { error: stampErr } = await supabase
+    .from('notification_channels')
+    .upsert({ user_wallet: wallet, [`last_${frequency}_digest_at`]: now }, { onConflict: 'user_wallet' });
+  if (stampErr) throw stampErr;
+
+  return { sent: items.length, channel };
+}
+
+/**
+ * Send every digest that is due: a user's daily (weekly) digest goes out once a day (week)
+ * has passed since their last one — or, for their first, since their oldest pending item.
+ */
+export async function sendDueDigests() {
+  if (running) return;
+  running = true;
+  try {
+    for (const frequency of Object.keys(PERIOD_MS)) {
+      const { data: pending, error } = await supabase
+        .from('notification_digest_items')
+        .select('user_wallet, created_at')
+        .eq('frequency', frequency)
+        .is('sent_at', null)
+        .order('created_at', { ascending: true })
+        .limit(PENDING_SCAN_LIMIT);
+      if (error) throw error;
+
+      const oldestByWallet = new Map();
+      for (const row of pending || []) {
+        if (!oldestByWallet.has(row.user_wallet)) oldestByWallet.set(row.user_wallet, row.created_at);
+      }
+
+      for (const [wallet, oldest] of oldestByWallet) {
+        try {
+          const settings = await getChannelSettings(wallet);
+          const since = settings?.[`last_${frequency}_digest_at`] || oldest;
+          if (Date.now() - new Date(since).getTime() < PERIOD_MS[frequency]) continue;
+          const { sent, channel } = await sendDigest(wallet, frequency);
+          if (sent > 0 && channel) log(`Sent ${frequency} digest (${sent} items) to ${wallet} via ${channel}`);
+        } catch (err) {
+          log(`${frequency} digest for ${wallet} error: ${err?.message || err}`);
+        }
+      }
+    }
+  } catch (err) {
+    log(`Digest run error: ${err?.message || err}`);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Check for due daily and weekly digests every hour.
+ */
+export function startNotificationDigests() {
+  if (digestInterval != null) return;
+  sendDueDigests();
+  digestInterval = setInterval(sendDueDigests, DIGEST_INTERVAL_MS);
+  log(`Started (interval ${DIGEST_INTERVAL_MS / 60000}m)`);
+}
+
+export function stopNotificationDigests() {
+  if (digestInterval != null) {
+    clearInterval(digestInterval);
+    digestInterval = null;
+  }
+}
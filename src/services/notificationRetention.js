@@ -0,0 +1,70 @@
+import { supabase } from '../lib/supabase.js';
+
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000; // prune every 6h
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let retentionInterval = null;
+
+function log(msg) {
+  console.log(`[notificationRetention ${new Date().toISOString()}] ${msg}`);
+}
+
+/**
+ * How long read notifications (archived or not) and sent digest items are kept.
+ *   NOTIFICATION_RETENTION_DAYS (90)
+ */
+function retentionMs() {
+  const days = Number(process.env.NOTIFICATION_RETENTION_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 90) * DAY_MS;
+}
+
+/**
+ * Delete read notifications with no activity within the retention window (last_activity_at),
+ * and sent digest items older than it.
+ * Unread notifications are never pruned.
+ * @returns {{ notifications: number, digestItems: number }}
+ */
+export async function pruneNotifications() {
+  const cutoff = new Date(Date.now() - retentionMs()).toISOString();
+  const result = { notifications: 0, digestItems: 0 };
+  try {
+    const { data: pruned, error } = await supabase
+      .from('notifications')
+      .delete()
+      .eq('read', true)
+      .lt('last_activity_at', cutoff)
+      .select('id');
+    if (error) throw error;
+    result.notifications = pruned?.length ?? 0;
+
+    const { data: sent, error: digestErr } = await supabase
+      .from('notification_digest_items')
+      .delete()
+      .not('sent_at', 'is', null)
+      .lt('created_at', cutoff)
+      .select('id');
+    if (digestErr) throw digestErr;
+    result.digestItems = sent?.length ?? 0;
+
+    if (result.notifications || result.digestItems) {
+      log(`Pruned ${result.notifications} read notification(s) and ${result.digestItems} digest item(s) older than ${cutoff}`);
+    }
+  } catch (err) {
+    log(`Prune error: ${err?.message || err}`);
+  }
+  return result;
+}
+
+export function startNotificationRetention() {
+  if (retentionInterval != null) return;
+  pruneNotifications();
+  retentionInterval = setInterval(pruneNotifications, RETENTION_INTERVAL_MS);
+  log(`Started (retention ${retentionMs() / DAY_MS} days)`);
+}
+
+export function stopNotificationRetention() {
+  if (retentionInterval != null) {
+    clearInterval(retentionInterval);
+    retentionInterval = null;
+  }
+}
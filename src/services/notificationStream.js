@@ -0,0 +1,151 @@
+import { EventEmitter } from 'events';
+import { supabase } from '../lib/supabase.js';
+import { resolveRecipients } from '../lib/notify.js';
+import { onEvent } from './eventBus.js';
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // drop old stream events hourly
+const HOUR_MS = 60 * 60 * 1000;
+export const STREAM_PAGE_SIZE = 200;        // events per replay query
+
+// wallet → "new stream events stored" signal for connections held by this process
+const wallets = new EventEmitter();
+wallets.setMaxListeners(0);
+
+let purgeInterval = null;
+let unsubscribe = null;
+
+function log(msg) {
+  console.log(`[notificationStream ${new Date().toISOString()}] ${msg}`);
+}
+
+function retentionMs() {
+  const hours = Number(process.env.STREAM_EVENT_RETENTION_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * HOUR_MS;
+}
+
+/**
+ * Store a stream event for each wallet and wake their open connections. Never throws.
+ */
+async function recordStreamEvent(userWallets, type, data) {
+  const targets = [...new Set(userWallets.filter(Boolean))];
+  if (targets.length === 0) return;
+  try {
+    const { error } = await supabase
+      .from('stream_events')
+      .insert(targets.map((user_wallet) => ({ user_wallet, type, data })));
+    if (error) throw error;
+    for (const wallet of targets) wallets.emit(wallet);
+  } catch (err) {
+    log(`Record ${type} error: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Stream events for a wallet after `afterId`, oldest first.
+ */
+export async function listStreamEvents(wallet, afterId) {
+  const { data, error } = await supabase
+    .from('stream_events')
+    .select('id, type, data, created_at')
+    .eq('user_wallet', wallet)
+    .gt('id', afterId)
+    .order('id', { ascending: true })
+    .limit(STREAM_PAGE_SIZE);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Id of the wallet's newest stream event (0 when there is none) — where a fresh connection starts.
+ */
+export async function latestStreamEventId(wallet) {
+  const { data, error } = await supabase
+    .from('stream_events')
+    .select('id')
+    .eq('user_wallet', wallet)
+    .order('id', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0]?.id ?? 0;
+}
+
+/**
+ * Call `listener` whenever this process stores stream events for `wallet`.
+ * Returns an unsubscribe function.
+ */
+export function watchWallet(wallet, listener) {
+  wallets.on(wallet, listener);
+  return () => wallets.off(wallet, listener);
+}
+
+async function handleNotification({ notification }) {
+  if (!notification?.user_wallet) return;
+  await recordStreamEvent([notification.user_wallet], 'notification', notification);
+}
+
+async function handleBuildStatus({ build, previousStatus }) {
+  const { data: request } = await supabase
+    .from('requests')
+    .select('author_id, title')
+    .eq('id', build.request_id)
+    .single();
+  const recipients = await resolveRecipients([{ buyerOf: request || build }, { agentOf: build }]);
+  await recordStreamEvent(recipients, 'build_status', {
+    build_id: build.id,
+    request_id: build.request_id,
+    request_title: request?.title ?? null,
+    status: build.status,
+    previous_status: previousStatus ?? null,
+    escrow_status: build.escrow_status ?? null,
+    updated_at: build.updated_at ?? new Date().toISOString(),
+  });
+}
+
+async function handlePitch({ pitch }) {
+  const { data: request } = await supabase
+    .from('requests')
+    .select('author_id, title')
+    .eq('id', pitch.request_id)
+    .single();
+  const recipients = await resolveRecipients({ buyerOf: request || pitch });
+  await recordStreamEvent(recipients, 'pitch', { ...pitch, request_title: request?.title ?? null });
+}
+
+const HANDLERS = {
+  notification_created: handleNotification,
+  build_status_changed: handleBuildStatus,
+  pitch_created: handlePitch,
+};
+
+async function dispatchStreamEvent({ type, data }) {
+  const handler = HANDLERS[type];
+  if (handler) await handler(data);
+}
+
+export async function purgeStreamEvents() {
+  const cutoff = new Date(Date.now() - retentionMs()).toISOString();
+  const { error } = await supabase.from('stream_events').delete().lt('created_at', cutoff);
+  if (error) log(`Purge error: ${error.message}`);
+}
+
+/**
+ * Subscribe to the event bus and purge expired stream events periodically.
+ */
+export function startNotificationStream() {
+  if (purgeInterval != null) return;
+  unsubscribe = onEvent(dispatchStreamEvent);
+  purgeStreamEvents();
+  purgeInterval = setInterval(purgeStreamEvents, PURGE_INTERVAL_MS);
+  log('Started');
+}
+
+export function stopNotificationStream() {
+  if (purgeInterval != null) {
+    clearInterval(purgeInterval);
+    purgeInterval = null;
+  }
+  if (unsubscribe != null) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+}
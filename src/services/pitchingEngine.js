@@ -1,9 +1,9 @@
-import { createHmac } from 'crypto';
 import { supabase } from '../lib/supabase.js';
 import { generatePitch } from './claudeClient.js';
+import { publishEvent, publishPitchCreated } from './eventBus.js';
+import { categoriesMatch, loadTaxonomy } from './categories.js';
 
 const POLL_INTERVAL_MS = 60 * 1000; // 60 seconds
-const WEBHOOK_TIMEOUT_MS = 5000;
 
 // ──────────────────────────────────────────────
 // Supabase error / event logger
@@ -18,42 +18,33 @@ async function logEngine(level, message, metadata = {}) {
 }
 
 // ──────────────────────────────────────────────
-// Webhook helper
+// DB fetchers
 // ──────────────────────────────────────────────
 
 /**
- * Fire an outbound webhook with HMAC-SHA256 signing.
- * @param {string} url  - Destination URL
- * @param {object} payload - JSON payload to send
- * @param {string} [secret] - Agent's api_key used as HMAC secret (optional; unsigned if absent)
+ * Open requests the engine may pitch on: public ones, and invite-only ones with their invited
+ * agents attached (`invites`) so only those pitch. Unlisted requests are never auto-pitched.
  */
-function fireWebhook(url, payload, secret) {
-  if (!url || typeof url !== 'string' || !url.startsWith('http')) return;
-  const body = JSON.stringify(payload);
-  const headers = { 'Content-Type': 'application/json' };
-  if (secret) {
-    const signature = createHmac('sha256', secret).update(body).digest('hex');
-    headers['X-4U-Signature'] = `sha256=${signature}`;
-  }
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
-  fetch(url, { method: 'POST', headers, body, signal: controller.signal })
-    .catch(() => {})
-    .finally(() => clearTimeout(timeoutId));
-}
-
-// ──────────────────────────────────────────────
-// DB fetchers
-// ──────────────────────────────────────────────
-
 async function fetchOpenRequests() {
   const { data, error } = await supabase
     .from('requests')
-    .select('id, title, description, categories, budget, timeline')
+    .select('id, title, description, categories, budget, timeline, visibility')
     .eq('status', 'Open')
+    .in('visibility', ['public', 'invite_only'])
     .order('created_at', { ascending: false });
   if (error) throw error;
-  return data || [];
+
+  const rows = data || [];
+  const inviteOnlyIds = rows.filter((r) => r.visibility === 'invite_only').map((r) => r.id);
+  if (inviteOnlyIds.length === 0) return rows;
+  const { data: invites, error: inviteErr } = await supabase
+    .from('request_invites')
+    .select('request_id, agent_id, sdk_agent_id')
+    .in('request_id', inviteOnlyIds);
+  if (inviteErr) throw inviteErr;
+  return rows.map((r) => (r.visibility === 'invite_only'
+    ? { ...r, invites: (invites || []).filter((i) => i.request_id === r.id) }
+    : r));
 }
 
 async function fetchAutoPitchAgents() {
@@ -81,7 +72,7 @@ async function fetchAutoPitchAgents() {
 async function fetchSdkAutoPitchAgents() {
   const { data, error } = await supabase
     .from('sdk_agents')
-    .select('id, name, bio, specializations, min_budget, webhook_url, api_key')
+    .select('id, name, bio, specializations, min_budget')
     .eq('auto_pitch', true)
     .eq('is_active', true);
   if (error) throw error;
@@ -150,12 +141,12 @@ async function agentAlreadyPitched(requestId, agentId) {
 // Matching helpers
 // ──────────────────────────────────────────────
 
-function specializationMatch(agentSpecializations, requestCategories) {
-  const specs = new Set((agentSpecializations || []).map((s) => s.trim()));
-  const cats = requestCategories || [];
-  // If agent has no specializations OR request has no categories → match everything
-  if (specs.size === 0 || cats.length === 0) return true;
-  return cats.some((c) => specs.has(c));
+/**
+ * Hierarchical: a specialization matches its own category, its subcategories and its parents
+ * (see categoriesMatch). No specializations or no categories → match everything.
+ */
+function specializationMatch(taxonomy, agentSpecializations, requestCategories) {
+  return categoriesMatch(taxonomy, agentSpecializations, requestCategories);
 }
 
 function budgetMatch(requestBudget, agentMinBudget) {
@@ -164,6 +155,29 @@ function budgetMatch(requestBudget, agentMinBudget) {
   return Number(requestBudget) >= Number(agentMinBudget);
 }
 
+function isInvitedAgent(request, { agentId = null, sdkAgentId = null }) {
+  if (request.visibility !== 'invite_only') return true;
+  return (request.invites || []).some((i) => (agentId && i.agent_id === agentId) || (sdkAgentId && i.sdk_agent_id === sdkAgentId));
+}
+
+/**
+ * Ids of active SDK agents whose specializations and min budget match a request — the
+ * same rules auto-pitching uses, applied to every agent (not just auto-pitch ones).
+ */
+export async function findMatchingSdkAgentIds(request) {
+  const [taxonomy, { data, error }] = await Promise.all([
+    loadTaxonomy(),
+    supabase
+      .from('sdk_agents')
+      .select('id, specializations, min_budget')
+      .eq('is_active', true),
+  ]);
+  if (error) throw error;
+  return (data || [])
+    .filter((a) => specializationMatch(taxonomy, a.specializations, request.categories) && budgetMatch(request.budget, a.min_budget))
+    .map((a) => a.id);
+}
+
 // ──────────────────────────────────────────────
 // Main cycle
 // ──────────────────────────────────────────────
@@ -175,10 +189,11 @@ async function runPitchCycle() {
   }
 
   try {
-    const [requests, agents, sdkAgents] = await Promise.all([
+    const [requests, agents, sdkAgents, taxonomy] = await Promise.all([
       fetchOpenRequests(),
       fetchAutoPitchAgents(),
       fetchSdkAutoPitchAgents(),
+      loadTaxonomy(),
     ]);
 
     if (requests.length === 0) return;
@@ -198,8 +213,9 @@ async function runPitchCycle() {
       // ── Internal agents ──
       for (const agent of agents) {
         const { settings } = agent;
+        if (!isInvitedAgent(req, { agentId: agent.id })) continue;
         if (!budgetMatch(req.budget, settings.min_budget)) continue;
-        if (!specializationMatch(agent.specializations, req.categories)) continue;
+        if (!specializationMatch(taxonomy, agent.specializations, req.categories)) continue;
 
         const [openPitches, alreadyPitched] = await Promise.all([
           countAgentOpenPitches(agent.id),
@@ -236,14 +252,14 @@ async function runPitchCycle() {
           continue;
         }
 
-        const { error: insertErr } = await supabase.from('pitches').insert({
+        const { data: pitchRow, error: insertErr } = await supabase.from('pitches').insert({
           request_id: req.id,
           agent_id: agent.id,
           author_id: null,
           message: result.message,
           estimated_time: result.estimatedTime,
           price: result.price,
-        });
+        }).select('id').single();
 
         if (insertErr) {
           if (insertErr.code === '23505') continue; // duplicate — fine
@@ -254,6 +270,14 @@ async function runPitchCycle() {
         }
 
         pitched++;
+        await publishPitchCreated({
+          pitchId: pitchRow.id,
+          requestId: req.id,
+          agentId: agent.id,
+          agentName: agent.name,
+          price: result.price,
+          estimatedTime: result.estimatedTime,
+        });
         console.log(`[pitchingEngine] ✓ ${agent.name} → "${req.title?.slice(0, 40)}"`);
         await logEngine('info', `Pitch posted: ${agent.name} → ${req.title?.slice(0, 60)}`, {
           agent_id: agent.id,
@@ -267,8 +291,9 @@ async function runPitchCycle() {
 
       // ── SDK agents ──
       for (const sdkAgent of sdkAgents) {
+        if (!isInvitedAgent(req, { sdkAgentId: sdkAgent.id })) continue;
         if (!budgetMatch(req.budget, sdkAgent.min_budget)) continue;
-        if (!specializationMatch(sdkAgent.specializations, req.categories)) continue;
+        if (!specializationMatch(taxonomy, sdkAgent.specializations, req.categories)) continue;
 
         const alreadyPitched = await sdkAgentAlreadyPitched(req.id, sdkAgent.id);
         if (alreadyPitched) continue;
@@ -342,6 +367,14 @@ async function runPitchCycle() {
         }
 
         pitched++;
+        await publishPitchCreated({
+          pitchId: mainPitch.id,
+          requestId: req.id,
+          sdkAgentId: sdkAgent.id,
+          agentName: sdkAgent.name,
+          price: result.price,
+          estimatedTime: result.estimatedTime,
+        });
         console.log(`[pitchingEngine] ✓ SDK ${sdkAgent.name} → "${req.title?.slice(0, 40)}"`);
         await logEngine('info', `SDK pitch posted: ${sdkAgent.name} → ${req.title?.slice(0, 60)}`, {
           sdk_agent_id: sdkAgent.id,
@@ -351,9 +384,9 @@ async function runPitchCycle() {
           price: result.price,
         });
 
-        if (sdkAgent.webhook_url) {
-          fireWebhook(sdkAgent.webhook_url, {
-            event: 'pitch_submitted',
+        await publishEvent('pitch_submitted', {
+          sdkAgentIds: [sdkAgent.id],
+          payload: {
             request: {
               id: req.id,
               title: req.title,
@@ -368,8 +401,8 @@ async function runPitchCycle() {
               estimatedTime: result.estimatedTime,
               price: result.price,
             },
-          }, sdkAgent.api_key);  // HMAC-sign with agent's api_key
-        }
+          },
+        });
       }
     }
 
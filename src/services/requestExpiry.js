@@ -0,0 +1,74 @@
+import { supabase } from '../lib/supabase.js';
+import { notifyRecipients } from '../lib/notify.js';
+import { transitionRequest } from './requestLifecycle.js';
+
+const CHECK_INTERVAL_MS = 10 * 60 * 1000; // check deadlines every 10 min
+const BATCH_SIZE = 100;
+const EXPIRY_ACTOR = { type: 'system' };
+
+let checkInterval = null;
+
+function log(msg) {
+  console.log(`[requestExpiry ${new Date().toISOString()}] ${msg}`);
+}
+
+/**
+ * Expire Open requests whose expires_at has passed. transitionRequest notifies the agents
+ * that pitched (and sends SDK agents request_cancelled); the author is told they can reopen.
+ * Requests that were hired in the meantime fail the transition and are skipped.
+ * @returns {number} how many requests expired
+ */
+export async function expireDueRequests() {
+  let expired = 0;
+  try {
+    const { data: due, error } = await supabase
+      .from('requests')
+      .select('*')
+      .eq('status', 'Open')
+      .lt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true })
+      .limit(BATCH_SIZE);
+    if (error) throw error;
+
+    for (const request of due || []) {
+      let row;
+      try {
+        row = await transitionRequest({
+          request,
+          to: 'Expired',
+          actor: EXPIRY_ACTOR,
+          expectFrom: 'Open',
+          patch: { expired_at: new Date().toISOString() },
+        });
+      } catch (err) {
+        log(`Expire ${request.id} skipped: ${err?.message || err}`);
+        continue;
+      }
+      expired += 1;
+      await notifyRecipients({ buyerOf: row }, {
+        type: 'request_expired',
+        title: '⌛ Your request expired',
+        message: `"${row.title}" reached its deadline without a hire. Reopen it to take pitches again.`,
+        metadata: { request_id: row.id, request_title: row.title },
+      });
+    }
+    if (expired > 0) log(`Expired ${expired} request(s)`);
+  } catch (err) {
+    log(`Expiry error: ${err?.message || err}`);
+  }
+  return expired;
+}
+
+export function startRequestExpiry() {
+  if (checkInterval != null) return;
+  expireDueRequests();
+  checkInterval = setInterval(expireDueRequests, CHECK_INTERVAL_MS);
+  log(`Started (interval ${CHECK_INTERVAL_MS / 1000}s)`);
+}
+
+export function stopRequestExpiry() {
+  if (checkInterval != null) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+  }
+}
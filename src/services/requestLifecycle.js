@@ -0,0 +1,253 @@
+import { supabase } from '../lib/supabase.js';
+import { notifyRecipients } from '../lib/notify.js';
+import { publishEvent, publishRequestOffered } from './eventBus.js';
+import { findMatchingSdkAgentIds } from './pitchingEngine.js';
+import { REQUEST_VISIBILITIES, loadInvites, notifyInvitedAgents } from './requestVisibility.js';
+import { normalizeAcceptanceCriteria } from './acceptanceCriteria.js';
+
+// transition_request() error codes → HTTP status
+const ERROR_STATUS = {
+  RT400: 400,
+  RT403: 403,
+  RT404: 404,
+  RT409: 409,
+};
+
+export const REQUEST_STATUSES = ['Draft', 'Open', 'In Progress', 'Completed', 'Cancelled', 'Expired'];
+
+// Fields the author may change while a request is Draft or Open
+export const EDITABLE_FIELDS = ['title', 'description', 'budget', 'visibility', 'acceptance_criteria'];
+export const EDITABLE_STATUSES = ['Draft', 'Open'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EXPIRY_DAYS = 365;
+
+function log(msg) {
+  console.log(`[requestLifecycle ${new Date().toISOString()}] ${msg}`);
+}
+
+/**
+ * How long a published request stays Open without a hire, read on every use.
+ *   REQUEST_EXPIRY_DAYS (30)
+ */
+export function requestExpiryDays() {
+  const days = Number(process.env.REQUEST_EXPIRY_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+}
+
+/**
+ * expires_at for a request published at `from`: the author's choice when given, otherwise
+ * REQUEST_EXPIRY_DAYS later.
+ * @returns {{ expiresAt: string } | { error: string }}
+ */
+export function resolveExpiresAt(value, from = new Date()) {
+  if (value == null) {
+    return { expiresAt: new Date(from.getTime() + requestExpiryDays() * DAY_MS).toISOString() };
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) return { error: 'expires_at must be an ISO date' };
+  if (ms <= from.getTime()) return { error: 'expires_at must be in the future' };
+  if (ms > from.getTime() + MAX_EXPIRY_DAYS * DAY_MS) {
+    return { error: `expires_at must be within ${MAX_EXPIRY_DAYS} days` };
+  }
+  return { expiresAt: new Date(ms).toISOString() };
+}
+
+/**
+ * Validate a title/description/budget/visibility/acceptance_criteria edit.
+ * @returns {{ changes: object } | { error: string }} only the fields present in `body`
+ */
+export function parseRequestEdits(body = {}) {
+  const changes = {};
+  if (body.title !== undefined) {
+    if (typeof body.title !== 'string' || body.title.trim().length < 3) {
+      return { error: 'title is required (min 3 characters)' };
+    }
+    changes.title = body.title.trim();
+  }
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.trim().length < 10) {
+      return { error: 'description is required (min 10 characters)' };
+    }
+    changes.description = body.description.trim();
+  }
+  if (body.visibility !== undefined) {
+    if (!REQUEST_VISIBILITIES.includes(body.visibility)) {
+      return { error: 'visibility must be one of: ' + REQUEST_VISIBILITIES.join(', ') };
+    }
+    changes.visibility = body.visibility;
+  }
+  if (body.budget !== undefined) {
+    const budget = body.budget === null ? null : Number(body.budget);
+    if (budget !== null && (!Number.isFinite(budget) || budget < 0)) {
+      return { error: 'budget must be a non-negative number or null' };
+    }
+    changes.budget = budget;
+  }
+  if (body.acceptance_criteria !== undefined) {
+    const { criteria, error } = normalizeAcceptanceCriteria(body.acceptance_criteria);
+    if (error) return { error };
+    changes.acceptance_criteria = criteria;
+  }
+  return { changes };
+}
+
+/**
+ * Agents that pitched on a request: internal agent ids (pitches) and SDK agent ids (sdk_pitches).
+ * @returns {{ agentIds: string[], sdkAgentIds: string[] }}
+ */
+export async function loadPitchers(requestId) {
+  const [{ data: pitches }, { data: sdkPitches }] = await Promise.all([
+    supabase.from('pitches').select('agent_id').eq('request_id', requestId).not('agent_id', 'is', null),
+    supabase.from('sdk_pitches').select('sdk_agent_id').eq('request_id', requestId),
+  ]);
+  return {
+    agentIds: [...new Set((pitches || []).map((p) => p.agent_id))],
+    sdkAgentIds: [...new Set((sdkPitches || []).map((p) => p.sdk_agent_id))],
+  };
+}
+
+/**
+ * Notify the owners of every agent that pitched on `request` and send SDK agents the
+ * `webhookEvent` webhook with `payload`. Never throws.
+ */
+async function notifyPitchers(request, notification, webhookEvent, payload) {
+  try {
+    const { agentIds, sdkAgentIds } = await loadPitchers(request.id);
+    if (sdkAgentIds.length > 0) await publishEvent(webhookEvent, { sdkAgentIds, payload });
+    await notifyRecipients([
+      ...agentIds.map((agentId) => ({ agentId })),
+      ...sdkAgentIds.map((sdkAgentId) => ({ sdkAgentId })),
+    ], notification, { exclude: [{ buyerOf: request }] });
+  } catch (err) {
+    log(`Notify pitchers of ${request.id} error: ${err?.message || err}`);
+  }
+}
+
+/**
+ * request_matched webhooks for SDK agents whose specializations and min budget match a
+ * public request (unlisted and invite-only requests are never matched). Never throws.
+ */
+async function publishRequestMatched(row) {
+  if ((row.visibility ?? 'public') !== 'public') return;
+  try {
+    await publishRequestOffered('request_matched', await findMatchingSdkAgentIds(row), row);
+  } catch (err) {
+    log(`request_matched for ${row.id} error: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Announce a newly published request: request_matched for matching SDK agents, invitations
+ * for agents invited while it was a draft, and request_created for the activity feed.
+ * Never throws — publishing must not fail on it.
+ */
+export async function announceRequest(row) {
+  await publishRequestMatched(row);
+  try {
+    const invites = await loadInvites(row.id);
+    if (invites.agentIds.length + invites.sdkAgentIds.length > 0) await notifyInvitedAgents(row, invites);
+  } catch (err) {
+    log(`Invites for ${row.id} error: ${err?.message || err}`);
+  }
+  await publishEvent('request_created', { request: row });
+}
+
+/**
+ * Tell pitching agents a request they pitched on closed without a hire
+ * (request_cancelled webhook with reason cancelled_by_author | expired).
+ */
+function notifyRequestClosed(request) {
+  const expired = request.status === 'Expired';
+  return notifyPitchers(request, {
+    type: expired ? 'request_expired' : 'request_cancelled',
+    title: expired ? '⌛ Request expired' : '🚫 Request cancelled',
+    message: expired
+      ? `"${request.title}" expired without a hire — your pitch is closed`
+      : `The buyer cancelled "${request.title}"${request.cancel_reason ? `: ${request.cancel_reason}` : ''}`,
+    metadata: { request_id: request.id, request_title: request.title },
+  }, 'request_cancelled', {
+    request_id: request.id,
+    request_title: request.title,
+    reason: expired ? 'expired' : 'cancelled_by_author',
+  });
+}
+
+/**
+ * Move a request to `to` on behalf of `actor` ({ type: 'author' | 'admin' | 'system' }) —
+ * the only way authors and the expiry sweep change request status. Runs transition_request(),
+ * which locks the request, checks the transition and its actor, refuses it while escrow is
+ * held and applies `patch`, all in one transaction.
+ *
+ * expectFrom: the status the caller read (defaults to request.status); a concurrent change
+ * fails with 409.
+ * Publishing a draft announces the request; cancelling or expiring it notifies the agents
+ * that pitched.
+ *
+ * @throws Error with .status 400/403/404/409 when the transition is rejected
+ * @returns the updated request row
+ */
+export async function transitionRequest({ request, to, actor, expectFrom = request.status, patch = {} }) {
+  const { data, error } = await supabase.rpc('transition_request', {
+    p_request_id: request.id,
+    p_to: to,
+    p_actor_type: actor.type,
+    p_expected_from: expectFrom ?? null,
+    p_patch: patch,
+  });
+  if (error) {
+    const err = new Error(error.message);
+    err.name = 'RequestTransitionError';
+    err.status = ERROR_STATUS[error.code] ?? 500;
+    throw err;
+  }
+
+  if (to === 'Open' && request.status === 'Draft') await announceRequest(data);
+  if (to === 'Cancelled' || to === 'Expired') await notifyRequestClosed(data);
+  return data;
+}
+
+/**
+ * Apply a title/description/budget/visibility/acceptance_criteria edit (see parseRequestEdits)
+ * to a Draft or Open request. Agents that pitched on an Open request are notified of content
+ * changes and SDK agents get request_updated; an Open request made public is announced to
+ * matching agents.
+ * @returns the updated row, or null when the request is no longer editable
+ */
+export async function editRequest(request, changes) {
+  const { data, error } = await supabase
+    .from('requests')
+    .update({ ...changes, edited_at: new Date().toISOString() })
+    .eq('id', request.id)
+    .in('status', EDITABLE_STATUSES)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  const changed = Object.keys(changes).filter((k) => k !== 'visibility'
+    && JSON.stringify(changes[k]) !== JSON.stringify(request[k] ?? null));
+  if (data.status === 'Open' && data.visibility === 'public' && (request.visibility ?? 'public') !== 'public') {
+    await publishRequestMatched(data);
+    await publishEvent('request_created', { request: data });
+  }
+  if (data.status === 'Open' && changed.length > 0) {
+    await notifyPitchers(data, {
+      type: 'request_updated',
+      title: '✏️ Request updated',
+      message: `The buyer updated ${changed.join(', ')} on "${data.title}" — check your pitch still fits`,
+      metadata: { request_id: data.id, request_title: data.title, changed },
+    }, 'request_updated', {
+      request_id: data.id,
+      request_title: data.title,
+      changed,
+      request: {
+        title: data.title,
+        description: data.description,
+        budget: data.budget,
+        acceptance_criteria: data.acceptance_criteria || [],
+      },
+    });
+  }
+  return data;
+}
@@ -0,0 +1,146 @@
+import { supabase } from '../lib/supabase.js';
+import { notifyRecipients } from '../lib/notify.js';
+import { publishEvent } from './eventBus.js';
+import { loadPitchers } from './requestLifecycle.js';
+
+export const QUESTION_VISIBILITIES = ['public', 'private'];
+
+const MAX_TEXT_LENGTH = 2000;
+
+export function mapRequestQuestion(row) {
+  return {
+    id: row.id,
+    request_id: row.request_id,
+    asker_agent_id: row.asker_agent_id || null,
+    asker_sdk_agent_id: row.asker_sdk_agent_id || null,
+    asker_name: row.asker_name || null,
+    body: row.body,
+    answer: row.answer ?? null,
+    visibility: row.visibility ?? null,
+    answered_at: row.answered_at || null,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Validate a question or answer text.
+ * @returns {{ text?: string, error?: string }}
+ */
+export function normalizeQuestionText(raw, field = 'body') {
+  const text = raw != null ? String(raw).trim() : '';
+  if (!text) return { error: `${field} is required` };
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `${field} must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+  return { text };
+}
+
+function askedBy(row, { agentIds = [], sdkAgentIds = [] }) {
+  return (row.asker_agent_id && agentIds.includes(row.asker_agent_id))
+    || (row.asker_sdk_agent_id && sdkAgentIds.includes(row.asker_sdk_agent_id));
+}
+
+/**
+ * The request's Q&A as `viewer` sees it, oldest first.
+ * viewer: { buyer: true } sees every question. An agent viewer ({ agentIds, sdkAgentIds }: the
+ * agents acting) sees its own questions and every public answer, provided one of its agents
+ * pitched on or asked about the request.
+ * @returns {object[] | null} null when the agent has no part in the request
+ */
+export async function listRequestQuestions(requestId, viewer) {
+  const { data, error } = await supabase
+    .from('request_questions')
+    .select('*')
+    .eq('request_id', requestId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  const rows = data || [];
+  if (viewer.buyer) return rows.map(mapRequestQuestion);
+
+  const { agentIds = [], sdkAgentIds = [] } = viewer;
+  const pitchers = await loadPitchers(requestId);
+  const involved = pitchers.agentIds.some((id) => agentIds.includes(id))
+    || pitchers.sdkAgentIds.some((id) => sdkAgentIds.includes(id))
+    || rows.some((row) => askedBy(row, viewer));
+  if (!involved) return null;
+
+  return rows
+    .filter((row) => askedBy(row, viewer) || row.visibility === 'public')
+    .map(mapRequestQuestion);
+}
+
+/**
+ * Ask the buyer a question about an Open request on behalf of an internal agent (agentId,
+ * asked by its owner userId) or an SDK agent (sdkAgentId). The buyer is notified.
+ */
+export async function askQuestion({ request, agentId = null, sdkAgentId = null, userId = null, askerName = null, body }) {
+  const { data: row, error } = await supabase
+    .from('request_questions')
+    .insert({
+      request_id: request.id,
+      asker_agent_id: agentId,
+      asker_sdk_agent_id: sdkAgentId,
+      asker_user_id: userId,
+      asker_name: askerName,
+      body,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  await notifyRecipients({ buyerOf: request }, {
+    type: 'request_question',
+    title: '❓ New question on your request',
+    message: `${askerName || 'An agent'} asked about "${request.title}": ${body.slice(0, 120)}${body.length > 120 ? '…' : ''}`,
+    metadata: { request_id: request.id, request_title: request.title, question_id: row.id, asker_name: askerName },
+  }, { exclude: userId ? [{ userId }] : [] });
+
+  return mapRequestQuestion(row);
+}
+
+/**
+ * Answer (or re-answer) a question. A public answer reaches every agent that pitched on the
+ * request as well as the one that asked; a private answer only the asker. Agents are notified
+ * and SDK agents get the question_answered webhook.
+ */
+export async function answerQuestion({ request, question, answer, visibility }) {
+  const { data: row, error } = await supabase
+    .from('request_questions')
+    .update({ answer, visibility, answered_at: new Date().toISOString() })
+    .eq('id', question.id)
+    .select()
+    .single();
+  if (error) throw error;
+
+  const asker = row.asker_agent_id ? { agentId: row.asker_agent_id } : { sdkAgentId: row.asker_sdk_agent_id };
+  const pitchers = visibility === 'public'
+    ? await loadPitchers(request.id)
+    : { agentIds: [], sdkAgentIds: [] };
+  const sdkAgentIds = [...new Set([...pitchers.sdkAgentIds, row.asker_sdk_agent_id].filter(Boolean))];
+
+  if (sdkAgentIds.length > 0) {
+    await publishEvent('question_answered', {
+      sdkAgentIds,
+      payload: {
+        request_id: request.id,
+        request_title: request.title,
+        question_id: row.id,
+        question: row.body,
+        answer: row.answer,
+        visibility: row.visibility,
+      },
+    });
+  }
+  await notifyRecipients([
+    asker,
+    ...pitchers.agentIds.map((agentId) => ({ agentId })),
+    ...pitchers.sdkAgentIds.map((id) => ({ sdkAgentId: id })),
+  ], {
+    type: 'question_answered',
+    title: visibility === 'public' ? '💡 The buyer answered a question' : '💡 The buyer answered your question',
+    message: `On "${request.title}": ${row.answer.slice(0, 120)}${row.answer.length > 120 ? '…' : ''}`,
+    metadata: { request_id: request.id, request_title: request.title, question_id: row.id, visibility },
+  }, { exclude: [{ buyerOf: request }] });
+
+  return mapRequestQuestion(row);
+}
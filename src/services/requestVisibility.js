@@ -0,0 +1,164 @@
+import { supabase } from '../lib/supabase.js';
+import { notifyRecipients } from '../lib/notify.js';
+import { publishRequestOffered } from './eventBus.js';
+
+export const REQUEST_VISIBILITIES = ['public', 'unlisted', 'invite_only'];
+
+const MAX_INVITES_PER_CALL = 50;
+
+export function mapRequestInvite(row) {
+  return {
+    id: row.id,
+    request_id: row.request_id,
+    agent_id: row.agent_id || null,
+    sdk_agent_id: row.sdk_agent_id || null,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Agents invited to a request.
+ * @returns {{ agentIds: string[], sdkAgentIds: string[] }}
+ */
+export async function loadInvites(requestId) {
+  const { data, error } = await supabase
+    .from('request_invites')
+    .select('agent_id, sdk_agent_id')
+    .eq('request_id', requestId);
+  if (error) throw error;
+  return {
+    agentIds: (data || []).map((i) => i.agent_id).filter(Boolean),
+    sdkAgentIds: (data || []).map((i) => i.sdk_agent_id).filter(Boolean),
+  };
+}
+
+/**
+ * Ids of the requests any of the given agents were invited to.
+ * @param {{ agentIds?: string[], sdkAgentIds?: string[] }} agents
+ * @returns {Promise<string[]>}
+ */
+export async function invitedRequestIds({ agentIds = [], sdkAgentIds = [] }) {
+  const lookups = [];
+  if (agentIds.length > 0) {
+    lookups.push(supabase.from('request_invites').select('request_id').in('agent_id', agentIds));
+  }
+  if (sdkAgentIds.length > 0) {
+    lookups.push(supabase.from('request_invites').select('request_id').in('sdk_agent_id', sdkAgentIds));
+  }
+  const results = await Promise.all(lookups);
+  const failed = results.find((r) => r.error);
+  if (failed) throw failed.error;
+  return [...new Set(results.flatMap((r) => (r.data || []).map((i) => i.request_id)))];
+}
+
+/**
+ * True when an agent (internal agentId or SDK sdkAgentId) may see and pitch on `request`:
+ * public and unlisted requests are open to every agent, invite_only ones to invited agents.
+ */
+export async function agentCanAccess(request, { agentId = null, sdkAgentId = null }) {
+  if ((request.visibility ?? 'public') !== 'invite_only') return true;
+  const ids = await invitedRequestIds({
+    agentIds: agentId ? [agentId] : [],
+    sdkAgentIds: sdkAgentId ? [sdkAgentId] : [],
+  });
+  return ids.includes(request.id);
+}
+
+/**
+ * True when the signed-in user may view `request`: its author, anyone for public and
+ * unlisted requests, and owners of an invited agent for invite_only ones.
+ * loadOwned(user) resolves the user's agents ({ agentIds, sdkAgentIds }); it is only called
+ * for invite_only requests.
+ */
+export async function userCanView(request, user, loadOwned) {
+  if ((request.visibility ?? 'public') !== 'invite_only') return true;
+  if (!user) return false;
+  if (request.author_id === user.sub) return true;
+  const ids = await invitedRequestIds(await loadOwned(user));
+  return ids.includes(request.id);
+}
+
+/**
+ * Validate { agent_ids, sdk_agent_ids } for an invite call.
+ * @returns {{ agentIds: string[], sdkAgentIds: string[] } | { error: string }}
+ */
+export function parseInviteTargets(body = {}) {
+  const list = (value, field) => {
+    if (value == null) return [];
+    if (!Array.isArray(value) || value.some((v) => typeof v !== 'string' || !v.trim())) {
+      return { error: `${field} must be an array of ids` };
+    }
+    return [...new Set(value.map((v) => v.trim()))];
+  };
+  const agentIds = list(body.agent_ids, 'agent_ids');
+  if (agentIds.error) return agentIds;
+  const sdkAgentIds = list(body.sdk_agent_ids, 'sdk_agent_ids');
+  if (sdkAgentIds.error) return sdkAgentIds;
+  const total = agentIds.length + sdkAgentIds.length;
+  if (total === 0) return { error: 'Provide agent_ids and/or sdk_agent_ids' };
+  if (total > MAX_INVITES_PER_CALL) return { error: `At most ${MAX_INVITES_PER_CALL} agents per call` };
+  return { agentIds, sdkAgentIds };
+}
+
+/**
+ * Tell invited agents about an Open request: owners are notified and SDK agents get the
+ * request_invited webhook. Never throws.
+ */
+export async function notifyInvitedAgents(request, { agentIds = [], sdkAgentIds = [] }) {
+  try {
+    await publishRequestOffered('request_invited', sdkAgentIds, request);
+    await notifyRecipients([
+      ...agentIds.map((agentId) => ({ agentId })),
+      ...sdkAgentIds.map((sdkAgentId) => ({ sdkAgentId })),
+    ], {
+      type: 'request_invite',
+      title: '✉️ You were invited to pitch',
+      message: `The buyer invited your agent to pitch on "${request.title}"`,
+      metadata: { request_id: request.id, request_title: request.title },
+    }, { exclude: [{ buyerOf: request }] });
+  } catch (err) {
+    console.error('[requestVisibility] invite notification error:', err?.message || err);
+  }
+}
+
+/**
+ * Invite agents to a request (already-invited agents are skipped). Agents that do not exist
+ * or are inactive are reported back instead of invited. Invitees of an Open request are
+ * notified straight away; a draft's invitees hear about it when it is published.
+ * @returns {{ invites: object[], unknownAgentIds: string[], unknownSdkAgentIds: string[] }}
+ */
+export async function inviteAgents({ request, agentIds, sdkAgentIds, invitedBy }) {
+  const [{ data: agents }, { data: sdkAgents }, existing] = await Promise.all([
+    agentIds.length > 0
+      ? supabase.from('agents').select('id').in('id', agentIds)
+      : Promise.resolve({ data: [] }),
+    sdkAgentIds.length > 0
+      ? supabase.from('sdk_agents').select('id').in('id', sdkAgentIds).eq('is_active', true)
+      : Promise.resolve({ data: [] }),
+    loadInvites(request.id),
+  ]);
+  const knownAgents = new Set((agents || []).map((a) => a.id));
+  const knownSdkAgents = new Set((sdkAgents || []).map((a) => a.id));
+  const added = {
+    agentIds: agentIds.filter((id) => knownAgents.has(id) && !existing.agentIds.includes(id)),
+    sdkAgentIds: sdkAgentIds.filter((id) => knownSdkAgents.has(id) && !existing.sdkAgentIds.includes(id)),
+  };
+
+  const rows = [
+    ...added.agentIds.map((agentId) => ({ request_id: request.id, agent_id: agentId, invited_by: invitedBy })),
+    ...added.sdkAgentIds.map((sdkAgentId) => ({ request_id: request.id, sdk_agent_id: sdkAgentId, invited_by: invitedBy })),
+  ];
+  let invites = [];
+  if (rows.length > 0) {
+    const { data, error } = await supabase.from('request_invites').insert(rows).select();
+    if (error) throw error;
+    invites = data || [];
+  }
+
+  if (request.status === 'Open') await notifyInvitedAgents(request, added);
+  return {
+    invites: invites.map(mapRequestInvite),
+    unknownAgentIds: agentIds.filter((id) => !knownAgents.has(id)),
+    unknownSdkAgentIds: sdkAgentIds.filter((id) => !knownSdkAgents.has(id)),
+  };
+}
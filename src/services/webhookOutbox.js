@@ -0,0 +1,320 @@
+import { randomUUID } from 'crypto';
+import { supabase } from '../lib/supabase.js';
+import { generateWebhookSecret, sendWebhook } from '../lib/webhook.js';
+import { WEBHOOK_EVENTS, onEvent } from './eventBus.js';
+
+const OUTBOX_INTERVAL_MS = 30 * 1000;     // pick up due retries every 30s
+const MAX_ATTEMPTS = 8;                   // then mark failed; the agent can replay it
+const BASE_BACKOFF_MS = 30 * 1000;        // 30s, 1m, 2m, 4m ... capped below
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+const HOUR_MS = 60 * 60 * 1000;
+
+let outboxInterval = null;
+let unsubscribe = null;
+let running = false;
+
+function log(msg) {
+  console.log(`[webhookOutbox ${new Date().toISOString()}] ${msg}`);
+}
+
+/**
+ * Delay before the retry that follows attempt number `attempts` (1-based).
+ */
+export function backoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+/**
+ * How long the previous webhook secret keeps signing after a rotation.
+ *   WEBHOOK_SECRET_GRACE_HOURS (24)
+ */
+function secretGraceMs() {
+  const hours = Number(process.env.WEBHOOK_SECRET_GRACE_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : 24) * HOUR_MS;
+}
+
+/**
+ * When the agent's previous secret stops signing, or null when there is none.
+ */
+export function previousSecretExpiresAt(agent) {
+  if (!agent?.webhook_secret_previous || !agent.webhook_secret_rotated_at) return null;
+  return new Date(new Date(agent.webhook_secret_rotated_at).getTime() + secretGraceMs()).toISOString();
+}
+
+/**
+ * Secrets to sign with: the current one, plus the previous one while its grace period lasts.
+ */
+function signingSecrets(agent) {
+  const secrets = agent?.webhook_secret ? [agent.webhook_secret] : [];
+  const expiresAt = previousSecretExpiresAt(agent);
+  if (expiresAt && new Date(expiresAt).getTime() > Date.now()) secrets.push(agent.webhook_secret_previous);
+  return secrets;
+}
+
+/**
+ * Replace the agent's webhook secret. The old one keeps signing alongside it for
+ * WEBHOOK_SECRET_GRACE_HOURS so receivers can switch over without dropping events.
+ * @returns { webhookSecret, previousSecretExpiresAt }
+ */
+export async function rotateWebhookSecret(agentId) {
+  const { data: agent, error: loadErr } = await supabase
+    .from('sdk_agents')
+    .select('webhook_secret')
+    .eq('id', agentId)
+    .single();
+  if (loadErr) throw loadErr;
+
+  const webhookSecret = generateWebhookSecret();
+  const { data: updated, error } = await supabase
+    .from('sdk_agents')
+    .update({
+      webhook_secret: webhookSecret,
+      webhook_secret_previous: agent.webhook_secret,
+      webhook_secret_rotated_at: new Date().toISOString(),
+    })
+    .eq('id', agentId)
+    .select('webhook_secret_previous, webhook_secret_rotated_at')
+    .single();
+  if (error) throw error;
+  log(`Rotated webhook secret for agent ${agentId}`);
+  return { webhookSecret, previousSecretExpiresAt: previousSecretExpiresAt(updated) };
+}
+
+export function mapWebhookDelivery(row) {
+  return {
+    id: row.id,
+    endpointId: row.endpoint_id || null,
+    event: row.event,
+    url: row.url,
+    status: row.status,
+    attempts: row.attempts ?? 0,
+    responseStatus: row.response_status ?? null,
+    latencyMs: row.latency_ms ?? null,
+    lastError: row.last_error || null,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    lastAttemptAt: row.last_attempt_at || null,
+    deliveredAt: row.delivered_at || null,
+    payload: row.payload || {},
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Send one pending delivery: lease it, POST it signed with the agent's webhook secret(s), then record
+ * the response code and latency and either mark it delivered or schedule the next retry.
+ * Never throws.
+ */
+export async function attemptWebhookDelivery(deliveryId) {
+  try {
+    const { data: row, error } = await supabase
+      .rpc('claim_webhook_delivery', { p_id: deliveryId, p_worker_id: randomUUID() });
+    if (error) throw error;
+    if (!row?.id) return null; // not pending, or another process is sending it
+
+    // Deliveries follow their endpoint: a changed URL applies to retries, a disabled one stops them
+    if (row.endpoint_id) {
+      const { data: endpoint } = await supabase
+        .from('webhook_endpoints')
+        .select('url, is_active')
+        .eq('id', row.endpoint_id)
+        .maybeSingle();
+      if (!endpoint?.is_active) {
+        return await finishDelivery(row, { status: 'failed', last_error: 'Webhook endpoint disabled or deleted' });
+      }
+      row.url = endpoint.url;
+    }
+
+    const { data: agent } = await supabase
+      .from('sdk_agents')
+      .select('webhook_secret, webhook_secret_previous, webhook_secret_rotated_at')
+      .eq('id', row.sdk_agent_id)
+      .single();
+
+    const result = await sendWebhook(row.url, row.payload, {
+      id: row.id,
+      event: row.event,
+      secrets: signingSecrets(agent),
+    });
+
+    const patch = {
+      url: row.url,
+      response_status: result.status,
+      latency_ms: result.latencyMs,
+      last_error: result.error,
+    };
+    if (result.ok) {
+      patch.status = 'delivered';
+      patch.delivered_at = new Date().toISOString();
+    } else if (row.attempts >= MAX_ATTEMPTS) {
+      patch.status = 'failed';
+      log(`Delivery ${row.id} (${row.event}) failed after ${row.attempts} attempts: ${result.error}`);
+    } else {
+      patch.next_attempt_at = new Date(Date.now() + backoffMs(row.attempts)).toISOString();
+    }
+
+    return await finishDelivery(row, patch);
+  } catch (err) {
+    log(`Delivery ${deliveryId} error: ${err?.message || err}`);
+    return null;
+  }
+}
+
+async function finishDelivery(row, patch) {
+  const { data: updated, error } = await supabase
+    .from('webhook_deliveries')
+    .update({ ...patch, claimed_at: null, claimed_by: null })
+    .eq('id', row.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return updated;
+}
+
+/**
+ * Store a webhook event in the outbox and make the first attempt right away (not awaited;
+ * pass attemptNow: false to attempt it yourself). Retries are left to the outbox worker.
+ * Never throws.
+ * @returns the webhook_deliveries row, or null when it could not be stored
+ */
+export async function enqueueWebhook({ sdkAgentId, endpointId = null, url, event, payload, attemptNow = true }) {
+  if (!sdkAgentId || !url) return null;
+  try {
+    const { data: row, error } = await supabase
+      .from('webhook_deliveries')
+      .insert({ sdk_agent_id: sdkAgentId, endpoint_id: endpointId, url, event, payload })
+      .select()
+      .single();
+    if (error) throw error;
+    if (attemptNow) attemptWebhookDelivery(row.id);
+    return row;
+  } catch (err) {
+    log(`Enqueue ${event} for agent ${sdkAgentId} error: ${err?.message || err}`);
+    return null;
+  }
+}
+
+/**
+ * Queue `event` for every active endpoint of an SDK agent subscribed to it — one delivery per
+ * endpoint. 'ping' goes to every endpoint (or just `endpointId`) regardless of subscriptions.
+ * @returns the queued webhook_deliveries rows
+ */
+export async function enqueueAgentEvent(sdkAgentId, event, payload, { endpointId = null, attemptNow = true } = {}) {
+  if (!sdkAgentId) return [];
+  let query = supabase
+    .from('webhook_endpoints')
+    .select('id, url, events')
+    .eq('sdk_agent_id', sdkAgentId)
+    .eq('is_active', true);
+  if (endpointId) query = query.eq('id', endpointId);
+  const { data: endpoints, error } = await query;
+  if (error) {
+    log(`Endpoints for agent ${sdkAgentId} error: ${error.message}`);
+    return [];
+  }
+
+  const subscribed = (endpoints || []).filter((e) => event === 'ping' || (e.events || []).includes(event));
+  const rows = await Promise.all(subscribed.map((endpoint) => enqueueWebhook({
+    sdkAgentId,
+    endpointId: endpoint.id,
+    url: endpoint.url,
+    event,
+    payload: { event, ...payload },
+    attemptNow,
+  })));
+  return rows.filter(Boolean);
+}
+
+/**
+ * Event bus subscriber: fan a published event out to the endpoints of the SDK agents it
+ * concerns (data.sdkAgentIds).
+ */
+async function dispatchWebhookEvent({ type, data }) {
+  if (!WEBHOOK_EVENTS.includes(type) || !data?.sdkAgentIds?.length) return;
+  const agentIds = [...new Set(data.sdkAgentIds.filter(Boolean))];
+  await Promise.all(agentIds.map((id) => enqueueAgentEvent(id, type, data.payload || {})));
+}
+
+/**
+ * Send a delivery again: back to pending with a fresh attempt budget, at its endpoint's
+ * current URL, attempted right away.
+ * @returns the updated row, or null when its endpoint is gone or disabled
+ */
+export async function replayWebhookDelivery(delivery) {
+  if (!delivery.endpoint_id) return null;
+  const { data: endpoint } = await supabase
+    .from('webhook_endpoints')
+    .select('url, is_active')
+    .eq('id', delivery.endpoint_id)
+    .maybeSingle();
+  if (!endpoint?.is_active) return null;
+
+  const { data: row, error } = await supabase
+    .from('webhook_deliveries')
+    .update({
+      url: endpoint.url,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      delivered_at: null,
+      claimed_at: null,
+      claimed_by: null,
+    })
+    .eq('id', delivery.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return (await attemptWebhookDelivery(row.id)) ?? row;
+}
+
+/**
+ * Attempt every pending delivery whose retry is due.
+ */
+export async function processWebhookOutbox() {
+  if (running) return;
+  running = true;
+  try {
+    const { data: rows, error } = await supabase
+      .from('webhook_deliveries')
+      .select('id')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(BATCH_SIZE);
+    if (error) throw error;
+    if (!rows || rows.length === 0) return;
+
+    log(`Sending ${rows.length} due webhook deliver${rows.length === 1 ? 'y' : 'ies'}`);
+    for (const row of rows) {
+      await attemptWebhookDelivery(row.id);
+    }
+  } catch (err) {
+    log(`Outbox error: ${err?.message || err}`);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Subscribe to the event bus, send what was queued before a restart, then keep retrying
+ * due deliveries.
+ */
+export function startWebhookOutbox() {
+  if (outboxInterval != null) return;
+  // Durable: publishEvent() resolves only once the deliveries are stored
+  unsubscribe = onEvent(dispatchWebhookEvent, { durable: true });
+  processWebhookOutbox();
+  outboxInterval = setInterval(processWebhookOutbox, OUTBOX_INTERVAL_MS);
+  log(`Outbox started (interval ${OUTBOX_INTERVAL_MS / 1000}s, max ${MAX_ATTEMPTS} attempts)`);
+}
+
+export function stopWebhookOutbox() {
+  if (outboxInterval != null) {
+    clearInterval(outboxInterval);
+    outboxInterval = null;
+  }
+  if (unsubscribe != null) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+}
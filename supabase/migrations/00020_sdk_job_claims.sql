@@ -0,0 +1,99 @@
+-- Migration 00020: SDK job endpoints share the build_jobs queue with the in-process worker
+-- Jobs for agents with an active agent-scoped API key are built externally via /sdk/jobs/*;
+-- the autopilot worker must never claim (or re-queue) those.
+
+ALTER TABLE public.build_jobs
+  ADD COLUMN IF NOT EXISTS executor TEXT NOT NULL DEFAULT 'autopilot'
+    CHECK (executor IN ('autopilot', 'sdk'));
+
+CREATE INDEX IF NOT EXISTS idx_build_jobs_sdk_pending
+  ON public.build_jobs (agent_id, created_at)
+  WHERE status = 'pending' AND executor = 'sdk';
+
+-- Autopilot worker: only claim autopilot jobs
+CREATE OR REPLACE FUNCTION public.claim_next_build_job(p_worker_id TEXT)
+RETURNS public.build_jobs LANGUAGE plpgsql AS $$
+DECLARE
+  v_job public.build_jobs;
+BEGIN
+  SELECT * INTO v_job
+  FROM public.build_jobs
+  WHERE status = 'pending'
+    AND executor = 'autopilot'
+    AND retry_count < max_retries
+  ORDER BY created_at ASC
+  LIMIT 1
+  FOR UPDATE SKIP LOCKED;
+
+  IF v_job.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE public.build_jobs
+  SET status     = 'running',
+      claimed_at = now(),
+      claimed_by = p_worker_id,
+      updated_at = now()
+  WHERE id = v_job.id;
+
+  v_job.status     := 'running';
+  v_job.claimed_at := now();
+  v_job.claimed_by := p_worker_id;
+
+  RETURN v_job;
+END;
+$$;
+
+-- SDK builders run for hours, not minutes — only re-queue crashed autopilot jobs
+CREATE OR REPLACE FUNCTION public.requeue_stuck_build_jobs()
+RETURNS INTEGER LANGUAGE plpgsql AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  UPDATE public.build_jobs
+  SET status     = 'pending',
+      claimed_at = NULL,
+      claimed_by = NULL,
+      updated_at = now()
+  WHERE status = 'running'
+    AND executor = 'autopilot'
+    AND claimed_at < now() - INTERVAL '10 minutes';
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- SDK: atomically claim one specific pending job for an agent.
+-- Returns the claimed row, or NULL if the job is gone, not pending, or owned by another agent.
+CREATE OR REPLACE FUNCTION public.claim_sdk_build_job(
+  p_job_id    UUID,
+  p_agent_id  UUID,
+  p_worker_id TEXT
+) RETURNS public.build_jobs LANGUAGE plpgsql AS $$
+DECLARE
+  v_job public.build_jobs;
+BEGIN
+  SELECT * INTO v_job
+  FROM public.build_jobs
+  WHERE id = p_job_id
+    AND agent_id = p_agent_id
+    AND executor = 'sdk'
+    AND status = 'pending'
+  FOR UPDATE SKIP LOCKED;
+
+  IF v_job.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE public.build_jobs
+  SET status     = 'running',
+      claimed_at = now(),
+      claimed_by = p_worker_id,
+      updated_at = now()
+  WHERE id = v_job.id
+  RETURNING * INTO v_job;
+
+  RETURN v_job;
+END;
+$$;
@@ -0,0 +1,75 @@
+-- Migration 00021: Payout ledger for crash-safe, idempotent escrow transfers
+-- Accept / cancel / resolve-dispute used to send USDC before updating builds, so a failed
+-- DB write or crash left a paid-out build 'locked' and a retry paid twice.
+--
+-- Every outbound transfer now goes intent → submitted → confirmed:
+--   intent    - row written before anything is signed; safe to (re)send
+--   submitted - signed tx + signature persisted BEFORE broadcast; never re-signed while
+--               the original can still land (reconciler checks chain status first)
+--   confirmed - landed on-chain (or nothing to send); builds/requests patched once (finalized_at)
+--   failed    - landed but reverted; needs operator attention
+
+CREATE TABLE IF NOT EXISTS public.escrow_transfers (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  build_id         UUID NOT NULL REFERENCES public.builds(id) ON DELETE RESTRICT,
+  direction        TEXT NOT NULL CHECK (direction IN ('release', 'refund')),
+  idempotency_key  TEXT NOT NULL UNIQUE,          -- '<build_id>:<direction>'
+  recipient_wallet TEXT,                          -- NULL = nothing to send (no wallet on file)
+  amount           NUMERIC(18, 6) NOT NULL,       -- USDC actually sent to recipient
+  agent_payout     NUMERIC(18, 6),
+  platform_fee     NUMERIC(18, 6),
+  status           TEXT NOT NULL DEFAULT 'intent'
+                   CHECK (status IN ('intent', 'submitted', 'confirmed', 'failed')),
+  tx_signature     TEXT,
+  tx_payload       JSONB,                         -- provider data needed to re-broadcast / check status
+  build_update     JSONB NOT NULL DEFAULT '{}',   -- builds patch applied once confirmed
+  request_update   JSONB NOT NULL DEFAULT '{}',   -- requests patch applied once confirmed
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  last_error       TEXT,
+  claimed_at       TIMESTAMPTZ,                   -- short lease so only one process works a transfer
+  claimed_by       TEXT,
+  confirmed_at     TIMESTAMPTZ,
+  finalized_at     TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_escrow_transfers_build ON public.escrow_transfers(build_id);
+CREATE INDEX IF NOT EXISTS idx_escrow_transfers_unfinished
+  ON public.escrow_transfers(created_at)
+  WHERE finalized_at IS NULL;
+
+DROP TRIGGER IF EXISTS set_escrow_transfers_updated_at ON public.escrow_transfers;
+CREATE TRIGGER set_escrow_transfers_updated_at
+  BEFORE UPDATE ON public.escrow_transfers
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Function: take a short lease on a transfer. Returns the row, or NULL if another
+-- process holds an unexpired lease (or the transfer is already finalized).
+CREATE OR REPLACE FUNCTION public.claim_escrow_transfer(
+  p_id            UUID,
+  p_worker_id     TEXT,
+  p_lease_seconds INTEGER DEFAULT 120
+) RETURNS public.escrow_transfers LANGUAGE plpgsql AS $$
+DECLARE
+  v_row public.escrow_transfers;
+BEGIN
+  UPDATE public.escrow_transfers
+  SET claimed_at = now(),
+      claimed_by = p_worker_id,
+      attempts   = attempts + 1
+  WHERE id = p_id
+    AND finalized_at IS NULL
+    AND (claimed_at IS NULL
+         OR claimed_at < now() - make_interval(secs => p_lease_seconds))
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+-- RLS: service role only (payout internals)
+ALTER TABLE public.escrow_transfers ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "escrow_transfers service role only"
+  ON public.escrow_transfers
+  FOR ALL USING (false) WITH CHECK (false);
@@ -0,0 +1,64 @@
+-- Migration 00022: Milestone-based escrow
+-- Pitches can propose milestones; a hire then funds them up front (one deposit for the
+-- total) or per milestone, and each milestone is delivered, reviewed and paid out on its
+-- own. Milestone status uses the same vocabulary as builds.status and is validated with
+-- validate_build_transition / build_state_transitions.
+
+-- Proposed milestones on a pitch: [{ "title": text, "amount": number, "due_date": "YYYY-MM-DD" | null }]
+ALTER TABLE public.pitches
+  ADD COLUMN IF NOT EXISTS milestones JSONB;
+
+ALTER TABLE public.builds
+  ADD COLUMN IF NOT EXISTS funding_mode TEXT NOT NULL DEFAULT 'single'
+    CHECK (funding_mode IN ('single', 'upfront', 'per_milestone'));
+
+CREATE TABLE IF NOT EXISTS public.build_milestones (
+  id                   UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  build_id             UUID NOT NULL REFERENCES public.builds(id) ON DELETE CASCADE,
+  position             INTEGER NOT NULL,           -- 1-based order from the pitch
+  title                TEXT NOT NULL,
+  amount               NUMERIC(18, 6) NOT NULL CHECK (amount > 0),
+  due_date             DATE,
+  status               TEXT NOT NULL DEFAULT 'hired' CHECK (status IN (
+                         'hired', 'building', 'delivered', 'revision_requested', 'disputed',
+                         'arbitration_pending', 'accepted', 'cancelled', 'refunded')),
+  escrow_status        TEXT NOT NULL DEFAULT 'pending'
+                       CHECK (escrow_status IN ('pending', 'locked', 'released', 'refunded', 'disputed_hold')),
+  deposit_tx_signature TEXT UNIQUE,                -- per_milestone funding only
+  release_tx_signature TEXT,
+  refund_tx_signature  TEXT,
+  agent_payout         NUMERIC(18, 6),
+  platform_fee         NUMERIC(18, 6),
+  delivery_url         TEXT,
+  revision_notes       TEXT,
+  revision_count       INTEGER NOT NULL DEFAULT 0,
+  dispute_reason       TEXT,
+  dispute_opened_at    TIMESTAMPTZ,
+  funded_at            TIMESTAMPTZ,
+  delivered_at         TIMESTAMPTZ,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (build_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_build_milestones_build ON public.build_milestones(build_id);
+CREATE INDEX IF NOT EXISTS idx_build_milestones_status ON public.build_milestones(status);
+
+DROP TRIGGER IF EXISTS set_build_milestones_updated_at ON public.build_milestones;
+CREATE TRIGGER set_build_milestones_updated_at
+  BEFORE UPDATE ON public.build_milestones
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Payout ledger: milestone transfers are keyed per milestone ('<build>:<milestone>:<direction>')
+ALTER TABLE public.escrow_transfers
+  ADD COLUMN IF NOT EXISTS milestone_id     UUID REFERENCES public.build_milestones(id) ON DELETE RESTRICT,
+  ADD COLUMN IF NOT EXISTS milestone_update JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_escrow_transfers_milestone
+  ON public.escrow_transfers(milestone_id) WHERE milestone_id IS NOT NULL;
+
+-- RLS: service role only (routes check the buyer / assigned agent)
+ALTER TABLE public.build_milestones ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "build_milestones service role only"
+  ON public.build_milestones
+  FOR ALL USING (false) WITH CHECK (false);
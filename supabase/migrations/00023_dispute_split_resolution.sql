@@ -0,0 +1,20 @@
+-- Migration 00023: Split dispute resolutions and arbitration
+-- Disputes can now be resolved with a split (part to the agent, the rest back to the
+-- buyer), either party can escalate a dispute to platform arbitration, and the
+-- resolution rationale is stored on the build for both parties to see.
+
+ALTER TABLE public.builds
+  ADD COLUMN IF NOT EXISTS resolution                  TEXT CHECK (resolution IN ('refund', 'release', 'split')),
+  ADD COLUMN IF NOT EXISTS resolution_notes            TEXT,
+  ADD COLUMN IF NOT EXISTS resolution_agent_share_bps  INTEGER CHECK (resolution_agent_share_bps BETWEEN 0 AND 10000),
+  ADD COLUMN IF NOT EXISTS buyer_refund                NUMERIC(12, 2),
+  ADD COLUMN IF NOT EXISTS resolved_at                 TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS arbitration_opened_at       TIMESTAMPTZ;
+
+-- Both legs of a split share a group; the build settles once every leg is confirmed
+ALTER TABLE public.escrow_transfers
+  ADD COLUMN IF NOT EXISTS split_group TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_escrow_transfers_split_group
+  ON public.escrow_transfers(split_group) WHERE split_group IS NOT NULL;
+
@@ -0,0 +1,38 @@
+-- Migration 00024: Dispute threads and arbitration workflow
+-- Buyers, agents (JWT or SDK API key) and admins exchange messages and evidence links
+-- on a disputed build; admins set response deadlines. Every dispute action is written
+-- to admin_audit_log, which now also records non-admin actors.
+
+CREATE TABLE IF NOT EXISTS public.dispute_messages (
+  id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  build_id            UUID NOT NULL REFERENCES public.builds(id) ON DELETE CASCADE,
+  author_role         TEXT NOT NULL CHECK (author_role IN ('requester', 'agent', 'admin')),
+  author_user_id      UUID REFERENCES public.users(id),
+  author_sdk_agent_id UUID REFERENCES public.sdk_agents(id),
+  body                TEXT NOT NULL,
+  evidence_urls       TEXT[] NOT NULL DEFAULT '{}',
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (author_user_id IS NOT NULL OR author_sdk_agent_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispute_messages_build ON public.dispute_messages(build_id, created_at);
+
+-- Response deadline set by an admin for one or both parties
+ALTER TABLE public.builds
+  ADD COLUMN IF NOT EXISTS dispute_response_deadline TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS dispute_response_party    TEXT CHECK (dispute_response_party IN ('requester', 'agent', 'both'));
+
+-- Audit log: record who acted, not only admins
+ALTER TABLE public.admin_audit_log
+  ALTER COLUMN admin_id DROP NOT NULL;
+
+ALTER TABLE public.admin_audit_log
+  ADD COLUMN IF NOT EXISTS actor_type TEXT NOT NULL DEFAULT 'admin'
+    CHECK (actor_type IN ('admin', 'requester', 'agent', 'system')),
+  ADD COLUMN IF NOT EXISTS actor_id   TEXT; -- user id or sdk agent id for non-admin actors
+
+-- RLS: service-role only (routes check participants)
+ALTER TABLE public.dispute_messages ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "dispute_messages service role only"
+  ON public.dispute_messages
+  FOR ALL USING (false) WITH CHECK (false);
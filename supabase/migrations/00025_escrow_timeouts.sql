@@ -0,0 +1,24 @@
+-- Migration 00025: Escrow timeouts
+-- Deadlines for the escrow-timeout service (services/escrowTimeouts.js):
+--   delivered_at    + ESCROW_REVIEW_WINDOW_HOURS  → auto-accept, escrow released to agent
+--   delivery_due_at + ESCROW_DELIVERY_GRACE_HOURS → auto-cancel, escrow refunded to buyer
+-- Reminder timestamps make sure each reminder is sent once per deadline.
+
+ALTER TABLE public.builds
+  ADD COLUMN IF NOT EXISTS delivered_at              TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS delivery_due_at           TIMESTAMPTZ, -- hire time + pitch estimated_time
+  ADD COLUMN IF NOT EXISTS review_reminder_sent_at   TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS delivery_reminder_sent_at TIMESTAMPTZ;
+
+ALTER TABLE public.build_milestones
+  ADD COLUMN IF NOT EXISTS review_reminder_sent_at TIMESTAMPTZ;
+
+-- Builds already awaiting review start their window from their last update
+UPDATE public.builds
+  SET delivered_at = updated_at
+  WHERE status = 'delivered' AND delivered_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_builds_delivered_at
+  ON public.builds(delivered_at) WHERE status = 'delivered';
+CREATE INDEX IF NOT EXISTS idx_builds_delivery_due_at
+  ON public.builds(delivery_due_at) WHERE status IN ('hired', 'building');
@@ -0,0 +1,34 @@
+-- Migration 00026: Build event timeline
+-- One row per build (or milestone) transition and escrow movement: who acted, the status
+-- before and after, the escrow status afterwards and any on-chain signature involved.
+-- Exposed to buyers, agents and admins via GET /api/hire/:buildId/timeline.
+
+CREATE TABLE IF NOT EXISTS public.build_events (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  build_id      UUID NOT NULL REFERENCES public.builds(id) ON DELETE CASCADE,
+  milestone_id  UUID REFERENCES public.build_milestones(id) ON DELETE CASCADE,
+  event_type    TEXT NOT NULL,   -- e.g. 'hired', 'delivered', 'escrow_released', 'dispute_opened'
+  actor_type    TEXT NOT NULL CHECK (actor_type IN ('requester', 'agent', 'admin', 'system')),
+  actor_id      TEXT,            -- user id, sdk agent id, api key id or system component
+  from_status   TEXT,
+  to_status     TEXT,
+  escrow_status TEXT,
+  tx_signature  TEXT,
+  notes         TEXT,
+  metadata      JSONB NOT NULL DEFAULT '{}',
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_build_events_build ON public.build_events(build_id, created_at);
+
+-- Who asked for a payout, so the ledger can attribute the transition when it lands
+ALTER TABLE public.escrow_transfers
+  ADD COLUMN IF NOT EXISTS actor_type TEXT NOT NULL DEFAULT 'system'
+    CHECK (actor_type IN ('requester', 'agent', 'admin', 'system')),
+  ADD COLUMN IF NOT EXISTS actor_id   TEXT;
+
+-- RLS: service-role only (the timeline route checks participants)
+ALTER TABLE public.build_events ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "build_events service role only"
+  ON public.build_events
+  FOR ALL USING (false) WITH CHECK (false);
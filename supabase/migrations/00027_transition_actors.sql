@@ -0,0 +1,133 @@
+-- Migration 00027: Enforce transition actors in the build state machine
+-- build_state_transitions.actor was never checked: validate_build_transition ignored it
+-- and left enforcement to the app layer. Transitions are now keyed by actor, validated
+-- against the acting principal, and applied by transition_build(), which updates the
+-- build, its request and the build_events timeline in one transaction.
+--
+-- Principals map onto actors: requester → requester, agent → agent,
+-- admin / system (timeouts, autopilot, payout ledger) → platform.
+
+-- ── One row per (from, to, actor) ─────────────────────────────────────────────
+ALTER TABLE public.build_state_transitions
+  DROP CONSTRAINT IF EXISTS build_state_transitions_pkey;
+ALTER TABLE public.build_state_transitions
+  ADD PRIMARY KEY (from_status, to_status, actor);
+
+INSERT INTO public.build_state_transitions (from_status, to_status, actor) VALUES
+  -- Autopilot worker builds and delivers on the agent's behalf
+  ('hired',               'building',            'platform'),
+  ('building',            'delivered',           'platform'),
+  -- Escrow timeouts: review window elapsed / delivery deadline missed
+  ('delivered',           'accepted',            'platform'),
+  ('hired',               'cancelled',           'platform'),
+  ('building',            'cancelled',           'platform'),
+  -- Milestone hires settle from their milestones
+  ('hired',               'accepted',            'platform'),
+  -- Either party may escalate a dispute to arbitration
+  ('disputed',            'arbitration_pending', 'requester'),
+  ('disputed',            'arbitration_pending', 'agent'),
+  -- The buyer may settle a dispute they opened (before arbitration only)
+  ('disputed',            'accepted',            'requester'),
+  ('disputed',            'refunded',            'requester')
+ON CONFLICT DO NOTHING;
+
+-- ── Principal → actor ─────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.build_transition_actor(p_actor_type TEXT)
+RETURNS TEXT LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE p_actor_type
+    WHEN 'requester' THEN 'requester'
+    WHEN 'agent'     THEN 'agent'
+    WHEN 'admin'     THEN 'platform'
+    WHEN 'system'    THEN 'platform'
+  END;
+$$;
+
+-- ── Transition guard (actor-aware) ────────────────────────────────────────────
+-- p_actor_type NULL checks the transition for any actor (milestones, legacy callers).
+DROP FUNCTION IF EXISTS public.validate_build_transition(TEXT, TEXT);
+CREATE OR REPLACE FUNCTION public.validate_build_transition(
+  p_from       TEXT,
+  p_to         TEXT,
+  p_actor_type TEXT DEFAULT NULL
+) RETURNS BOOLEAN LANGUAGE plpgsql STABLE AS $$
+BEGIN
+  RETURN EXISTS (
+    SELECT 1 FROM public.build_state_transitions
+    WHERE from_status = p_from
+      AND to_status = p_to
+      AND (p_actor_type IS NULL OR actor = public.build_transition_actor(p_actor_type))
+  );
+END;
+$$;
+
+-- ── Atomic transition ─────────────────────────────────────────────────────────
+-- Locks the build, checks the transition for the acting principal, applies the build
+-- and request patches (column → value JSON) and appends a build_events row.
+-- Re-applying a transition that already happened is a no-op (payout reconciler retries).
+-- Errors: BT404 build not found, BT409 status changed since it was read,
+--         BT400 transition not allowed, BT403 not allowed for this actor.
+CREATE OR REPLACE FUNCTION public.transition_build(
+  p_build_id      UUID,
+  p_to            TEXT,
+  p_actor_type    TEXT,
+  p_actor_id      TEXT DEFAULT NULL,
+  p_expected_from TEXT DEFAULT NULL,
+  p_build_patch   JSONB DEFAULT '{}',
+  p_request_patch JSONB DEFAULT '{}',
+  p_event_type    TEXT DEFAULT NULL,
+  p_notes         TEXT DEFAULT NULL,
+  p_tx_signature  TEXT DEFAULT NULL,
+  p_metadata      JSONB DEFAULT '{}'
+) RETURNS public.builds LANGUAGE plpgsql AS $$
+DECLARE
+  v_build public.builds;
+  v_from  TEXT;
+  v_patch JSONB := COALESCE(p_build_patch, '{}') - 'id' - 'status' - 'request_id';
+  v_req   JSONB := COALESCE(p_request_patch, '{}') - 'id';
+  v_sets  TEXT;
+BEGIN
+  SELECT * INTO v_build FROM public.builds WHERE id = p_build_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Build % not found', p_build_id USING ERRCODE = 'BT404';
+  END IF;
+  v_from := v_build.status;
+
+  IF v_from = p_to AND p_expected_from IS NULL THEN
+    RETURN v_build;
+  END IF;
+  IF p_expected_from IS NOT NULL AND v_from <> p_expected_from THEN
+    RAISE EXCEPTION 'Build status changed to ''%'' — reload and try again', v_from USING ERRCODE = 'BT409';
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to) THEN
+    RAISE EXCEPTION 'Cannot move build from ''%'' to ''%''', v_from, p_to USING ERRCODE = 'BT400';
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to, p_actor_type) THEN
+    RAISE EXCEPTION 'A % cannot move a build from ''%'' to ''%''', p_actor_type, v_from, p_to USING ERRCODE = 'BT403';
+  END IF;
+
+  IF v_patch <> '{}' THEN
+    SELECT string_agg(format('%I = r.%I', k, k), ', ') INTO v_sets FROM jsonb_object_keys(v_patch) AS k;
+    EXECUTE format(
+      'UPDATE public.builds b SET %s FROM jsonb_populate_record(NULL::public.builds, $1) r WHERE b.id = $2',
+      v_sets
+    ) USING v_patch, p_build_id;
+  END IF;
+  UPDATE public.builds SET status = p_to WHERE id = p_build_id RETURNING * INTO v_build;
+
+  IF v_req <> '{}' THEN
+    SELECT string_agg(format('%I = r.%I', k, k), ', ') INTO v_sets FROM jsonb_object_keys(v_req) AS k;
+    EXECUTE format(
+      'UPDATE public.requests q SET %s FROM jsonb_populate_record(NULL::public.requests, $1) r WHERE q.id = $2',
+      v_sets
+    ) USING v_req, v_build.request_id;
+  END IF;
+
+  INSERT INTO public.build_events
+    (build_id, event_type, actor_type, actor_id, from_status, to_status, escrow_status, tx_signature, notes, metadata)
+  VALUES
+    (p_build_id, COALESCE(p_event_type, p_to), p_actor_type, p_actor_id, v_from, p_to,
+     v_build.escrow_status, p_tx_signature, p_notes, COALESCE(p_metadata, '{}'));
+
+  RETURN v_build;
+END;
+$$;
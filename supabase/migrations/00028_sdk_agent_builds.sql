@@ -0,0 +1,25 @@
+-- Migration 00028: SDK-agent builds carry their agent
+-- SDK hires created builds with agent_id NULL and no link to the SDK agent; payouts and
+-- disputes found the agent by guessing via sdk_pitches.status = 'hired', and SDK
+-- deliveries never reached the build. builds.sdk_agent_id makes the link explicit.
+
+ALTER TABLE public.builds
+  ADD COLUMN IF NOT EXISTS sdk_agent_id UUID REFERENCES public.sdk_agents(id) ON DELETE SET NULL;
+
+-- Backfill from the hired (or already delivered) SDK pitch on the build's request
+UPDATE public.builds b
+SET sdk_agent_id = sp.sdk_agent_id
+FROM public.sdk_pitches sp
+WHERE b.agent_id IS NULL
+  AND b.sdk_agent_id IS NULL
+  AND sp.request_id = b.request_id
+  AND sp.status IN ('hired', 'delivered');
+
+-- A build belongs to an internal agent or an SDK agent, never both
+ALTER TABLE public.builds
+  DROP CONSTRAINT IF EXISTS builds_single_agent_check;
+ALTER TABLE public.builds
+  ADD CONSTRAINT builds_single_agent_check
+  CHECK (agent_id IS NULL OR sdk_agent_id IS NULL);
+
+CREATE INDEX IF NOT EXISTS idx_builds_sdk_agent ON public.builds(sdk_agent_id) WHERE sdk_agent_id IS NOT NULL;
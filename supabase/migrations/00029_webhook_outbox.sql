@@ -0,0 +1,70 @@
+-- Migration 00029: Webhook outbox
+-- SDK agent webhooks used to be fire-and-forget with a 5s timeout and every error swallowed.
+-- Each event is now written to webhook_deliveries before it is sent, then retried by the
+-- outbox worker (services/webhookOutbox.js) with exponential backoff:
+--   pending   - waiting for its first attempt or a retry at next_attempt_at
+--   delivered - the endpoint answered 2xx
+--   failed    - gave up after max attempts; agents can replay it from the API
+
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sdk_agent_id    UUID NOT NULL REFERENCES public.sdk_agents(id) ON DELETE CASCADE,
+  event           TEXT NOT NULL,                 -- 'hired', 'pitch_submitted', 'accepted', ...
+  url             TEXT NOT NULL,                 -- agent's webhook_url when queued (or replayed)
+  payload         JSONB NOT NULL DEFAULT '{}',
+  status          TEXT NOT NULL DEFAULT 'pending'
+                  CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_attempt_at TIMESTAMPTZ,
+  response_status INTEGER,                       -- HTTP status of the last attempt (NULL = no response)
+  latency_ms      INTEGER,                       -- duration of the last attempt
+  last_error      TEXT,
+  delivered_at    TIMESTAMPTZ,
+  claimed_at      TIMESTAMPTZ,                   -- short lease so only one process sends a delivery
+  claimed_by      TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_agent
+  ON public.webhook_deliveries(sdk_agent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON public.webhook_deliveries(next_attempt_at)
+  WHERE status = 'pending';
+
+DROP TRIGGER IF EXISTS set_webhook_deliveries_updated_at ON public.webhook_deliveries;
+CREATE TRIGGER set_webhook_deliveries_updated_at
+  BEFORE UPDATE ON public.webhook_deliveries
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Function: take a short lease on a pending delivery and count the attempt. Returns the row,
+-- or NULL if another process holds an unexpired lease (or the delivery is no longer pending).
+CREATE OR REPLACE FUNCTION public.claim_webhook_delivery(
+  p_id            UUID,
+  p_worker_id     TEXT,
+  p_lease_seconds INTEGER DEFAULT 60
+) RETURNS public.webhook_deliveries LANGUAGE plpgsql AS $$
+DECLARE
+  v_row public.webhook_deliveries;
+BEGIN
+  UPDATE public.webhook_deliveries
+  SET claimed_at      = now(),
+      claimed_by      = p_worker_id,
+      attempts        = attempts + 1,
+      last_attempt_at = now()
+  WHERE id = p_id
+    AND status = 'pending'
+    AND (claimed_at IS NULL
+         OR claimed_at < now() - make_interval(secs => p_lease_seconds))
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+-- RLS: service role only (agents read their deliveries through /api/sdk/webhooks)
+ALTER TABLE public.webhook_deliveries ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "webhook_deliveries service role only"
+  ON public.webhook_deliveries
+  FOR ALL USING (false) WITH CHECK (false);
@@ -0,0 +1,15 @@
+-- Migration 00030: Per-agent webhook signing secrets
+-- Webhooks were signed with the agent's api_key, so every receiver had to hold the master
+-- credential. Each agent now gets its own webhook_secret ('whsec_...'), rotatable on its own.
+-- After a rotation the previous secret keeps signing alongside the new one for a grace period
+-- (WEBHOOK_SECRET_GRACE_HOURS) so receivers can switch over without dropping events.
+
+ALTER TABLE public.sdk_agents
+  ADD COLUMN IF NOT EXISTS webhook_secret            TEXT,
+  ADD COLUMN IF NOT EXISTS webhook_secret_previous   TEXT,
+  ADD COLUMN IF NOT EXISTS webhook_secret_rotated_at TIMESTAMPTZ;
+
+-- Existing agents get a secret now; new ones get it at registration
+UPDATE public.sdk_agents
+  SET webhook_secret = 'whsec_' || replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '')
+  WHERE webhook_secret IS NULL;
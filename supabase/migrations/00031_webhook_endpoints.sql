@@ -0,0 +1,64 @@
+-- Migration 00031: Webhook endpoints and event subscriptions
+-- An SDK agent used to get a fixed set of events at a single sdk_agents.webhook_url. Agents
+-- now register any number of endpoints, each subscribed to the event types it wants:
+--   request_matched, pitch_submitted, pitch_hidden, hired, revision_requested, accepted,
+--   cancelled, disputed, request_cancelled
+-- ('ping' test events go to whichever endpoint is being tested).
+-- Events are published on the in-process event bus (services/eventBus.js) and fanned out to
+-- one webhook_deliveries row per subscribed endpoint.
+
+CREATE TABLE IF NOT EXISTS public.webhook_endpoints (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sdk_agent_id UUID NOT NULL REFERENCES public.sdk_agents(id) ON DELETE CASCADE,
+  url          TEXT NOT NULL,
+  events       TEXT[] NOT NULL DEFAULT '{}',
+  description  TEXT,
+  is_active    BOOLEAN NOT NULL DEFAULT true,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_agent
+  ON public.webhook_endpoints(sdk_agent_id)
+  WHERE is_active = true;
+
+DROP TRIGGER IF EXISTS set_webhook_endpoints_updated_at ON public.webhook_endpoints;
+CREATE TRIGGER set_webhook_endpoints_updated_at
+  BEFORE UPDATE ON public.webhook_endpoints
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Deliveries remember their endpoint; deleting an endpoint keeps its delivery history
+ALTER TABLE public.webhook_deliveries
+  ADD COLUMN IF NOT EXISTS endpoint_id UUID REFERENCES public.webhook_endpoints(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint
+  ON public.webhook_deliveries(endpoint_id, created_at DESC);
+
+-- Existing webhook_url values become an endpoint subscribed to every event type
+INSERT INTO public.webhook_endpoints (sdk_agent_id, url, events, description)
+SELECT a.id,
+       a.webhook_url,
+       ARRAY['request_matched', 'pitch_submitted', 'pitch_hidden', 'hired', 'revision_requested',
+             'accepted', 'cancelled', 'disputed', 'request_cancelled'],
+       'Migrated from webhook_url'
+FROM public.sdk_agents a
+WHERE a.webhook_url IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM public.webhook_endpoints e
+    WHERE e.sdk_agent_id = a.id AND e.url = a.webhook_url
+  );
+
+-- Pending deliveries queued for the old webhook_url carry on through that endpoint
+UPDATE public.webhook_deliveries d
+  SET endpoint_id = e.id
+  FROM public.webhook_endpoints e
+  WHERE d.endpoint_id IS NULL
+    AND d.status = 'pending'
+    AND e.sdk_agent_id = d.sdk_agent_id
+    AND e.url = d.url;
+
+-- RLS: service role only (agents manage endpoints through /api/sdk/webhooks)
+ALTER TABLE public.webhook_endpoints ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "webhook_endpoints service role only"
+  ON public.webhook_endpoints
+  FOR ALL USING (false) WITH CHECK (false);
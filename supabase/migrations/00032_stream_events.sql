@@ -0,0 +1,24 @@
+-- Migration 00032: Real-time notification stream
+-- Events pushed to users over GET /api/notifications/stream (services/notificationStream.js):
+--   notification  - a notifications row was created for the wallet
+--   build_status  - a build the wallet is party to changed status
+--   pitch         - a new pitch arrived on one of the wallet's requests
+-- The id is the SSE event id; reconnecting clients send it back as Last-Event-ID and get
+-- everything after it. Rows are short-lived (STREAM_EVENT_RETENTION_HOURS, default 24).
+
+CREATE TABLE IF NOT EXISTS public.stream_events (
+  id          BIGSERIAL PRIMARY KEY,
+  user_wallet TEXT NOT NULL,
+  type        TEXT NOT NULL,
+  data        JSONB NOT NULL DEFAULT '{}',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stream_events_wallet ON public.stream_events(user_wallet, id);
+CREATE INDEX IF NOT EXISTS idx_stream_events_created ON public.stream_events(created_at);
+
+-- RLS: service role only (clients read through the SSE endpoint)
+ALTER TABLE public.stream_events ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "stream_events service role only"
+  ON public.stream_events
+  FOR ALL USING (false) WITH CHECK (false);
@@ -0,0 +1,74 @@
+-- Migration 00033: Notification preferences, delivery channels and digests
+-- createNotification (src/lib/notify.js) used to write a notifications row and nothing else.
+-- Each notification type can now go to any of:
+--   in_app  - the notifications row + real-time stream (default on)
+--   email   - sent right away through the mailer (src/lib/mailer.js)
+--   chat    - sent right away to a Discord/Slack-style webhook or a Telegram chat
+--   digest  - collected and sent as one daily or weekly summary (services/notificationDigest.js)
+-- A row with type '*' holds the user's defaults; rows for a specific type override it.
+
+CREATE TABLE IF NOT EXISTS public.notification_channels (
+  user_wallet            TEXT PRIMARY KEY,
+  email                  TEXT,
+  chat_webhook_url       TEXT,
+  telegram_chat_id       TEXT,
+  last_daily_digest_at   TIMESTAMPTZ,
+  last_weekly_digest_at  TIMESTAMPTZ,
+  created_at             TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at             TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS set_notification_channels_updated_at ON public.notification_channels;
+CREATE TRIGGER set_notification_channels_updated_at
+  BEFORE UPDATE ON public.notification_channels
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+  user_wallet  TEXT NOT NULL,
+  type         TEXT NOT NULL,
+  in_app       BOOLEAN NOT NULL DEFAULT true,
+  email        BOOLEAN NOT NULL DEFAULT false,
+  chat         BOOLEAN NOT NULL DEFAULT false,
+  digest       TEXT NOT NULL DEFAULT 'off' CHECK (digest IN ('off', 'daily', 'weekly')),
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_wallet, type)
+);
+
+DROP TRIGGER IF EXISTS set_notification_preferences_updated_at ON public.notification_preferences;
+CREATE TRIGGER set_notification_preferences_updated_at
+  BEFORE UPDATE ON public.notification_preferences
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Notifications waiting for the user's next digest; sent_at is set once it goes out
+CREATE TABLE IF NOT EXISTS public.notification_digest_items (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_wallet  TEXT NOT NULL,
+  frequency    TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  type         TEXT NOT NULL,
+  title        TEXT NOT NULL,
+  message      TEXT,
+  metadata     JSONB NOT NULL DEFAULT '{}',
+  sent_at      TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_digest_items_pending
+  ON public.notification_digest_items(frequency, user_wallet, created_at)
+  WHERE sent_at IS NULL;
+
+-- RLS: service role only (users manage these through /api/notifications/:wallet/preferences)
+ALTER TABLE public.notification_channels ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "notification_channels service role only"
+  ON public.notification_channels
+  FOR ALL USING (false) WITH CHECK (false);
+
+ALTER TABLE public.notification_preferences ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "notification_preferences service role only"
+  ON public.notification_preferences
+  FOR ALL USING (false) WITH CHECK (false);
+
+ALTER TABLE public.notification_digest_items ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "notification_digest_items service role only"
+  ON public.notification_digest_items
+  FOR ALL USING (false) WITH CHECK (false);
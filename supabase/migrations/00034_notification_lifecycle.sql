@@ -0,0 +1,27 @@
+-- Migration 00034: Notification archive, grouping and retention
+--   archived_at - set by POST /api/notifications/:wallet/archive; archived rows are hidden from
+--                 the default list and the unread count
+--   group_key   - repetitive notifications (new pitches on one request, new messages on one
+--                 dispute) share a key; while the grouped row is unread and not archived, new
+--                 ones fold into it ("5 new pitches on X") instead of adding rows.
+--                 group_count is how many it stands for; created_at moves to the latest one.
+-- Read notifications older than NOTIFICATION_RETENTION_DAYS (default 90) are pruned by
+-- services/notificationRetention.js.
+
+ALTER TABLE public.notifications
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS group_key   TEXT,
+  ADD COLUMN IF NOT EXISTS group_count INTEGER NOT NULL DEFAULT 1;
+
+-- Cursor pagination: newest first, id breaks ties
+CREATE INDEX IF NOT EXISTS idx_notifications_wallet_created
+  ON public.notifications(user_wallet, created_at DESC, id DESC);
+
+-- At most one open group per key, so concurrent inserts fold into the same row
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_open_group
+  ON public.notifications(user_wallet, group_key)
+  WHERE group_key IS NOT NULL AND read = false AND archived_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_read_created
+  ON public.notifications(created_at)
+  WHERE read = true;
@@ -0,0 +1,37 @@
+-- Migration 00035: Follower activity feed
+-- activity_events records what followable actors do, fed from the in-process event bus
+-- (services/activityFeed.js):
+--   request_posted - a user posted a request           (actor user:<wallet>)
+--   pitched        - an agent pitched on a request     (actor agent:<agent or SDK agent id>)
+--   hired          - an agent won a hire
+--   delivered      - an agent delivered a build
+-- GET /api/feed lists the events of everyone the caller follows. actor_key matches
+-- follows.followee_type || ':' || follows.followee_id.
+-- follows.notify opts a follower into notifications for hires, deliveries and new requests.
+
+CREATE TABLE IF NOT EXISTS public.activity_events (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_key   TEXT NOT NULL,
+  actor_name  TEXT,
+  verb        TEXT NOT NULL CHECK (verb IN ('request_posted', 'pitched', 'hired', 'delivered')),
+  request_id  UUID REFERENCES public.requests(id) ON DELETE CASCADE,
+  build_id    UUID REFERENCES public.builds(id) ON DELETE CASCADE,
+  summary     TEXT NOT NULL,
+  data        JSONB NOT NULL DEFAULT '{}',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_events_actor
+  ON public.activity_events(actor_key, created_at DESC, id DESC);
+
+ALTER TABLE public.follows
+  ADD COLUMN IF NOT EXISTS notify BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_follows_followee
+  ON public.follows(followee_type, followee_id);
+
+-- RLS: service role only (users read it through GET /api/feed)
+ALTER TABLE public.activity_events ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "activity_events service role only"
+  ON public.activity_events
+  FOR ALL USING (false) WITH CHECK (false);
@@ -0,0 +1,152 @@
+-- Migration 00036: Request lifecycle — drafts, cancellation, expiry and reopening
+-- requests.status was Open / In Progress / Completed and PATCH /api/requests/:id let the
+-- author set any of them, even Completed while escrow was locked. Requests now also start
+-- as Draft, can be Cancelled by their author and are Expired by services/requestExpiry.js
+-- once expires_at passes. Author and expiry moves go through transition_request(), which
+-- checks request_state_transitions and refuses to touch a request whose escrow is held.
+-- In Progress / Completed and the return to Open after a refund stay with the hire and
+-- escrow flows (hire routes, transition_build request patches).
+
+-- ── Extend requests.status ────────────────────────────────────────────────────
+ALTER TABLE public.requests
+  DROP CONSTRAINT IF EXISTS requests_status_check;
+
+ALTER TABLE public.requests
+  ADD CONSTRAINT requests_status_check
+  CHECK (status IN (
+    'Draft',       -- saved by the author, not listed or pitchable yet
+    'Open',        -- published, accepting pitches until expires_at
+    'In Progress', -- an agent was hired (escrow held)
+    'Completed',   -- escrow released
+    'Cancelled',   -- withdrawn by the author before a hire
+    'Expired'      -- no hire before expires_at
+  ));
+
+ALTER TABLE public.requests
+  ADD COLUMN IF NOT EXISTS expires_at    TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS published_at  TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_at  TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancel_reason TEXT,
+  ADD COLUMN IF NOT EXISTS expired_at    TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS edited_at     TIMESTAMPTZ;
+
+-- Existing open requests get the default 30-day window from now
+UPDATE public.requests
+  SET expires_at = now() + interval '30 days'
+  WHERE status = 'Open' AND expires_at IS NULL;
+
+UPDATE public.requests
+  SET published_at = created_at
+  WHERE status <> 'Draft' AND published_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_requests_expiry
+  ON public.requests(expires_at) WHERE status = 'Open';
+
+-- ── Allowed transitions ───────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.request_state_transitions (
+  from_status TEXT NOT NULL,
+  to_status   TEXT NOT NULL,
+  actor       TEXT NOT NULL CHECK (actor IN ('author', 'platform')),
+  PRIMARY KEY (from_status, to_status, actor)
+);
+
+INSERT INTO public.request_state_transitions (from_status, to_status, actor) VALUES
+  ('Draft',       'Open',      'author'),   -- publish
+  ('Draft',       'Cancelled', 'author'),
+  ('Open',        'Cancelled', 'author'),
+  ('Open',        'Expired',   'platform'), -- expiry sweep
+  ('Expired',     'Open',      'author'),   -- reopen
+  ('Cancelled',   'Open',      'author')    -- reopen
+ON CONFLICT DO NOTHING;
+
+-- ── Atomic transition ─────────────────────────────────────────────────────────
+-- Principals: author → author, admin / system → platform.
+-- Locks the request, checks the transition for the actor, refuses it while escrow is
+-- locked or a build is still running, then applies `p_patch` (column → value JSON).
+-- Errors: RT404 request not found, RT409 status changed since it was read or escrow held,
+--         RT400 transition not allowed, RT403 not allowed for this actor.
+CREATE OR REPLACE FUNCTION public.transition_request(
+  p_request_id    UUID,
+  p_to            TEXT,
+  p_actor_type    TEXT,
+  p_expected_from TEXT DEFAULT NULL,
+  p_patch         JSONB DEFAULT '{}'
+) RETURNS public.requests LANGUAGE plpgsql AS $$
+DECLARE
+  v_request public.requests;
+  v_from    TEXT;
+  v_actor   TEXT := CASE p_actor_type WHEN 'author' THEN 'author' WHEN 'admin' THEN 'platform' WHEN 'system' THEN 'platform' END;
+  v_patch   JSONB := COALESCE(p_patch, '{}') - 'id' - 'status' - 'author_id';
+  v_sets    TEXT;
+BEGIN
+  SELECT * INTO v_request FROM public.requests WHERE id = p_request_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Request % not found', p_request_id USING ERRCODE = 'RT404';
+  END IF;
+  v_from := v_request.status;
+
+  IF p_expected_from IS NOT NULL AND v_from <> p_expected_from THEN
+    RAISE EXCEPTION 'Request status changed to ''%'' — reload and try again', v_from USING ERRCODE = 'RT409';
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM public.request_state_transitions WHERE from_status = v_from AND to_status = p_to) THEN
+    RAISE EXCEPTION 'Cannot move request from ''%'' to ''%''', v_from, p_to USING ERRCODE = 'RT400';
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM public.request_state_transitions
+    WHERE from_status = v_from AND to_status = p_to AND actor = v_actor
+  ) THEN
+    RAISE EXCEPTION 'A % cannot move a request from ''%'' to ''%''', p_actor_type, v_from, p_to USING ERRCODE = 'RT403';
+  END IF;
+  IF v_request.escrow_status = 'locked' OR EXISTS (
+    SELECT 1 FROM public.builds
+    WHERE request_id = p_request_id
+      AND status IN ('hired', 'building', 'delivered', 'revision_requested', 'disputed', 'arbitration_pending')
+  ) THEN
+    RAISE EXCEPTION 'Request has a build in progress with escrow held — settle it first' USING ERRCODE = 'RT409';
+  END IF;
+
+  IF v_patch <> '{}' THEN
+    SELECT string_agg(format('%I = r.%I', k, k), ', ') INTO v_sets FROM jsonb_object_keys(v_patch) AS k;
+    EXECUTE format(
+      'UPDATE public.requests q SET %s FROM jsonb_populate_record(NULL::public.requests, $1) r WHERE q.id = $2',
+      v_sets
+    ) USING v_patch, p_request_id;
+  END IF;
+  UPDATE public.requests SET status = p_to WHERE id = p_request_id RETURNING * INTO v_request;
+
+  RETURN v_request;
+END;
+$$;
+
+-- ── Refunded requests get time to find a new agent ────────────────────────────
+-- A cancelled or refunded hire puts its request back to Open; if its original deadline
+-- has (nearly) passed, give it another 7 days before the expiry sweep closes it.
+CREATE OR REPLACE FUNCTION public.extend_reopened_request_expiry()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  IF NEW.status = 'Open' AND OLD.status = 'In Progress'
+     AND (NEW.expires_at IS NULL OR NEW.expires_at < now() + interval '7 days') THEN
+    NEW.expires_at := now() + interval '7 days';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS extend_requests_expiry_on_reopen ON public.requests;
+CREATE TRIGGER extend_requests_expiry_on_reopen
+  BEFORE UPDATE OF status ON public.requests
+  FOR EACH ROW EXECUTE FUNCTION public.extend_reopened_request_expiry();
+
+-- ── request_updated webhook ───────────────────────────────────────────────────
+-- Endpoints subscribed to every event type keep receiving all of them
+UPDATE public.webhook_endpoints
+  SET events = array_append(events, 'request_updated')
+  WHERE events @> ARRAY['request_matched', 'pitch_submitted', 'pitch_hidden', 'hired', 'revision_requested',
+                        'accepted', 'cancelled', 'disputed', 'request_cancelled']
+    AND NOT ('request_updated' = ANY(events));
+
+-- RLS: service role only
+ALTER TABLE public.request_state_transitions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "request_state_transitions service role only"
+  ON public.request_state_transitions
+  FOR ALL USING (false) WITH CHECK (false);
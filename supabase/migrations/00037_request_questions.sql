@@ -0,0 +1,45 @@
+-- Migration 00037: Clarification Q&A on requests
+-- Agents (JWT owner of an internal agent, or SDK API key) ask the buyer questions about an
+-- Open request before pitching or being hired. The buyer answers each question either
+-- publicly — visible to every agent that pitched on or asked about the request — or
+-- privately to the asking agent only. Unanswered questions are seen by the buyer and the
+-- agent that asked.
+
+CREATE TABLE IF NOT EXISTS public.request_questions (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id         UUID NOT NULL REFERENCES public.requests(id) ON DELETE CASCADE,
+  asker_agent_id     UUID REFERENCES public.agents(id) ON DELETE CASCADE,
+  asker_sdk_agent_id UUID REFERENCES public.sdk_agents(id) ON DELETE CASCADE,
+  asker_user_id      UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  asker_name         TEXT,
+  body               TEXT NOT NULL,
+  answer             TEXT,
+  visibility         TEXT CHECK (visibility IN ('public', 'private')),
+  answered_at        TIMESTAMPTZ,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (asker_agent_id IS NOT NULL OR asker_sdk_agent_id IS NOT NULL),
+  CHECK ((answer IS NULL) = (visibility IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_questions_request
+  ON public.request_questions(request_id, created_at);
+
+DROP TRIGGER IF EXISTS set_request_questions_updated_at ON public.request_questions;
+CREATE TRIGGER set_request_questions_updated_at
+  BEFORE UPDATE ON public.request_questions
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- ── question_answered webhook ─────────────────────────────────────────────────
+-- Endpoints subscribed to every event type keep receiving all of them
+UPDATE public.webhook_endpoints
+  SET events = array_append(events, 'question_answered')
+  WHERE events @> ARRAY['request_matched', 'pitch_submitted', 'pitch_hidden', 'hired', 'revision_requested',
+                        'accepted', 'cancelled', 'disputed', 'request_cancelled', 'request_updated']
+    AND NOT ('question_answered' = ANY(events));
+
+-- RLS: service role only (routes check the buyer and agent participants)
+ALTER TABLE public.request_questions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "request_questions service role only"
+  ON public.request_questions
+  FOR ALL USING (false) WITH CHECK (false);
@@ -0,0 +1,49 @@
+-- Migration 00038: Request visibility and agent invites
+-- Every request used to be listed to everyone, offered to every SDK agent and auto-pitched
+-- by the pitching engine. Buyers now choose:
+--   public      - listed in GET /api/requests and GET /api/sdk/requests, matched and auto-pitched
+--   unlisted    - anyone with the link can view and pitch, but it is not listed, matched or
+--                 auto-pitched
+--   invite_only - only the request's author and the agents in request_invites (internal or
+--                 SDK) can see it, ask about it or pitch on it
+-- Activity feeds only record public requests.
+
+ALTER TABLE public.requests
+  ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public'
+    CHECK (visibility IN ('public', 'unlisted', 'invite_only'));
+
+CREATE INDEX IF NOT EXISTS idx_requests_visibility ON public.requests(visibility, status);
+
+CREATE TABLE IF NOT EXISTS public.request_invites (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id   UUID NOT NULL REFERENCES public.requests(id) ON DELETE CASCADE,
+  agent_id     UUID REFERENCES public.agents(id) ON DELETE CASCADE,
+  sdk_agent_id UUID REFERENCES public.sdk_agents(id) ON DELETE CASCADE,
+  invited_by   UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK ((agent_id IS NULL) <> (sdk_agent_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_request_invites_agent
+  ON public.request_invites(request_id, agent_id) WHERE agent_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_request_invites_sdk_agent
+  ON public.request_invites(request_id, sdk_agent_id) WHERE sdk_agent_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_request_invites_agent_lookup
+  ON public.request_invites(agent_id) WHERE agent_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_request_invites_sdk_agent_lookup
+  ON public.request_invites(sdk_agent_id) WHERE sdk_agent_id IS NOT NULL;
+
+-- ── request_invited webhook ───────────────────────────────────────────────────
+-- Endpoints subscribed to every event type keep receiving all of them
+UPDATE public.webhook_endpoints
+  SET events = array_append(events, 'request_invited')
+  WHERE events @> ARRAY['request_matched', 'pitch_submitted', 'pitch_hidden', 'hired', 'revision_requested',
+                        'accepted', 'cancelled', 'disputed', 'request_cancelled', 'request_updated',
+                        'question_answered']
+    AND NOT ('request_invited' = ANY(events));
+
+-- RLS: service role only (routes check the author and invited agents)
+ALTER TABLE public.request_invites ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "request_invites service role only"
+  ON public.request_invites
+  FOR ALL USING (false) WITH CHECK (false);
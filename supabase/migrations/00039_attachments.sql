@@ -0,0 +1,35 @@
+-- Migration 00039: File attachments for requests and deliveries
+-- requests.attachment stays as free-text extra context; real files now live in object
+-- storage (STORAGE_DRIVER: local disk or an S3-compatible bucket) and are tracked here.
+--   kind = 'request'  - spec files, mockups… uploaded by the request's author while it is
+--                       Draft or Open; readable by whoever can view the request
+--   kind = 'delivery' - deliverables (zips, docs) uploaded by the hired agent for a build;
+--                       readable by the buyer and the agent only
+-- Bytes are never served from the database: routes hand out short-lived signed URLs.
+
+CREATE TABLE IF NOT EXISTS public.attachments (
+  id                       UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id               UUID NOT NULL REFERENCES public.requests(id) ON DELETE CASCADE,
+  build_id                 UUID REFERENCES public.builds(id) ON DELETE CASCADE,
+  kind                     TEXT NOT NULL CHECK (kind IN ('request', 'delivery')),
+  storage_key              TEXT NOT NULL UNIQUE,
+  filename                 TEXT NOT NULL,
+  content_type             TEXT NOT NULL,
+  size_bytes               BIGINT NOT NULL CHECK (size_bytes >= 0),
+  sha256                   TEXT NOT NULL,
+  uploaded_by_user_id      UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  uploaded_by_sdk_agent_id UUID REFERENCES public.sdk_agents(id) ON DELETE SET NULL,
+  created_at               TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK ((kind = 'delivery') = (build_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_request
+  ON public.attachments(request_id, created_at) WHERE kind = 'request';
+CREATE INDEX IF NOT EXISTS idx_attachments_build
+  ON public.attachments(build_id, created_at) WHERE build_id IS NOT NULL;
+
+-- RLS: service role only (routes check request visibility and build roles)
+ALTER TABLE public.attachments ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "attachments service role only"
+  ON public.attachments
+  FOR ALL USING (false) WITH CHECK (false);
@@ -0,0 +1,107 @@
+-- Migration 00040: Controlled category taxonomy
+-- Request categories and agent specializations used to be free text matched by exact
+-- string equality, so "dApps" never met "dapp". They now refer to a managed tree:
+--   slug        - stable id stored in requests.categories / *.specializations
+--   parent_slug - e.g. defi → web3; matching treats a category as related to its
+--                 ancestors and descendants (a "web3" agent sees "defi" requests)
+--   aliases     - other spellings accepted on input ("dapp", "decentralized app")
+-- Input is matched case-, punctuation- and plural-insensitively against slug, name and
+-- aliases (services/categories.js). Existing rows are normalized below; values with no
+-- match are left as they were.
+
+CREATE TABLE IF NOT EXISTS public.categories (
+  slug        TEXT PRIMARY KEY CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  name        TEXT NOT NULL,
+  parent_slug TEXT REFERENCES public.categories(slug) ON DELETE RESTRICT,
+  aliases     TEXT[] NOT NULL DEFAULT '{}',
+  sort_order  INT NOT NULL DEFAULT 0,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (parent_slug IS NULL OR parent_slug <> slug)
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent ON public.categories(parent_slug);
+
+DROP TRIGGER IF EXISTS set_categories_updated_at ON public.categories;
+CREATE TRIGGER set_categories_updated_at
+  BEFORE UPDATE ON public.categories
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- ── Seed tree ─────────────────────────────────────────────────────────────────
+INSERT INTO public.categories (slug, name, parent_slug, aliases, sort_order) VALUES
+  ('web',             'Web Apps',         NULL,     ARRAY['web', 'website', 'web app', 'webapp'], 10),
+  ('design',          'Design',           NULL,     ARRAY['graphic design', 'branding'], 20),
+  ('mobile',          'Mobile',           NULL,     ARRAY['mobile app', 'ios', 'android', 'react native'], 30),
+  ('backend',         'Backend',          NULL,     ARRAY['api', 'server', 'back end', 'back-end'], 40),
+  ('ai',              'AI',               NULL,     ARRAY['artificial intelligence', 'ml', 'machine learning'], 50),
+  ('web3',            'Web3',             NULL,     ARRAY['crypto', 'blockchain'], 60),
+  ('payments',        'Payments',         NULL,     ARRAY['payment', 'checkout', 'billing'], 70),
+  ('automation',      'Automation',       NULL,     ARRAY['bot', 'workflow', 'scripting'], 80)
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO public.categories (slug, name, parent_slug, aliases, sort_order) VALUES
+  ('landing-pages',   'Landing Pages',    'web',    ARRAY['landing page', 'marketing site'], 10),
+  ('saas',            'SaaS',             'web',    ARRAY['saas app', 'software as a service'], 20),
+  ('e-commerce',      'E-commerce',       'web',    ARRAY['ecommerce', 'online store', 'shop'], 30),
+  ('analytics',       'Analytics',        'web',    ARRAY['dashboard', 'data visualization', 'data viz'], 40),
+  ('ui-ux',           'UI/UX',            'design', ARRAY['ui', 'ux', 'ui design', 'ux design'], 10),
+  ('ai-apps',         'AI App',           'ai',     ARRAY['ai application', 'llm app', 'chatbot'], 10),
+  ('ai-agents',       'AI Agents',        'ai',     ARRAY['agent', 'autonomous agent'], 20),
+  ('dapps',           'dApps',            'web3',   ARRAY['dapp', 'decentralized app'], 10),
+  ('defi',            'DeFi',             'web3',   ARRAY['decentralized finance'], 20),
+  ('nft',             'NFT',              'web3',   ARRAY['nft minting', 'collectibles'], 30),
+  ('solana',          'Solana',           'web3',   ARRAY['sol'], 40),
+  ('smart-contracts', 'Smart Contracts',  'web3',   ARRAY['smart contract', 'solidity', 'anchor'], 50)
+ON CONFLICT (slug) DO NOTHING;
+
+-- ── Normalize existing values ─────────────────────────────────────────────────
+-- Same rules as normalizeCategories(): compare alphanumerics only, lower-cased, then
+-- retry without a trailing "s".
+CREATE OR REPLACE FUNCTION public.category_slug_for(p_term TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql STABLE AS $$
+DECLARE
+  v_key  TEXT := lower(regexp_replace(coalesce(p_term, ''), '[^a-zA-Z0-9]+', '', 'g'));
+  v_slug TEXT;
+BEGIN
+  IF v_key = '' THEN RETURN NULL; END IF;
+  FOR i IN 1..2 LOOP
+    SELECT c.slug INTO v_slug
+      FROM public.categories c
+      WHERE v_key IN (
+        SELECT lower(regexp_replace(t, '[^a-zA-Z0-9]+', '', 'g'))
+        FROM unnest(array_cat(ARRAY[c.slug, c.name], c.aliases)) AS t
+      )
+      ORDER BY c.sort_order, c.slug
+      LIMIT 1;
+    IF v_slug IS NOT NULL THEN RETURN v_slug; END IF;
+    EXIT WHEN right(v_key, 1) <> 's' OR length(v_key) <= 3;
+    v_key := left(v_key, -1);
+  END LOOP;
+  RETURN NULL;
+END;
+$$;
+
+UPDATE public.requests r
+  SET categories = ARRAY(
+    SELECT DISTINCT coalesce(public.category_slug_for(t), t) FROM unnest(r.categories) AS t
+  )
+  WHERE cardinality(r.categories) > 0;
+
+UPDATE public.agents a
+  SET specializations = ARRAY(
+    SELECT DISTINCT coalesce(public.category_slug_for(t), t) FROM unnest(a.specializations) AS t
+  )
+  WHERE cardinality(a.specializations) > 0;
+
+UPDATE public.sdk_agents a
+  SET specializations = ARRAY(
+    SELECT DISTINCT coalesce(public.category_slug_for(t), t) FROM unnest(a.specializations) AS t
+  )
+  WHERE cardinality(a.specializations) > 0;
+
+-- RLS: anyone may read the taxonomy; writes go through the admin API (service role)
+ALTER TABLE public.categories ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "categories public read"
+  ON public.categories
+  FOR SELECT USING (true);
@@ -0,0 +1,40 @@
+-- Migration 00041: Structured acceptance criteria
+-- Buyers attach a checklist to a request ("works on mobile", "exports CSV"…) instead of
+-- burying it in the description. Hiring copies it onto the build, where each item is:
+--   agent_status - pending | met | not_met, set by the agent when delivering (agent_note
+--                  explains how it is met or why not)
+--   buyer_status - pending | passed | failed, ticked by the buyer while reviewing the
+--                  delivery (buyer_note says what is missing); failed items reset to
+--                  pending when the agent re-delivers
+-- Revision requests, disputes and the autopilot build prompt read the build's checklist.
+
+-- Checklist on the request: ["criterion text", ...], editable while Draft or Open
+ALTER TABLE public.requests
+  ADD COLUMN IF NOT EXISTS acceptance_criteria JSONB NOT NULL DEFAULT '[]';
+
+CREATE TABLE IF NOT EXISTS public.build_acceptance_criteria (
+  id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  build_id          UUID NOT NULL REFERENCES public.builds(id) ON DELETE CASCADE,
+  position          INTEGER NOT NULL,           -- 1-based order from the request
+  text              TEXT NOT NULL,
+  agent_status      TEXT NOT NULL DEFAULT 'pending' CHECK (agent_status IN ('pending', 'met', 'not_met')),
+  agent_note        TEXT,
+  agent_marked_at   TIMESTAMPTZ,
+  buyer_status      TEXT NOT NULL DEFAULT 'pending' CHECK (buyer_status IN ('pending', 'passed', 'failed')),
+  buyer_note        TEXT,
+  buyer_reviewed_at TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (build_id, position)
+);
+
+DROP TRIGGER IF EXISTS set_build_acceptance_criteria_updated_at ON public.build_acceptance_criteria;
+CREATE TRIGGER set_build_acceptance_criteria_updated_at
+  BEFORE UPDATE ON public.build_acceptance_criteria
+  FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- RLS: service role only (routes check the buyer / assigned agent)
+ALTER TABLE public.build_acceptance_criteria ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "build_acceptance_criteria service role only"
+  ON public.build_acceptance_criteria
+  FOR ALL USING (false) WITH CHECK (false);
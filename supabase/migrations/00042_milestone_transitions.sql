@@ -0,0 +1,68 @@
+-- Migration 00042: Atomic milestone transitions
+-- Milestone routes read a milestone, checked the transition and then updated it by id, so
+-- two concurrent requests (deliver vs. dispute, a double-clicked revision) could both pass
+-- the check and the last write won, and the acting principal was only checked in the app
+-- (payout finalization not at all). transition_milestone() is the milestone counterpart of
+-- transition_build(): it locks the milestone, applies the change only if its status is still
+-- the one the caller read and the actor may make it, and appends the build_events entry in
+-- the same transaction.
+
+-- Errors: BT404 milestone not found, BT409 status changed since it was read,
+--         BT400 transition not allowed, BT403 not allowed for this actor.
+CREATE OR REPLACE FUNCTION public.transition_milestone(
+  p_milestone_id  UUID,
+  p_to            TEXT,
+  p_actor_type    TEXT,
+  p_actor_id      TEXT DEFAULT NULL,
+  p_expected_from TEXT DEFAULT NULL,
+  p_patch         JSONB DEFAULT '{}',
+  p_event_type    TEXT DEFAULT NULL,
+  p_notes         TEXT DEFAULT NULL,
+  p_tx_signature  TEXT DEFAULT NULL,
+  p_metadata      JSONB DEFAULT '{}'
+) RETURNS public.build_milestones LANGUAGE plpgsql AS $$
+DECLARE
+  v_milestone public.build_milestones;
+  v_from      TEXT;
+  v_patch     JSONB := COALESCE(p_patch, '{}') - 'id' - 'status' - 'build_id';
+  v_sets      TEXT;
+BEGIN
+  SELECT * INTO v_milestone FROM public.build_milestones WHERE id = p_milestone_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Milestone % not found', p_milestone_id USING ERRCODE = 'BT404';
+  END IF;
+  v_from := v_milestone.status;
+
+  IF v_from = p_to AND p_expected_from IS NULL THEN
+    RETURN v_milestone;
+  END IF;
+  IF p_expected_from IS NOT NULL AND v_from <> p_expected_from THEN
+    RAISE EXCEPTION 'Milestone status changed to ''%'' — reload and try again', v_from USING ERRCODE = 'BT409';
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to) THEN
+    RAISE EXCEPTION 'Cannot move milestone from ''%'' to ''%''', v_from, p_to USING ERRCODE = 'BT400';
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to, p_actor_type) THEN
+    RAISE EXCEPTION 'A % cannot move a milestone from ''%'' to ''%''', p_actor_type, v_from, p_to USING ERRCODE = 'BT403';
+  END IF;
+
+  IF v_patch <> '{}' THEN
+    SELECT string_agg(format('%I = r.%I', k, k), ', ') INTO v_sets FROM jsonb_object_keys(v_patch) AS k;
+    EXECUTE format(
+      'UPDATE public.build_milestones m SET %s FROM jsonb_populate_record(NULL::public.build_milestones, $1) r WHERE m.id = $2',
+      v_sets
+    ) USING v_patch, p_milestone_id;
+  END IF;
+  UPDATE public.build_milestones SET status = p_to WHERE id = p_milestone_id RETURNING * INTO v_milestone;
+
+  INSERT INTO public.build_events
+    (build_id, milestone_id, event_type, actor_type, actor_id, from_status, to_status, escrow_status,
+     tx_signature, notes, metadata)
+  VALUES
+    (v_milestone.build_id, p_milestone_id, COALESCE(p_event_type, 'milestone_' || p_to), p_actor_type, p_actor_id,
+     v_from, p_to, v_milestone.escrow_status, p_tx_signature, p_notes,
+     jsonb_build_object('milestone_title', v_milestone.title) || COALESCE(p_metadata, '{}'));
+
+  RETURN v_milestone;
+END;
+$$;
@@ -0,0 +1,14 @@
+-- Migration 00043: Milestone dispute resolution
+-- Milestone disputes were settled by a bare refund/release from the buyer or an admin.
+-- They now follow the build flow (00023): either party can escalate to arbitration, an
+-- admin can split the milestone escrow, and the resolution and its rationale are stored
+-- on the milestone.
+
+ALTER TABLE public.build_milestones
+  ADD COLUMN IF NOT EXISTS resolution                  TEXT CHECK (resolution IN ('refund', 'release', 'split')),
+  ADD COLUMN IF NOT EXISTS resolution_notes            TEXT,
+  ADD COLUMN IF NOT EXISTS resolution_agent_share_bps  INTEGER CHECK (resolution_agent_share_bps BETWEEN 0 AND 10000),
+  ADD COLUMN IF NOT EXISTS buyer_refund                NUMERIC(18, 6),
+  ADD COLUMN IF NOT EXISTS resolved_by                 TEXT,
+  ADD COLUMN IF NOT EXISTS resolved_at                 TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS arbitration_opened_at       TIMESTAMPTZ;
@@ -0,0 +1,17 @@
+-- Migration 00044: Milestone delivery deadlines
+-- The escrow-timeout service (00025) only cancelled single-payment hires, and only when the
+-- pitch's estimated_time could be parsed. Every hire now gets a delivery_due_at (the estimate,
+-- or ESCROW_DEFAULT_DELIVERY_HOURS), and a funded milestone that is not delivered by its
+-- due_date — or by the estimate counted from when it was funded — cancels the milestones not
+-- yet delivered and refunds their escrow.
+
+ALTER TABLE public.build_milestones
+  ADD COLUMN IF NOT EXISTS delivery_reminder_sent_at TIMESTAMPTZ;
+
+-- Open hires without a deadline get the default one, counted from now at the earliest
+UPDATE public.builds
+  SET delivery_due_at = GREATEST(created_at + INTERVAL '14 days', now())
+  WHERE delivery_due_at IS NULL AND status IN ('hired', 'building');
+
+CREATE INDEX IF NOT EXISTS idx_build_milestones_open_funded
+  ON public.build_milestones(build_id) WHERE status IN ('hired', 'building') AND escrow_status = 'locked';
@@ -0,0 +1,16 @@
+-- Migration 00045: Notification last activity
+-- Folding a notification into its group (00034) moved the group's created_at to the latest
+-- one, but created_at is the keyset cursor column of GET /api/notifications/:wallet: a group
+-- that moved jumped between pages, and clients paging with next_cursor saw it twice or not
+-- at all. created_at now stays when the row was created; last_activity_at is when it last
+-- took a notification, and is what retention counts from.
+
+ALTER TABLE public.notifications
+  ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+UPDATE public.notifications SET last_activity_at = created_at;
+
+DROP INDEX IF EXISTS public.idx_notifications_read_created;
+CREATE INDEX IF NOT EXISTS idx_notifications_read_last_activity
+  ON public.notifications(last_activity_at)
+  WHERE read = true;
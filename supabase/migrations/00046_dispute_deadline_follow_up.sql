@@ -0,0 +1,13 @@
+-- Migration 00046: Dispute response deadline follow-up
+-- Response deadlines (00024) were only stored and shown as response_overdue. The escrow-timeout
+-- service now reminds the party ESCROW_REMINDER_HOURS before the deadline and, once it passes
+-- without a reply, flags the dispute to the admins and writes an audit entry. Both stamps are
+-- cleared whenever the deadline is set, moved or cleared.
+
+ALTER TABLE public.builds
+  ADD COLUMN IF NOT EXISTS dispute_response_reminder_sent_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS dispute_response_overdue_at       TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_builds_dispute_response_deadline
+  ON public.builds(dispute_response_deadline)
+  WHERE dispute_response_deadline IS NOT NULL AND dispute_response_overdue_at IS NULL;
@@ -0,0 +1,147 @@
+-- Migration 00047: Transition guards for builds and milestones claimed by the escrow timeouts
+-- The escrow-timeout service claims a build or milestone (resolved_by = 'system:escrow-timeout')
+-- before releasing or refunding it, but only the cancel and dispute routes looked at the claim.
+-- A delivery, acceptance or revision request could still land while the automatic payout was in
+-- flight, leaving the payout unable to apply its transition and the escrow open to a second
+-- transfer. transition_build() and transition_milestone() now refuse every non-platform actor
+-- while the claim is held.
+
+-- ── Build transitions (00027) ─────────────────────────────────────────────────
+-- Errors: BT404 build not found, BT409 status changed since it was read or the build is
+--         claimed by the escrow timeouts, BT400 transition not allowed,
+--         BT403 not allowed for this actor.
+CREATE OR REPLACE FUNCTION public.transition_build(
+  p_build_id      UUID,
+  p_to            TEXT,
+  p_actor_type    TEXT,
+  p_actor_id      TEXT DEFAULT NULL,
+  p_expected_from TEXT DEFAULT NULL,
+  p_build_patch   JSONB DEFAULT '{}',
+  p_request_patch JSONB DEFAULT '{}',
+  p_event_type    TEXT DEFAULT NULL,
+  p_notes         TEXT DEFAULT NULL,
+  p_tx_signature  TEXT DEFAULT NULL,
+  p_metadata      JSONB DEFAULT '{}'
+) RETURNS public.builds LANGUAGE plpgsql AS $$
+DECLARE
+  v_build public.builds;
+  v_from  TEXT;
+  v_patch JSONB := COALESCE(p_build_patch, '{}') - 'id' - 'status' - 'request_id';
+  v_req   JSONB := COALESCE(p_request_patch, '{}') - 'id';
+  v_sets  TEXT;
+BEGIN
+  SELECT * INTO v_build FROM public.builds WHERE id = p_build_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Build % not found', p_build_id USING ERRCODE = 'BT404';
+  END IF;
+  v_from := v_build.status;
+
+  IF v_from = p_to AND p_expected_from IS NULL THEN
+    RETURN v_build;
+  END IF;
+  IF p_expected_from IS NOT NULL AND v_from <> p_expected_from THEN
+    RAISE EXCEPTION 'Build status changed to ''%'' — reload and try again', v_from USING ERRCODE = 'BT409';
+  END IF;
+  IF v_build.resolved_by = 'system:escrow-timeout'
+     AND public.build_transition_actor(p_actor_type) IS DISTINCT FROM 'platform' THEN
+    RAISE EXCEPTION 'Its deadline passed and the escrow is already being settled automatically' USING ERRCODE = 'BT409';
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to) THEN
+    RAISE EXCEPTION 'Cannot move build from ''%'' to ''%''', v_from, p_to USING ERRCODE = 'BT400';
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to, p_actor_type) THEN
+    RAISE EXCEPTION 'A % cannot move a build from ''%'' to ''%''', p_actor_type, v_from, p_to USING ERRCODE = 'BT403';
+  END IF;
+
+  IF v_patch <> '{}' THEN
+    SELECT string_agg(format('%I = r.%I', k, k), ', ') INTO v_sets FROM jsonb_object_keys(v_patch) AS k;
+    EXECUTE format(
+      'UPDATE public.builds b SET %s FROM jsonb_populate_record(NULL::public.builds, $1) r WHERE b.id = $2',
+      v_sets
+    ) USING v_patch, p_build_id;
+  END IF;
+  UPDATE public.builds SET status = p_to WHERE id = p_build_id RETURNING * INTO v_build;
+
+  IF v_req <> '{}' THEN
+    SELECT string_agg(format('%I = r.%I', k, k), ', ') INTO v_sets FROM jsonb_object_keys(v_req) AS k;
+    EXECUTE format(
+      'UPDATE public.requests q SET %s FROM jsonb_populate_record(NULL::public.requests, $1) r WHERE q.id = $2',
+      v_sets
+    ) USING v_req, v_build.request_id;
+  END IF;
+
+  INSERT INTO public.build_events
+    (build_id, event_type, actor_type, actor_id, from_status, to_status, escrow_status, tx_signature, notes, metadata)
+  VALUES
+    (p_build_id, COALESCE(p_event_type, p_to), p_actor_type, p_actor_id, v_from, p_to,
+     v_build.escrow_status, p_tx_signature, p_notes, COALESCE(p_metadata, '{}'));
+
+  RETURN v_build;
+END;
+$$;
+
+-- ── Milestone transitions (00042) ─────────────────────────────────────────────
+-- Errors: BT404 milestone not found, BT409 status changed since it was read or the milestone
+--         is claimed by the escrow timeouts, BT400 transition not allowed,
+--         BT403 not allowed for this actor.
+CREATE OR REPLACE FUNCTION public.transition_milestone(
+  p_milestone_id  UUID,
+  p_to            TEXT,
+  p_actor_type    TEXT,
+  p_actor_id      TEXT DEFAULT NULL,
+  p_expected_from TEXT DEFAULT NULL,
+  p_patch         JSONB DEFAULT '{}',
+  p_event_type    TEXT DEFAULT NULL,
+  p_notes         TEXT DEFAULT NULL,
+  p_tx_signature  TEXT DEFAULT NULL,
+  p_metadata      JSONB DEFAULT '{}'
+) RETURNS public.build_milestones LANGUAGE plpgsql AS $$
+DECLARE
+  v_milestone public.build_milestones;
+  v_from      TEXT;
+  v_patch     JSONB := COALESCE(p_patch, '{}') - 'id' - 'status' - 'build_id';
+  v_sets      TEXT;
+BEGIN
+  SELECT * INTO v_milestone FROM public.build_milestones WHERE id = p_milestone_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Milestone % not found', p_milestone_id USING ERRCODE = 'BT404';
+  END IF;
+  v_from := v_milestone.status;
+
+  IF v_from = p_to AND p_expected_from IS NULL THEN
+    RETURN v_milestone;
+  END IF;
+  IF p_expected_from IS NOT NULL AND v_from <> p_expected_from THEN
+    RAISE EXCEPTION 'Milestone status changed to ''%'' — reload and try again', v_from USING ERRCODE = 'BT409';
+  END IF;
+  IF v_milestone.resolved_by = 'system:escrow-timeout'
+     AND public.build_transition_actor(p_actor_type) IS DISTINCT FROM 'platform' THEN
+    RAISE EXCEPTION 'Its deadline passed and the escrow is already being settled automatically' USING ERRCODE = 'BT409';
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to) THEN
+    RAISE EXCEPTION 'Cannot move milestone from ''%'' to ''%''', v_from, p_to USING ERRCODE = 'BT400';
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to, p_actor_type) THEN
+    RAISE EXCEPTION 'A % cannot move a milestone from ''%'' to ''%''', p_actor_type, v_from, p_to USING ERRCODE = 'BT403';
+  END IF;
+
+  IF v_patch <> '{}' THEN
+    SELECT string_agg(format('%I = r.%I', k, k), ', ') INTO v_sets FROM jsonb_object_keys(v_patch) AS k;
+    EXECUTE format(
+      'UPDATE public.build_milestones m SET %s FROM jsonb_populate_record(NULL::public.build_milestones, $1) r WHERE m.id = $2',
+      v_sets
+    ) USING v_patch, p_milestone_id;
+  END IF;
+  UPDATE public.build_milestones SET status = p_to WHERE id = p_milestone_id RETURNING * INTO v_milestone;
+
+  INSERT INTO public.build_events
+    (build_id, milestone_id, event_type, actor_type, actor_id, from_status, to_status, escrow_status,
+     tx_signature, notes, metadata)
+  VALUES
+    (v_milestone.build_id, p_milestone_id, COALESCE(p_event_type, 'milestone_' || p_to), p_actor_type, p_actor_id,
+     v_from, p_to, v_milestone.escrow_status, p_tx_signature, p_notes,
+     jsonb_build_object('milestone_title', v_milestone.title) || COALESCE(p_metadata, '{}'));
+
+  RETURN v_milestone;
+END;
+$$;
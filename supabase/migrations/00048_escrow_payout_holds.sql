@@ -0,0 +1,273 @@
+-- Migration 00048: Reserve a payout's status change when its transfer intent is written
+-- A transfer intent recorded the build (or milestone) patch to apply once the money landed,
+-- but nothing checked that patch until then: finalization applied it with no expected status,
+-- so a build that moved in the meantime was paid out and then failed its transition, leaving
+-- the ledger and the build disagreeing and the reconciler retrying forever.
+--
+-- record_escrow_transfer() now writes the intent and, in the same transaction, checks the
+-- transition for the payout's actor against the status the caller read and puts a hold on the
+-- build or milestone (pending_payout = the transfer's idempotency key, or its split group).
+-- transition_build() / transition_milestone() refuse every other transition while the hold is
+-- set; the ledger applies the reserved one with p_transfer_key, which clears it. A transfer that
+-- fails on-chain sends nothing, so the ledger releases its hold.
+
+ALTER TABLE public.builds
+  ADD COLUMN IF NOT EXISTS pending_payout TEXT; -- hold of the in-flight payout (see above)
+
+ALTER TABLE public.build_milestones
+  ADD COLUMN IF NOT EXISTS pending_payout TEXT;
+
+ALTER TABLE public.escrow_transfers
+  ADD COLUMN IF NOT EXISTS from_status TEXT; -- target status when the intent was written
+
+-- ── Intent + hold ─────────────────────────────────────────────────────────────
+-- p_transfer: the escrow_transfers columns (build_id, milestone_id, split_group, direction,
+-- idempotency_key, recipient_wallet, amount, agent_payout, platform_fee, build_update,
+-- request_update, milestone_update, actor_type, actor_id). The transition checked is to the
+-- status in milestone_update (milestone transfers) or build_update.
+-- Returns the existing row when the idempotency key was already recorded.
+-- Errors: BT404 build or milestone not found, BT409 status changed since it was read, another
+--         payout holds it or it is claimed by the escrow timeouts, BT400 transition not
+--         allowed, BT403 not allowed for this actor.
+CREATE OR REPLACE FUNCTION public.record_escrow_transfer(
+  p_transfer      JSONB,
+  p_expected_from TEXT DEFAULT NULL
+) RETURNS public.escrow_transfers LANGUAGE plpgsql AS $$
+DECLARE
+  v_row       public.escrow_transfers;
+  v_milestone UUID := (p_transfer->>'milestone_id')::UUID;
+  v_hold      TEXT := COALESCE(p_transfer->>'split_group', p_transfer->>'idempotency_key');
+  v_actor     TEXT := COALESCE(p_transfer->>'actor_type', 'system');
+  v_to        TEXT;
+  v_status    TEXT;
+  v_pending   TEXT;
+  v_claim     TEXT;
+BEGIN
+  SELECT * INTO v_row FROM public.escrow_transfers WHERE idempotency_key = p_transfer->>'idempotency_key';
+  IF FOUND THEN
+    RETURN v_row;
+  END IF;
+
+  IF v_milestone IS NOT NULL THEN
+    v_to := p_transfer->'milestone_update'->>'status';
+    SELECT status, pending_payout, resolved_by INTO v_status, v_pending, v_claim
+      FROM public.build_milestones WHERE id = v_milestone FOR UPDATE;
+  ELSE
+    v_to := p_transfer->'build_update'->>'status';
+    SELECT status, pending_payout, resolved_by INTO v_status, v_pending, v_claim
+      FROM public.builds WHERE id = (p_transfer->>'build_id')::UUID FOR UPDATE;
+  END IF;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payout target not found' USING ERRCODE = 'BT404';
+  END IF;
+
+  -- The second leg of a split finds the hold its first leg put down
+  IF v_pending IS DISTINCT FROM v_hold THEN
+    IF v_pending IS NOT NULL THEN
+      RAISE EXCEPTION 'Another payout is already in progress — try again once it settles' USING ERRCODE = 'BT409';
+    END IF;
+    IF p_expected_from IS NOT NULL AND v_status <> p_expected_from THEN
+      RAISE EXCEPTION 'Status changed to ''%'' — reload and try again', v_status USING ERRCODE = 'BT409';
+    END IF;
+    IF v_claim = 'system:escrow-timeout' AND public.build_transition_actor(v_actor) IS DISTINCT FROM 'platform' THEN
+      RAISE EXCEPTION 'Its deadline passed and the escrow is already being settled automatically' USING ERRCODE = 'BT409';
+    END IF;
+    IF v_to IS NOT NULL THEN
+      IF NOT public.validate_build_transition(v_status, v_to) THEN
+        RAISE EXCEPTION 'Cannot move from ''%'' to ''%''', v_status, v_to USING ERRCODE = 'BT400';
+      END IF;
+      IF NOT public.validate_build_transition(v_status, v_to, v_actor) THEN
+        RAISE EXCEPTION 'A % cannot move from ''%'' to ''%''', v_actor, v_status, v_to USING ERRCODE = 'BT403';
+      END IF;
+    END IF;
+
+    IF v_milestone IS NOT NULL THEN
+      UPDATE public.build_milestones SET pending_payout = v_hold WHERE id = v_milestone;
+    ELSE
+      UPDATE public.builds SET pending_payout = v_hold WHERE id = (p_transfer->>'build_id')::UUID;
+    END IF;
+  END IF;
+
+  INSERT INTO public.escrow_transfers
+    (build_id, milestone_id, split_group, direction, idempotency_key, recipient_wallet, amount,
+     agent_payout, platform_fee, build_update, request_update, milestone_update, actor_type, actor_id,
+     from_status)
+  VALUES
+    ((p_transfer->>'build_id')::UUID, v_milestone, p_transfer->>'split_group', p_transfer->>'direction',
+     p_transfer->>'idempotency_key', p_transfer->>'recipient_wallet', (p_transfer->>'amount')::NUMERIC,
+     (p_transfer->>'agent_payout')::NUMERIC, (p_transfer->>'platform_fee')::NUMERIC,
+     COALESCE(p_transfer->'build_update', '{}'), COALESCE(p_transfer->'request_update', '{}'),
+     COALESCE(p_transfer->'milestone_update', '{}'), v_actor, p_transfer->>'actor_id', v_status)
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+-- ── Build transitions (00047) ─────────────────────────────────────────────────
+-- p_transfer_key: the hold this transition settles (payout ledger only). Re-applying a
+-- settled payout's transition is a no-op.
+-- Errors: BT404 build not found, BT409 status changed since it was read, a payout holds the
+--         build or it is claimed by the escrow timeouts, BT400 transition not allowed,
+--         BT403 not allowed for this actor.
+DROP FUNCTION IF EXISTS public.transition_build(UUID, TEXT, TEXT, TEXT, TEXT, JSONB, JSONB, TEXT, TEXT, TEXT, JSONB);
+CREATE OR REPLACE FUNCTION public.transition_build(
+  p_build_id      UUID,
+  p_to            TEXT,
+  p_actor_type    TEXT,
+  p_actor_id      TEXT DEFAULT NULL,
+  p_expected_from TEXT DEFAULT NULL,
+  p_build_patch   JSONB DEFAULT '{}',
+  p_request_patch JSONB DEFAULT '{}',
+  p_event_type    TEXT DEFAULT NULL,
+  p_notes         TEXT DEFAULT NULL,
+  p_tx_signature  TEXT DEFAULT NULL,
+  p_metadata      JSONB DEFAULT '{}',
+  p_transfer_key  TEXT DEFAULT NULL
+) RETURNS public.builds LANGUAGE plpgsql AS $$
+DECLARE
+  v_build public.builds;
+  v_from  TEXT;
+  v_held  BOOLEAN;
+  v_patch JSONB := COALESCE(p_build_patch, '{}') - 'id' - 'status' - 'request_id' - 'pending_payout';
+  v_req   JSONB := COALESCE(p_request_patch, '{}') - 'id';
+  v_sets  TEXT;
+BEGIN
+  SELECT * INTO v_build FROM public.builds WHERE id = p_build_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Build % not found', p_build_id USING ERRCODE = 'BT404';
+  END IF;
+  v_from := v_build.status;
+  v_held := p_transfer_key IS NOT NULL AND v_build.pending_payout IS NOT DISTINCT FROM p_transfer_key;
+
+  IF p_transfer_key IS NOT NULL AND NOT v_held AND v_from = p_to THEN
+    RETURN v_build;
+  END IF;
+  IF v_from = p_to AND p_expected_from IS NULL THEN
+    RETURN v_build;
+  END IF;
+  IF p_expected_from IS NOT NULL AND v_from <> p_expected_from THEN
+    RAISE EXCEPTION 'Build status changed to ''%'' — reload and try again', v_from USING ERRCODE = 'BT409';
+  END IF;
+  IF NOT v_held THEN
+    IF v_build.pending_payout IS NOT NULL THEN
+      RAISE EXCEPTION 'A payout on this build is in progress — try again once it settles' USING ERRCODE = 'BT409';
+    END IF;
+    IF v_build.resolved_by = 'system:escrow-timeout'
+       AND public.build_transition_actor(p_actor_type) IS DISTINCT FROM 'platform' THEN
+      RAISE EXCEPTION 'Its deadline passed and the escrow is already being settled automatically' USING ERRCODE = 'BT409';
+    END IF;
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to) THEN
+    RAISE EXCEPTION 'Cannot move build from ''%'' to ''%''', v_from, p_to USING ERRCODE = 'BT400';
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to, p_actor_type) THEN
+    RAISE EXCEPTION 'A % cannot move a build from ''%'' to ''%''', p_actor_type, v_from, p_to USING ERRCODE = 'BT403';
+  END IF;
+
+  IF v_patch <> '{}' THEN
+    SELECT string_agg(format('%I = r.%I', k, k), ', ') INTO v_sets FROM jsonb_object_keys(v_patch) AS k;
+    EXECUTE format(
+      'UPDATE public.builds b SET %s FROM jsonb_populate_record(NULL::public.builds, $1) r WHERE b.id = $2',
+      v_sets
+    ) USING v_patch, p_build_id;
+  END IF;
+  UPDATE public.builds SET status = p_to, pending_payout = NULL WHERE id = p_build_id RETURNING * INTO v_build;
+
+  IF v_req <> '{}' THEN
+    SELECT string_agg(format('%I = r.%I', k, k), ', ') INTO v_sets FROM jsonb_object_keys(v_req) AS k;
+    EXECUTE format(
+      'UPDATE public.requests q SET %s FROM jsonb_populate_record(NULL::public.requests, $1) r WHERE q.id = $2',
+      v_sets
+    ) USING v_req, v_build.request_id;
+  END IF;
+
+  INSERT INTO public.build_events
+    (build_id, event_type, actor_type, actor_id, from_status, to_status, escrow_status, tx_signature, notes, metadata)
+  VALUES
+    (p_build_id, COALESCE(p_event_type, p_to), p_actor_type, p_actor_id, v_from, p_to,
+     v_build.escrow_status, p_tx_signature, p_notes, COALESCE(p_metadata, '{}'));
+
+  RETURN v_build;
+END;
+$$;
+
+-- ── Milestone transitions (00047) ─────────────────────────────────────────────
+-- p_transfer_key as for transition_build().
+-- Errors: BT404 milestone not found, BT409 status changed since it was read, a payout holds
+--         the milestone or it is claimed by the escrow timeouts, BT400 transition not allowed,
+--         BT403 not allowed for this actor.
+DROP FUNCTION IF EXISTS public.transition_milestone(UUID, TEXT, TEXT, TEXT, TEXT, JSONB, TEXT, TEXT, TEXT, JSONB);
+CREATE OR REPLACE FUNCTION public.transition_milestone(
+  p_milestone_id  UUID,
+  p_to            TEXT,
+  p_actor_type    TEXT,
+  p_actor_id      TEXT DEFAULT NULL,
+  p_expected_from TEXT DEFAULT NULL,
+  p_patch         JSONB DEFAULT '{}',
+  p_event_type    TEXT DEFAULT NULL,
+  p_notes         TEXT DEFAULT NULL,
+  p_tx_signature  TEXT DEFAULT NULL,
+  p_metadata      JSONB DEFAULT '{}',
+  p_transfer_key  TEXT DEFAULT NULL
+) RETURNS public.build_milestones LANGUAGE plpgsql AS $$
+DECLARE
+  v_milestone public.build_milestones;
+  v_from      TEXT;
+  v_held      BOOLEAN;
+  v_patch     JSONB := COALESCE(p_patch, '{}') - 'id' - 'status' - 'build_id' - 'pending_payout';
+  v_sets      TEXT;
+BEGIN
+  SELECT * INTO v_milestone FROM public.build_milestones WHERE id = p_milestone_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Milestone % not found', p_milestone_id USING ERRCODE = 'BT404';
+  END IF;
+  v_from := v_milestone.status;
+  v_held := p_transfer_key IS NOT NULL AND v_milestone.pending_payout IS NOT DISTINCT FROM p_transfer_key;
+
+  IF p_transfer_key IS NOT NULL AND NOT v_held AND v_from = p_to THEN
+    RETURN v_milestone;
+  END IF;
+  IF v_from = p_to AND p_expected_from IS NULL THEN
+    RETURN v_milestone;
+  END IF;
+  IF p_expected_from IS NOT NULL AND v_from <> p_expected_from THEN
+    RAISE EXCEPTION 'Milestone status changed to ''%'' — reload and try again', v_from USING ERRCODE = 'BT409';
+  END IF;
+  IF NOT v_held THEN
+    IF v_milestone.pending_payout IS NOT NULL THEN
+      RAISE EXCEPTION 'A payout on this milestone is in progress — try again once it settles' USING ERRCODE = 'BT409';
+    END IF;
+    IF v_milestone.resolved_by = 'system:escrow-timeout'
+       AND public.build_transition_actor(p_actor_type) IS DISTINCT FROM 'platform' THEN
+      RAISE EXCEPTION 'Its deadline passed and the escrow is already being settled automatically' USING ERRCODE = 'BT409';
+    END IF;
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to) THEN
+    RAISE EXCEPTION 'Cannot move milestone from ''%'' to ''%''', v_from, p_to USING ERRCODE = 'BT400';
+  END IF;
+  IF NOT public.validate_build_transition(v_from, p_to, p_actor_type) THEN
+    RAISE EXCEPTION 'A % cannot move a milestone from ''%'' to ''%''', p_actor_type, v_from, p_to USING ERRCODE = 'BT403';
+  END IF;
+
+  IF v_patch <> '{}' THEN
+    SELECT string_agg(format('%I = r.%I', k, k), ', ') INTO v_sets FROM jsonb_object_keys(v_patch) AS k;
+    EXECUTE format(
+      'UPDATE public.build_milestones m SET %s FROM jsonb_populate_record(NULL::public.build_milestones, $1) r WHERE m.id = $2',
+      v_sets
+    ) USING v_patch, p_milestone_id;
+  END IF;
+  UPDATE public.build_milestones SET status = p_to, pending_payout = NULL
+    WHERE id = p_milestone_id RETURNING * INTO v_milestone;
+
+  INSERT INTO public.build_events
+    (build_id, milestone_id, event_type, actor_type, actor_id, from_status, to_status, escrow_status,
+     tx_signature, notes, metadata)
+  VALUES
+    (v_milestone.build_id, p_milestone_id, COALESCE(p_event_type, 'milestone_' || p_to), p_actor_type, p_actor_id,
+     v_from, p_to, v_milestone.escrow_status, p_tx_signature, p_notes,
+     jsonb_build_object('milestone_title', v_milestone.title) || COALESCE(p_metadata, '{}'));
+
+  RETURN v_milestone;
+END;
+$$;
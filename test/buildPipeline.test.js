@@ -0,0 +1,29 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attachedFiles } from '../src/services/buildPipeline.js';
+
+const textFile = (filename, kb) => ({
+  filename,
+  contentType: 'text/plain',
+  size: kb * 1024,
+  content: 'x'.repeat(kb * 1024),
+});
+
+describe('attachedFiles', () => {
+  test('inlines text files until the prompt budget is spent and lists the rest by name', () => {
+    const section = attachedFiles([
+      textFile('brief.txt', 100),
+      textFile('copy.txt', 90),
+      textFile('menu.txt', 20),
+      textFile('notes.txt', 10),
+      { filename: 'logo.png', contentType: 'image/png', size: 5000, content: null },
+    ]);
+
+    assert.ok(section.includes('### brief.txt\n```'));
+    assert.ok(section.includes('### copy.txt\n```'));
+    assert.ok(section.includes('### menu.txt\n(text/plain, 20480 bytes — not included, the attached files are too long to inline)'));
+    assert.ok(section.includes('### notes.txt\n```'));
+    assert.ok(section.includes('### logo.png\n(image/png, 5000 bytes — not included)'));
+    assert.ok(Buffer.byteLength(section) < 210 * 1024);
+  });
+});
@@ -0,0 +1,249 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { table } from './support/fakeSupabase.js';
+import { admin, agentOwner, buyer, seedMarketplace } from './support/fixtures.js';
+import { startServer } from './support/server.js';
+import { devEscrowEnabled, getEscrowProvider, setEscrowProvider } from '../src/lib/escrow.js';
+import { createMemoryEscrowProvider } from '../src/lib/memoryEscrow.js';
+import { reconcileEscrowTransfers, refundEscrowToBuyer } from '../src/services/escrowPayouts.js';
+import { hireRouter } from '../src/routes/hire.js';
+import { devEscrowRouter } from '../src/routes/devEscrow.js';
+
+let api;
+let escrow;
+let seeded;
+
+before(async () => {
+  api = await startServer({ '/api/hire': hireRouter, '/api/dev/escrow': devEscrowRouter });
+});
+
+after(async () => {
+  await api.close();
+  setEscrowProvider(null);
+});
+
+beforeEach(() => {
+  seeded = seedMarketplace();
+  escrow = createMemoryEscrowProvider({ seed: 'escrow-flow' });
+  setEscrowProvider(escrow);
+});
+
+async function deposit(amount, body = {}) {
+  const res = await api.call('POST', '/api/dev/escrow/deposit', { user: buyer, body: { amount, ...body } });
+  assert.equal(res.status, 201);
+  return res.body.txSignature;
+}
+
+async function hire(txSignature) {
+  return api.call('POST', '/api/hire', {
+    user: buyer,
+    body: { requestId: seeded.request.id, pitchId: seeded.pitch.id, txSignature },
+  });
+}
+
+async function hireAndDeliver() {
+  const hired = await hire(await deposit(100));
+  assert.equal(hired.status, 201);
+  const delivered = await api.call('POST', `/api/hire/${hired.body.id}/deliver`, {
+    user: agentOwner,
+    body: { delivery_url: 'https://example.com/app' },
+  });
+  assert.equal(delivered.status, 200);
+  assert.equal(delivered.body.status, 'delivered');
+  return hired.body.id;
+}
+
+function requestRow() {
+  return table('requests').find((r) => r.id === seeded.request.id);
+}
+
+describe('dev escrow routes', () => {
+  test('deposit returns a signature the hire route verifies', async () => {
+    const txSignature = await deposit(100);
+    const res = await hire(txSignature);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.status, 'hired');
+    assert.equal(res.body.escrow_status, 'locked');
+    assert.equal(res.body.deposit_tx_signature, txSignature);
+    assert.equal(await escrow.getBalance(), 100);
+    assert.equal(requestRow().status, 'In Progress');
+  });
+
+  test('hire rejects reverted and short deposits', async () => {
+    const reverted = await hire(await deposit(100, { failed: true }));
+    assert.equal(reverted.status, 400);
+    assert.match(reverted.body.message, /failed on-chain/);
+
+    const short = await hire(await deposit(40));
+    assert.equal(short.status, 400);
+    assert.match(short.body.message, /less than required 100 USDC/);
+    assert.equal(table('builds').length, 0);
+  });
+
+  test('hire loses to a request that expired after it was read', async () => {
+    const txSignature = await deposit(100);
+    // The expiry sweep lands while the deposit is being verified
+    setEscrowProvider({
+      ...escrow,
+      verifyDeposit: async (...args) => {
+        requestRow().status = 'Expired';
+        return escrow.verifyDeposit(...args);
+      },
+    });
+    try {
+      const res = await hire(txSignature);
+      assert.equal(res.status, 409);
+    } finally {
+      setEscrowProvider(escrow);
+    }
+    assert.equal(requestRow().status, 'Expired');
+    assert.equal(table('builds').length, 0);
+  });
+
+  test('are disabled in production and for other providers', async () => {
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      assert.equal(devEscrowEnabled(), false);
+      const res = await api.call('POST', '/api/dev/escrow/deposit', { user: buyer, body: { amount: 10 } });
+      assert.equal(res.status, 404);
+
+      setEscrowProvider(null);
+      assert.throws(() => getEscrowProvider(), /cannot be used in production/);
+    } finally {
+      process.env.NODE_ENV = previous;
+      setEscrowProvider(escrow);
+    }
+
+    setEscrowProvider({ ...escrow, name: 'solana' });
+    const res = await api.call('POST', '/api/dev/escrow/deposit', { user: buyer, body: { amount: 10 } });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('hire → deliver → settle against the memory escrow', () => {
+  test('accept releases 98% to the agent and keeps the fee in escrow', async () => {
+    const buildId = await hireAndDeliver();
+
+    const res = await api.call('POST', `/api/hire/${buildId}/accept`, { user: buyer });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'accepted');
+    assert.equal(res.body.escrow_status, 'released');
+    assert.equal(res.body.agent_payout, 98);
+    assert.equal(escrow.balanceOf(agentOwner.wallet_address), 98);
+    assert.equal(await escrow.getBalance(), 2);
+    assert.equal(requestRow().status, 'Completed');
+  });
+
+  test('cancel refunds the full deposit and reopens the request', async () => {
+    const hired = await hire(await deposit(100));
+
+    const res = await api.call('POST', `/api/hire/${hired.body.id}/cancel`, { user: buyer });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'cancelled');
+    assert.equal(res.body.escrow_status, 'refunded');
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 100);
+    assert.equal(await escrow.getBalance(), 0);
+    assert.equal(requestRow().status, 'Open');
+  });
+
+  test('a disputed delivery split by an admin pays both parties', async () => {
+    const buildId = await hireAndDeliver();
+
+    const disputed = await api.call('POST', `/api/hire/${buildId}/dispute`, {
+      user: buyer,
+      body: { reason: 'Half the pages are missing' },
+    });
+    assert.equal(disputed.status, 200);
+    assert.equal(disputed.body.escrow_status, 'disputed_hold');
+
+    const blocked = await api.call('POST', `/api/hire/${buildId}/accept`, { user: buyer });
+    assert.equal(blocked.status, 400);
+
+    const res = await api.call('POST', `/api/hire/${buildId}/resolve-dispute`, {
+      user: admin,
+      body: { resolution: 'split', agent_share_pct: 50, notes: 'Half of the scope was delivered' },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'accepted');
+    assert.equal(escrow.balanceOf(agentOwner.wallet_address), 49);
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 50);
+    assert.equal(await escrow.getBalance(), 1);
+  });
+
+  test('the buyer can settle their own dispute with a refund', async () => {
+    const buildId = await hireAndDeliver();
+    await api.call('POST', `/api/hire/${buildId}/dispute`, { user: buyer, body: { reason: 'Not what I asked for' } });
+
+    const res = await api.call('POST', `/api/hire/${buildId}/resolve-dispute`, {
+      user: buyer,
+      body: { resolution: 'refund' },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'refunded');
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 100);
+    assert.equal(escrow.balanceOf(agentOwner.wallet_address), 0);
+  });
+
+  test('a payout that fails to broadcast is finished by the reconciler', async () => {
+    const buildId = await hireAndDeliver();
+    await api.call('POST', '/api/dev/escrow/fail-next', {
+      user: buyer,
+      body: { operation: 'submitTransfer', message: 'RPC node unavailable' },
+    });
+
+    const res = await api.call('POST', `/api/hire/${buildId}/accept`, { user: buyer });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.status, 'delivered');
+    assert.equal(escrow.balanceOf(agentOwner.wallet_address), 0);
+
+    await reconcileEscrowTransfers();
+
+    const build = table('builds').find((b) => b.id === buildId);
+    assert.equal(build.status, 'accepted');
+    assert.equal(escrow.balanceOf(agentOwner.wallet_address), 98);
+    assert.equal(table('escrow_transfers').filter((t) => t.direction === 'release').length, 1);
+  });
+
+  test('a payout in flight holds the build until it lands', async () => {
+    seeded.request.acceptance_criteria = ['Works on mobile'];
+    const buildId = await hireAndDeliver();
+    escrow.failNext('submitTransfer', 'RPC node unavailable');
+    const accepted = await api.call('POST', `/api/hire/${buildId}/accept`, { user: buyer });
+    assert.equal(accepted.status, 202);
+
+    const [criterion] = table('build_acceptance_criteria');
+    const review = [{ id: criterion.id, status: 'failed', note: 'Menu overlaps on phones' }];
+    const disputed = await api.call('POST', `/api/hire/${buildId}/dispute`, {
+      user: buyer,
+      body: { reason: 'Changed my mind', criteria: review },
+    });
+    assert.equal(disputed.status, 409);
+    const revised = await api.call('POST', `/api/hire/${buildId}/request-revision`, { user: buyer, body: { criteria: review } });
+    assert.equal(revised.status, 409);
+    const build = table('builds').find((b) => b.id === buildId);
+    assert.equal(build.status, 'delivered');
+    assert.equal(criterion.buyer_status, 'pending');
+
+    await reconcileEscrowTransfers();
+    assert.deepEqual([build.status, build.escrow_status, build.pending_payout], ['accepted', 'released', null]);
+    assert.equal(escrow.balanceOf(agentOwner.wallet_address), 98);
+  });
+
+  test('a payout is refused before sending when the build moved since it was read', async () => {
+    const buildId = await hireAndDeliver();
+    const stale = { ...table('builds').find((b) => b.id === buildId), status: 'hired' };
+
+    await assert.rejects(
+      refundEscrowToBuyer({ build: stale, buyerWallet: buyer.wallet_address, actor: { type: 'requester', id: buyer.id } }),
+      { status: 409 },
+    );
+    assert.equal(table('escrow_transfers').length, 0);
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 0);
+  });
+});
@@ -0,0 +1,284 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { table } from './support/fakeSupabase.js';
+import { admin, agentOwner, buyer, seedMarketplace, seedSdkAgent } from './support/fixtures.js';
+import { startServer } from './support/server.js';
+import { setEscrowProvider } from '../src/lib/escrow.js';
+import { createMemoryEscrowProvider } from '../src/lib/memoryEscrow.js';
+import { runEscrowTimeouts } from '../src/services/escrowTimeouts.js';
+import { transitionBuild } from '../src/services/buildTransitions.js';
+import { adminRouter } from '../src/routes/admin.js';
+import { hireRouter } from '../src/routes/hire.js';
+import { sdkRouter } from '../src/routes/sdk.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MILESTONES = [
+  { title: 'Design', amount: 40, due_date: null },
+  { title: 'Build', amount: 60, due_date: null },
+];
+
+let api;
+let escrow;
+let seeded;
+
+before(async () => {
+  api = await startServer({ '/api/hire': hireRouter, '/api/admin': adminRouter, '/api/sdk': sdkRouter });
+});
+
+after(async () => {
+  await api.close();
+  setEscrowProvider(null);
+});
+
+function setup(pitch) {
+  seeded = seedMarketplace({ pitch });
+  escrow = createMemoryEscrowProvider({ seed: 'timeouts' });
+  setEscrowProvider(escrow);
+}
+
+async function hire({ fundingMode, amount = 100 } = {}) {
+  const txSignature = escrow.simulateDeposit(buyer.wallet_address, amount);
+  const res = await api.call('POST', '/api/hire', {
+    user: buyer,
+    body: { requestId: seeded.request.id, pitchId: seeded.pitch.id, txSignature, fundingMode },
+  });
+  assert.equal(res.status, 201);
+  return table('builds').find((b) => b.id === res.body.id);
+}
+
+/** Move a build's hire (and its milestones' funding) `hours` into the past. */
+function backdate(build, hours) {
+  const shift = (iso) => new Date(new Date(iso).getTime() - hours * HOUR_MS).toISOString();
+  build.created_at = shift(build.created_at);
+  build.delivery_due_at = shift(build.delivery_due_at);
+  for (const m of table('build_milestones').filter((row) => row.build_id === build.id)) {
+    if (m.funded_at) m.funded_at = shift(m.funded_at);
+  }
+}
+
+describe('delivery deadlines', () => {
+  beforeEach(() => setup({ estimated_time: 'when it is ready' }));
+
+  test('hires without a parseable estimate get the default deadline', async () => {
+    const build = await hire();
+    const hours = (new Date(build.delivery_due_at) - new Date(build.created_at)) / HOUR_MS;
+    assert.ok(Math.abs(hours - 14 * 24) < 0.01);
+
+    backdate(build, 14 * 24 + 49);
+    await runEscrowTimeouts();
+
+    assert.deepEqual([build.status, build.escrow_status], ['cancelled', 'refunded']);
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 100);
+  });
+});
+
+describe('milestone delivery deadlines', () => {
+  beforeEach(() => setup({ estimated_time: '3 days', milestones: MILESTONES }));
+
+  test('the agent is reminded before an undelivered milestone is cancelled', async () => {
+    const build = await hire({ fundingMode: 'upfront' });
+
+    backdate(build, 72 + 30);
+    await runEscrowTimeouts();
+    const reminders = table('notifications').filter((n) => n.type === 'delivery_reminder');
+    assert.deepEqual(reminders.map((n) => [n.user_wallet, n.metadata.milestone_title]), [
+      [agentOwner.wallet_address, 'Design'],
+      [agentOwner.wallet_address, 'Build'],
+    ]);
+    assert.equal(build.status, 'hired');
+
+    backdate(build, 20);
+    await runEscrowTimeouts();
+    const milestones = table('build_milestones').filter((m) => m.build_id === build.id);
+    assert.deepEqual(milestones.map((m) => [m.status, m.escrow_status]), [
+      ['cancelled', 'refunded'],
+      ['cancelled', 'refunded'],
+    ]);
+    assert.deepEqual([build.status, build.escrow_status], ['cancelled', 'refunded']);
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 100);
+    assert.ok(table('admin_audit_log').some((a) => a.action === 'auto_cancel_milestones' && a.target_id === build.id));
+    assert.ok(table('notifications').some((n) => n.type === 'build_auto_cancelled' && n.user_wallet === buyer.wallet_address));
+  });
+
+  test('per-milestone hires refund the funded milestone and cancel the rest', async () => {
+    const build = await hire({ fundingMode: 'per_milestone', amount: 40 });
+
+    backdate(build, 72 + 49);
+    await runEscrowTimeouts();
+
+    const milestones = table('build_milestones').filter((m) => m.build_id === build.id);
+    assert.deepEqual(milestones.map((m) => [m.status, m.escrow_status]), [
+      ['cancelled', 'refunded'],
+      ['cancelled', 'pending'],
+    ]);
+    assert.equal(build.status, 'cancelled');
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 40);
+  });
+
+  test('a milestone due date sets its deadline', async () => {
+    const dueDate = new Date(Date.now() - 3 * 24 * HOUR_MS).toISOString().slice(0, 10);
+    table('pitches')[0].milestones = [{ ...MILESTONES[0], due_date: dueDate }, MILESTONES[1]];
+    const build = await hire({ fundingMode: 'upfront' });
+
+    await runEscrowTimeouts();
+
+    assert.equal(build.status, 'cancelled');
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 100);
+  });
+});
+
+describe('timeout claims', () => {
+  beforeEach(() => setup({ estimated_time: '3 days' }));
+
+  test('a claimed build is not claimed again or cancelled by the buyer', async () => {
+    const build = await hire();
+    backdate(build, 72 + 49);
+    build.resolved_by = 'system:escrow-timeout'; // an overlapping run got there first
+
+    await runEscrowTimeouts();
+    assert.equal(build.status, 'hired');
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 0);
+
+    const cancelled = await api.call('POST', `/api/hire/${build.id}/cancel`, { user: buyer });
+    assert.equal(cancelled.status, 409);
+    assert.equal(build.status, 'hired');
+  });
+
+  test('a delivery being auto-accepted cannot be disputed', async () => {
+    const build = await hire();
+    const delivered = await api.call('POST', `/api/hire/${build.id}/deliver`, {
+      user: agentOwner,
+      body: { delivery_url: 'https://example.com/site' },
+    });
+    assert.equal(delivered.status, 200);
+    build.resolved_by = 'system:escrow-timeout';
+
+    const disputed = await api.call('POST', `/api/hire/${build.id}/dispute`, { user: buyer, body: { reason: 'Too late' } });
+    assert.equal(disputed.status, 409);
+    assert.equal(build.status, 'delivered');
+  });
+
+  test('a build being refunded cannot be delivered', async () => {
+    const build = await hire();
+    build.resolved_by = 'system:escrow-timeout';
+
+    const delivered = await api.call('POST', `/api/hire/${build.id}/deliver`, {
+      user: agentOwner,
+      body: { delivery_url: 'https://example.com/site' },
+    });
+    assert.equal(delivered.status, 409);
+    await assert.rejects(
+      transitionBuild({ build, to: 'delivered', actor: { type: 'agent', id: agentOwner.id } }),
+      { status: 409 },
+    );
+    assert.equal(build.status, 'hired');
+  });
+
+  test('an SDK delivery to a build being refunded leaves no delivery record', async () => {
+    const { headers } = seedSdkAgent(seeded);
+    const build = await hire();
+    build.resolved_by = 'system:escrow-timeout';
+
+    const delivered = await api.call('POST', '/api/sdk/deliver', {
+      headers,
+      body: { requestId: seeded.request.id, deliveryUrl: 'https://example.com/site' },
+    });
+    assert.equal(delivered.status, 409);
+    assert.equal(build.status, 'hired');
+    assert.equal(table('sdk_deliveries').length, 0);
+  });
+
+  test('a delivery being auto-accepted cannot be accepted or sent back by the buyer', async () => {
+    const build = await hire();
+    await api.call('POST', `/api/hire/${build.id}/deliver`, {
+      user: agentOwner,
+      body: { delivery_url: 'https://example.com/site' },
+    });
+    build.resolved_by = 'system:escrow-timeout';
+
+    const accepted = await api.call('POST', `/api/hire/${build.id}/accept`, { user: buyer });
+    assert.equal(accepted.status, 409);
+    const revised = await api.call('POST', `/api/hire/${build.id}/request-revision`, {
+      user: buyer,
+      body: { notes: 'Change the colours' },
+    });
+    assert.equal(revised.status, 409);
+    await assert.rejects(
+      transitionBuild({ build, to: 'accepted', actor: { type: 'requester', id: buyer.id } }),
+      { status: 409 },
+    );
+    assert.equal(build.status, 'delivered');
+    assert.equal(table('escrow_transfers').length, 0);
+  });
+});
+
+describe('dispute response deadlines', () => {
+  beforeEach(() => setup({ estimated_time: '3 days' }));
+
+  async function disputedBuild() {
+    const build = await hire();
+    await api.call('POST', `/api/hire/${build.id}/deliver`, {
+      user: agentOwner,
+      body: { delivery_url: 'https://example.com/site' },
+    });
+    const disputed = await api.call('POST', `/api/hire/${build.id}/dispute`, { user: buyer, body: { reason: 'Broken menu' } });
+    assert.equal(disputed.status, 200);
+    return build;
+  }
+
+  const notificationsOf = (type) => table('notifications').filter((n) => n.type === type);
+
+  test('the party is told, reminded, and the admins flagged once it lapses', async () => {
+    const build = await disputedBuild();
+    const deadline = new Date(Date.now() + 48 * HOUR_MS).toISOString();
+    const set = await api.call('PATCH', `/api/admin/disputes/${build.id}/deadline`, {
+      user: admin,
+      body: { deadline, party: 'agent' },
+    });
+    assert.equal(set.status, 200);
+    const told = notificationsOf('dispute_deadline');
+    assert.deepEqual(told.map((n) => [n.user_wallet, n.title]), [
+      [agentOwner.wallet_address, '⏰ Your reply is needed on a dispute'],
+      [buyer.wallet_address, '⏰ Dispute response deadline'],
+    ]);
+
+    await runEscrowTimeouts();
+    assert.equal(notificationsOf('dispute_deadline_reminder').length, 0);
+
+    build.dispute_response_deadline = new Date(Date.now() + 10 * HOUR_MS).toISOString();
+    await runEscrowTimeouts();
+    await runEscrowTimeouts();
+    assert.deepEqual(notificationsOf('dispute_deadline_reminder').map((n) => n.user_wallet), [agentOwner.wallet_address]);
+
+    build.dispute_response_deadline = new Date(Date.now() - HOUR_MS).toISOString();
+    await runEscrowTimeouts();
+    await runEscrowTimeouts();
+    assert.deepEqual(notificationsOf('dispute_response_overdue').map((n) => n.user_wallet), [admin.wallet_address]);
+    const audits = table('admin_audit_log').filter((a) => a.action === 'dispute_response_overdue');
+    assert.deepEqual(audits.map((a) => [a.actor_type, a.target_id]), [['system', build.id]]);
+  });
+
+  test('a reply before the deadline clears it', async () => {
+    const build = await disputedBuild();
+    await api.call('PATCH', `/api/admin/disputes/${build.id}/deadline`, {
+      user: admin,
+      body: { deadline: new Date(Date.now() + 48 * HOUR_MS).toISOString(), party: 'both' },
+    });
+
+    const replied = await api.call('POST', `/api/hire/${build.id}/dispute/messages`, {
+      user: buyer,
+      body: { body: 'The menu link is broken on mobile' },
+    });
+    assert.equal(replied.status, 201);
+    assert.equal(build.dispute_response_party, 'agent');
+
+    await api.call('POST', `/api/hire/${build.id}/dispute/messages`, {
+      user: agentOwner,
+      body: { body: 'Fixed in the latest deploy' },
+    });
+    assert.equal(build.dispute_response_deadline, null);
+
+    await runEscrowTimeouts();
+    assert.equal(notificationsOf('dispute_response_overdue').length, 0);
+  });
+});
@@ -0,0 +1,65 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, table } from './support/fakeSupabase.js';
+import './support/rpcs.js';
+import { onEvent, publishEvent } from '../src/services/eventBus.js';
+import { startWebhookOutbox, stopWebhookOutbox } from '../src/services/webhookOutbox.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('publishEvent', () => {
+  test('waits for durable subscribers only', async () => {
+    const handled = [];
+    const offDurable = onEvent(async () => {
+      await sleep(20);
+      handled.push('durable');
+    }, { durable: true });
+    const offBackground = onEvent(async () => {
+      await sleep(50);
+      handled.push('background');
+    });
+    const offFailing = onEvent(() => {
+      throw new Error('subscriber bug');
+    }, { durable: true });
+
+    try {
+      await publishEvent('test_event');
+      assert.deepEqual(handled, ['durable']);
+    } finally {
+      offDurable();
+      offBackground();
+      offFailing();
+    }
+  });
+});
+
+describe('webhook outbox subscription', () => {
+  before(() => startWebhookOutbox());
+  after(() => stopWebhookOutbox());
+
+  beforeEach(() => {
+    reset();
+    table('sdk_agents').push({ id: 'sdk-agent-1', name: 'Remote Builder', webhook_secret: 'whsec_test' });
+    table('webhook_endpoints').push({
+      id: 'endpoint-1',
+      sdk_agent_id: 'sdk-agent-1',
+      url: 'http://127.0.0.1:9/hooks',
+      events: ['hired'],
+      is_active: true,
+    });
+  });
+
+  test('the delivery is stored by the time publishEvent resolves', async () => {
+    await publishEvent('hired', { sdkAgentIds: ['sdk-agent-1'], payload: { build_id: 'build-1' } });
+
+    const rows = table('webhook_deliveries');
+    assert.equal(rows.length, 1);
+    assert.deepEqual([rows[0].endpoint_id, rows[0].event], ['endpoint-1', 'hired']);
+    assert.deepEqual(rows[0].payload, { event: 'hired', build_id: 'build-1' });
+  });
+
+  test('events the endpoint is not subscribed to are not stored', async () => {
+    await publishEvent('disputed', { sdkAgentIds: ['sdk-agent-1'], payload: { build_id: 'build-1' } });
+    assert.equal(table('webhook_deliveries').length, 0);
+  });
+});
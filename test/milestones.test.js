@@ -0,0 +1,254 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { table } from './support/fakeSupabase.js';
+import { admin, agentOwner, buyer, sdkOwnerWallet, seedMarketplace, seedSdkAgent } from './support/fixtures.js';
+import { startServer } from './support/server.js';
+import { setEscrowProvider } from '../src/lib/escrow.js';
+import { createMemoryEscrowProvider } from '../src/lib/memoryEscrow.js';
+import { transitionMilestone } from '../src/services/buildTransitions.js';
+import { hireRouter } from '../src/routes/hire.js';
+import { sdkRouter } from '../src/routes/sdk.js';
+
+const MILESTONES = [
+  { title: 'Design', amount: 40, due_date: null },
+  { title: 'Build', amount: 60, due_date: null },
+];
+
+let api;
+let escrow;
+let seeded;
+
+before(async () => {
+  api = await startServer({ '/api/hire': hireRouter, '/api/sdk': sdkRouter });
+});
+
+after(async () => {
+  await api.close();
+  setEscrowProvider(null);
+});
+
+beforeEach(() => {
+  seeded = seedMarketplace({ pitch: { price: 100, milestones: MILESTONES } });
+  escrow = createMemoryEscrowProvider({ seed: 'milestones' });
+  setEscrowProvider(escrow);
+});
+
+async function hire(fundingMode = 'upfront') {
+  const amount = fundingMode === 'upfront' ? 100 : MILESTONES[0].amount;
+  const txSignature = escrow.simulateDeposit(buyer.wallet_address, amount);
+  const res = await api.call('POST', '/api/hire', {
+    user: buyer,
+    body: { requestId: seeded.request.id, pitchId: seeded.pitch.id, txSignature, fundingMode },
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+function milestonePath(build, position, action, base = '/api/hire') {
+  const milestone = build.milestones.find((m) => m.position === position);
+  return `${base}/${build.id}/milestones/${milestone.id}/${action}`;
+}
+
+describe('milestone transitions', () => {
+  test('delivering and accepting every milestone settles the build', async () => {
+    const build = await hire();
+
+    for (const position of [1, 2]) {
+      const delivered = await api.call('POST', milestonePath(build, position, 'deliver'), {
+        user: agentOwner,
+        body: { delivery_url: `https://example.com/m${position}` },
+      });
+      assert.equal(delivered.status, 200);
+      assert.equal(delivered.body.status, 'delivered');
+
+      const accepted = await api.call('POST', milestonePath(build, position, 'accept'), { user: buyer });
+      assert.equal(accepted.status, 200);
+    }
+
+    const row = table('builds').find((b) => b.id === build.id);
+    assert.equal(row.status, 'accepted');
+    assert.equal(escrow.balanceOf(agentOwner.wallet_address), 98);
+    const events = table('build_events').filter((e) => e.event_type === 'milestone_delivered');
+    assert.deepEqual(events.map((e) => [e.from_status, e.to_status, e.actor_type]), [
+      ['hired', 'delivered', 'agent'],
+      ['hired', 'delivered', 'agent'],
+    ]);
+  });
+
+  test('a transition from a stale status is rejected with 409', async () => {
+    const build = await hire();
+    const stale = table('build_milestones').find((m) => m.build_id === build.id && m.position === 1);
+
+    await api.call('POST', milestonePath(build, 1, 'deliver'), {
+      user: agentOwner,
+      body: { delivery_url: 'https://example.com/m1' },
+    });
+    const disputed = await api.call('POST', milestonePath(build, 1, 'dispute'), {
+      user: buyer,
+      body: { reason: 'Wrong colours' },
+    });
+    assert.equal(disputed.status, 200);
+
+    // A revision request that read the milestone before the dispute landed
+    await assert.rejects(
+      transitionMilestone({
+        milestone: { ...stale, status: 'delivered' },
+        to: 'revision_requested',
+        actor: { type: 'requester', id: buyer.id },
+        patch: { revision_notes: 'Change the colours' },
+      }),
+      (err) => err.status === 409,
+    );
+    const row = table('build_milestones').find((m) => m.id === stale.id);
+    assert.equal(row.status, 'disputed');
+    assert.equal(row.revision_notes ?? null, null);
+  });
+
+  test('transitions are checked against the acting principal', async () => {
+    const build = await hire();
+    await api.call('POST', milestonePath(build, 1, 'deliver'), {
+      user: agentOwner,
+      body: { delivery_url: 'https://example.com/m1' },
+    });
+    const milestone = table('build_milestones').find((m) => m.build_id === build.id && m.position === 1);
+
+    await assert.rejects(
+      transitionMilestone({ milestone, to: 'accepted', actor: { type: 'agent', id: agentOwner.id } }),
+      (err) => err.status === 403,
+    );
+    assert.equal(milestone.status, 'delivered');
+  });
+
+  test('only the parties and admins can list the milestones', async () => {
+    const build = await hire();
+    const path = `/api/hire/${build.id}/milestones`;
+
+    assert.equal((await api.call('GET', path)).status, 401);
+    const stranger = { id: 'user-stranger', wallet_address: 'StrangerWallet111111111111111111111111111' };
+    assert.equal((await api.call('GET', path, { user: stranger })).status, 403);
+    for (const user of [buyer, agentOwner, admin]) {
+      const res = await api.call('GET', path, { user });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.milestones.map((m) => m.title), ['Design', 'Build']);
+    }
+  });
+
+  test('a disputed milestone refunded to the buyer ends refunded', async () => {
+    const build = await hire();
+    await api.call('POST', milestonePath(build, 1, 'deliver'), {
+      user: agentOwner,
+      body: { delivery_url: 'https://example.com/m1' },
+    });
+    await api.call('POST', milestonePath(build, 1, 'dispute'), { user: buyer, body: { reason: 'Wrong colours' } });
+
+    const res = await api.call('POST', milestonePath(build, 1, 'resolve-dispute'), {
+      user: buyer,
+      body: { resolution: 'refund' },
+    });
+    assert.equal(res.status, 200);
+
+    const row = table('build_milestones').find((m) => m.build_id === build.id && m.position === 1);
+    assert.deepEqual([row.status, row.escrow_status], ['refunded', 'refunded']);
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 40);
+    const event = table('build_events').find((e) => e.milestone_id === row.id && e.event_type === 'escrow_refunded');
+    assert.deepEqual([event.from_status, event.to_status, event.actor_type], ['disputed', 'refunded', 'requester']);
+  });
+
+  test('an escalated milestone dispute is split by an admin', async () => {
+    const build = await hire();
+    await api.call('POST', milestonePath(build, 1, 'deliver'), {
+      user: agentOwner,
+      body: { delivery_url: 'https://example.com/m1' },
+    });
+    await api.call('POST', milestonePath(build, 1, 'dispute'), { user: buyer, body: { reason: 'Half done' } });
+
+    const buyerSplit = await api.call('POST', milestonePath(build, 1, 'resolve-dispute'), {
+      user: buyer,
+      body: { resolution: 'split', agent_share_pct: 50, notes: 'Meet halfway' },
+    });
+    assert.equal(buyerSplit.status, 403);
+
+    const escalated = await api.call('POST', milestonePath(build, 1, 'escalate'), {
+      user: agentOwner,
+      body: { reason: 'The buyer changed the brief' },
+    });
+    assert.equal(escalated.status, 200);
+    assert.equal(escalated.body.status, 'arbitration_pending');
+
+    const buyerRefund = await api.call('POST', milestonePath(build, 1, 'resolve-dispute'), {
+      user: buyer,
+      body: { resolution: 'refund' },
+    });
+    assert.equal(buyerRefund.status, 403);
+
+    const withoutNotes = await api.call('POST', milestonePath(build, 1, 'resolve-dispute'), {
+      user: admin,
+      body: { resolution: 'split', agent_share_pct: 50 },
+    });
+    assert.equal(withoutNotes.status, 400);
+
+    const res = await api.call('POST', milestonePath(build, 1, 'resolve-dispute'), {
+      user: admin,
+      body: { resolution: 'split', agent_share_pct: 50, notes: 'Half of the design was delivered' },
+    });
+    assert.equal(res.status, 200);
+
+    const row = table('build_milestones').find((m) => m.build_id === build.id && m.position === 1);
+    assert.deepEqual([row.status, row.escrow_status, row.resolution], ['accepted', 'released', 'split']);
+    assert.equal(row.buyer_refund, 20);
+    assert.equal(escrow.balanceOf(agentOwner.wallet_address), 19.6);
+    assert.equal(escrow.balanceOf(buyer.wallet_address), 20);
+    assert.ok(table('admin_audit_log').some((a) => a.action === 'resolve_milestone_dispute' && a.actor_type === 'admin'));
+    assert.ok(table('notifications').some((n) => n.type === 'dispute_resolved' && n.user_wallet === agentOwner.wallet_address));
+  });
+
+  test('per-milestone hires record only the funded escrow', async () => {
+    const build = await hire('per_milestone');
+    assert.equal(build.escrow_amount, 40);
+    assert.equal(table('requests').find((r) => r.id === seeded.request.id).escrow_amount, 40);
+
+    const txSignature = escrow.simulateDeposit(buyer.wallet_address, 60);
+    const funded = await api.call('POST', milestonePath(build, 2, 'fund'), { user: buyer, body: { txSignature } });
+    assert.equal(funded.status, 200);
+    assert.equal(funded.body.escrow_status, 'locked');
+
+    assert.equal(table('builds').find((b) => b.id === build.id).escrow_amount, 100);
+    assert.equal(table('requests').find((r) => r.id === seeded.request.id).escrow_amount, 100);
+  });
+
+  test('SDK agents deliver funded milestones through the SDK API', async () => {
+    const { headers } = seedSdkAgent(seeded);
+    const build = await hire('per_milestone');
+
+    const listed = await api.call('GET', `/api/sdk/builds/${build.id}`, { headers });
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.milestones.map((m) => [m.title, m.escrow_status]), [
+      ['Design', 'locked'],
+      ['Build', 'pending'],
+    ]);
+
+    const unfunded = await api.call('POST', milestonePath(build, 2, 'deliver', '/api/sdk/builds'), {
+      headers,
+      body: { deliveryUrl: 'https://example.com/build' },
+    });
+    assert.equal(unfunded.status, 400);
+
+    const started = await api.call('POST', milestonePath(build, 1, 'status', '/api/sdk/builds'), {
+      headers,
+      body: { status: 'building' },
+    });
+    assert.equal(started.status, 200);
+    assert.equal(started.body.status, 'building');
+
+    const delivered = await api.call('POST', milestonePath(build, 1, 'deliver', '/api/sdk/builds'), {
+      headers,
+      body: { deliveryUrl: 'https://example.com/design', deliveryNote: 'Figma link inside' },
+    });
+    assert.equal(delivered.status, 200);
+    assert.equal(delivered.body.status, 'delivered');
+
+    const accepted = await api.call('POST', milestonePath(build, 1, 'accept'), { user: buyer });
+    assert.equal(accepted.status, 200);
+    assert.equal(escrow.balanceOf(sdkOwnerWallet), 39.2);
+  });
+});
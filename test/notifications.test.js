@@ -0,0 +1,45 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, table } from './support/fakeSupabase.js';
+import { createNotification } from '../src/lib/notify.js';
+import { pruneNotifications } from '../src/services/notificationRetention.js';
+
+const wallet = 'BuyerWallet1111111111111111111111111111111';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pitchUpdate = (agent) => createNotification({
+  user_wallet: wallet,
+  type: 'pitch_update',
+  title: '💬 New pitch',
+  message: `${agent} pitched on "Landing page"`,
+  metadata: { request_id: 'request-1', request_title: 'Landing page' },
+});
+
+beforeEach(() => reset());
+
+describe('grouped notifications', () => {
+  test('folding keeps created_at and moves last_activity_at', async () => {
+    const first = await pitchUpdate('Builder Bot');
+    const createdAt = new Date(Date.now() - 60 * 1000).toISOString();
+    Object.assign(table('notifications')[0], { created_at: createdAt, last_activity_at: createdAt });
+
+    const grouped = await pitchUpdate('Remote Builder');
+
+    assert.equal(grouped.id, first.id);
+    assert.equal(grouped.group_count, 2);
+    assert.equal(grouped.title, '💬 2 new pitches on "Landing page"');
+    assert.equal(grouped.created_at, createdAt);
+    assert.ok(grouped.last_activity_at > createdAt);
+  });
+
+  test('retention counts from the last activity', async () => {
+    await pitchUpdate('Builder Bot');
+    const row = table('notifications')[0];
+    Object.assign(row, { read: true, created_at: new Date(Date.now() - 120 * DAY_MS).toISOString() });
+
+    assert.equal((await pruneNotifications()).notifications, 0);
+
+    row.last_activity_at = new Date(Date.now() - 91 * DAY_MS).toISOString();
+    assert.equal((await pruneNotifications()).notifications, 1);
+  });
+});
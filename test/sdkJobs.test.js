@@ -0,0 +1,146 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { table } from './support/fakeSupabase.js';
+import { agentOwner, buyer, seedMarketplace } from './support/fixtures.js';
+import { startServer } from './support/server.js';
+import { setEscrowProvider } from '../src/lib/escrow.js';
+import { createMemoryEscrowProvider } from '../src/lib/memoryEscrow.js';
+import { reassignUnclaimedSdkJobs } from '../src/services/buildPipeline.js';
+import { hireRouter } from '../src/routes/hire.js';
+import { sdkJobsRouter } from '../src/routes/sdkJobs.js';
+
+const headers = { 'x-4u-api-key': '4u_test_key' };
+
+let api;
+let escrow;
+let seeded;
+
+before(async () => {
+  api = await startServer({ '/api/hire': hireRouter, '/sdk/jobs': sdkJobsRouter });
+});
+
+after(async () => {
+  await api.close();
+  setEscrowProvider(null);
+});
+
+beforeEach(() => {
+  seeded = seedMarketplace();
+  table('api_keys').push({
+    id: 'key-1',
+    key: headers['x-4u-api-key'],
+    user_id: agentOwner.id,
+    agent_id: seeded.agent.id,
+    is_active: true,
+  });
+  escrow = createMemoryEscrowProvider({ seed: 'sdk-jobs' });
+  setEscrowProvider(escrow);
+});
+
+async function hire() {
+  const txSignature = escrow.simulateDeposit(buyer.wallet_address, 100);
+  const res = await api.call('POST', '/api/hire', {
+    user: buyer,
+    body: { requestId: seeded.request.id, pitchId: seeded.pitch.id, txSignature },
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+function jobsFor(buildId) {
+  return table('build_jobs').filter((j) => j.build_id === buildId);
+}
+
+describe('SDK jobs', () => {
+  test('a failed job hands the build to the autopilot and tells the buyer', async () => {
+    const build = await hire();
+    const [job] = jobsFor(build.id);
+    assert.equal(job.executor, 'sdk');
+
+    const started = await api.call('POST', `/sdk/jobs/${job.id}/start`, { headers, body: {} });
+    assert.equal(started.status, 200);
+
+    const failed = await api.call('POST', `/sdk/jobs/${job.id}/fail`, { headers, body: { error: 'Out of credits' } });
+    assert.equal(failed.status, 200);
+    assert.equal(failed.body.status, 'failed');
+
+    const queued = jobsFor(build.id).find((j) => j.id !== job.id);
+    assert.deepEqual([queued.executor, queued.status], ['autopilot', 'pending']);
+    assert.ok(table('build_events').some((e) => e.build_id === build.id && e.event_type === 'build_job_reassigned'));
+    assert.ok(table('notifications').some((n) => n.type === 'build_reassigned' && n.user_wallet === buyer.wallet_address));
+  });
+
+  test('a job whose build cannot start is handed back', async () => {
+    const build = await hire();
+    const [job] = jobsFor(build.id);
+    const row = table('builds').find((b) => b.id === build.id);
+    row.resolved_by = 'system:escrow-timeout'; // being refunded by the escrow timeouts
+
+    const refused = await api.call('POST', `/sdk/jobs/${job.id}/start`, { headers, body: {} });
+    assert.equal(refused.status, 409);
+    assert.deepEqual([job.status, job.claimed_by, row.status], ['pending', null, 'hired']);
+
+    row.resolved_by = null;
+    const started = await api.call('POST', `/sdk/jobs/${job.id}/start`, { headers, body: { buildTool: 'vite' } });
+    assert.equal(started.status, 200);
+    assert.deepEqual([started.body.status, started.body.build_tool, row.status], ['running', 'vite', 'building']);
+  });
+
+  test('a delivery the build refuses leaves the job and the checklist alone', async () => {
+    seeded.request.acceptance_criteria = ['Works on mobile'];
+    const build = await hire();
+    const [job] = jobsFor(build.id);
+    await api.call('POST', `/sdk/jobs/${job.id}/start`, { headers, body: {} });
+    const [criterion] = table('build_acceptance_criteria');
+    table('builds').find((b) => b.id === build.id).resolved_by = 'system:escrow-timeout';
+
+    const refused = await api.call('POST', `/sdk/jobs/${job.id}/deliver`, {
+      headers,
+      body: { deliveryUrl: 'https://example.com/app', criteria: [{ id: criterion.id, met: true }] },
+    });
+    assert.equal(refused.status, 409);
+    assert.deepEqual([job.status, criterion.agent_status], ['running', 'pending']);
+
+    table('builds').find((b) => b.id === build.id).resolved_by = null;
+    const delivered = await api.call('POST', `/sdk/jobs/${job.id}/deliver`, {
+      headers,
+      body: { deliveryUrl: 'https://example.com/app', criteria: [{ id: criterion.id, met: true }] },
+    });
+    assert.equal(delivered.status, 200);
+    assert.deepEqual([job.status, criterion.agent_status], ['completed', 'met']);
+  });
+
+  test('failing a job that is no longer open is rejected', async () => {
+    const build = await hire();
+    const [job] = jobsFor(build.id);
+
+    await api.call('POST', `/sdk/jobs/${job.id}/fail`, { headers, body: { error: 'Out of credits' } });
+    const again = await api.call('POST', `/sdk/jobs/${job.id}/fail`, { headers, body: { error: 'Still out of credits' } });
+
+    assert.equal(again.status, 409);
+    assert.equal(jobsFor(build.id).filter((j) => j.executor === 'autopilot').length, 1);
+  });
+
+  test('jobs their agent does not start are handed to the autopilot', async () => {
+    const build = await hire();
+    const [job] = jobsFor(build.id);
+
+    assert.equal(await reassignUnclaimedSdkJobs(), 0);
+    assert.equal(job.status, 'pending');
+
+    job.created_at = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    assert.equal(await reassignUnclaimedSdkJobs(), 1);
+
+    assert.deepEqual([job.status, job.error], ['failed', 'Not started within 24h']);
+    assert.deepEqual(jobsFor(build.id).filter((j) => j.executor === 'autopilot').map((j) => j.status), ['pending']);
+  });
+
+  test('jobs of an agent whose key was revoked are handed over at once', async () => {
+    const build = await hire();
+    const [job] = jobsFor(build.id);
+    table('api_keys')[0].is_active = false;
+
+    assert.equal(await reassignUnclaimedSdkJobs(), 1);
+    assert.equal(job.error, 'The agent no longer has an active API key');
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * In-memory stand-in for the service-role Supabase client (src/lib/supabase.js).
+ *
+ * test/support/loader.js swaps it in for the real client, so routes and services run
+ * unchanged against plain arrays:
+ *  - db[table] holds the rows; reset() empties every table
+ *  - from(table) supports the query-builder subset the code base uses (filters, order,
+ *    limit/range, single/maybeSingle, head counts, insert/upsert/update/delete)
+ *  - rpc(name, args) runs the JS port registered in `rpcs` (see ./rpcs.js)
+ *
+ * Column defaults and unique keys are declared below for the tables the tests touch,
+ * mirroring supabase/migrations. Embedded selects ("*, requests(title)") are not joined.
+ */
+
+import { randomUUID } from 'crypto';
+
+export const db = {};
+export const rpcs = {};
+
+const DEFAULTS = {
+  builds: () => ({ revision_count: 0, funding_mode: 'single' }),
+  build_milestones: () => ({ status: 'hired', escrow_status: 'pending', revision_count: 0 }),
+  build_jobs: () => ({ retry_count: 0, max_retries: 3, executor: 'autopilot' }),
+  escrow_transfers: () => ({ status: 'intent', attempts: 0, finalized_at: null, claimed_at: null, claimed_by: null }),
+  build_acceptance_criteria: () => ({ agent_status: 'pending', buyer_status: 'pending' }),
+  notifications: () => ({ read: false, archived_at: null, last_activity_at: new Date().toISOString() }),
+  requests: () => ({ status: 'Open', visibility: 'public', categories: [], acceptance_criteria: [] }),
+  webhook_deliveries: () => ({
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    claimed_at: null,
+    claimed_by: null,
+  }),
+};
+
+const UNIQUE = {
+  escrow_transfers: [['idempotency_key']],
+  builds: [['deposit_tx_signature']],
+  build_milestones: [['deposit_tx_signature']],
+  build_acceptance_criteria: [['build_id', 'position']],
+};
+
+export function reset() {
+  for (const name of Object.keys(db)) delete db[name];
+}
+
+export function table(name) {
+  if (!db[name]) db[name] = [];
+  return db[name];
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function compare(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return a > b ? 1 : a < b ? -1 : 0;
+}
+
+function parseList(value) {
+  return String(value).replace(/^\(|\)$/g, '').split(',').map((v) => v.trim().replace(/^"|"$/g, ''));
+}
+
+function duplicateOf(name, row) {
+  return table(name).find((existing) => (UNIQUE[name] || []).some((cols) =>
+    cols.every((c) => row[c] != null && existing[c] === row[c])));
+}
+
+class Query {
+  constructor(name) {
+    this.name = name;
+    this.op = 'select';
+    this.filters = [];
+    this.sorts = [];
+    this.options = {};
+    this.mode = null;
+    this.returning = false;
+  }
+
+  select(_columns, options = {}) {
+    if (this.op === 'select') this.options = options;
+    else this.returning = true;
+    return this;
+  }
+
+  insert(values) { this.op = 'insert'; this.values = [].concat(values); return this; }
+  upsert(values, options = {}) { this.op = 'upsert'; this.values = [].concat(values); this.upsertOptions = options; return this; }
+  update(values) { this.op = 'update'; this.patch = values; return this; }
+  delete() { this.op = 'delete'; return this; }
+
+  where(fn) { this.filters.push(fn); return this; }
+  eq(col, v) { return this.where((r) => r[col] === v); }
+  neq(col, v) { return this.where((r) => r[col] !== v); }
+  gt(col, v) { return this.where((r) => r[col] != null && r[col] > v); }
+  gte(col, v) { return this.where((r) => r[col] != null && r[col] >= v); }
+  lt(col, v) { return this.where((r) => r[col] != null && r[col] < v); }
+  lte(col, v) { return this.where((r) => r[col] != null && r[col] <= v); }
+  is(col, v) { return this.where((r) => (r[col] ?? null) === v); }
+  in(col, list) { return this.where((r) => list.includes(r[col])); }
+  contains(col, list) { return this.where((r) => list.every((v) => (r[col] || []).includes(v))); }
+  overlaps(col, list) { return this.where((r) => (r[col] || []).some((v) => list.includes(v))); }
+  not(col, op, v) {
+    if (op === 'is') return this.where((r) => (r[col] ?? null) !== v);
+    if (op === 'in') return this.where((r) => !parseList(v).includes(r[col]));
+    return this.where((r) => r[col] !== v);
+  }
+
+  order(col, { ascending = true } = {}) { this.sorts.push([col, ascending]); return this; }
+  limit(n) { this.max = n; return this; }
+  range(from, to) { this.window = [from, to]; return this; }
+  single() { this.mode = 'single'; return this; }
+  maybeSingle() { this.mode = 'maybe'; return this; }
+
+  matches(row) {
+    return this.filters.every((fn) => fn(row));
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+
+  run() {
+    let rows;
+    if (this.op === 'insert' || this.op === 'upsert') {
+      rows = [];
+      for (const value of this.values) {
+        const dupe = duplicateOf(this.name, value);
+        if (dupe && this.op === 'upsert') {
+          if (!this.upsertOptions.ignoreDuplicates) Object.assign(dupe, structuredClone(value), { updated_at: now() });
+          rows.push(dupe);
+          continue;
+        }
+        if (dupe) return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${this.name}` } };
+        const row = {
+          id: randomUUID(),
+          ...(DEFAULTS[this.name]?.() || {}),
+          created_at: now(),
+          updated_at: now(),
+          ...structuredClone(value),
+        };
+        table(this.name).push(row);
+        rows.push(row);
+      }
+    } else {
+      rows = table(this.name).filter((r) => this.matches(r));
+      if (this.op === 'update') {
+        for (const row of rows) {
+          const dupe = duplicateOf(this.name, { ...row, ...this.patch });
+          if (dupe && dupe !== row) return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${this.name}` } };
+          Object.assign(row, structuredClone(this.patch), { updated_at: now() });
+        }
+      }
+      if (this.op === 'delete') db[this.name] = table(this.name).filter((r) => !this.matches(r));
+      for (const [col, ascending] of [...this.sorts].reverse()) {
+        rows = [...rows].sort((a, b) => compare(a[col], b[col]) * (ascending ? 1 : -1));
+      }
+      if (this.window) rows = rows.slice(this.window[0], this.window[1] + 1);
+      if (this.max != null) rows = rows.slice(0, this.max);
+    }
+
+    const count = rows.length;
+    if (this.options.head) return { data: null, count, error: null };
+    if (this.op !== 'select' && !this.returning) return { data: null, error: null };
+    const data = rows.map((r) => structuredClone(r));
+    if (this.mode) {
+      if (data.length === 1) return { data: data[0], count, error: null };
+      if (data.length === 0 && this.mode === 'maybe') return { data: null, error: null };
+      return {
+        data: null,
+        error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` },
+      };
+    }
+    return { data, count, error: null };
+  }
+}
+
+export const supabase = {
+  from: (name) => new Query(name),
+  async rpc(name, args = {}) {
+    const fn = rpcs[name];
+    if (!fn) return { data: null, error: { code: 'PGRST202', message: `Could not find the function public.${name}` } };
+    try {
+      return { data: structuredClone(await fn(args)), error: null };
+    } catch (err) {
+      return { data: null, error: { code: err.code, message: err.message } };
+    }
+  },
+};
@@ -0,0 +1,81 @@
+/**
+ * Seed data shared by the route tests: a buyer with an open request, an internal agent
+ * that pitched on it, and an admin. seedSdkAgent() turns the pitch into an SDK agent's.
+ */
+
+import { reset, table } from './fakeSupabase.js';
+import './rpcs.js';
+
+export const buyer = { id: 'user-buyer', wallet_address: 'BuyerWallet1111111111111111111111111111111' };
+export const agentOwner = { id: 'user-agent', wallet_address: 'AgentWallet1111111111111111111111111111111' };
+export const admin = { id: 'user-admin', wallet_address: 'AdminWallet1111111111111111111111111111111', is_admin: true };
+
+/**
+ * Empty every table and seed the marketplace. `pitch` overrides the pitch columns
+ * (price, estimated_time, milestones…).
+ * @returns {{ request: object, pitch: object, agent: object }}
+ */
+export function seedMarketplace({ pitch: pitchOverrides = {} } = {}) {
+  reset();
+  table('users').push(
+    { ...buyer, is_admin: false },
+    { ...agentOwner, is_admin: false },
+    { ...admin },
+  );
+  const agent = { id: 'agent-1', name: 'Builder Bot', owner_id: agentOwner.id, owner_wallet: agentOwner.wallet_address };
+  table('agents').push(agent);
+
+  const request = {
+    id: 'request-1',
+    title: 'Landing page',
+    description: 'A landing page for a coffee shop',
+    author_id: buyer.id,
+    status: 'Open',
+    visibility: 'public',
+    categories: [],
+    acceptance_criteria: [],
+    created_at: new Date().toISOString(),
+  };
+  table('requests').push(request);
+
+  const pitch = {
+    id: 'pitch-1',
+    request_id: request.id,
+    agent_id: agent.id,
+    agent_name: agent.name,
+    price: 100,
+    estimated_time: '3 days',
+    milestones: null,
+    ...pitchOverrides,
+  };
+  table('pitches').push(pitch);
+
+  return { request, pitch, agent };
+}
+
+export const sdkOwnerWallet = 'SdkOwnerWallet11111111111111111111111111111';
+
+/**
+ * Make the seeded pitch an SDK agent's pitch (as POST /api/sdk/pitch records it).
+ * @returns {{ sdkAgent: object, headers: object }} headers authenticate as the SDK agent
+ */
+export function seedSdkAgent({ pitch }) {
+  const sdkAgent = {
+    id: 'sdk-agent-1',
+    name: 'Remote Builder',
+    api_key: 'sdk_test_key',
+    is_active: true,
+    owner_wallet: sdkOwnerWallet,
+    specializations: [],
+  };
+  table('sdk_agents').push(sdkAgent);
+  Object.assign(table('pitches').find((p) => p.id === pitch.id), { agent_id: null, agent_name: sdkAgent.name });
+  table('sdk_pitches').push({
+    id: 'sdk-pitch-1',
+    sdk_agent_id: sdkAgent.id,
+    request_id: pitch.request_id,
+    main_pitch_id: pitch.id,
+    status: 'pending',
+  });
+  return { sdkAgent, headers: { 'x-api-key': sdkAgent.api_key } };
+}
@@ -0,0 +1,13 @@
+/**
+ * Module resolve hook (registered by ./register.js): every import of src/lib/supabase.js
+ * gets the in-memory client from ./fakeSupabase.js instead.
+ */
+
+const REAL_CLIENT = new URL('../../src/lib/supabase.js', import.meta.url).href;
+const FAKE_CLIENT = new URL('./fakeSupabase.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  if (resolved.url === REAL_CLIENT) return { ...resolved, url: FAKE_CLIENT, shortCircuit: true };
+  return resolved;
+}
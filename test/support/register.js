@@ -0,0 +1,12 @@
+/**
+ * Preloaded by `npm test` (node --import): test environment and the Supabase swap.
+ * Runs before any source module is loaded, so module-level env reads see these values.
+ */
+
+import { register } from 'module';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ESCROW_PROVIDER = 'memory';
+
+register('./loader.js', import.meta.url);
@@ -0,0 +1,251 @@
+/**
+ * JS ports of the SQL functions the code calls through supabase.rpc(), registered on the
+ * fake client (./fakeSupabase.js). Each follows its migration: same checks, same error codes.
+ * State-machine tables are read from the INSERTs in supabase/migrations, so a new
+ * transition row is picked up without touching this file.
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { rpcs, supabase, table } from './fakeSupabase.js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../../supabase/migrations/', import.meta.url));
+
+/**
+ * Rows inserted into `tableName` by the migrations, as [from, to, actor] triples.
+ */
+function seededTransitions(tableName) {
+  const rows = [];
+  const insert = new RegExp(`INSERT INTO public\\.${tableName}\\b[^;]*;`, 'g');
+  for (const file of readdirSync(MIGRATIONS_DIR).filter((f) => f.endsWith('.sql')).sort()) {
+    const sql = readFileSync(MIGRATIONS_DIR + file, 'utf8').replace(/--[^\n]*/g, '');
+    for (const statement of sql.match(insert) || []) {
+      for (const [, from, to, actor] of statement.matchAll(/\(\s*'([^']+)',\s*'([^']+)',\s*'([^']+)'\s*\)/g)) {
+        rows.push([from, to, actor]);
+      }
+    }
+  }
+  return rows;
+}
+
+function sqlError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+// ── Builds (00027_transition_actors.sql, 00048_escrow_payout_holds.sql) ───────
+
+const BUILD_TRANSITIONS = seededTransitions('build_state_transitions');
+
+const BUILD_ACTORS = { requester: 'requester', agent: 'agent', admin: 'platform', system: 'platform' };
+
+function validBuildTransition(from, to, actorType = null) {
+  return BUILD_TRANSITIONS.some(([f, t, actor]) =>
+    f === from && t === to && (actorType == null || actor === BUILD_ACTORS[actorType]));
+}
+
+const TIMEOUT_CLAIM = 'system:escrow-timeout';
+
+function claimedForActor(row, actorType) {
+  return row.resolved_by === TIMEOUT_CLAIM && BUILD_ACTORS[actorType] !== 'platform';
+}
+
+/**
+ * Checks shared by transition_build() and transition_milestone(). Returns true when the
+ * transition already happened and is a no-op.
+ */
+function checkTransition(kind, row, { p_to, p_actor_type, p_expected_from, p_transfer_key }) {
+  const from = row.status;
+  const held = p_transfer_key != null && (row.pending_payout ?? null) === p_transfer_key;
+
+  if (p_transfer_key != null && !held && from === p_to) return true;
+  if (from === p_to && p_expected_from == null) return true;
+  if (p_expected_from != null && from !== p_expected_from) {
+    throw sqlError('BT409', `${kind} status changed to '${from}' — reload and try again`);
+  }
+  if (!held) {
+    if (row.pending_payout != null) {
+      throw sqlError('BT409', `A payout on this ${kind.toLowerCase()} is in progress — try again once it settles`);
+    }
+    if (claimedForActor(row, p_actor_type)) {
+      throw sqlError('BT409', 'Its deadline passed and the escrow is already being settled automatically');
+    }
+  }
+  if (!validBuildTransition(from, p_to)) throw sqlError('BT400', `Cannot move ${kind.toLowerCase()} from '${from}' to '${p_to}'`);
+  if (!validBuildTransition(from, p_to, p_actor_type)) {
+    throw sqlError('BT403', `A ${p_actor_type} cannot move a ${kind.toLowerCase()} from '${from}' to '${p_to}'`);
+  }
+  return false;
+}
+
+function omit(patch, keys) {
+  const out = { ...(patch || {}) };
+  for (const key of keys) delete out[key];
+  return out;
+}
+
+rpcs.validate_build_transition = ({ p_from, p_to, p_actor_type = null }) =>
+  validBuildTransition(p_from, p_to, p_actor_type);
+
+rpcs.transition_build = (args) => {
+  const {
+    p_build_id,
+    p_to,
+    p_actor_type,
+    p_actor_id = null,
+    p_build_patch = {},
+    p_request_patch = {},
+    p_event_type = null,
+    p_notes = null,
+    p_tx_signature = null,
+    p_metadata = {},
+  } = args;
+  const build = table('builds').find((b) => b.id === p_build_id);
+  if (!build) throw sqlError('BT404', `Build ${p_build_id} not found`);
+  const from = build.status;
+  if (checkTransition('Build', build, args)) return build;
+
+  Object.assign(build, omit(p_build_patch, ['id', 'status', 'request_id', 'pending_payout']), {
+    status: p_to,
+    pending_payout: null,
+    updated_at: now(),
+  });
+  const request = table('requests').find((r) => r.id === build.request_id);
+  if (request) Object.assign(request, omit(p_request_patch, ['id']), { updated_at: now() });
+
+  table('build_events').push({
+    id: `evt_${table('build_events').length + 1}`,
+    build_id: p_build_id,
+    event_type: p_event_type ?? p_to,
+    actor_type: p_actor_type,
+    actor_id: p_actor_id,
+    from_status: from,
+    to_status: p_to,
+    escrow_status: build.escrow_status ?? null,
+    tx_signature: p_tx_signature,
+    notes: p_notes,
+    metadata: p_metadata ?? {},
+    created_at: now(),
+  });
+  return build;
+};
+
+// ── Milestones (00042_milestone_transitions.sql, 00048_escrow_payout_holds.sql) 
+
+rpcs.transition_milestone = (args) => {
+  const {
+    p_milestone_id,
+    p_to,
+    p_actor_type,
+    p_actor_id = null,
+    p_patch = {},
+    p_event_type = null,
+    p_notes = null,
+    p_tx_signature = null,
+    p_metadata = {},
+  } = args;
+  const milestone = table('build_milestones').find((m) => m.id === p_milestone_id);
+  if (!milestone) throw sqlError('BT404', `Milestone ${p_milestone_id} not found`);
+  const from = milestone.status;
+  if (checkTransition('Milestone', milestone, args)) return milestone;
+
+  Object.assign(milestone, omit(p_patch, ['id', 'status', 'build_id', 'pending_payout']), {
+    status: p_to,
+    pending_payout: null,
+    updated_at: now(),
+  });
+
+  table('build_events').push({
+    id: `evt_${table('build_events').length + 1}`,
+    build_id: milestone.build_id,
+    milestone_id: p_milestone_id,
+    event_type: p_event_type ?? `milestone_${p_to}`,
+    actor_type: p_actor_type,
+    actor_id: p_actor_id,
+    from_status: from,
+    to_status: p_to,
+    escrow_status: milestone.escrow_status ?? null,
+    tx_signature: p_tx_signature,
+    notes: p_notes,
+    metadata: { milestone_title: milestone.title, ...(p_metadata ?? {}) },
+    created_at: now(),
+  });
+  return milestone;
+};
+
+// ── Build jobs (00020_sdk_job_claims.sql) ─────────────────────────────────────
+
+rpcs.claim_sdk_build_job = ({ p_job_id, p_agent_id, p_worker_id }) => {
+  const job = table('build_jobs').find((j) =>
+    j.id === p_job_id && j.agent_id === p_agent_id && j.executor === 'sdk' && j.status === 'pending');
+  if (!job) return null;
+  Object.assign(job, { status: 'running', claimed_at: now(), claimed_by: p_worker_id, updated_at: now() });
+  return job;
+};
+
+// ── Webhook outbox (00029_webhook_outbox.sql) ─────────────────────────────────
+
+rpcs.claim_webhook_delivery = ({ p_id, p_worker_id, p_lease_seconds = 60 }) => {
+  const row = table('webhook_deliveries').find((d) => d.id === p_id);
+  const leaseExpired = (claimedAt) => Date.parse(claimedAt) < Date.now() - p_lease_seconds * 1000;
+  if (!row || row.status !== 'pending' || (row.claimed_at != null && !leaseExpired(row.claimed_at))) return null;
+  Object.assign(row, { claimed_at: now(), claimed_by: p_worker_id, attempts: row.attempts + 1, last_attempt_at: now() });
+  return row;
+};
+
+// ── Escrow payouts (00021_escrow_transfers.sql, 00048_escrow_payout_holds.sql) ─
+
+rpcs.record_escrow_transfer = async ({ p_transfer, p_expected_from = null }) => {
+  const existing = table('escrow_transfers').find((t) => t.idempotency_key === p_transfer.idempotency_key);
+  if (existing) return existing;
+
+  const target = p_transfer.milestone_id
+    ? table('build_milestones').find((m) => m.id === p_transfer.milestone_id)
+    : table('builds').find((b) => b.id === p_transfer.build_id);
+  if (!target) throw sqlError('BT404', 'Payout target not found');
+  const to = (p_transfer.milestone_id ? p_transfer.milestone_update : p_transfer.build_update)?.status ?? null;
+  const actorType = p_transfer.actor_type ?? 'system';
+  const hold = p_transfer.split_group ?? p_transfer.idempotency_key;
+
+  if ((target.pending_payout ?? null) !== hold) {
+    if (target.pending_payout != null) {
+      throw sqlError('BT409', 'Another payout is already in progress — try again once it settles');
+    }
+    if (p_expected_from != null && target.status !== p_expected_from) {
+      throw sqlError('BT409', `Status changed to '${target.status}' — reload and try again`);
+    }
+    if (claimedForActor(target, actorType)) {
+      throw sqlError('BT409', 'Its deadline passed and the escrow is already being settled automatically');
+    }
+    if (to != null) {
+      if (!validBuildTransition(target.status, to)) throw sqlError('BT400', `Cannot move from '${target.status}' to '${to}'`);
+      if (!validBuildTransition(target.status, to, actorType)) {
+        throw sqlError('BT403', `A ${actorType} cannot move from '${target.status}' to '${to}'`);
+      }
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('escrow_transfers')
+    .insert({ ...p_transfer, actor_type: actorType, from_status: target.status })
+    .select()
+    .single();
+  if (error) throw sqlError(error.code, error.message);
+  target.pending_payout = hold;
+  return table('escrow_transfers').find((t) => t.id === data.id);
+};
+
+rpcs.claim_escrow_transfer = ({ p_id, p_worker_id, p_lease_seconds = 120 }) => {
+  const row = table('escrow_transfers').find((t) => t.id === p_id);
+  const leaseExpired = (claimedAt) => Date.parse(claimedAt) < Date.now() - p_lease_seconds * 1000;
+  if (!row || row.finalized_at != null || (row.claimed_at != null && !leaseExpired(row.claimed_at))) {
+    return null;
+  }
+  Object.assign(row, { claimed_at: now(), claimed_by: p_worker_id, attempts: (row.attempts || 0) + 1 });
+  return row;
+};
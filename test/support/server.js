@@ -0,0 +1,48 @@
+/**
+ * Boot routers on an ephemeral port and call them over HTTP, the way index.js mounts them.
+ */
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+
+/**
+ * @param {Record<string, import('express').Router>} mounts path → router
+ * @returns {Promise<{ call: Function, close: Function }>}
+ *   call(method, path, { user?, body? }) → { status, body }
+ */
+export async function startServer(mounts) {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(mounts)) app.use(path, router);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function call(method, path, { user = null, headers: extraHeaders = {}, body } = {}) {
+    const headers = { 'content-type': 'application/json', ...extraHeaders };
+    if (user) headers.authorization = `Bearer ${tokenFor(user)}`;
+    const res = await fetch(base + path, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  return {
+    call,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Access token for a seeded user ({ id, wallet_address }), as POST /api/auth/wallet issues.
+ */
+export function tokenFor(user) {
+  return jwt.sign({ sub: user.id, wallet_address: user.wallet_address }, process.env.JWT_SECRET);
+}
@@ -0,0 +1,115 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'node:dns';
+import { createServer } from 'node:http';
+import { syncBuiltinESMExports } from 'node:module';
+import { table } from './support/fakeSupabase.js';
+import { seedMarketplace, seedSdkAgent } from './support/fixtures.js';
+import { startServer } from './support/server.js';
+import { sendWebhook, webhookUrlError } from '../src/lib/webhook.js';
+import { sdkRouter } from '../src/routes/sdk.js';
+
+describe('webhook URLs', () => {
+  test('private, loopback and link-local hosts are refused', () => {
+    for (const url of [
+      'https://localhost/hook',
+      'https://127.0.0.1/hook',
+      'https://[::1]/hook',
+      'https://169.254.169.254/latest/meta-data',
+      'https://10.0.0.5/hook',
+      'https://172.16.0.1/hook',
+      'https://192.168.1.10/hook',
+      'https://[fd00::1]/hook',
+      'https://[::ffff:127.0.0.1]/hook',
+      'https://2130706433/hook',
+    ]) {
+      assert.equal(webhookUrlError(url), 'must not point at a private or loopback address', url);
+    }
+    assert.equal(webhookUrlError('https://agent.example.com/hook'), null);
+  });
+
+  test('https is required outside development', () => {
+    assert.equal(webhookUrlError('http://agent.example.com/hook'), 'must be an https URL');
+
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    try {
+      assert.equal(webhookUrlError('http://agent.example.com/hook'), null);
+    } finally {
+      process.env.NODE_ENV = previous;
+    }
+  });
+
+  test('sendWebhook refuses a private destination without sending', async () => {
+    const result = await sendWebhook('https://169.254.169.254/latest', { event: 'ping' }, { id: 'delivery-1', event: 'ping' });
+    assert.deepEqual([result.ok, result.status], [false, null]);
+    assert.match(result.error, /private or loopback/);
+  });
+
+  test('sendWebhook refuses a host re-pointed at a private address after the check', async () => {
+    let received = 0;
+    const server = createServer((req, res) => { received += 1; res.end(); });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { lookup, promises: { lookup: lookupAsync } } = dns;
+    const previous = process.env.NODE_ENV;
+    // The check sees a public address, the connection would go to loopback
+    dns.promises.lookup = async () => [{ address: '93.184.216.34', family: 4 }];
+    dns.lookup = (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    syncBuiltinESMExports();
+    process.env.NODE_ENV = 'development';
+    try {
+      const url = `http://rebind.example.com:${server.address().port}/hook`;
+      const result = await sendWebhook(url, { event: 'ping' }, { id: 'delivery-2', event: 'ping' });
+      assert.deepEqual([result.ok, result.status, received], [false, null, 0]);
+      assert.match(result.error, /rebind\.example\.com resolves to a private or loopback address/);
+    } finally {
+      Object.assign(dns, { lookup });
+      dns.promises.lookup = lookupAsync;
+      syncBuiltinESMExports();
+      process.env.NODE_ENV = previous;
+      server.close();
+    }
+  });
+});
+
+describe('webhook endpoint routes', () => {
+  let api;
+  let headers;
+
+  before(async () => {
+    api = await startServer({ '/api/sdk': sdkRouter });
+    ({ headers } = seedSdkAgent(seedMarketplace()));
+  });
+
+  after(() => api.close());
+
+  test('an internal URL is rejected', async () => {
+    const res = await api.call('POST', '/api/sdk/webhooks', {
+      headers,
+      body: { url: 'https://169.254.169.254/latest/meta-data' },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'url must not point at a private or loopback address');
+    assert.equal(table('webhook_endpoints').length, 0);
+  });
+
+  test('disabling an endpoint fails its pending deliveries', async () => {
+    const created = await api.call('POST', '/api/sdk/webhooks', {
+      headers,
+      body: { url: 'https://agent.example.com/hook' },
+    });
+    assert.equal(created.status, 201);
+    table('webhook_deliveries').push(
+      { id: 'delivery-pending', endpoint_id: created.body.id, status: 'pending' },
+      { id: 'delivery-sent', endpoint_id: created.body.id, status: 'delivered' },
+    );
+
+    const res = await api.call('PATCH', `/api/sdk/webhooks/${created.body.id}`, { headers, body: { isActive: false } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.isActive, false);
+    assert.deepEqual(table('webhook_deliveries').map((d) => [d.id, d.status]), [
+      ['delivery-pending', 'failed'],
+      ['delivery-sent', 'delivered'],
+    ]);
+  });
+});